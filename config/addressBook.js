@@ -0,0 +1,146 @@
+// External contracts the protocol depends on, per network (keys match hardhat.config.js).
+// Check them against a live or forked node with scripts/validate-address-book.js.
+//
+// Sources:
+//   CCIP routers, LINK and chain selectors: https://docs.chain.link/ccip/directory/testnet
+//   Price feeds: https://docs.chain.link/data-feeds/price-feeds/addresses
+
+/**
+ * @typedef {Object} AaveMarket
+ * @property {string} underlying Asset supplied to Aave (constructor arg of AaveVault)
+ * @property {string} aToken Interest bearing token of `underlying`
+ * @property {string} pool Aave v3 Pool
+ * @property {string} priceFeed Chainlink USD feed of `underlying`
+ */
+
+/**
+ * @typedef {Object} CcipLane
+ * @property {string} router CCIP router
+ * @property {string} link LINK token used to pay fees
+ * @property {bigint} chainSelector CCIP selector of this network
+ */
+
+/**
+ * @typedef {Object} AdminAccount
+ * @property {("safe"|"timelock")} kind Safe multisig or OpenZeppelin TimelockController
+ * @property {string} address Account that owns the protocol contracts after tokeniq:handover
+ * @property {string} [proposer] Safe holding the proposer role of a timelock, whose
+ *   transaction builder batches schedule and execute the timelock operations
+ */
+
+/**
+ * @typedef {Object} ChainAddresses
+ * @property {number} chainId
+ * @property {Object<string, string>} tokens ERC20 tokens by symbol
+ * @property {AaveMarket} [aave] Omitted when no Aave market is confirmed on the network
+ * @property {CcipLane} [ccip] Omitted when the network is not served by CCIP
+ * @property {AdminAccount} [admin] Omitted while the deployer EOA still administers the network
+ */
+
+/** @type {Object<string, ChainAddresses>} */
+const ADDRESS_BOOK = {
+  sepolia: {
+    chainId: 11155111,
+    tokens: {
+      USDC: "0x1c7D4B196Cb0C7B01d743Fbc6116a902379C7238",
+      LINK: "0x779877A7B0D9E8603169DdbD7836e478b4624789"
+    },
+    aave: {
+      underlying: "0x1c7D4B196Cb0C7B01d743Fbc6116a902379C7238", // USDC
+      aToken: "0x16dA4541aD1807f4443d92D26044C1147406EB80", // aUSDC
+      pool: "0x6Ae43d3271ff6888e7Fc43Fd7321a503ff738951",
+      priceFeed: "0xA2F78ab2355fe2f984D808B5CeE7FD0A93D5270E" // USDC/USD
+    },
+    ccip: {
+      router: "0x0BF3dE8c5D3e8A2B34D2BEeB17ABfCeBaf363A59",
+      link: "0x779877A7B0D9E8603169DdbD7836e478b4624789",
+      chainSelector: 16015286601757825753n
+    }
+  },
+
+  fuji: {
+    chainId: 43113,
+    tokens: {
+      USDC: "0x5425890298aed601595a70AB815c96711a31Bc65",
+      LINK: "0x0b9d5D9136855f6FEc3c0993feE6E9CE8a297846"
+    },
+    // Market the Fuji AaveVault was deployed against. contract.constructors.js listed a
+    // different pool and aToken; the validation script tells which pair is live.
+    aave: {
+      underlying: "0x5425890298aed601595a70AB815c96711a31Bc65", // USDC
+      aToken: "0x7bA2e5c37C4151d654Fcc4b41ffF3Fe693c23852", // aUSDC
+      pool: "0x794a61358D6845594F94dc1DB02A252b5b4814aD",
+      priceFeed: "0x97FE42a7E96640D932bbc0e1580c73E705A8EB73" // USDC/USD
+    },
+    ccip: {
+      router: "0xF694E193200268f9a4868e4Aa017A0118C9a8177",
+      link: "0x0b9d5D9136855f6FEc3c0993feE6E9CE8a297846",
+      chainSelector: 14767482510784806043n
+    }
+  },
+
+  arbitrumSepolia: {
+    chainId: 421614,
+    tokens: {
+      USDC: "0x75faf114eafb1BDbe2F0316DF893fd58CE46AA4d",
+      LINK: "0xb1D4538B4571d411F07960EF2838Ce337FE1E80E"
+    },
+    ccip: {
+      router: "0x2a9C5afB0d0e4BAb2BCdaE109EC4b0c4Be15a165",
+      link: "0xb1D4538B4571d411F07960EF2838Ce337FE1E80E",
+      chainSelector: 3478487238524512106n
+    }
+  },
+
+  baseSepolia: {
+    chainId: 84532,
+    tokens: {
+      USDC: "0x036CbD53842c5426634e7929541eC2318f3dCF7e",
+      LINK: "0xE4aB69C077896252FAFBD49EFD26B5D171A32410"
+    },
+    ccip: {
+      router: "0xD3b06cEbF099CE7DA4AcCf578aaebFDBd6e88a93",
+      link: "0xE4aB69C077896252FAFBD49EFD26B5D171A32410",
+      chainSelector: 10344971235874465080n
+    }
+  },
+
+  bnbTestnet: {
+    chainId: 97,
+    tokens: {
+      LINK: "0x84b9B910527Ad5C03A9Ca831909E21e236EA7b06"
+    },
+    ccip: {
+      router: "0xE1053aE1857476f36A3C62580FF9b016E8EE8F6f",
+      link: "0x84b9B910527Ad5C03A9Ca831909E21e236EA7b06",
+      chainSelector: 13264668187771770619n
+    }
+  },
+
+  coreTestnet2: {
+    chainId: 1114,
+    tokens: {
+      WCORE: "0x40375c71DFa051a6b8Ca1241Df8Cb4be557CcecD"
+    }
+  }
+};
+
+/**
+ * @notice External addresses of a network
+ * @param {string} networkName Key of ADDRESS_BOOK, usually hre.network.name
+ * @return {ChainAddresses}
+ */
+function getChain(networkName) {
+  const chain = ADDRESS_BOOK[networkName];
+  if (!chain) {
+    throw new Error(
+      `No address book entry for "${networkName}". Known networks: ${Object.keys(ADDRESS_BOOK).join(", ")}`
+    );
+  }
+  return chain;
+}
+
+module.exports = {
+  ADDRESS_BOOK,
+  getChain
+};
@@ -0,0 +1,73 @@
+// Fee strategy per network (keys match hardhat.config.js), applied by scripts/lib/fees.js
+// to every transaction sent by the deploy scripts and tokeniq:* tasks.
+//
+// GAS_MARGIN=1.5 overrides the gas limit safety margin of the selected network for one run,
+// CONFIRMATIONS=3 the number of blocks a transaction must be buried under.
+
+const { parseUnits } = require("ethers");
+
+/**
+ * @typedef {Object} FeeStrategy
+ * @property {("legacy"|"eip1559")} type Transaction type to send
+ * @property {number} gasMargin Multiplier applied to the estimated gas limit
+ * @property {bigint} [minGasPrice] Floor for the legacy gas price (nodes that report too little)
+ * @property {bigint} [minPriorityFee] Floor for the EIP-1559 priority fee
+ * @property {number} bumpPercent Fee increase when resending an underpriced or stuck transaction
+ *   (nodes require at least 10% to accept a replacement)
+ * @property {number} maxAttempts Sends of the same transaction before giving up
+ * @property {number} confirmations Blocks to wait for before a transaction counts as done
+ * @property {number} confirmationTimeout Milliseconds to wait for a receipt before bumping
+ */
+
+/** @type {FeeStrategy} */
+const DEFAULT_STRATEGY = {
+  type: "eip1559",
+  gasMargin: 1.2,
+  bumpPercent: 15,
+  maxAttempts: 4,
+  confirmations: 2,
+  confirmationTimeout: 180000
+};
+
+/** @type {Object<string, Partial<FeeStrategy>>} */
+const FEE_STRATEGIES = {
+  // Sei rejects transactions below 2 gwei (1 nsei) and underestimates contract creations
+  seitestnet: { type: "legacy", minGasPrice: parseUnits("2", "gwei"), gasMargin: 1.5 },
+  seimainnet: { type: "legacy", minGasPrice: parseUnits("2", "gwei"), gasMargin: 1.5 },
+  // Core does not implement EIP-1559 fee fields
+  coreTestnet2: { type: "legacy", gasMargin: 1.3 },
+  sepolia: {},
+  fuji: { minPriorityFee: parseUnits("1", "gwei") },
+  arbitrumSepolia: {},
+  baseSepolia: {},
+  hardhat: { confirmations: 1, confirmationTimeout: 10000 },
+  localhost: { confirmations: 1, confirmationTimeout: 10000 }
+};
+
+/**
+ * @notice Fee strategy of a network, defaults merged with its entry, GAS_MARGIN and CONFIRMATIONS
+ * @param {string} networkName Name of the network in hardhat.config.js
+ * @return {FeeStrategy}
+ */
+function getFeeStrategy(networkName) {
+  const strategy = { ...DEFAULT_STRATEGY, ...FEE_STRATEGIES[networkName] };
+  if (process.env.GAS_MARGIN) {
+    strategy.gasMargin = Number(process.env.GAS_MARGIN);
+    if (!(strategy.gasMargin >= 1)) {
+      throw new Error(`GAS_MARGIN must be a number >= 1, got "${process.env.GAS_MARGIN}"`);
+    }
+  }
+  if (process.env.CONFIRMATIONS) {
+    strategy.confirmations = Number(process.env.CONFIRMATIONS);
+    if (!Number.isInteger(strategy.confirmations) || strategy.confirmations < 1) {
+      throw new Error(`CONFIRMATIONS must be a positive integer, got "${process.env.CONFIRMATIONS}"`);
+    }
+  }
+  return strategy;
+}
+
+module.exports = {
+  DEFAULT_STRATEGY,
+  FEE_STRATEGIES,
+  getFeeStrategy
+};
@@ -0,0 +1,4 @@
+// Base Sepolia, external addresses come from config/addressBook.js
+const { ccipTestnet } = require("./shared");
+
+module.exports = ccipTestnet("baseSepolia");
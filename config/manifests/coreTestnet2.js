@@ -0,0 +1,8 @@
+// Core testnet 2
+const { getChain } = require("../addressBook");
+const { assetStack } = require("./shared");
+
+// Wrapped CORE is the underlying asset of the ERC20VaultToken template
+const { WCORE } = getChain("coreTestnet2").tokens;
+
+module.exports = assetStack({ vaultAsset: WCORE, metadataURI: "https://api.tokeniq.xyz" });
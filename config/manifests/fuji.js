@@ -0,0 +1,4 @@
+// Avalanche Fuji, external addresses come from config/addressBook.js
+const { ccipTestnet } = require("./shared");
+
+module.exports = ccipTestnet("fuji");
@@ -0,0 +1,35 @@
+// Local hardhat network: external dependencies are replaced by mocks
+const { ref } = require("../../scripts/lib/manifest");
+const { CHAIN_SELECTORS, combine, vaultStack, invoiceStack, routerStack, assetStack } = require("./shared");
+
+const mocks = {
+  contracts: [
+    { id: "USDC", contract: "MockERC20", args: ["USD Coin", "USDC", 6] },
+    { id: "aUSDC", contract: "MockERC20", args: ["Aave USDC", "aUSDC", 6] },
+    { id: "LINK", contract: "MockERC20", args: ["Chainlink", "LINK", 18] },
+    { id: "AavePool", contract: "MockAavePool" },
+    { id: "USDCPriceFeed", contract: "MockAggregatorV3" },
+    { id: "CCIPRouter", contract: "MockRouter" }
+  ],
+  wiring: [
+    {
+      target: "AavePool",
+      method: "setAToken",
+      args: [ref("aUSDC")],
+      expect: { call: "aToken", value: ref("aUSDC") }
+    }
+  ]
+};
+
+module.exports = combine(
+  mocks,
+  vaultStack({
+    underlying: ref("USDC"),
+    aToken: ref("aUSDC"),
+    pool: ref("AavePool"),
+    priceFeed: ref("USDCPriceFeed")
+  }),
+  invoiceStack(),
+  routerStack({ router: ref("CCIPRouter"), link: ref("LINK") }, Object.values(CHAIN_SELECTORS)),
+  assetStack({ vaultAsset: ref("USDC"), metadataURI: "https://api.tokeniq.xyz" })
+);
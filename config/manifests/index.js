@@ -0,0 +1,29 @@
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * @notice Load the deployment manifest declared for a hardhat network
+ * @param {string} networkName Name of the network in hardhat.config.js
+ * @return {import("../../scripts/lib/manifest").Manifest}
+ */
+function loadManifest(networkName) {
+  const file = path.join(__dirname, `${networkName}.js`);
+  if (!fs.existsSync(file)) {
+    throw new Error(
+      `No deployment manifest for network "${networkName}". Available: ${listManifests().join(", ")}`
+    );
+  }
+  return require(file);
+}
+
+/**
+ * @notice Names of all networks that have a deployment manifest
+ */
+function listManifests() {
+  return fs
+    .readdirSync(__dirname)
+    .filter((name) => name.endsWith(".js") && !["index.js", "shared.js"].includes(name))
+    .map((name) => path.basename(name, ".js"));
+}
+
+module.exports = { loadManifest, listManifests };
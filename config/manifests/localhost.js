@@ -0,0 +1,2 @@
+// `npx hardhat node` runs the same stack as the in-process hardhat network
+module.exports = require("./hardhat");
@@ -0,0 +1,13 @@
+// Sei testnet (atlantic-2)
+const { ref } = require("../../scripts/lib/manifest");
+const { combine, assetStack } = require("./shared");
+
+module.exports = combine(
+  {
+    contracts: [
+      { id: "WBTC", contract: "WBTC" },
+      { id: "TestToken", contract: "TestToken" }
+    ]
+  },
+  assetStack({ vaultAsset: ref("WBTC"), metadataURI: "https://tokeniq.vercel.app" })
+);
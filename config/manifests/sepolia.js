@@ -0,0 +1,4 @@
+// Ethereum Sepolia, external addresses come from config/addressBook.js
+const { ccipTestnet } = require("./shared");
+
+module.exports = ccipTestnet("sepolia");
@@ -0,0 +1,231 @@
+// Building blocks shared by the per-network deployment manifests.
+// Each block returns { contracts, wiring } and blocks are merged with combine().
+
+const { ref, deployer } = require("../../scripts/lib/manifest");
+const { getChain } = require("../addressBook");
+
+// Testnets the routers are deployed on and allowlist each other
+const CCIP_NETWORKS = ["sepolia", "fuji", "arbitrumSepolia", "baseSepolia"];
+
+const CHAIN_SELECTORS = Object.fromEntries(
+  CCIP_NETWORKS.map((network) => [network, getChain(network).ccip.chainSelector])
+);
+
+// LINK each router holds to pay CCIP fees
+const ROUTER_LINK_FUNDING = 5n * 10n ** 18n;
+
+function combine(...blocks) {
+  return {
+    contracts: blocks.flatMap((block) => block.contracts || []),
+    wiring: blocks.flatMap((block) => block.wiring || []),
+    funding: blocks.flatMap((block) => block.funding || [])
+  };
+}
+
+/**
+ * @notice TreasuryAIManager, VaultFactory (transparent proxy) and its vault implementations
+ * @param {Object} [aave] Aave market used by the "aave" implementation; omitted when the
+ *   network has no Aave deployment
+ */
+function vaultStack(aave) {
+  const contracts = [
+    { id: "TreasuryAIManager", contract: "TreasuryAIManager" },
+    {
+      id: "VaultFactory",
+      contract: "VaultFactory",
+      proxy: { kind: "transparent", initializer: "initialize", args: [ref("TreasuryAIManager")] },
+      create2: true
+    },
+    { id: "CurveVault", contract: "CurveVault" },
+    { id: "RWAInvoiceVault", contract: "RWAInvoiceVault" },
+    { id: "VaultManager", contract: "VaultManager" }
+  ];
+  const implementations = { curve: "CurveVault", rwa: "RWAInvoiceVault" };
+
+  if (aave) {
+    contracts.splice(2, 0, {
+      id: "AaveVault",
+      contract: "AaveVault",
+      args: [aave.underlying, aave.aToken, aave.pool, aave.priceFeed],
+      create2: true
+    });
+    implementations.aave = "AaveVault";
+  }
+
+  const wiring = [
+    {
+      target: "VaultFactory",
+      method: "setTreasuryAIManager",
+      args: [ref("TreasuryAIManager")],
+      expect: { call: "treasuryAIManager", value: ref("TreasuryAIManager") }
+    },
+    ...Object.entries(implementations).map(([vaultType, id]) => ({
+      target: "VaultFactory",
+      method: "setVaultImplementation",
+      args: [vaultType, ref(id)],
+      expect: { call: "vaultImplementations", args: [vaultType], value: ref(id) }
+    }))
+  ];
+
+  return { contracts, wiring };
+}
+
+/**
+ * @notice InvoiceRegistry and the TokenizedInvoice it creates, owned by the registry
+ */
+function invoiceStack() {
+  return {
+    contracts: [
+      { id: "InvoiceRegistry", contract: "InvoiceRegistry" },
+      {
+        id: "TokenizedInvoice",
+        contract: "TokenizedInvoice",
+        from: { id: "InvoiceRegistry", call: "tokenizedInvoice" }
+      }
+    ],
+    wiring: [
+      {
+        target: "TokenizedInvoice",
+        method: "transferOwnership",
+        args: [ref("InvoiceRegistry")],
+        expect: { call: "owner", value: ref("InvoiceRegistry") }
+      }
+    ]
+  };
+}
+
+/**
+ * @notice CrossChainRouter and CrossChainRouterV3 allowlisted for the given remote chains.
+ * Both are `create2` steps so a deterministic deployment gives them the same address on
+ * every CCIP network, which is what the remote chains allowlist as sender.
+ * @param {{router: string, link: string}} ccip CCIP router and LINK token on this network
+ * @param {bigint[]} remoteSelectors Chain selectors of the networks to exchange messages with
+ * @param {bigint} [linkFunding] LINK balance each router is topped up to for CCIP fees
+ */
+function routerStack(ccip, remoteSelectors, linkFunding) {
+  const contracts = [
+    { id: "CrossChainRouter", contract: "CrossChainRouter", args: [ccip.router, ccip.link], create2: true },
+    { id: "CrossChainRouterV3", contract: "CrossChainRouterV3", args: [ccip.router, ccip.link], create2: true }
+  ];
+
+  const wiring = [
+    // The remote routers send from this same address
+    {
+      target: "CrossChainRouterV3",
+      method: "allowlistSender",
+      args: [ref("CrossChainRouterV3"), true],
+      expect: { call: "allowlistedSenders", args: [ref("CrossChainRouterV3")], value: true }
+    },
+    ...remoteSelectors.flatMap((selector) => [
+      {
+        target: "CrossChainRouter",
+        method: "setSupportedChain",
+        args: [selector, true],
+        expect: { call: "supportedChains", args: [selector], value: true }
+      },
+      {
+        target: "CrossChainRouterV3",
+        method: "allowlistDestinationChain",
+        args: [selector, true],
+        expect: { call: "allowlistedDestinationChains", args: [selector], value: true }
+      },
+      {
+        target: "CrossChainRouterV3",
+        method: "allowlistSourceChain",
+        args: [selector, true],
+        expect: { call: "allowlistedSourceChains", args: [selector], value: true }
+      }
+    ])
+  ];
+
+  const funding = linkFunding
+    ? contracts.map(({ id }) => ({ target: id, token: ccip.link, amount: linkFunding }))
+    : [];
+
+  return { contracts, wiring, funding };
+}
+
+/**
+ * @notice AssetFactory (UUPS proxy) with its three token templates
+ * @param {Object} options
+ * @param {*} options.vaultAsset Underlying asset of the ERC20VaultToken template
+ * @param {string} options.metadataURI Base URI for the NFT and hybrid asset templates
+ */
+function assetStack({ vaultAsset, metadataURI }) {
+  return {
+    contracts: [
+      {
+        id: "ERC20VaultToken",
+        contract: "ERC20VaultToken",
+        args: [
+          "Vault Token Template",
+          "VLT",
+          vaultAsset,
+          { depositFeeBasisPoints: 0, withdrawalFeeBasisPoints: 0, performanceFeeBasisPoints: 0 },
+          deployer()
+        ]
+      },
+      {
+        id: "ERC721CollateralNFT",
+        contract: "ERC721CollateralNFT",
+        proxy: {
+          kind: "transparent",
+          initializer: "initialize",
+          args: ["Collateral NFT", "CNFT", deployer(), `${metadataURI}/nfts/`, 0, deployer()]
+        }
+      },
+      {
+        id: "ERC1155HybridAsset",
+        contract: "ERC1155HybridAsset",
+        proxy: {
+          kind: "uups",
+          initializer: "initializeHybridAsset",
+          args: [`${metadataURI}/assets/`, deployer(), 0, deployer()]
+        }
+      },
+      {
+        id: "AssetFactory",
+        contract: "AssetFactory",
+        proxy: {
+          kind: "uups",
+          initializer: "initialize",
+          args: [ref("ERC20VaultToken"), ref("ERC721CollateralNFT"), ref("ERC1155HybridAsset"), deployer()]
+        },
+        create2: true
+      }
+    ],
+    wiring: []
+  };
+}
+
+/**
+ * @notice Full stack used by the CCIP-connected testnets
+ * @param {string} network One of CCIP_NETWORKS; its address book entry provides the CCIP
+ *   lane and, when present, the Aave market
+ * @param {{ccip: Object, aave: Object, linkFunding: *}} [external] Replaces the address book
+ *   values, e.g. with the module parameters of ignition/modules/shared.js
+ */
+function ccipTestnet(network, external = {}) {
+  const chain = getChain(network);
+  const { ccip, aave, linkFunding } = {
+    ccip: chain.ccip,
+    aave: chain.aave,
+    linkFunding: ROUTER_LINK_FUNDING,
+    ...external
+  };
+  const remoteSelectors = Object.entries(CHAIN_SELECTORS)
+    .filter(([name]) => name !== network)
+    .map(([, selector]) => selector);
+
+  return combine(vaultStack(aave), invoiceStack(), routerStack(ccip, remoteSelectors, linkFunding));
+}
+
+module.exports = {
+  CHAIN_SELECTORS,
+  combine,
+  vaultStack,
+  invoiceStack,
+  routerStack,
+  assetStack,
+  ccipTestnet
+};
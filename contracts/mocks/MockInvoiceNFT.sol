@@ -0,0 +1,29 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.27;
+
+import "@openzeppelin/contracts/token/ERC721/ERC721.sol";
+
+/**
+ * @title MockInvoiceNFT
+ * @notice Invoice registry as RWAInvoiceVault expects it (ERC721 with fundInvoice and
+ * repayInvoice), recording what the vault reports for testing
+ */
+contract MockInvoiceNFT is ERC721 {
+    mapping(uint256 => uint256) public fundedAmounts;
+    mapping(uint256 => uint256) public repaidAmounts;
+
+    event InvoiceFunded(uint256 indexed tokenId, uint256 amount);
+    event InvoiceRepaid(uint256 indexed tokenId, uint256 amount);
+
+    constructor() ERC721("Mock Invoice", "MINV") {}
+
+    function fundInvoice(uint256 tokenId, uint256 amount) external {
+        fundedAmounts[tokenId] = amount;
+        emit InvoiceFunded(tokenId, amount);
+    }
+
+    function repayInvoice(uint256 tokenId, uint256 amount) external {
+        repaidAmounts[tokenId] = amount;
+        emit InvoiceRepaid(tokenId, amount);
+    }
+}
@@ -0,0 +1,47 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.27;
+
+import "../interfaces/ITreasuryAIManager.sol";
+
+/**
+ * @title MockRWATreasuryManager
+ * @notice ITreasuryAIManager that records the notifications of RWAInvoiceVault for testing
+ */
+contract MockRWATreasuryManager is ITreasuryAIManager {
+    address public override defaultPaymentToken;
+
+    event VaultConfigured(address vault, address paymentToken, uint256 invoiceTokenId, uint256 fundingTarget, uint256 fundingDeadline);
+    event FundingComplete(address vault, uint256 invoiceTokenId, uint256 totalFunded);
+    event RepaymentReceived(address vault, uint256 invoiceTokenId, uint256 amount, uint256 interest);
+    event FundsWithdrawn(address vault, address token, address to, uint256 amount);
+
+    /**
+     * @notice Set the payment token returned to vaults without one
+     * @param _token Address of the payment token
+     */
+    function setDefaultPaymentToken(address _token) external {
+        defaultPaymentToken = _token;
+    }
+
+    function notifyVaultConfigured(
+        address vault,
+        address paymentToken,
+        uint256 invoiceTokenId,
+        uint256 fundingTarget,
+        uint256 fundingDeadline
+    ) external override {
+        emit VaultConfigured(vault, paymentToken, invoiceTokenId, fundingTarget, fundingDeadline);
+    }
+
+    function notifyFundingComplete(address vault, uint256 invoiceTokenId, uint256 totalFunded) external override {
+        emit FundingComplete(vault, invoiceTokenId, totalFunded);
+    }
+
+    function notifyRepayment(address vault, uint256 invoiceTokenId, uint256 amount, uint256 interest) external override {
+        emit RepaymentReceived(vault, invoiceTokenId, amount, interest);
+    }
+
+    function notifyFundsWithdrawn(address vault, address token, address to, uint256 amount) external override {
+        emit FundsWithdrawn(vault, token, to, amount);
+    }
+}
@@ -0,0 +1,55 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.27;
+
+/**
+ * @title MockRebalancingStrategy
+ * @notice VaultManager strategy whose allocations are set by the test; rebalance() brings the
+ * current allocation to the target, so VaultManager's upkeep can be exercised locally
+ */
+contract MockRebalancingStrategy {
+    uint256 public currentAllocation;
+    uint256 public targetAllocation;
+    uint256 public rebalanceCount;
+    bool public failRebalance;
+    bool public rejectRebalance;
+
+    event Rebalanced(uint256 allocation);
+
+    error RebalanceRejected(uint256 targetAllocation);
+
+    function setAllocations(uint256 _current, uint256 _target) external {
+        currentAllocation = _current;
+        targetAllocation = _target;
+    }
+
+    function setFailRebalance(bool _fail) external {
+        failRebalance = _fail;
+    }
+
+    function setRejectRebalance(bool _reject) external {
+        rejectRebalance = _reject;
+    }
+
+    // Tokens stay with VaultManager
+    function deposit(uint256) external {}
+
+    function withdraw(uint256) external {}
+
+    function getCurrentAllocation() external view returns (uint256) {
+        return currentAllocation;
+    }
+
+    function getTargetAllocation() external view returns (uint256) {
+        return targetAllocation;
+    }
+
+    function rebalance() external {
+        require(!failRebalance, "Rebalance failed");
+        if (rejectRebalance) {
+            revert RebalanceRejected(targetAllocation);
+        }
+        currentAllocation = targetAllocation;
+        rebalanceCount++;
+        emit Rebalanced(targetAllocation);
+    }
+}
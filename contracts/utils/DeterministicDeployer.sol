@@ -0,0 +1,80 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.27;
+
+/**
+ * @title DeterministicDeployer
+ * @notice Deploys contracts at addresses that depend only on the caller and a salt, not on the
+ * init code, so a contract whose constructor arguments differ per chain (CCIP router, LINK...)
+ * still lands at the same address on every chain.
+ * @dev The deployer CREATE2-deploys a DeploymentBootstrap with a constant init code, which then
+ * CREATEs the contract with its first nonce. The bootstrap is the creator of the new contract,
+ * so when the contract makes its creator the owner the bootstrap hands ownership to `owner`
+ * (two-step Ownable contracts still need `acceptOwnership` from `owner`).
+ * The deployer itself is deployed through the canonical CREATE2 factory, which gives it the
+ * same address on every chain as long as it is compiled with the same settings.
+ */
+contract DeterministicDeployer {
+    event Deployed(address indexed deployed, address indexed sender, bytes32 indexed salt, address owner);
+
+    /**
+     * @notice Deploy `initCode` at the address predicted by `predict(msg.sender, salt)`
+     * @param salt User chosen salt, namespaced by the caller to prevent address squatting
+     * @param initCode Creation bytecode with ABI encoded constructor arguments
+     * @param owner Account that receives ownership when the contract made its creator the owner
+     * @return deployed Address of the new contract
+     */
+    function deploy(bytes32 salt, bytes calldata initCode, address owner) external returns (address deployed) {
+        DeploymentBootstrap bootstrap = new DeploymentBootstrap{salt: _namespacedSalt(msg.sender, salt)}();
+        deployed = bootstrap.create(initCode, owner);
+        emit Deployed(deployed, msg.sender, salt, owner);
+    }
+
+    /**
+     * @notice Address a contract deployed by `sender` with `salt` gets, on any chain
+     */
+    function predict(address sender, bytes32 salt) external view returns (address) {
+        bytes32 bootstrapHash = keccak256(
+            abi.encodePacked(
+                bytes1(0xff),
+                address(this),
+                _namespacedSalt(sender, salt),
+                keccak256(type(DeploymentBootstrap).creationCode)
+            )
+        );
+        address bootstrap = address(uint160(uint256(bootstrapHash)));
+        // RLP([bootstrap, 1]): contracts start at nonce 1
+        return address(uint160(uint256(keccak256(abi.encodePacked(bytes1(0xd6), bytes1(0x94), bootstrap, bytes1(0x01))))));
+    }
+
+    function _namespacedSalt(address sender, bytes32 salt) internal pure returns (bytes32) {
+        return keccak256(abi.encode(sender, salt));
+    }
+}
+
+/**
+ * @title DeploymentBootstrap
+ * @notice Single-use helper created by DeterministicDeployer, see its documentation
+ */
+contract DeploymentBootstrap {
+    address private immutable _deployer;
+
+    constructor() {
+        _deployer = msg.sender;
+    }
+
+    function create(bytes calldata initCode, address owner) external returns (address created) {
+        require(msg.sender == _deployer, "Only deployer");
+
+        bytes memory code = initCode;
+        assembly {
+            created := create(0, add(code, 0x20), mload(code))
+        }
+        require(created != address(0), "Deployment failed");
+
+        (bool success, bytes memory data) = created.staticcall(abi.encodeWithSignature("owner()"));
+        if (success && data.length == 32 && abi.decode(data, (address)) == address(this)) {
+            (bool transferred, ) = created.call(abi.encodeWithSignature("transferOwnership(address)", owner));
+            require(transferred, "Ownership transfer failed");
+        }
+    }
+}
@@ -0,0 +1,9 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.27;
+
+// Compiles the OpenZeppelin proxies so the Hardhat Ignition modules (ignition/modules) can
+// deploy the transparent and UUPS proxies themselves; the deploy scripts get them from
+// @openzeppelin/hardhat-upgrades instead.
+import "@openzeppelin/contracts/proxy/transparent/TransparentUpgradeableProxy.sol";
+import "@openzeppelin/contracts/proxy/transparent/ProxyAdmin.sol";
+import "@openzeppelin/contracts/proxy/ERC1967/ERC1967Proxy.sol";
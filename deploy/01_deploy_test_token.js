@@ -1,21 +1,39 @@
 // Deploy script for TestToken using hardhat-deploy
-module.exports = async ({ getNamedAccounts, deployments }) => {
+const { recordDeployment } = require("../scripts/lib/registry");
+const { feeOverrides, estimateGasLimit } = require("../scripts/lib/fees");
+
+module.exports = async (hre) => {
+  const { getNamedAccounts, deployments } = hre;
   const { deploy } = deployments;
   const { deployer } = await getNamedAccounts();
 
   console.log("Deploying TestToken...");
-  
+
+  // Fees and gas margin come from the Sei entry of config/fees.js; hardhat-deploy
+  // takes them as decimal strings
+  const { type, ...fees } = await feeOverrides(hre);
+  const factory = await hre.ethers.getContractFactory("TestToken");
+  const gasLimit = await estimateGasLimit(hre, { ...(await factory.getDeployTransaction()), from: deployer });
+
   const testToken = await deploy('TestToken', {
     from: deployer,
     args: [],
     log: true,
-    // Set gas price for Sei testnet
-    gasPrice: 2000000000, // 2 gwei
-    // Increase gas limit if needed
-    gasLimit: 5000000,
+    ...Object.fromEntries(Object.entries(fees).map(([field, value]) => [field, value.toString()])),
+    gasLimit: gasLimit.toString(),
   });
 
   console.log(`TestToken deployed to: ${testToken.address}`);
+
+  if (testToken.newlyDeployed) {
+    await recordDeployment(hre, "TestToken", {
+      contract: "TestToken",
+      address: testToken.address,
+      txHash: testToken.transactionHash,
+      blockNumber: testToken.receipt && testToken.receipt.blockNumber,
+      constructorArgs: []
+    });
+  }
 };
 
 module.exports.tags = ['TestToken'];
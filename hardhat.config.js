@@ -2,22 +2,28 @@ require("@nomicfoundation/hardhat-toolbox");
 require("@openzeppelin/hardhat-upgrades");
 require("hardhat-deploy");
 require("dotenv").config();
+require("./tasks");
 
 const PRIVATE_KEY = process.env.PRIVATE_KEY;
 const INFURA_API_KEY = process.env.INFURA_API_KEY;
 const ETHERSCAN_API_KEY = process.env.ETHERSCAN_API_KEY;
 
+// Remote networks stay declared without a key so local runs (tests, the
+// hardhat network manifest) do not require a .env file.
+const accounts = PRIVATE_KEY ? [PRIVATE_KEY] : [];
+
 module.exports = {
   networks: {
     coreTestnet2: {
       url: "https://rpc.test2.btcs.network",
-      accounts: [PRIVATE_KEY],
+      accounts,
       chainId: 1114
     },
     seitestnet: {
       url: 'https://evm-rpc-testnet.sei-apis.com',
-      accounts: [PRIVATE_KEY],
+      accounts,
       chainId: 1328,
+      // Defaults for plain ethers calls; deploy scripts and tasks use config/fees.js
       gasPrice: 2000000000, // 2 gwei
       timeout: 120000, // 2 minutes
       http: {
@@ -32,28 +38,28 @@ module.exports = {
     },
     seimainnet: {
       url: 'https://evm-rpc.sei-apis.com',
-      accounts: [PRIVATE_KEY],
+      accounts,
       chainId: 1329, // Sei mainnet chain ID
       gasPrice: 2000000000 // 2 gwei = 2 nsei
     },
     sepolia: {
       url: `https://sepolia.infura.io/v3/${INFURA_API_KEY}`,
-      accounts: [PRIVATE_KEY],
+      accounts,
       chainId: 11155111
     },
     fuji: {
       url: "https://api.avax-test.network/ext/bc/C/rpc",
-      accounts: [PRIVATE_KEY],
+      accounts,
       chainId: 43113
     },
     arbitrumSepolia: {
       url: `https://arb-sepolia.g.alchemy.com/v2/${process.env.ALCHEMY_API_KEY}`,
-      accounts: [PRIVATE_KEY],
+      accounts,
       chainId: 421614
     },
     baseSepolia: {
       url: `https://base-sepolia.g.alchemy.com/v2/${process.env.ALCHEMY_API_KEY}`,
-      accounts: [PRIVATE_KEY],
+      accounts,
       chainId: 84532
     }
   },
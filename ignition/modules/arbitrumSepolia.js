@@ -0,0 +1,4 @@
+// Ignition module of Arbitrum Sepolia, parameters in ignition/parameters/arbitrumSepolia.json
+const { ccipTestnet } = require("./shared");
+
+module.exports = ccipTestnet("arbitrumSepolia", { aave: false });
@@ -0,0 +1,4 @@
+// Ignition module of Base Sepolia, parameters in ignition/parameters/baseSepolia.json
+const { ccipTestnet } = require("./shared");
+
+module.exports = ccipTestnet("baseSepolia", { aave: false });
@@ -0,0 +1,8 @@
+// Ignition module of Core testnet 2, parameters in ignition/parameters/coreTestnet2.json
+const { assetStack } = require("../../config/manifests/shared");
+const { manifestModule } = require("./shared");
+
+module.exports = manifestModule((m) =>
+  // Wrapped CORE is the underlying asset of the ERC20VaultToken template
+  assetStack({ vaultAsset: m.getParameter("vaultAsset"), metadataURI: "https://api.tokeniq.xyz" })
+);
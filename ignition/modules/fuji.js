@@ -0,0 +1,4 @@
+// Ignition module of Avalanche Fuji, parameters in ignition/parameters/fuji.json
+const { ccipTestnet } = require("./shared");
+
+module.exports = ccipTestnet("fuji", { aave: true });
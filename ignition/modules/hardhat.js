@@ -0,0 +1,5 @@
+// Ignition module of the local hardhat network: external dependencies are replaced by mocks
+const { loadManifest } = require("../../config/manifests");
+const { manifestModule } = require("./shared");
+
+module.exports = manifestModule(loadManifest("hardhat"));
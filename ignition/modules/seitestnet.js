@@ -0,0 +1,5 @@
+// Ignition module of Sei testnet (atlantic-2): asset tokenization only, on top of its own WBTC
+const { loadManifest } = require("../../config/manifests");
+const { manifestModule } = require("./shared");
+
+module.exports = manifestModule(loadManifest("seitestnet"));
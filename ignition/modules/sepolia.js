@@ -0,0 +1,4 @@
+// Ignition module of Ethereum Sepolia, parameters in ignition/parameters/sepolia.json
+const { ccipTestnet } = require("./shared");
+
+module.exports = ccipTestnet("sepolia", { aave: true });
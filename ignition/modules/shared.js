@@ -0,0 +1,163 @@
+// Builds the per-network Ignition modules from the deployment manifests (config/manifests/),
+// so both deployment paths deploy and wire the same stack. Every contract step becomes a
+// future with the step's id, every wiring and funding step a call. The ids are the registry
+// ids of the manifests, which is how tokeniq:ignition:sync finds them in the Ignition
+// deployment.
+//
+// External addresses are module parameters (ignition/parameters/<network>.json), passed to
+// the manifest stacks in place of the address book values. Ignition has no counterpart of
+// `create2` steps and of the deployer's idempotence checks: it deploys with plain CREATE and
+// resumes from its own journal, and funding steps transfer their whole amount.
+
+const { buildModule } = require("@nomicfoundation/hardhat-ignition/modules");
+const manifests = require("../../config/manifests/shared");
+
+const MODULE_ID = "TokenIQ";
+
+const PROXY_ADMIN = "@openzeppelin/contracts/proxy/transparent/ProxyAdmin.sol:ProxyAdmin";
+const TRANSPARENT_PROXY = "@openzeppelin/contracts/proxy/transparent/TransparentUpgradeableProxy.sol:TransparentUpgradeableProxy";
+const ERC1967_PROXY = "@openzeppelin/contracts/proxy/ERC1967/ERC1967Proxy.sol:ERC1967Proxy";
+const IERC20 = "@openzeppelin/contracts/token/ERC20/IERC20.sol:IERC20";
+
+/**
+ * @notice Implementation, ProxyAdmin and transparent proxy initialized with `initializer`
+ * @return Future of the proxy with the ABI of `contractName`
+ */
+function transparentProxy(m, id, contractName, initializer, args) {
+  const implementation = m.contract(contractName, [], { id: `${id}Implementation` });
+  const proxyAdmin = m.contract(PROXY_ADMIN, [], { id: `${id}ProxyAdmin` });
+  const data = m.encodeFunctionCall(implementation, initializer, args, { id: `${id}InitializeData` });
+  const proxy = m.contract(TRANSPARENT_PROXY, [implementation, proxyAdmin, data], { id: `${id}Proxy` });
+  return m.contractAt(contractName, proxy, { id });
+}
+
+/**
+ * @notice Implementation and ERC1967 proxy of a UUPS contract initialized with `initializer`
+ * @return Future of the proxy with the ABI of `contractName`
+ */
+function uupsProxy(m, id, contractName, initializer, args) {
+  const implementation = m.contract(contractName, [], { id: `${id}Implementation` });
+  const data = m.encodeFunctionCall(implementation, initializer, args, { id: `${id}InitializeData` });
+  const proxy = m.contract(ERC1967_PROXY, [implementation, data], { id: `${id}Proxy` });
+  return m.contractAt(contractName, proxy, { id });
+}
+
+// Replaces the ref()/deployer() placeholders of a manifest value with futures; anything else,
+// module parameters included, is passed to Ignition as is
+function argument(m, futures, value) {
+  if (Array.isArray(value)) {
+    return value.map((item) => argument(m, futures, item));
+  }
+  if (value && Object.getPrototypeOf(value) === Object.prototype) {
+    if (value.$ref) {
+      return futures[value.$ref];
+    }
+    if (value.$deployer) {
+      return m.getAccount(0);
+    }
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, argument(m, futures, item)]));
+  }
+  return value;
+}
+
+// Id of the call of a wiring step: target and method, followed by the arguments when the
+// manifest makes that call more than once
+function callId(step, repeated) {
+  const id = `${step.target}_${step.method}`;
+  if (!repeated) {
+    return id;
+  }
+  const labels = (step.args || []).map((value) => {
+    if (value && value.$ref) {
+      return value.$ref;
+    }
+    return value && value.$deployer ? "deployer" : String(value).replace(/[^A-Za-z0-9]/g, "");
+  });
+  return [id, ...labels].join("_");
+}
+
+/**
+ * @notice Add the steps of a manifest to the module being built
+ * @param m Ignition module builder
+ * @param {import("../../scripts/lib/manifest").Manifest} manifest
+ * @return {Object<string, *>} Future of every contract step, by id
+ */
+function addManifest(m, manifest) {
+  const futures = {};
+  for (const step of manifest.contracts) {
+    if (step.from) {
+      const address = m.staticCall(futures[step.from.id], step.from.call, [], 0, {
+        id: `${step.from.id}_${step.from.call}`
+      });
+      futures[step.id] = m.contractAt(step.contract, address, { id: step.id });
+    } else if (step.proxy) {
+      const deployProxy = step.proxy.kind === "uups" ? uupsProxy : transparentProxy;
+      const args = argument(m, futures, step.proxy.args || []);
+      futures[step.id] = deployProxy(m, step.id, step.contract, step.proxy.initializer, args);
+    } else {
+      futures[step.id] = m.contract(step.contract, argument(m, futures, step.args || []), { id: step.id });
+    }
+  }
+
+  const wiring = manifest.wiring || [];
+  const count = (step) => wiring.filter((other) => other.target === step.target && other.method === step.method).length;
+  for (const step of wiring) {
+    m.call(futures[step.target], step.method, argument(m, futures, step.args || []), {
+      id: callId(step, count(step) > 1)
+    });
+  }
+
+  const tokens = new Map();
+  for (const step of manifest.funding || []) {
+    const key = (step.token && step.token.$ref) || step.token;
+    if (!tokens.has(key)) {
+      const id = `FundingToken${tokens.size + 1}`;
+      tokens.set(key, { id, token: m.contractAt(IERC20, argument(m, futures, step.token), { id }) });
+    }
+    const { id, token } = tokens.get(key);
+    m.call(token, "transfer", [futures[step.target], step.amount], { id: `${id}_fund_${step.target}` });
+  }
+  return futures;
+}
+
+/**
+ * @notice Ignition module deploying a manifest
+ * @param {(import("../../scripts/lib/manifest").Manifest|function(Object): Object)} manifest
+ *   The manifest, or a function building it from the module builder (to pass parameters)
+ */
+function manifestModule(manifest) {
+  return buildModule(MODULE_ID, (m) => addManifest(m, typeof manifest === "function" ? manifest(m) : manifest));
+}
+
+/**
+ * @notice Module of a CCIP-connected testnet: vaults, invoices and routers allowlisting the
+ * other CCIP testnets, as in the network's manifest
+ * @param {string} network One of the CCIP testnets of config/manifests/shared.js
+ * @param {{aave: boolean}} options Whether the network has an Aave market (parameters
+ *   aaveUnderlying, aaveAToken, aavePool and aavePriceFeed)
+ */
+function ccipTestnet(network, { aave }) {
+  return manifestModule((m) =>
+    manifests.ccipTestnet(network, {
+      ccip: { router: m.getParameter("ccipRouter"), link: m.getParameter("link") },
+      aave: aave
+        ? {
+            underlying: m.getParameter("aaveUnderlying"),
+            aToken: m.getParameter("aaveAToken"),
+            pool: m.getParameter("aavePool"),
+            priceFeed: m.getParameter("aavePriceFeed")
+          }
+        : undefined,
+      linkFunding: m.getParameter("routerLinkFunding")
+    })
+  );
+}
+
+module.exports = {
+  MODULE_ID,
+  transparentProxy,
+  uupsProxy,
+  addManifest,
+  manifestModule,
+  ccipTestnet
+};
@@ -1,6 +0,0 @@
-module.exports = [
-  "0xC310b43748E5303F1372Ab2C9075629E0Bb4FE54",  
-  "0xc4d732199B7d21207a74CFE6CEd4d17dD330C7Ea",  
-  "0xc9C0Fb76a50eAb570665977703cC8f7185c082b5", 
-  "0x60eF148485C2a5119fa52CA13c52E9fd98F28e87"  
-];
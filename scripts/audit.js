@@ -0,0 +1,48 @@
+// Audits the live configuration of deployed networks against their deployment manifests
+//   npx hardhat run scripts/audit.js
+//   AUDIT_NETWORKS=sepolia,fuji npx hardhat run scripts/audit.js
+//
+// By default every network with both a manifest (config/manifests/) and recorded deployments
+// (deployments/) is read, except the local ones. Read-only; no account is needed.
+//
+// Findings are errors, warnings or info (see scripts/lib/audit.js). The run exits with an
+// error when any error-level finding is reported, a network that could not be audited included.
+
+const hre = require("hardhat");
+const { listManifests } = require("../config/manifests");
+const { listNetworks } = require("./lib/registry");
+const { LOCAL_NETWORKS, selectedNetworks } = require("./lib/networks");
+const { auditNetworks } = require("./lib/audit");
+
+function defaultNetworks() {
+  const recorded = listNetworks();
+  return listManifests().filter((name) => recorded.includes(name) && !LOCAL_NETWORKS.includes(name));
+}
+
+async function main() {
+  const networks = process.env.AUDIT_NETWORKS
+    ? selectedNetworks(hre, process.env.AUDIT_NETWORKS)
+    : defaultNetworks();
+  console.log(`Auditing ${networks.join(", ")}...`);
+
+  const findings = await auditNetworks(hre, networks);
+  if (findings.length === 0) {
+    console.log("Live configuration matches the manifests");
+    return;
+  }
+  console.table(findings);
+
+  const errors = findings.filter((finding) => finding.severity === "error");
+  const warnings = findings.filter((finding) => finding.severity === "warning");
+  console.log(`${errors.length} error(s), ${warnings.length} warning(s)`);
+  if (errors.length > 0) {
+    throw new Error(`Audit found ${errors.length} error(s)`);
+  }
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
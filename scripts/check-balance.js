@@ -1,5 +1,6 @@
 // Script to check account balance and gas price on Core Testnet
 // npx hardhat run --network coreTestnet2 scripts/check-balance.js
+// Before a deployment, use scripts/preflight.js: it also prices the pending transactions.
 
 const { ethers } = require("hardhat");
 
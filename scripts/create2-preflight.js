@@ -0,0 +1,114 @@
+// Predicts where a deterministic deployment (DETERMINISTIC=true scripts/deploy/deploy.js)
+// puts the `create2` steps of the manifests and checks every chain for collisions
+// before anything is sent. Read-only.
+//
+//   npx hardhat run scripts/create2-preflight.js --network sepolia
+//   CREATE2_NETWORKS=sepolia,fuji,arbitrumSepolia,baseSepolia npx hardhat run scripts/create2-preflight.js
+//
+// CREATE2_SENDER overrides the deploying account (defaults to the first configured signer).
+// Per chain and step the status is one of:
+//   free       nothing at the predicted address, the deployment will land there
+//   deployed   already deployed there and recorded in deployments/<network>.json
+//   moves      recorded at another address, a deterministic run redeploys it
+//   COLLISION  the address or its bootstrap is taken by something the registry does not know
+
+const hre = require("hardhat");
+const { loadManifest } = require("../config/manifests");
+const { loadRegistry } = require("./lib/registry");
+const { CREATE2_FACTORY, isDeterministic, saltFor, deployerAddress, predict } = require("./lib/create2");
+const { LOCAL_NETWORKS, providerFor, selectedNetworks } = require("./lib/networks");
+
+async function senderAddress() {
+  if (process.env.CREATE2_SENDER) {
+    return hre.ethers.getAddress(process.env.CREATE2_SENDER);
+  }
+  const [signer] = await hre.ethers.getSigners();
+  if (!signer) {
+    throw new Error("No signer configured, set PRIVATE_KEY or CREATE2_SENDER");
+  }
+  return signer.address;
+}
+
+/**
+ * @notice Predicted addresses of the `create2` steps of a network's manifest
+ * @return {Promise<Array<{id: string, salt: string, address: string, bootstrap: string}>>}
+ */
+async function predictionsFor(networkName, sender) {
+  const predictions = [];
+  for (const step of loadManifest(networkName).contracts.filter(isDeterministic)) {
+    const salt = saltFor(hre, step);
+    predictions.push({ id: step.id, salt, ...(await predict(hre, sender, salt)) });
+  }
+  return predictions;
+}
+
+async function checkNetwork(networkName, sender) {
+  const provider = providerFor(hre, networkName);
+  const registry = loadRegistry(networkName);
+  const problems = [];
+
+  if ((await provider.getCode(CREATE2_FACTORY)) === "0x" && !LOCAL_NETWORKS.includes(networkName)) {
+    problems.push(`no CREATE2 factory at ${CREATE2_FACTORY}`);
+  }
+
+  const rows = [];
+  const seen = {};
+  for (const { id, address, bootstrap } of await predictionsFor(networkName, sender)) {
+    const known = registry.contracts[id];
+    const occupied = (await provider.getCode(address)) !== "0x";
+    const recordedHere = known && known.address.toLowerCase() === address.toLowerCase();
+
+    let status = "free";
+    if (seen[address]) {
+      status = `COLLISION with ${seen[address]} (same salt)`;
+    } else if (occupied && recordedHere) {
+      status = "deployed";
+    } else if (occupied || (await provider.getCode(bootstrap)) !== "0x") {
+      status = "COLLISION, address already used";
+    } else if (known) {
+      status = `moves from ${known.address}`;
+    }
+    seen[address] = id;
+
+    if (status.startsWith("COLLISION")) {
+      problems.push(`${id}: ${status}`);
+    }
+    rows.push({ network: networkName, id, address, status });
+  }
+
+  return { rows, problems };
+}
+
+async function main() {
+  const sender = await senderAddress();
+  const networks = selectedNetworks(hre, process.env.CREATE2_NETWORKS);
+
+  console.log(`DeterministicDeployer: ${await deployerAddress(hre)}`);
+  console.log(`Deploying account:     ${sender}\n`);
+
+  const rows = [];
+  const failures = [];
+  for (const networkName of networks) {
+    try {
+      const result = await checkNetwork(networkName, sender);
+      rows.push(...result.rows);
+      failures.push(...result.problems.map((problem) => `${networkName}: ${problem}`));
+    } catch (error) {
+      failures.push(`${networkName}: ${error.shortMessage || error.message}`);
+    }
+  }
+
+  console.table(rows);
+
+  if (failures.length > 0) {
+    throw new Error(`Deterministic deployment is blocked:\n  ${failures.join("\n  ")}`);
+  }
+  console.log("No collisions, the predicted addresses are free or already ours on every checked chain");
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
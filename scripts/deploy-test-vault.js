@@ -1,5 +1,7 @@
 // scripts/deploy-test-vault.js
 const hre = require("hardhat");
+const { recordContract } = require("./lib/registry");
+const { deployContract, sendCall } = require("./lib/fees");
 
 async function main() {
   // Get the contract factories
@@ -9,37 +11,41 @@ async function main() {
 
   // Deploy MockWBTC
   console.log("Deploying MockWBTC...");
-  const mockWBTC = await MockWBTC.deploy();
-  await mockWBTC.waitForDeployment();
+  const mockWBTC = await deployContract(hre, MockWBTC);
   const mockWBTCAddress = await mockWBTC.getAddress();
   console.log("MockWBTC deployed to:", mockWBTCAddress);
+  await recordContract(hre, "MockWBTC", mockWBTC, { contract: "MockWBTC", constructorArgs: [] });
 
   // Deploy MockStakingStrategy
   console.log("Deploying MockStakingStrategy...");
-  const mockStrategy = await MockStakingStrategy.deploy(mockWBTCAddress);
-  await mockStrategy.waitForDeployment();
+  const mockStrategy = await deployContract(hre, MockStakingStrategy, [mockWBTCAddress]);
   const mockStrategyAddress = await mockStrategy.getAddress();
   console.log("MockStakingStrategy deployed to:", mockStrategyAddress);
+  await recordContract(hre, "MockStakingStrategy", mockStrategy, {
+    contract: "MockStakingStrategy",
+    constructorArgs: [mockWBTCAddress]
+  });
 
   // Deploy LSTBTCVault
   console.log("Deploying LSTBTCVault...");
-  const vault = await LSTBTCVault.deploy(mockWBTCAddress, mockStrategyAddress);
-  await vault.waitForDeployment();
+  const vault = await deployContract(hre, LSTBTCVault, [mockWBTCAddress, mockStrategyAddress]);
   const vaultAddress = await vault.getAddress();
   console.log("LSTBTCVault deployed to:", vaultAddress);
+  await recordContract(hre, "LSTBTCVault", vault, {
+    contract: "LSTBTCVault",
+    constructorArgs: [mockWBTCAddress, mockStrategyAddress]
+  });
 
   // Setup
   console.log("Setting up vault in strategy...");
-  const tx = await mockStrategy.setVault(vaultAddress);
-  await tx.wait();
+  await sendCall(hre, mockStrategy, "setVault", [vaultAddress]);
   console.log("Vault address set in strategy");
 
   // Mint test WBTC to deployer
   const [deployer] = await hre.ethers.getSigners();
   const amount = hre.ethers.parseUnits("1000", 8);
   console.log(`Minting 1000 mock WBTC to ${deployer.address}...`);
-  const mintTx = await mockWBTC.mint(deployer.address, amount);
-  await mintTx.wait();
+  await sendCall(hre, mockWBTC, "mint", [deployer.address, amount]);
   console.log("Minting complete");
 
   console.log("\nDeployment complete!");
@@ -1,4 +1,8 @@
 const hre = require("hardhat");
+const { recordContract } = require("../lib/registry");
+const { deployContract, sendCall } = require("../lib/fees");
+
+const VERIFY_CONFIRMATIONS = Number(process.env.CONFIRMATIONS || 5);
 
 async function main() {
   console.log("Deploying LSTBTCVault to Core Testnet 2...");
@@ -15,35 +19,43 @@ async function main() {
   // Deploy AaveVault first
   console.log("Deploying AaveVault...");
   const AaveVault = await hre.ethers.getContractFactory("AaveVault");
-  const aaveVault = await AaveVault.deploy(
+  const aaveVault = await deployContract(hre, AaveVault, [
     coreTestnet2Addresses.WBTC,
     coreTestnet2Addresses.aWBTC,
     coreTestnet2Addresses.aavePool,
     coreTestnet2Addresses.priceFeed
-  );
-  await aaveVault.waitForDeployment();
+  ]);
   const aaveVaultAddress = await aaveVault.getAddress();
   console.log(`✅ AaveVault deployed to: ${aaveVaultAddress}`);
+  await recordContract(hre, "AaveVault", aaveVault, {
+    contract: "AaveVault",
+    constructorArgs: [
+      coreTestnet2Addresses.WBTC,
+      coreTestnet2Addresses.aWBTC,
+      coreTestnet2Addresses.aavePool,
+      coreTestnet2Addresses.priceFeed
+    ]
+  });
 
   // Deploy LSTBTCVault
   console.log("Deploying LSTBTCVault...");
   const LSTBTCVault = await hre.ethers.getContractFactory("LSTBTCVault");
-  const lstbtcVault = await LSTBTCVault.deploy(
-    coreTestnet2Addresses.WBTC,
-    aaveVaultAddress
-  );
-  await lstbtcVault.waitForDeployment();
+  const lstbtcVault = await deployContract(hre, LSTBTCVault, [coreTestnet2Addresses.WBTC, aaveVaultAddress]);
   const lstbtcVaultAddress = await lstbtcVault.getAddress();
   console.log(`✅ LSTBTCVault deployed to: ${lstbtcVaultAddress}`);
+  await recordContract(hre, "LSTBTCVault", lstbtcVault, {
+    contract: "LSTBTCVault",
+    constructorArgs: [coreTestnet2Addresses.WBTC, aaveVaultAddress]
+  });
 
   // Set the vault address in the strategy
   console.log("Setting vault address in AaveVault...");
-  await aaveVault.initialize(lstbtcVaultAddress);
+  await sendCall(hre, aaveVault, "initialize", [lstbtcVaultAddress]);
   console.log("✅ Vault address set in AaveVault");
 
-  // Wait for a few block confirmations
-  console.log("Waiting for block confirmations...");
-  await new Promise(resolve => setTimeout(resolve, 30000));
+  // The explorer only indexes the bytecode once the deployment is buried a few blocks deep
+  console.log(`Waiting for ${VERIFY_CONFIRMATIONS} confirmations...`);
+  await lstbtcVault.deploymentTransaction().wait(VERIFY_CONFIRMATIONS);
 
   // Verify the contracts
   console.log("Verifying contracts on BTCS Explorer...");
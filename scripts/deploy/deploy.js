@@ -0,0 +1,40 @@
+// Deploys and wires the protocol as declared in config/manifests/<network>.js
+// npx hardhat run --network <network> scripts/deploy/deploy.js
+//
+// Safe to rerun: contracts recorded in deployments/<network>.json that still have
+// code are reused, and configuration calls already reflected on-chain are skipped.
+//
+// DETERMINISTIC=true deploys the manifest's `create2` steps (routers, factories, AaveVault)
+// at addresses that are identical on every chain; check them first with
+// scripts/create2-preflight.js.
+//
+// The run starts with the checks of scripts/preflight.js and stops before the first
+// transaction if the account cannot pay for all of them; SKIP_PREFLIGHT=true bypasses them.
+
+const hre = require("hardhat");
+const { loadManifest } = require("../../config/manifests");
+const { runManifest } = require("../lib/deployer");
+const { runPreflight } = require("../lib/preflight");
+
+async function main() {
+  const manifest = loadManifest(hre.network.name);
+  const options = { deterministic: process.env.DETERMINISTIC === "true" };
+  if (process.env.SKIP_PREFLIGHT !== "true") {
+    await runPreflight(hre, manifest, options);
+    console.log();
+  }
+  const addresses = await runManifest(hre, manifest, options);
+
+  console.log("\nDeployment Summary:");
+  console.log("==================");
+  for (const [id, address] of Object.entries(addresses)) {
+    console.log(`${id}: ${address}`);
+  }
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
@@ -1,5 +1,6 @@
-import { ethers } from "hardhat";
-import { HardhatEthersSigner } from "@nomicfoundation/hardhat-ethers/signers";
+import hre, { ethers } from "hardhat";
+import { recordContract } from "./lib/registry";
+import { deployContract, sendCall } from "./lib/fees";
 
 async function main() {
   console.log("Starting LSTBTC Vault deployment...");
@@ -17,32 +18,34 @@ async function main() {
   const AAVE_POOL = "0x794a61358D6845594F94dc1DB02A252b5b4814aD"; // Aave V3 Pool
   const A_WBTC = "0x9ff58f4fFB29fA2266Ab25e75e2A8b3503311656"; // Aave interest bearing WBTC
   
-  const strategy = await AaveStrategy.deploy(
-    WBTC,
-    AAVE_POOL,
-    A_WBTC
-  );
-  await strategy.deployed();
-  console.log(`AaveStrategy deployed to: ${strategy.address}`);
+  const strategy = await deployContract(hre, AaveStrategy, [WBTC, AAVE_POOL, A_WBTC]);
+  const strategyAddress = await strategy.getAddress();
+  console.log(`AaveStrategy deployed to: ${strategyAddress}`);
+  await recordContract(hre, "AaveStrategy", strategy, {
+    contract: "AaveStrategy",
+    constructorArgs: [WBTC, AAVE_POOL, A_WBTC]
+  });
 
   // Deploy LSTBTCVault
   console.log("Deploying LSTBTCVault...");
   const LSTBTCVault = await ethers.getContractFactory("LSTBTCVault");
-  const wbtc = await ethers.getContractAt("IERC20", WBTC);
-  
-  const vault = await LSTBTCVault.deploy(wbtc.address, strategy.address);
-  await vault.deployed();
-  console.log(`LSTBTCVault deployed to: ${vault.address}`);
+  const vault = await deployContract(hre, LSTBTCVault, [WBTC, strategyAddress]);
+  const vaultAddress = await vault.getAddress();
+  console.log(`LSTBTCVault deployed to: ${vaultAddress}`);
+  await recordContract(hre, "LSTBTCVault", vault, {
+    contract: "LSTBTCVault",
+    constructorArgs: [WBTC, strategyAddress]
+  });
   
   // Set the vault address in the strategy
   console.log("Setting vault address in strategy...");
-  await strategy.setVault(vault.address);
+  await sendCall(hre, strategy, "setVault", [vaultAddress]);
   console.log("Vault address set in strategy");
   
   console.log("\nDeployment complete!");
   console.log("========================================");
-  console.log(`LSTBTCVault: ${vault.address}`);
-  console.log(`AaveStrategy: ${strategy.address}`);
+  console.log(`LSTBTCVault: ${vaultAddress}`);
+  console.log(`AaveStrategy: ${strategyAddress}`);
   console.log("\nNext steps:");
   console.log(`1. Verify contracts on Etherscan`);
   console.log(`2. Transfer ownership of the vault to a multisig`);
@@ -1,6 +0,0 @@
-module.exports = [
-    "https://api.tokeniq.xyz/hybrid/",  
-    "0x60eF148485C2a5119fa52CA13c52E9fd98F28e87",  
-    0,                                
-    "0x60eF148485C2a5119fa52CA13c52E9fd98F28e87"  
-];
\ No newline at end of file
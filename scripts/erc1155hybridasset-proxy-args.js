@@ -1,5 +0,0 @@
-module.exports = [
-  "[IMPLEMENTATION_ADDRESS]",  // Replace with the actual implementation address
-  "0x60eF148485C2a5119fa52CA13c52E9fd98F28e87",  // owner address
-  "0x"  // empty bytes for initializer data
-];
@@ -1,7 +0,0 @@
-module.exports = [
-    "Vault Token",
-    "vTOKEN",
-    "0xc9C0Fb76a50eAb570665977703cC8f7185c082b5",
-    [0, 0, 2000], 
-    "0x60eF148485C2a5119fa52CA13c52E9fd98F28e87"
-];
\ No newline at end of file
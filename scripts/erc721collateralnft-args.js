@@ -1,8 +0,0 @@
-module.exports = [
-    "Collateral NFT",  
-    "CNFT",          
-    "0x60eF148485C2a5119fa52CA13c52E9fd98F28e87", 
-    "https://api.tokeniq.xyz/nft/",  
-    0,                               
-    "0x60eF148485C2a5119fa52CA13c52E9fd98F28e87"  
-];
\ No newline at end of file
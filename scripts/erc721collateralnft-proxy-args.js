@@ -1,5 +0,0 @@
-module.exports = [
-  "0xF673F508104876c72C8724728f81d50E01649b40",  // implementation address
-  "0x7f4340aDe03BdC6e029733F34CA22514D0494979",  // admin address
-  "0x"  // empty bytes for initializer data
-];
@@ -0,0 +1,113 @@
+// SPDX-License-Identifier: MIT
+/**
+ * TokenIQ gas benchmarks
+ *
+ * Measures the gas of the core flows at several sizes (scripts/gas/benchmarks.js) and compares
+ * it with the recorded baseline (scripts/gas/baseline.json):
+ *
+ *   npx hardhat run scripts/gas.js
+ *   GAS_THRESHOLD=2 npx hardhat run scripts/gas.js
+ *   GAS_ONLY=VaultManager,AssetFactory npx hardhat run scripts/gas.js
+ *   GAS_UPDATE=true npx hardhat run scripts/gas.js
+ *
+ * Fails when a measurement uses more than GAS_THRESHOLD percent (default 5) over its baseline,
+ * or when there is no baseline file.
+ * GAS_UPDATE=true records the measurements as the new baseline instead. Every benchmark size
+ * starts from the same chain state (evm_snapshot/evm_revert). The report is written to
+ * reports/gas/<network>-<time> (or REPORT_DIR).
+ */
+
+const path = require("path");
+const hre = require("hardhat");
+const { BENCHMARKS, createEnv } = require("./gas/benchmarks");
+const { BASELINE_FILE, gasKey, loadBaseline, saveBaseline, compareGas } = require("./gas/baseline");
+const { writeFiles, markdownTable } = require("./simulation/report");
+
+function selectBenchmarks() {
+  if (!process.env.GAS_ONLY) {
+    return BENCHMARKS;
+  }
+  const names = process.env.GAS_ONLY.split(",").map((name) => name.trim());
+  const unknown = names.filter((name) => !BENCHMARKS.some((benchmark) => benchmark.name === name));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown benchmarks ${unknown.join(", ")}, known: ${BENCHMARKS.map((b) => b.name).join(", ")}`);
+  }
+  return BENCHMARKS.filter((benchmark) => names.includes(benchmark.name));
+}
+
+function toMarkdown(report) {
+  return [
+    `# Gas benchmarks`,
+    "",
+    `Network: ${report.network}, generated ${report.generatedAt}, threshold ${report.threshold}%`,
+    "",
+    markdownTable(report.comparison),
+    ""
+  ].join("\n");
+}
+
+async function main() {
+  const benchmarks = selectBenchmarks();
+  const threshold = Number(process.env.GAS_THRESHOLD || 5);
+  if (!Number.isFinite(threshold) || threshold < 0) {
+    throw new Error("GAS_THRESHOLD takes a percentage");
+  }
+  const update = process.env.GAS_UPDATE === "true";
+  const { provider } = hre.network;
+
+  console.log(`Gas benchmarks on ${hre.network.name}, threshold ${threshold}%`);
+  const measurements = {};
+  for (const benchmark of benchmarks) {
+    for (const size of benchmark.sizes) {
+      const snapshot = await provider.send("evm_snapshot");
+      const gas = await benchmark.measure(await createEnv(hre), size);
+      await provider.send("evm_revert", [snapshot]);
+
+      for (const [operation, gasUsed] of Object.entries(gas)) {
+        measurements[gasKey(benchmark.name, operation, size)] = gasUsed;
+      }
+      console.log(`  ${benchmark.name}, ${size} ${benchmark.size}: ${Object.keys(gas).join(", ")}`);
+    }
+  }
+
+  // A partial run only compares, and only records, the benchmarks it ran
+  const stored = loadBaseline();
+  const baseline =
+    stored && process.env.GAS_ONLY
+      ? Object.fromEntries(Object.entries(stored).filter(([key]) => benchmarks.some((b) => key.startsWith(`${b.name}/`))))
+      : stored;
+  const comparison = compareGas(measurements, baseline, threshold);
+  console.table(comparison);
+
+  const report = { network: hre.network.name, generatedAt: new Date().toISOString(), threshold, comparison };
+  const stamp = report.generatedAt.replace(/[:.]/g, "-");
+  const directory = process.env.REPORT_DIR || path.join(__dirname, "..", "reports", "gas", `${report.network}-${stamp}`);
+  writeFiles(directory, {
+    "report.json": `${JSON.stringify(report, null, 2)}\n`,
+    "summary.md": toMarkdown(report)
+  });
+  console.log(`\nReport written to ${path.relative(process.cwd(), directory)}`);
+
+  if (update) {
+    saveBaseline({ ...(stored || {}), ...measurements });
+    console.log(`✅ Baseline recorded in ${path.relative(process.cwd(), BASELINE_FILE)}`);
+    return;
+  }
+  if (!stored) {
+    throw new Error(`No ${path.relative(process.cwd(), BASELINE_FILE)}, record one with GAS_UPDATE=true and commit it`);
+  }
+  const regressed = comparison.filter((row) => row.status === "regressed");
+  if (regressed.length > 0) {
+    throw new Error(
+      `${regressed.length} measurement(s) regressed more than ${threshold}%: ${regressed.map((row) => row.key).join(", ")}`
+    );
+  }
+  console.log("✅ No gas regression");
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error("❌ Gas benchmarks failed:", error.message);
+    process.exit(1);
+  });
@@ -0,0 +1,85 @@
+// Gas baselines of the benchmarks (scripts/gas/benchmarks.js). The baseline file maps
+// "<benchmark>/<operation>@<size>" to the gas used when it was last recorded:
+//
+//   { "VaultManager/deposit@10": "98765", ... }
+//
+// Amounts are strings so that the file survives JSON.
+
+const fs = require("fs");
+const path = require("path");
+
+const BASELINE_FILE = path.join(__dirname, "baseline.json");
+
+/**
+ * @notice Key of one measurement
+ */
+function gasKey(benchmark, operation, size) {
+  return `${benchmark}/${operation}@${size}`;
+}
+
+/**
+ * @notice Read a baseline file
+ * @return {Object<string, bigint>|null} null when there is no baseline yet
+ */
+function loadBaseline(file = BASELINE_FILE) {
+  if (!fs.existsSync(file)) {
+    return null;
+  }
+  const stored = JSON.parse(fs.readFileSync(file, "utf8"));
+  return Object.fromEntries(Object.entries(stored).map(([key, gas]) => [key, BigInt(gas)]));
+}
+
+/**
+ * @notice Write measurements as the new baseline, keys sorted to keep diffs readable
+ */
+function saveBaseline(measurements, file = BASELINE_FILE) {
+  const sorted = Object.keys(measurements)
+    .sort()
+    .map((key) => [key, measurements[key].toString()]);
+  fs.writeFileSync(file, `${JSON.stringify(Object.fromEntries(sorted), null, 2)}\n`);
+  return file;
+}
+
+/**
+ * @notice Compare measurements with a baseline
+ * @param {Object<string, bigint>} current
+ * @param {Object<string, bigint>|null} baseline
+ * @param {number} threshold Percent of extra gas tolerated before a measurement regresses
+ * @return {Object[]} One row per key: key, baseline, current, diff, percent and status (ok,
+ *   regressed, improved, new or missing)
+ */
+function compareGas(current, baseline, threshold) {
+  const known = baseline || {};
+  const keys = [...new Set([...Object.keys(current), ...Object.keys(known)])].sort();
+  return keys.map((key) => {
+    const before = known[key];
+    const after = current[key];
+    if (before === undefined || after === undefined) {
+      return {
+        key,
+        baseline: before === undefined ? null : before.toString(),
+        current: after === undefined ? null : after.toString(),
+        diff: null,
+        percent: null,
+        status: before === undefined ? "new" : "missing"
+      };
+    }
+    const diff = after - before;
+    const percent = before === 0n ? 0 : Number((diff * 10000n) / before) / 100;
+    let status = "ok";
+    if (percent > threshold) {
+      status = "regressed";
+    } else if (diff < 0n) {
+      status = "improved";
+    }
+    return { key, baseline: before.toString(), current: after.toString(), diff: diff.toString(), percent, status };
+  });
+}
+
+module.exports = {
+  BASELINE_FILE,
+  gasKey,
+  loadBaseline,
+  saveBaseline,
+  compareGas
+};
@@ -0,0 +1,239 @@
+// Gas benchmarks of the core flows (scripts/gas.js). Every benchmark measures its operations at
+// several sizes of the state they depend on: depositors already in a vault, assets already
+// registered in AssetFactory, strategies and stored decisions in TreasuryAIManager... Each
+// (benchmark, size) pair runs on a fresh copy of the chain.
+//
+//   {
+//     name: "VaultManager",
+//     size: "prior depositors",          what the sizes count
+//     sizes: [0, 10],
+//     async measure(env, size) { ... return { deposit: gasUsed, withdraw: gasUsed }; }
+//   }
+//
+// `env` holds ethers, the signers and a helper to measure transactions. Contracts are deployed
+// with the builders of the shared test fixtures (test/fixtures).
+
+const {
+  deployContract,
+  eventArgs,
+  deployToken,
+  fundAccounts,
+  deployLstBtcVault,
+  DEFAULT_CHAIN_SELECTOR,
+  deployCrossChain,
+  deployTreasuryAIManager,
+  deployInvoiceRegistry,
+  deployAssetFactory
+} = require("../../test/fixtures");
+
+/**
+ * @notice Helpers handed to the benchmarks
+ */
+async function createEnv(hre) {
+  const { ethers } = hre;
+  const signers = await ethers.getSigners();
+  return {
+    ethers,
+    signers,
+    deployer: signers[0],
+    /** Gas used by a transaction */
+    async gas(pending) {
+      const receipt = await (await pending).wait();
+      return receipt.gasUsed;
+    }
+  };
+}
+
+const BENCHMARKS = [
+  {
+    name: "VaultManager",
+    size: "prior depositors",
+    sizes: [0, 10],
+    async measure(env, size) {
+      const { ethers, signers, deployer } = env;
+      const amount = ethers.parseEther("1000");
+      const token = await deployToken("TKN");
+      const manager = await deployContract("VaultManager");
+      const strategy = await deployContract("MockAaveVault", [deployer.address]);
+      const { vaultId: vault } = await eventArgs(
+        manager,
+        await manager.createVault(await strategy.getAddress(), await token.getAddress()),
+        "VaultCreated"
+      );
+
+      const [user, ...others] = signers.slice(1, size + 2);
+      await fundAccounts(token, [user, ...others], amount, [manager]);
+      for (const other of others) {
+        await manager.connect(other).deposit(vault, amount);
+      }
+
+      const deposit = await env.gas(manager.connect(user).deposit(vault, amount));
+      const { shares } = await manager.userInfo(vault, user.address);
+      const withdraw = await env.gas(manager.connect(user).withdraw(vault, shares));
+      return { deposit, withdraw };
+    }
+  },
+
+  {
+    name: "LSTBTCVault",
+    size: "prior depositors",
+    sizes: [0, 10],
+    async measure(env, size) {
+      const { ethers, signers } = env;
+      const amount = ethers.parseUnits("1", 8);
+      const { wbtc, vault } = await deployLstBtcVault();
+
+      const [user, ...others] = signers.slice(1, size + 2);
+      await fundAccounts(wbtc, [user, ...others], amount, [vault]);
+      for (const other of others) {
+        await vault.connect(other).deposit(amount, other.address);
+      }
+
+      const deposit = await env.gas(vault.connect(user).deposit(amount, user.address));
+      const withdraw = await env.gas(vault.connect(user).withdraw(amount, user.address, user.address));
+      return { deposit, withdraw };
+    }
+  },
+
+  {
+    name: "ERC20VaultToken",
+    size: "deposit and withdrawal fee (bps)",
+    sizes: [0, 50],
+    async measure(env, fee) {
+      const { ethers, signers, deployer } = env;
+      const amount = ethers.parseEther("1000");
+      const asset = await deployToken("TKN");
+      const vault = await deployContract("ERC20VaultToken", [
+        "Vault Token",
+        "vTKN",
+        await asset.getAddress(),
+        { depositFeeBasisPoints: fee, withdrawalFeeBasisPoints: fee, performanceFeeBasisPoints: 0 },
+        deployer.address
+      ]);
+
+      const user = signers[1];
+      await fundAccounts(asset, [user], amount, [vault]);
+      const deposit = await env.gas(vault.connect(user).deposit(amount, user.address));
+      const assets = await vault.convertToAssets(await vault.balanceOf(user.address));
+      const withdraw = await env.gas(vault.connect(user).withdraw(assets, user.address, user.address));
+      return { deposit, withdraw };
+    }
+  },
+
+  {
+    name: "AssetFactory",
+    size: "assets already created",
+    sizes: [0, 10, 50],
+    async measure(env, size) {
+      // createERC20VaultToken deploys a new token rather than cloning the template
+      const { assetFactory: factory, underlying } = await deployAssetFactory(env.deployer);
+      const create = (index) =>
+        factory.createERC20VaultToken(`Vault ${index}`, `V${index}`, underlying.getAddress(), 0, 0, 0);
+
+      for (let index = 0; index < size; index++) {
+        await (await create(index)).wait();
+      }
+      return { createERC20VaultToken: await env.gas(create(size)) };
+    }
+  },
+
+  {
+    name: "InvoiceRegistry",
+    size: "invoices already created",
+    sizes: [0, 10],
+    async measure(env, size) {
+      const { ethers, deployer } = env;
+      const { registry, paymentToken: usdc } = await deployInvoiceRegistry();
+
+      const { timestamp } = await ethers.provider.getBlock("latest");
+      const amount = ethers.parseUnits("100000", 6);
+      const create = () => registry.createInvoice(deployer.address, amount, timestamp + 90 * 86400, "ipfs://invoice");
+      for (let index = 0; index < size; index++) {
+        await (await create()).wait();
+      }
+
+      const createInvoice = await env.gas(create());
+      const tokenId = size + 1;
+      const fundInvoice = await env.gas(
+        registry.fundInvoice(tokenId, ethers.ZeroAddress, amount, await usdc.getAddress())
+      );
+      return { createInvoice, fundInvoice };
+    }
+  },
+
+  {
+    name: "CrossChainRouter",
+    size: "transfers already sent",
+    sizes: [0, 10],
+    async measure(env, size) {
+      const { ethers, signers } = env;
+      const selector = DEFAULT_CHAIN_SELECTOR;
+      const amount = ethers.parseEther("10");
+      const {
+        router,
+        tokens: [token]
+      } = await deployCrossChain();
+
+      const user = signers[1];
+      await fundAccounts(token, [user], amount * BigInt(size + 1), [router]);
+      for (let index = 0; index < size; index++) {
+        await (await router.connect(user).sendTokens(selector, token.getAddress(), amount)).wait();
+      }
+      return { sendTokens: await env.gas(router.connect(user).sendTokens(selector, token.getAddress(), amount)) };
+    }
+  },
+
+  {
+    name: "TreasuryAIManager",
+    size: "supported strategies",
+    sizes: [1, 5, 10],
+    async measure(env, size) {
+      const { treasuryAIManager: manager } = await deployTreasuryAIManager({
+        serviceLayer: env.deployer,
+        strategies: size
+      });
+
+      const performUpkeep = await env.gas(manager.performUpkeep("0x"));
+      // The decision of the last strategy is the last one the lookup reaches
+      const last = await manager.supportedStrategyList(size - 1);
+      const { decisionId } = await manager.getLatestDecision(last);
+      const processDecision = await env.gas(
+        manager["processDecision(bytes32,uint256,string)"](decisionId, 5000, "Rebalance towards the best yield")
+      );
+      return { performUpkeep, processDecision };
+    }
+  },
+
+  {
+    name: "TreasuryAIManager decisions",
+    size: "decisions stored per strategy",
+    sizes: [1, 50, 100],
+    async measure(env, size) {
+      const {
+        treasuryAIManager: manager,
+        strategies: [strategy]
+      } = await deployTreasuryAIManager({ serviceLayer: env.deployer, strategies: 1 });
+      for (let index = 0; index < size; index++) {
+        await (await manager.performUpkeep("0x")).wait();
+      }
+
+      // At MAX_DECISIONS (100) every new decision shifts the stored ones
+      const performUpkeep = await env.gas(manager.performUpkeep("0x"));
+      const { decisionId } = await manager.getLatestDecision(await strategy.getAddress());
+      const processDecision = await env.gas(
+        manager["processDecision(bytes32,address,uint256,string)"](
+          decisionId,
+          await strategy.getAddress(),
+          5000,
+          "Rebalance towards the best yield"
+        )
+      );
+      return { performUpkeep, processDecision };
+    }
+  }
+];
+
+module.exports = {
+  BENCHMARKS,
+  createEnv
+};
@@ -0,0 +1,111 @@
+// SPDX-License-Identifier: MIT
+/**
+ * TokenIQ event indexer
+ *
+ * Indexes the events of the protocol contracts (scripts/indexer/sources.js) into a SQLite
+ * database and serves them over a local HTTP/JSON API (scripts/indexer/server.js):
+ *
+ *   npx hardhat run scripts/indexer.js --network localhost
+ *   curl localhost:8787/investors/0x.../invoices
+ *   curl "localhost:8787/events?contract=VaultManager&event=Deposit&arg.vaultId=0x..."
+ *
+ * The contracts come from the deployment registry of the network; the vaults of funded
+ * invoices and the vaults VaultFactory creates are found through their events.
+ *
+ * Environment:
+ *   INDEXER_DB              Database file, data/indexer/<network>.sqlite by default
+ *   INDEXER_RESET=true      Delete the database first and index from scratch
+ *   INDEXER_SOURCES         Comma-separated <contract>=<address>[@<fromBlock>] not in the registry
+ *   INDEXER_CONFIRMATIONS   Blocks left out at the head, 0 on local networks and 6 elsewhere by default
+ *   INDEXER_BATCH           Blocks per eth_getLogs request, 2000 by default
+ *   INDEXER_POLL_MS         Sync interval, 2000 by default
+ *   INDEXER_PORT            Query API port, 8787 by default
+ *   INDEXER_ONCE=true       Sync once, print the status and exit without serving
+ */
+
+const fs = require("fs");
+const path = require("path");
+const hre = require("hardhat");
+const { openDatabase } = require("./indexer/database");
+const { resolveSources } = require("./indexer/sources");
+const { createIndexer } = require("./indexer/indexer");
+const { createServer } = require("./indexer/server");
+const queries = require("./indexer/queries");
+
+const LOCAL_NETWORKS = ["hardhat", "localhost"];
+
+function numberFromEnv(name, fallback) {
+  const value = process.env[name] === undefined ? fallback : Number(process.env[name]);
+  if (!Number.isInteger(value) || value < 0) {
+    throw new Error(`${name} takes a non-negative integer`);
+  }
+  return value;
+}
+
+function extraSources() {
+  return (process.env.INDEXER_SOURCES || "")
+    .split(",")
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .map((entry) => {
+      const match = entry.match(/^(\w+)=(0x[0-9a-fA-F]{40})(?:@(\d+))?$/);
+      if (!match) {
+        throw new Error(`Invalid INDEXER_SOURCES entry "${entry}", expected <contract>=<address>[@<fromBlock>]`);
+      }
+      const [, contract, address, fromBlock] = match;
+      return { name: contract, contract, address, fromBlock: fromBlock ? Number(fromBlock) : 0 };
+    });
+}
+
+async function main() {
+  const file = process.env.INDEXER_DB || path.join(__dirname, "..", "data", "indexer", `${hre.network.name}.sqlite`);
+  if (process.env.INDEXER_RESET === "true") {
+    for (const suffix of ["", "-wal", "-shm"]) {
+      fs.rmSync(`${file}${suffix}`, { force: true });
+    }
+  }
+  const db = openDatabase(file);
+
+  const indexer = createIndexer({
+    db,
+    provider: hre.ethers.provider,
+    loadAbi: (contract) => hre.artifacts.readArtifactSync(contract).abi,
+    confirmations: numberFromEnv("INDEXER_CONFIRMATIONS", LOCAL_NETWORKS.includes(hre.network.name) ? 0 : 6),
+    batchSize: numberFromEnv("INDEXER_BATCH", 2000)
+  });
+  const sources = await resolveSources(hre, extraSources());
+  if (sources.length === 0) {
+    throw new Error(`Nothing to index: no protocol contract recorded for ${hre.network.name}, set INDEXER_SOURCES`);
+  }
+  for (const source of sources) {
+    indexer.addSource(source);
+  }
+  console.log(`Indexing ${sources.map((source) => source.name).join(", ")} on ${hre.network.name} into ${path.relative(process.cwd(), file)}`);
+
+  const result = await indexer.sync();
+  console.log(`Blocks ${result.fromBlock}-${result.toBlock}: ${result.events} event(s)`);
+  if (process.env.INDEXER_ONCE === "true") {
+    console.table([queries.status(db)]);
+    return;
+  }
+
+  const port = numberFromEnv("INDEXER_PORT", 8787);
+  const server = createServer(db);
+  await new Promise((resolve) => server.listen(port, "127.0.0.1", resolve));
+  console.log(`Query API on http://127.0.0.1:${port} (GET /status, /events, /invoices, ...)`);
+
+  process.on("SIGINT", () => {
+    console.log("Stopping after the current sync");
+    indexer.stop();
+  });
+  await indexer.run({ pollMs: numberFromEnv("INDEXER_POLL_MS", 2000) });
+  await new Promise((resolve) => server.close(resolve));
+  db.close();
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error("❌ Indexer failed:", error.message);
+    process.exit(1);
+  });
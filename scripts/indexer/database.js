@@ -0,0 +1,97 @@
+// SQLite storage of the indexer (better-sqlite3).
+//
+//   sources  contracts whose logs are indexed; the ones found through events of another source
+//            (invoice vaults, factory vaults) record the event that revealed them
+//   blocks   number, hash and timestamp of the indexed blocks that carry events, and of the last
+//            block of every indexed range; the hashes are what reorgs are detected against
+//   events   decoded logs, args as JSON with uint256 values as decimal strings
+//   meta     cursor (last indexed block), chain id and schema version
+//
+// One database per network; the schema is created on open.
+
+const fs = require("fs");
+const path = require("path");
+const Database = require("better-sqlite3");
+
+const SCHEMA_VERSION = 1;
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS meta (
+    key TEXT PRIMARY KEY,
+    value TEXT NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS sources (
+    address TEXT PRIMARY KEY,
+    contract TEXT NOT NULL,
+    name TEXT NOT NULL,
+    from_block INTEGER NOT NULL,
+    discovered_by TEXT,
+    tags TEXT NOT NULL DEFAULT '{}'
+  );
+
+  CREATE TABLE IF NOT EXISTS blocks (
+    number INTEGER PRIMARY KEY,
+    hash TEXT NOT NULL,
+    timestamp INTEGER NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS events (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    block_number INTEGER NOT NULL,
+    block_hash TEXT NOT NULL,
+    tx_hash TEXT NOT NULL,
+    log_index INTEGER NOT NULL,
+    address TEXT NOT NULL,
+    contract TEXT NOT NULL,
+    source TEXT NOT NULL,
+    event TEXT NOT NULL,
+    args TEXT NOT NULL,
+    UNIQUE (tx_hash, log_index)
+  );
+
+  CREATE INDEX IF NOT EXISTS events_by_event ON events (contract, event);
+  CREATE INDEX IF NOT EXISTS events_by_address ON events (address);
+  CREATE INDEX IF NOT EXISTS events_by_block ON events (block_number);
+`;
+
+/**
+ * @notice Open (and create) an indexer database
+ * @param {string} file Path of the database, ":memory:" for tests
+ * @return {Object} better-sqlite3 database
+ */
+function openDatabase(file) {
+  if (file !== ":memory:") {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+  }
+  const db = new Database(file);
+  db.pragma("journal_mode = WAL");
+  db.exec(SCHEMA);
+
+  const version = getMeta(db, "schemaVersion");
+  if (version === undefined) {
+    setMeta(db, "schemaVersion", SCHEMA_VERSION);
+  } else if (Number(version) !== SCHEMA_VERSION) {
+    throw new Error(`${file} has schema version ${version}, this indexer uses ${SCHEMA_VERSION}: delete it and reindex`);
+  }
+  return db;
+}
+
+function getMeta(db, key) {
+  const row = db.prepare("SELECT value FROM meta WHERE key = ?").get(key);
+  return row ? row.value : undefined;
+}
+
+function setMeta(db, key, value) {
+  db.prepare("INSERT INTO meta (key, value) VALUES (?, ?) ON CONFLICT (key) DO UPDATE SET value = excluded.value").run(
+    key,
+    String(value)
+  );
+}
+
+module.exports = {
+  SCHEMA_VERSION,
+  openDatabase,
+  getMeta,
+  setMeta
+};
@@ -0,0 +1,303 @@
+// Indexes the logs of the protocol contracts into the database (database.js).
+//
+// Every sync reads the logs of all sources from the block after the cursor up to the chain
+// head minus `confirmations`, in ranges of `batchSize` blocks, decodes them with the ABI of
+// the source's contract and writes each range in one transaction. Logs that reveal a new
+// source (discover rules in sources.js) add it, and its logs in the rest of the range are read
+// before the range is written.
+//
+// Reorgs: the hashes of the indexed blocks are stored. Before syncing, the hash of the last
+// indexed block is compared with the chain; if it changed, the indexer walks back to the most
+// recent stored block the chain still has and deletes everything after it (events, blocks,
+// discovered sources), then reindexes from there.
+
+const { Indexed, Interface, getAddress } = require("ethers");
+const { getMeta, setMeta } = require("./database");
+const { discoveryRules } = require("./sources");
+
+// Stored blocks compared with the chain when the last one no longer matches
+const REORG_DEPTH = 128;
+// Addresses per eth_getLogs request
+const ADDRESS_CHUNK = 200;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * @notice JSON-safe copy of decoded event values: uint256 as decimal strings, tuples as arrays
+ */
+function normalize(value) {
+  if (typeof value === "bigint") {
+    return value.toString();
+  }
+  if (Array.isArray(value)) {
+    return Array.from(value, normalize);
+  }
+  // Indexed dynamic values (strings, bytes) only carry their hash
+  if (Indexed.isIndexed(value)) {
+    return value.hash;
+  }
+  return value;
+}
+
+/**
+ * @notice Create an indexer
+ * @param {Object} options
+ * @param {Object} options.db Database from openDatabase
+ * @param {Object} options.provider ethers provider
+ * @param {function(string): Array} options.loadAbi ABI of a contract name
+ * @param {number} [options.confirmations=0] Blocks left out at the head of the chain
+ * @param {number} [options.batchSize=2000] Blocks per eth_getLogs range
+ * @param {function(string): void} [options.log]
+ * @return {Object} { addSource, sync, run, stop }
+ */
+function createIndexer({ db, provider, loadAbi, confirmations = 0, batchSize = 2000, log = console.log }) {
+  const interfaces = {};
+  const rules = discoveryRules();
+  let stopped = false;
+
+  const statements = {
+    sources: db.prepare("SELECT address, contract, name, from_block AS fromBlock FROM sources"),
+    insertSource: db.prepare(
+      "INSERT OR IGNORE INTO sources (address, contract, name, from_block, discovered_by, tags) VALUES (?, ?, ?, ?, ?, ?)"
+    ),
+    insertBlock: db.prepare("INSERT OR REPLACE INTO blocks (number, hash, timestamp) VALUES (?, ?, ?)"),
+    insertEvent: db.prepare(
+      `INSERT OR IGNORE INTO events (block_number, block_hash, tx_hash, log_index, address, contract, source, event, args)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`
+    ),
+    recentBlocks: db.prepare("SELECT number, hash FROM blocks ORDER BY number DESC LIMIT ?")
+  };
+
+  function interfaceOf(contract) {
+    if (!interfaces[contract]) {
+      interfaces[contract] = new Interface(loadAbi(contract));
+    }
+    return interfaces[contract];
+  }
+
+  function cursor() {
+    const value = getMeta(db, "cursor");
+    return value === undefined ? undefined : Number(value);
+  }
+
+  /**
+   * @notice Follow a contract from `fromBlock` on
+   * @param {{address: string, contract: string, name: string, fromBlock?: number}} source
+   */
+  function addSource({ address, contract, name, fromBlock = 0 }) {
+    interfaceOf(contract);
+    const added = statements.insertSource.run(getAddress(address), contract, name, fromBlock, null, "{}").changes > 0;
+    const indexed = cursor();
+    if (added && indexed !== undefined && fromBlock <= indexed) {
+      log(`⚠️  ${name} starts at block ${fromBlock}, before the cursor (${indexed}): reindex to get its past events`);
+    }
+  }
+
+  function decode(entry, source) {
+    let parsed;
+    try {
+      parsed = interfaceOf(source.contract).parseLog(entry);
+    } catch (error) {
+      parsed = null;
+    }
+    if (!parsed) {
+      return null;
+    }
+    const args = Object.fromEntries(
+      parsed.fragment.inputs.map((input, index) => [input.name || String(index), normalize(parsed.args[index])])
+    );
+    return {
+      blockNumber: entry.blockNumber,
+      blockHash: entry.blockHash,
+      txHash: entry.transactionHash,
+      logIndex: entry.index,
+      address: source.address,
+      contract: source.contract,
+      source: source.name,
+      event: parsed.name,
+      args
+    };
+  }
+
+  async function getLogs(addresses, fromBlock, toBlock) {
+    const logs = [];
+    for (let index = 0; index < addresses.length; index += ADDRESS_CHUNK) {
+      logs.push(...(await provider.getLogs({ address: addresses.slice(index, index + ADDRESS_CHUNK), fromBlock, toBlock })));
+    }
+    return logs;
+  }
+
+  async function indexRange(fromBlock, toBlock) {
+    const sources = new Map(
+      statements.sources
+        .all()
+        .filter((source) => source.fromBlock <= toBlock)
+        .map((source) => [source.address, source])
+    );
+    const events = [];
+    const discovered = [];
+    let queue = [{ addresses: [...sources.keys()], fromBlock }];
+
+    while (queue.length > 0) {
+      const next = [];
+      for (const range of queue) {
+        for (const entry of await getLogs(range.addresses, Math.max(range.fromBlock, fromBlock), toBlock)) {
+          const source = sources.get(getAddress(entry.address));
+          if (!source || entry.blockNumber < source.fromBlock) {
+            continue;
+          }
+          const event = decode(entry, source);
+          if (!event) {
+            continue;
+          }
+          events.push(event);
+
+          const rule = rules[source.contract] && rules[source.contract][event.event];
+          const found = rule && rule(event.args);
+          if (found && !sources.has(getAddress(found.address))) {
+            const child = { ...found, address: getAddress(found.address), fromBlock: event.blockNumber };
+            interfaceOf(child.contract);
+            sources.set(child.address, child);
+            discovered.push({ ...child, discoveredBy: `${source.name}.${event.event}@${event.txHash}` });
+            next.push({ addresses: [child.address], fromBlock: event.blockNumber });
+          }
+        }
+      }
+      queue = next;
+    }
+
+    events.sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+    const blocks = {};
+    for (const number of new Set([...events.map((event) => event.blockNumber), toBlock])) {
+      const block = await provider.getBlock(number);
+      blocks[number] = { hash: block.hash, timestamp: block.timestamp };
+    }
+
+    db.transaction(() => {
+      for (const source of discovered) {
+        statements.insertSource.run(
+          source.address,
+          source.contract,
+          source.name,
+          source.fromBlock,
+          source.discoveredBy,
+          JSON.stringify(source.tags || {})
+        );
+        log(`  + ${source.name} (${source.contract} ${source.address})`);
+      }
+      for (const [number, block] of Object.entries(blocks)) {
+        statements.insertBlock.run(Number(number), block.hash, block.timestamp);
+      }
+      for (const event of events) {
+        statements.insertEvent.run(
+          event.blockNumber,
+          event.blockHash,
+          event.txHash,
+          event.logIndex,
+          event.address,
+          event.contract,
+          event.source,
+          event.event,
+          JSON.stringify(event.args)
+        );
+      }
+      setMeta(db, "cursor", toBlock);
+    })();
+    return events.length;
+  }
+
+  /**
+   * @notice Delete everything indexed after `blockNumber`
+   */
+  const rollback = db.transaction((blockNumber) => {
+    db.prepare("DELETE FROM events WHERE block_number > ?").run(blockNumber);
+    db.prepare("DELETE FROM blocks WHERE number > ?").run(blockNumber);
+    db.prepare("DELETE FROM sources WHERE discovered_by IS NOT NULL AND from_block > ?").run(blockNumber);
+    setMeta(db, "cursor", blockNumber);
+    setMeta(db, "reorgs", Number(getMeta(db, "reorgs") || 0) + 1);
+  });
+
+  /**
+   * @notice Roll back blocks the chain no longer has
+   * @return {Promise<?number>} The block rolled back to, null without a reorg
+   */
+  async function handleReorg() {
+    const stored = statements.recentBlocks.all(REORG_DEPTH);
+    for (const [index, row] of stored.entries()) {
+      const block = await provider.getBlock(row.number);
+      if (block && block.hash === row.hash) {
+        if (index === 0) {
+          return null;
+        }
+        log(`⚠️  Reorg: blocks after ${row.number} changed, rolling back`);
+        rollback(row.number);
+        return row.number;
+      }
+    }
+    if (stored.length === 0) {
+      return null;
+    }
+    // None of the stored blocks survived: start over below the oldest
+    const oldest = stored[stored.length - 1].number - 1;
+    log(`⚠️  Reorg deeper than ${stored.length} stored blocks, rolling back to ${oldest}`);
+    rollback(oldest);
+    return oldest;
+  }
+
+  /**
+   * @notice Index up to the chain head minus the confirmations
+   * @return {Promise<{fromBlock: number, toBlock: number, events: number, reorg: ?number}>}
+   */
+  async function sync() {
+    const chainId = (await provider.getNetwork()).chainId.toString();
+    const storedChainId = getMeta(db, "chainId");
+    if (storedChainId === undefined) {
+      setMeta(db, "chainId", chainId);
+    } else if (storedChainId !== chainId) {
+      throw new Error(`The database indexes chain ${storedChainId}, the provider is on chain ${chainId}`);
+    }
+
+    const reorg = await handleReorg();
+    const head = (await provider.getBlockNumber()) - confirmations;
+    const startSources = statements.sources.all();
+    const indexed = cursor();
+    const fromBlock =
+      indexed === undefined ? Math.min(...startSources.map((source) => source.fromBlock), head + 1) : indexed + 1;
+
+    let events = 0;
+    for (let from = fromBlock; from <= head; from += batchSize) {
+      events += await indexRange(from, Math.min(from + batchSize - 1, head));
+    }
+    return { fromBlock, toBlock: Math.max(head, fromBlock - 1), events, reorg };
+  }
+
+  /**
+   * @notice Sync every `pollMs` until stop() is called
+   */
+  async function run({ pollMs = 2000 } = {}) {
+    stopped = false;
+    while (!stopped) {
+      const result = await sync();
+      if (result.events > 0) {
+        log(`Blocks ${result.fromBlock}-${result.toBlock}: ${result.events} event(s)`);
+      }
+      if (!stopped) {
+        await sleep(pollMs);
+      }
+    }
+  }
+
+  return {
+    addSource,
+    sync,
+    run,
+    stop() {
+      stopped = true;
+    }
+  };
+}
+
+module.exports = {
+  normalize,
+  createIndexer
+};
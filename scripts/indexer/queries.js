@@ -0,0 +1,256 @@
+// Read side of the indexer: the questions the query API answers, straight from the database.
+// Amounts stay decimal strings (uint256); sums are computed with BigInt.
+
+const { getAddress, isAddress } = require("ethers");
+const { getMeta } = require("./database");
+
+const MAX_LIMIT = 1000;
+const INVOICE_VAULTS = ["RWAInvoiceVaultSimple", "RWAInvoiceVault"];
+const STATUS_EVENTS = {
+  InvoiceFunded: "Funded",
+  InvoicePaid: "Paid",
+  InvoiceDefaulted: "Defaulted",
+  InvoiceSettled: "Settled"
+};
+
+const EVENT_COLUMNS = `
+  SELECT e.block_number AS blockNumber, e.block_hash AS blockHash, e.tx_hash AS txHash, e.log_index AS logIndex,
+         e.address, e.contract, e.source, e.event, e.args, b.timestamp
+  FROM events e LEFT JOIN blocks b ON b.number = e.block_number`;
+
+// Errors in the filters a caller gave, reported with the code ethers uses for bad addresses
+function invalidArgument(message) {
+  return Object.assign(new Error(message), { code: "INVALID_ARGUMENT" });
+}
+
+function toEvent(row) {
+  return { ...row, args: JSON.parse(row.args) };
+}
+
+// Addresses are stored checksummed
+function normalizeValue(value) {
+  return typeof value === "string" && isAddress(value) ? getAddress(value) : String(value);
+}
+
+/**
+ * @notice Events matching every given filter, oldest first
+ * @param {Object} db
+ * @param {Object} [filters]
+ * @param {string} [filters.contract] Contract name, e.g. "VaultManager"
+ * @param {string|string[]} [filters.event] Event name(s), e.g. "Deposit"
+ * @param {string} [filters.address] Emitting contract
+ * @param {string} [filters.source] Source name, e.g. "InvoiceVault#1"
+ * @param {string} [filters.account] Address appearing in any argument
+ * @param {Object<string, string>} [filters.args] Argument values, e.g. { vaultId: "0x..." }
+ * @param {number} [filters.fromBlock]
+ * @param {number} [filters.toBlock]
+ * @param {number} [filters.limit=100] At most 1000
+ * @param {number} [filters.offset=0]
+ * @return {Object[]}
+ */
+function findEvents(db, filters = {}) {
+  const where = [];
+  const params = [];
+  const add = (clause, ...values) => {
+    where.push(clause);
+    params.push(...values);
+  };
+
+  if (filters.contract) {
+    add("e.contract = ?", filters.contract);
+  }
+  if (Array.isArray(filters.event)) {
+    add(`e.event IN (${filters.event.map(() => "?").join(", ")})`, ...filters.event);
+  } else if (filters.event) {
+    add("e.event = ?", filters.event);
+  }
+  if (filters.address) {
+    add("e.address = ?", getAddress(filters.address));
+  }
+  if (filters.source) {
+    add("e.source = ?", filters.source);
+  }
+  if (filters.account) {
+    add("EXISTS (SELECT 1 FROM json_each(e.args) WHERE json_each.value = ?)", getAddress(filters.account));
+  }
+  for (const [name, value] of Object.entries(filters.args || {})) {
+    if (!/^\w+$/.test(name)) {
+      throw invalidArgument(`Invalid argument name "${name}"`);
+    }
+    add("json_extract(e.args, ?) = ?", `$.${name}`, normalizeValue(value));
+  }
+  for (const [name, operator] of [["fromBlock", ">="], ["toBlock", "<="]]) {
+    if (filters[name] !== undefined) {
+      const block = Number(filters[name]);
+      if (!Number.isInteger(block) || block < 0) {
+        throw invalidArgument(`${name} takes a block number`);
+      }
+      add(`e.block_number ${operator} ?`, block);
+    }
+  }
+  const limit = Math.min(Number(filters.limit ?? 100), MAX_LIMIT);
+  const offset = Number(filters.offset ?? 0);
+  if (!Number.isInteger(limit) || limit < 0 || !Number.isInteger(offset) || offset < 0) {
+    throw invalidArgument("limit and offset take non-negative integers");
+  }
+  const sql = `${EVENT_COLUMNS} ${where.length > 0 ? `WHERE ${where.join(" AND ")}` : ""}
+    ORDER BY e.block_number, e.log_index LIMIT ? OFFSET ?`;
+  return db
+    .prepare(sql)
+    .all(...params, limit, offset)
+    .map(toEvent);
+}
+
+/**
+ * @notice Sources the indexer follows
+ */
+function listSources(db) {
+  return db
+    .prepare(
+      `SELECT address, contract, name, from_block AS fromBlock, discovered_by AS discoveredBy, tags
+       FROM sources ORDER BY from_block, name`
+    )
+    .all()
+    .map((row) => ({ ...row, tags: JSON.parse(row.tags) }));
+}
+
+/**
+ * @notice Progress of the indexer
+ */
+function status(db) {
+  const count = (table) => db.prepare(`SELECT COUNT(*) AS count FROM ${table}`).get().count;
+  const cursor = getMeta(db, "cursor");
+  return {
+    chainId: getMeta(db, "chainId") ?? null,
+    indexedBlock: cursor === undefined ? null : Number(cursor),
+    sources: count("sources"),
+    events: count("events"),
+    reorgs: Number(getMeta(db, "reorgs") || 0)
+  };
+}
+
+/**
+ * @notice Invoices of InvoiceRegistry, with their status, vault and what investors put in
+ * @param {Object} db
+ * @param {string} [tokenId] Only this invoice
+ * @return {Object[]}
+ */
+function listInvoices(db, tokenId) {
+  const invoices = new Map();
+  const key = (registry, id) => `${registry}/${id}`;
+  const registryEvents = db
+    .prepare(`${EVENT_COLUMNS} WHERE e.contract = 'InvoiceRegistry' ORDER BY e.block_number, e.log_index`)
+    .all()
+    .map(toEvent)
+    .filter((event) => tokenId === undefined || event.args.tokenId === String(tokenId));
+
+  for (const event of registryEvents) {
+    const { args } = event;
+    if (event.event === "InvoiceCreated") {
+      invoices.set(key(event.address, args.tokenId), {
+        registry: event.address,
+        tokenId: args.tokenId,
+        issuer: args.issuer,
+        beneficiary: args.beneficiary,
+        amount: args.amount,
+        dueDate: Number(args.dueDate),
+        invoiceURI: args.invoiceURI,
+        status: "Created",
+        createdAt: event.timestamp,
+        vault: null,
+        invested: "0",
+        investors: {}
+      });
+      continue;
+    }
+    const invoice = invoices.get(key(event.address, args.tokenId));
+    if (invoice && STATUS_EVENTS[event.event]) {
+      invoice.status = STATUS_EVENTS[event.event];
+      if (event.event === "InvoiceFunded") {
+        invoice.vault = args.vault;
+      }
+    }
+  }
+
+  // What each investor put into the invoice vaults
+  const fundingsOf = db.prepare("SELECT args FROM events WHERE address = ? AND event = 'Funded'");
+  for (const invoice of invoices.values()) {
+    if (!invoice.vault) {
+      continue;
+    }
+    let invested = 0n;
+    for (const { args } of fundingsOf.all(invoice.vault).map(toEvent)) {
+      invoice.investors[args.funder] = (BigInt(invoice.investors[args.funder] || 0) + BigInt(args.amount)).toString();
+      invested += BigInt(args.amount);
+    }
+    invoice.invested = invested.toString();
+  }
+  return [...invoices.values()];
+}
+
+/**
+ * @notice Invoice vaults an investor funded, with the total per vault
+ * @param {Object} db
+ * @param {string} investor
+ * @return {Object[]} { vault, contract, invoiceTokenId, amount, fundings, firstFundedAt }
+ */
+function invoicesFundedBy(db, investor) {
+  const funder = getAddress(investor);
+  const rows = db
+    .prepare(
+      `${EVENT_COLUMNS} WHERE e.contract IN (${INVOICE_VAULTS.map(() => "?").join(", ")})
+       AND e.event = 'Funded' AND json_extract(e.args, '$.funder') = ?
+       ORDER BY e.block_number, e.log_index`
+    )
+    .all(...INVOICE_VAULTS, funder)
+    .map(toEvent);
+  const tagsOf = db.prepare("SELECT tags FROM sources WHERE address = ?");
+  const configuredId = db.prepare(
+    "SELECT json_extract(args, '$.invoiceTokenId') AS id FROM events WHERE address = ? AND event = 'InvoiceConfigured'"
+  );
+
+  const vaults = new Map();
+  for (const event of rows) {
+    if (!vaults.has(event.address)) {
+      const tags = JSON.parse((tagsOf.get(event.address) || { tags: "{}" }).tags);
+      const configured = configuredId.get(event.address);
+      vaults.set(event.address, {
+        vault: event.address,
+        contract: event.contract,
+        invoiceTokenId: tags.invoiceTokenId ?? (configured ? String(configured.id) : null),
+        amount: 0n,
+        fundings: 0,
+        firstFundedAt: event.timestamp
+      });
+    }
+    const vault = vaults.get(event.address);
+    vault.amount += BigInt(event.args.amount);
+    vault.fundings++;
+  }
+  return [...vaults.values()].map((vault) => ({ ...vault, amount: vault.amount.toString() }));
+}
+
+/**
+ * @notice Deposits into a vault: VaultManager deposits for a VaultManager vault id, otherwise
+ *   the Deposit (ERC4626) and Funded events of the vault contract itself
+ * @param {Object} db
+ * @param {string} vault Vault id or address
+ * @param {Object} [page] { limit, offset }
+ * @return {Object[]}
+ */
+function vaultDeposits(db, vault, page = {}) {
+  const managed = findEvents(db, { contract: "VaultManager", event: "Deposit", args: { vaultId: vault }, ...page });
+  if (managed.length > 0) {
+    return managed;
+  }
+  return findEvents(db, { address: vault, event: ["Deposit", "Funded"], ...page });
+}
+
+module.exports = {
+  findEvents,
+  listSources,
+  status,
+  listInvoices,
+  invoicesFundedBy,
+  vaultDeposits
+};
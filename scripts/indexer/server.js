@@ -0,0 +1,101 @@
+// Local HTTP/JSON API over the indexer database (queries.js). Read-only, GET only.
+//
+//   GET /status                          indexed block, counts, reorgs handled
+//   GET /sources                         contracts followed
+//   GET /events?contract=&event=&address=&source=&account=&fromBlock=&toBlock=&limit=&offset=
+//                                        plus arg.<name>=<value> per event argument
+//   GET /invoices                        invoices with status, vault and investors
+//   GET /invoices/:tokenId
+//   GET /investors/:address/invoices     invoice vaults the address funded
+//   GET /vaults/:vault/deposits          VaultManager vault id, or vault contract address
+//   GET /accounts/:address/events        events with the address in any argument
+
+const http = require("http");
+const queries = require("./queries");
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+function page(params) {
+  return { limit: params.get("limit") ?? undefined, offset: params.get("offset") ?? undefined };
+}
+
+function eventFilters(params) {
+  const filters = { ...page(params), args: {} };
+  for (const name of ["contract", "event", "address", "source", "account", "fromBlock", "toBlock"]) {
+    if (params.has(name)) {
+      filters[name] = params.get(name);
+    }
+  }
+  for (const [name, value] of params) {
+    if (name.startsWith("arg.")) {
+      filters.args[name.slice(4)] = value;
+    }
+  }
+  return filters;
+}
+
+const ROUTES = [
+  [/^\/status$/, (db) => queries.status(db)],
+  [/^\/sources$/, (db) => queries.listSources(db)],
+  [/^\/events$/, (db, params) => queries.findEvents(db, eventFilters(params))],
+  [/^\/invoices$/, (db) => queries.listInvoices(db)],
+  [
+    /^\/invoices\/(\d+)$/,
+    (db, params, [tokenId]) => {
+      const [invoice] = queries.listInvoices(db, tokenId);
+      if (!invoice) {
+        throw new HttpError(404, `Invoice ${tokenId} not indexed`);
+      }
+      return invoice;
+    }
+  ],
+  [/^\/investors\/(0x[0-9a-fA-F]{40})\/invoices$/, (db, params, [investor]) => queries.invoicesFundedBy(db, investor)],
+  [/^\/vaults\/(0x[0-9a-fA-F]{40})\/deposits$/, (db, params, [vault]) => queries.vaultDeposits(db, vault, page(params))],
+  [
+    /^\/accounts\/(0x[0-9a-fA-F]{40})\/events$/,
+    (db, params, [account]) => queries.findEvents(db, { ...page(params), account })
+  ]
+];
+
+function respond(response, status, body) {
+  response.writeHead(status, { "content-type": "application/json", "access-control-allow-origin": "*" });
+  response.end(`${JSON.stringify(body, null, 2)}\n`);
+}
+
+/**
+ * @notice Create the query API server (not listening yet)
+ * @param {Object} db Database from openDatabase
+ * @return {http.Server}
+ */
+function createServer(db) {
+  return http.createServer((request, response) => {
+    const url = new URL(request.url, "http://localhost");
+    if (request.method !== "GET") {
+      respond(response, 405, { error: "Only GET is supported" });
+      return;
+    }
+    for (const [pattern, handler] of ROUTES) {
+      const match = url.pathname.match(pattern);
+      if (!match) {
+        continue;
+      }
+      try {
+        respond(response, 200, handler(db, url.searchParams, match.slice(1)));
+      } catch (error) {
+        // Malformed addresses and filters are the caller's mistake
+        respond(response, error.status || (error.code === "INVALID_ARGUMENT" ? 400 : 500), { error: error.message });
+      }
+      return;
+    }
+    respond(response, 404, { error: `No route for ${url.pathname}` });
+  });
+}
+
+module.exports = {
+  createServer
+};
@@ -0,0 +1,107 @@
+// Contracts the indexer follows.
+//
+// The top-level sources are looked up by id in the deployment registry (scripts/lib/registry.js).
+// `linked` sources are read from a getter of another source (the TokenizedInvoice an
+// InvoiceRegistry deploys), `discover` rules add the contracts an event reveals: the vault
+// InvoiceRegistry deploys for every funded invoice and the vaults VaultFactory creates.
+
+const { getDeployment } = require("../lib/registry");
+
+// Implementation behind each VaultFactory vault type
+const VAULT_TYPE_CONTRACTS = {
+  aave: "AaveVault",
+  curve: "CurveVault",
+  rwa: "RWAInvoiceVault"
+};
+
+/**
+ * @typedef {Object} SourceDefinition
+ * @property {string} id Deployment registry id
+ * @property {string} contract Artifact whose ABI decodes the logs
+ * @property {{from: string, getter: string}} [linked] Address read from another source
+ * @property {Object<string, function(Object): ?Object>} [discover] Per event name, the source the
+ *   event reveals ({ address, contract, name, tags }) or null
+ */
+
+/** @type {SourceDefinition[]} */
+const SOURCES = [
+  {
+    id: "InvoiceRegistry",
+    contract: "InvoiceRegistry",
+    discover: {
+      InvoiceFunded: (args) => ({
+        address: args.vault,
+        contract: "RWAInvoiceVaultSimple",
+        name: `InvoiceVault#${args.tokenId}`,
+        tags: { invoiceTokenId: args.tokenId }
+      })
+    }
+  },
+  { id: "TokenizedInvoice", contract: "TokenizedInvoice", linked: { from: "InvoiceRegistry", getter: "tokenizedInvoice" } },
+  { id: "RWAInvoiceVault", contract: "RWAInvoiceVault" },
+  { id: "VaultManager", contract: "VaultManager" },
+  {
+    id: "VaultFactory",
+    contract: "VaultFactory",
+    discover: {
+      VaultCreated: (args) =>
+        VAULT_TYPE_CONTRACTS[args.vaultType]
+          ? {
+              address: args.vault,
+              contract: VAULT_TYPE_CONTRACTS[args.vaultType],
+              name: `${args.vaultType}Vault@${args.vault}`,
+              tags: { vaultType: args.vaultType, creator: args.creator }
+            }
+          : null
+    }
+  },
+  { id: "AssetFactory", contract: "AssetFactory" },
+  { id: "LSTBTCVault", contract: "LSTBTCVault" },
+  { id: "CrossChainRouter", contract: "CrossChainRouter" }
+];
+
+/**
+ * @notice Discovery rules by contract name
+ * @return {Object<string, Object>}
+ */
+function discoveryRules() {
+  return Object.fromEntries(SOURCES.filter((source) => source.discover).map((source) => [source.contract, source.discover]));
+}
+
+/**
+ * @notice Top-level sources of a network: the ones in its deployment registry, their linked
+ *   contracts, and `extra`
+ * @param hre Hardhat runtime environment
+ * @param {Object[]} [extra] { name, contract, address } not recorded in the registry
+ * @return {Promise<Object[]>} { name, contract, address, fromBlock }
+ */
+async function resolveSources(hre, extra = []) {
+  const resolved = [];
+  const byId = {};
+  for (const source of SOURCES) {
+    const record = getDeployment(hre.network.name, source.id);
+    let address = record && record.address;
+    let fromBlock = (record && record.blockNumber) || 0;
+    const parent = source.linked && byId[source.linked.from];
+    if (!address && parent) {
+      address = await (await hre.ethers.getContractAt(parent.contract, parent.address))[source.linked.getter]();
+      fromBlock = parent.fromBlock;
+    }
+    if (!address) {
+      continue;
+    }
+    byId[source.id] = { name: source.id, contract: source.contract, address, fromBlock };
+    resolved.push(byId[source.id]);
+  }
+  for (const source of extra) {
+    resolved.push({ fromBlock: 0, ...source });
+  }
+  return resolved;
+}
+
+module.exports = {
+  SOURCES,
+  VAULT_TYPE_CONTRACTS,
+  discoveryRules,
+  resolveSources
+};
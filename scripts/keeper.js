@@ -0,0 +1,127 @@
+// SPDX-License-Identifier: MIT
+/**
+ * TokenIQ keeper
+ *
+ * Stands in for Chainlink Automation on a local node (scripts/lib/keeper.js): checks the
+ * registered upkeeps on every new block, or on their interval, and sends performUpkeep with the
+ * returned performData.
+ *
+ *   npx hardhat run scripts/keeper.js --network localhost
+ *   KEEPER_UPKEEPS=TreasuryAIManager@3600,VaultManager npx hardhat run scripts/keeper.js --network localhost
+ *   KEEPER_UPKEEPS=Mock=0x...@60 KEEPER_ONCE=true npx hardhat run scripts/keeper.js --network localhost
+ *
+ * Environment:
+ *   KEEPER_UPKEEPS        Comma-separated <id>[=<address>][@<seconds>]: the id is looked up in the
+ *                         deployment registry unless an address is given; @<seconds> makes it a
+ *                         time-based upkeep. VaultManager and TreasuryAIManager from the registry
+ *                         by default.
+ *   KEEPER_SIGNER_INDEX   Signer sending performUpkeep, 0 by default
+ *   KEEPER_POLL_MS        How often to look for a new block, 1000 by default
+ *   KEEPER_GAS_LIMIT      performUpkeep gas limit, estimated by default
+ *   KEEPER_ONCE=true      Check every upkeep once and exit
+ *
+ * On exit (Ctrl+C), the outcome and gas of every run is written to reports/keeper/<network>-<time>
+ * (or REPORT_DIR).
+ */
+
+const path = require("path");
+const hre = require("hardhat");
+const { getDeployment } = require("./lib/registry");
+const { createKeeper } = require("./lib/keeper");
+const { writeFiles, markdownTable } = require("./simulation/report");
+
+const DEFAULT_UPKEEPS = ["VaultManager", "TreasuryAIManager"];
+
+function parseUpkeep(entry) {
+  const match = entry.match(/^([\w.-]+)(?:=(0x[0-9a-fA-F]{40}))?(?:@(\d+))?$/);
+  if (!match) {
+    throw new Error(`Invalid KEEPER_UPKEEPS entry "${entry}", expected <id>[=<address>][@<seconds>]`);
+  }
+  const [, name, address, interval] = match;
+  return { name, address, interval: interval ? Number(interval) : undefined };
+}
+
+function resolveUpkeeps() {
+  const explicit = Boolean(process.env.KEEPER_UPKEEPS);
+  const entries = explicit ? process.env.KEEPER_UPKEEPS.split(",").map((entry) => entry.trim()) : DEFAULT_UPKEEPS;
+  const upkeeps = [];
+  for (const upkeep of entries.filter(Boolean).map(parseUpkeep)) {
+    if (!upkeep.address) {
+      const record = getDeployment(hre.network.name, upkeep.name);
+      if (!record) {
+        if (explicit) {
+          throw new Error(`No "${upkeep.name}" deployment recorded for ${hre.network.name}, give its address`);
+        }
+        console.log(`ℹ️  No ${upkeep.name} deployment recorded for ${hre.network.name}, skipped`);
+        continue;
+      }
+      upkeep.address = record.address;
+    }
+    upkeeps.push(upkeep);
+  }
+  if (upkeeps.length === 0) {
+    throw new Error("No upkeep to run, set KEEPER_UPKEEPS");
+  }
+  return upkeeps;
+}
+
+function writeReport(keeper) {
+  const report = {
+    network: hre.network.name,
+    generatedAt: new Date().toISOString(),
+    summary: keeper.summary(),
+    runs: keeper.history
+  };
+  const stamp = report.generatedAt.replace(/[:.]/g, "-");
+  const directory = process.env.REPORT_DIR || path.join(__dirname, "..", "reports", "keeper", `${report.network}-${stamp}`);
+  writeFiles(directory, {
+    "report.json": `${JSON.stringify(report, (key, value) => (typeof value === "bigint" ? value.toString() : value), 2)}\n`,
+    "summary.md": [
+      "# Keeper runs",
+      "",
+      `Network: ${report.network}, generated ${report.generatedAt}`,
+      "",
+      markdownTable(report.summary),
+      "",
+      "## Runs",
+      "",
+      markdownTable(report.runs, ["upkeep", "blockNumber", "status", "gasUsed", "txHash", "error"])
+    ].join("\n")
+  });
+  console.log(`Report written to ${path.relative(process.cwd(), directory)}`);
+}
+
+async function main() {
+  const signers = await hre.ethers.getSigners();
+  const signer = signers[Number(process.env.KEEPER_SIGNER_INDEX || 0)];
+  if (!signer) {
+    throw new Error("No signer at KEEPER_SIGNER_INDEX, set PRIVATE_KEY for live networks");
+  }
+  const keeper = createKeeper(signer, {
+    gasLimit: process.env.KEEPER_GAS_LIMIT ? BigInt(process.env.KEEPER_GAS_LIMIT) : undefined
+  });
+  console.log(`Keeper on ${hre.network.name} as ${signer.address}`);
+  for (const { name, address, interval } of resolveUpkeeps()) {
+    await keeper.register(name, address, { interval });
+  }
+
+  if (process.env.KEEPER_ONCE === "true") {
+    await keeper.runOnce();
+  } else {
+    process.on("SIGINT", () => {
+      console.log("Stopping after the current poll");
+      keeper.stop();
+    });
+    await keeper.watch({ pollMs: Number(process.env.KEEPER_POLL_MS || 1000) });
+  }
+
+  console.table(keeper.summary());
+  writeReport(keeper);
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error("❌ Keeper failed:", error.message);
+    process.exit(1);
+  });
@@ -0,0 +1,181 @@
+// Admin account of a network (config/addressBook.js `admin`): the Safe or TimelockController
+// that owns the protocol contracts once tokeniq:handover ran. Calls that only the admin can
+// make are not sent from an EOA; they are written as Safe transaction builder batches
+// (https://app.safe.global > Apps > Transaction Builder > drag and drop) under
+// deployments/safe-batches/<network>/.
+//
+// A timelock admin cannot sign anything itself, so its batches call scheduleBatch on the
+// timelock, and a second file calls executeBatch once the delay has passed. Both are meant
+// for the Safe holding the proposer and executor roles (`proposer` in the address book).
+
+const fs = require("fs");
+const path = require("path");
+const { ADDRESS_BOOK } = require("../../config/addressBook");
+
+const BATCHES_DIR = path.join(__dirname, "../../deployments/safe-batches");
+
+const OWNABLE_ABI = [
+  "function owner() view returns (address)",
+  "function transferOwnership(address newOwner)",
+  "function acceptOwnership()"
+];
+const SAFE_ABI = ["function getOwners() view returns (address[])", "function getThreshold() view returns (uint256)"];
+const TIMELOCK_ABI = [
+  "function getMinDelay() view returns (uint256)",
+  "function scheduleBatch(address[] targets, uint256[] values, bytes[] payloads, bytes32 predecessor, bytes32 salt, uint256 delay)",
+  "function executeBatch(address[] targets, uint256[] values, bytes[] payloads, bytes32 predecessor, bytes32 salt) payable"
+];
+
+/**
+ * @typedef {Object} AdminCall
+ * @property {string} to Contract called by the admin
+ * @property {string} data Calldata
+ * @property {string} description What the call does, listed in the batch description
+ */
+
+/**
+ * @notice Admin account configured for a network
+ * @param {string} networkName Name of the network in hardhat.config.js
+ * @return {import("../../config/addressBook").AdminAccount|null}
+ */
+function getAdmin(networkName) {
+  const chain = ADDRESS_BOOK[networkName];
+  return (chain && chain.admin) || null;
+}
+
+/**
+ * @notice Check on chain that an admin account is the Safe or timelock it is configured as
+ * @param hre Hardhat runtime environment
+ * @param {import("../../config/addressBook").AdminAccount} admin
+ * @return {Promise<string>} Summary such as "Safe, 2 of 3 owners"
+ */
+async function describeAdmin(hre, admin) {
+  const { ethers } = hre;
+  if ((await ethers.provider.getCode(admin.address)) === "0x") {
+    throw new Error(`Admin ${admin.address} has no code on ${hre.network.name}; refusing to hand over to an EOA`);
+  }
+  try {
+    if (admin.kind === "safe") {
+      const safe = new ethers.Contract(admin.address, SAFE_ABI, ethers.provider);
+      return `Safe, ${await safe.getThreshold()} of ${(await safe.getOwners()).length} owners`;
+    }
+    if (admin.kind === "timelock") {
+      const timelock = new ethers.Contract(admin.address, TIMELOCK_ABI, ethers.provider);
+      return `TimelockController, ${await timelock.getMinDelay()}s delay`;
+    }
+  } catch (error) {
+    throw new Error(`Admin ${admin.address} does not behave like a ${admin.kind}: ${error.shortMessage || error.message}`);
+  }
+  throw new Error(`Unknown admin kind "${admin.kind}", expected "safe" or "timelock"`);
+}
+
+/**
+ * @notice Current owner of a contract, or null when it has no owner()
+ * @param hre Hardhat runtime environment
+ * @param {string} address Contract address
+ */
+async function ownerOf(hre, address) {
+  const contract = new hre.ethers.Contract(address, OWNABLE_ABI, hre.ethers.provider);
+  return contract.owner().catch(() => null);
+}
+
+/**
+ * @notice The network's admin account when it owns a contract, null otherwise
+ * @param hre Hardhat runtime environment
+ * @param contract Contract about to be called
+ */
+async function adminOwning(hre, contract) {
+  const admin = getAdmin(hre.network.name);
+  if (!admin) {
+    return null;
+  }
+  const owner = await ownerOf(hre, await contract.getAddress());
+  return owner && owner.toLowerCase() === admin.address.toLowerCase() ? admin : null;
+}
+
+function transactionBuilderFile(chainId, safeAddress, name, description, transactions) {
+  return {
+    version: "1.0",
+    chainId: String(chainId),
+    createdAt: Date.now(),
+    meta: {
+      name,
+      description,
+      txBuilderVersion: "1.16.5",
+      createdFromSafeAddress: safeAddress || "",
+      createdFromOwnerAddress: "",
+      checksum: ""
+    },
+    transactions: transactions.map(({ to, data }) => ({
+      to,
+      value: "0",
+      data,
+      contractMethod: null,
+      contractInputsValues: null
+    }))
+  };
+}
+
+function writeFile(hre, fileName, batch) {
+  const dir = path.join(BATCHES_DIR, hre.network.name);
+  fs.mkdirSync(dir, { recursive: true });
+  const file = path.join(dir, fileName);
+  fs.writeFileSync(file, JSON.stringify(batch, null, 2) + "\n");
+  return path.relative(process.cwd(), file);
+}
+
+/**
+ * @notice Write calls the admin has to make as Safe transaction builder batches
+ * @param hre Hardhat runtime environment
+ * @param {import("../../config/addressBook").AdminAccount} admin
+ * @param {string} name Short name of the batch, e.g. "handover"
+ * @param {Array<AdminCall>} calls
+ * @return {Promise<Array<string>>} Files written, in the order they have to be executed
+ */
+async function writeAdminBatch(hre, admin, name, calls) {
+  const stamp = new Date().toISOString().replace(/[:.]/g, "-");
+  const slug = name.replace(/[^\w-]+/g, "-");
+  const description = calls.map((call) => call.description).join("; ");
+  const { chainId } = await hre.ethers.provider.getNetwork();
+
+  if (admin.kind === "safe") {
+    const batch = transactionBuilderFile(chainId, admin.address, name, description, calls);
+    return [writeFile(hre, `${stamp}-${slug}.json`, batch)];
+  }
+
+  const { ethers } = hre;
+  const timelock = new ethers.Contract(admin.address, TIMELOCK_ABI, ethers.provider);
+  const delay = await timelock.getMinDelay();
+  const targets = calls.map((call) => call.to);
+  const values = calls.map(() => 0);
+  const payloads = calls.map((call) => call.data);
+  const salt = ethers.id(`tokeniq:${name}:${stamp}`);
+  const operation = [targets, values, payloads, ethers.ZeroHash, salt];
+
+  const schedule = {
+    to: admin.address,
+    data: timelock.interface.encodeFunctionData("scheduleBatch", [...operation, delay])
+  };
+  const execute = { to: admin.address, data: timelock.interface.encodeFunctionData("executeBatch", operation) };
+  return [
+    writeFile(
+      hre,
+      `${stamp}-${slug}.schedule.json`,
+      transactionBuilderFile(chainId, admin.proposer, `${name} (schedule)`, description, [schedule])
+    ),
+    writeFile(
+      hre,
+      `${stamp}-${slug}.execute.json`,
+      transactionBuilderFile(chainId, admin.proposer, `${name} (execute after ${delay}s)`, description, [execute])
+    )
+  ];
+}
+
+module.exports = {
+  OWNABLE_ABI,
+  getAdmin,
+  describeAdmin,
+  ownerOf,
+  adminOwning,
+  writeAdminBatch
+};
@@ -0,0 +1,204 @@
+// Audit of the live configuration of deployed networks against their deployment manifests
+// (scripts/audit.js). Read-only; no account is needed.
+//
+// Findings have a severity:
+//   error    the system does not behave as deployed (missing contract, wiring not applied,
+//            CCIP lane that only one side allows), or the network could not be audited
+//   warning  works, but drifted from what the manifest or registry says
+//   info     could not be checked
+
+const { ADDRESS_BOOK } = require("../../config/addressBook");
+const { loadManifest } = require("../../config/manifests");
+const { resolve, matches } = require("./manifest");
+const { loadRegistry } = require("./registry");
+const { ERC20_ABI } = require("./deployer");
+const { providerFor } = require("./networks");
+
+const IMPLEMENTATION_SLOT = "0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc";
+const SEVERITY_ORDER = ["error", "warning", "info"];
+
+// Vault types the manifest gives VaultFactory an implementation for
+function vaultTypes(manifest) {
+  return (manifest.wiring || [])
+    .filter((step) => step.target === "VaultFactory" && step.method === "setVaultImplementation")
+    .map((step) => step.args[0]);
+}
+
+function format(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(format).join(", ")}]`;
+  }
+  return String(value);
+}
+
+async function attach(hre, provider, contractName, address) {
+  const { abi } = await hre.artifacts.readArtifact(contractName);
+  return new hre.ethers.Contract(address, abi, provider);
+}
+
+/**
+ * @notice Compare one network with its manifest
+ * @param hre Hardhat runtime environment
+ * @param {string} networkName Name of the network in hardhat.config.js
+ * @return {Promise<{findings: Array, router: (Object|null)}>} `router` is the deployed
+ *   CrossChainRouterV3 with the network's CCIP selector, for the cross-chain checks
+ */
+async function auditNetwork(hre, networkName) {
+  const provider = providerFor(hre, networkName);
+  const registry = loadRegistry(networkName);
+  const manifest = loadManifest(networkName);
+  const findings = [];
+  const report = (severity, check, expected, actual) =>
+    findings.push({ network: networkName, severity, check, expected: format(expected), actual: format(actual) });
+
+  const context = {
+    deployer: null,
+    addresses: {},
+    steps: Object.fromEntries(manifest.contracts.map((step) => [step.id, step]))
+  };
+
+  for (const step of manifest.contracts) {
+    const record = registry.contracts[step.id];
+    if (!record) {
+      report("error", `${step.id} deployed`, step.contract, "not recorded");
+      continue;
+    }
+    if ((await provider.getCode(record.address)) === "0x") {
+      report("error", `${step.id} deployed`, record.address, "no code");
+      continue;
+    }
+    context.addresses[step.id] = record.address;
+
+    if (record.proxy) {
+      const slot = await provider.getStorage(record.address, IMPLEMENTATION_SLOT);
+      const implementation = hre.ethers.getAddress("0x" + slot.slice(-40));
+      if (implementation.toLowerCase() !== String(record.proxy.implementation).toLowerCase()) {
+        report("warning", `${step.id} implementation`, record.proxy.implementation, implementation);
+      }
+    }
+  }
+
+  for (const step of manifest.wiring || []) {
+    const check = `${step.target}.${step.expect.call}(${format(step.expect.args || [])})`;
+    if (!context.addresses[step.target]) {
+      report("info", check, "target deployed", "skipped");
+      continue;
+    }
+    let expected;
+    let args;
+    try {
+      expected = resolve(step.expect.value, context);
+      args = resolve(step.expect.args || [], context);
+    } catch (error) {
+      report("info", check, "references deployed", error.message);
+      continue;
+    }
+    const target = await attach(hre, provider, context.steps[step.target].contract, context.addresses[step.target]);
+    const actual = await target[step.expect.call](...args);
+    if (!matches(actual, expected)) {
+      report("error", check, expected, actual);
+    }
+  }
+
+  if (context.addresses.VaultFactory) {
+    const factory = await attach(hre, provider, "VaultFactory", context.addresses.VaultFactory);
+    for (const vaultType of vaultTypes(manifest)) {
+      const implementation = await factory.vaultImplementations(vaultType);
+      if (implementation === hre.ethers.ZeroAddress) {
+        report("warning", `VaultFactory.vaultImplementations(${vaultType})`, "non-zero", implementation);
+      }
+    }
+  }
+
+  for (const step of manifest.funding || []) {
+    if (!context.addresses[step.target]) {
+      continue;
+    }
+    const token = new hre.ethers.Contract(resolve(step.token, context), ERC20_ABI, provider);
+    const balance = await token.balanceOf(context.addresses[step.target]);
+    if (balance < BigInt(step.amount)) {
+      report("warning", `${step.target} balance of ${resolve(step.token, context)}`, `>= ${step.amount}`, balance);
+    }
+  }
+
+  const chain = ADDRESS_BOOK[networkName];
+  const router =
+    context.addresses.CrossChainRouterV3 && chain && chain.ccip
+      ? {
+          network: networkName,
+          selector: chain.ccip.chainSelector,
+          address: context.addresses.CrossChainRouterV3,
+          contract: await attach(hre, provider, "CrossChainRouterV3", context.addresses.CrossChainRouterV3)
+        }
+      : null;
+
+  return { findings, router };
+}
+
+// A message from `from` to `to` needs `from` to allow the destination and `to` to allow
+// both the source chain and `from`'s router as sender
+async function auditLane(from, to) {
+  const findings = [];
+  const report = (severity, check, expected, actual) =>
+    findings.push({ network: `${from.network} -> ${to.network}`, severity, check, expected, actual });
+
+  const sends = await from.contract.allowlistedDestinationChains(to.selector);
+  const acceptsChain = await to.contract.allowlistedSourceChains(from.selector);
+  const acceptsSender = await to.contract.allowlistedSenders(from.address);
+
+  if (sends && !acceptsChain) {
+    report("error", `${to.network} allowlistedSourceChains(${from.network})`, "true", "false");
+  }
+  if (sends && !acceptsSender) {
+    report("error", `${to.network} allowlistedSenders(${from.address})`, "true", "false");
+  }
+  if (!sends && acceptsChain) {
+    report("warning", `${from.network} allowlistedDestinationChains(${to.network})`, "true", "false");
+  }
+  return findings;
+}
+
+/**
+ * @notice Audit networks, then the CCIP lanes between their routers
+ * @param hre Hardhat runtime environment
+ * @param {Array<string>} networks Names of the networks in hardhat.config.js
+ * @return {Promise<Array<Object>>} Findings (network, severity, check, expected, actual), errors first
+ */
+async function auditNetworks(hre, networks) {
+  const findings = [];
+  const routers = [];
+  for (const networkName of networks) {
+    try {
+      const result = await auditNetwork(hre, networkName);
+      findings.push(...result.findings);
+      if (result.router) {
+        routers.push(result.router);
+      }
+    } catch (error) {
+      // Whatever was not checked on this network may be wrong
+      findings.push({
+        network: networkName,
+        severity: "error",
+        check: "network audited",
+        expected: "",
+        actual: error.shortMessage || error.message
+      });
+    }
+  }
+
+  for (const from of routers) {
+    for (const to of routers) {
+      if (from !== to) {
+        findings.push(...(await auditLane(from, to)));
+      }
+    }
+  }
+
+  return findings.sort((a, b) => SEVERITY_ORDER.indexOf(a.severity) - SEVERITY_ORDER.indexOf(b.severity));
+}
+
+module.exports = {
+  auditNetwork,
+  auditLane,
+  auditNetworks
+};
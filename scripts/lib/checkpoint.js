@@ -0,0 +1,161 @@
+// Checkpoint of a deployer run, one file per network in deployments/checkpoints/
+//
+//   {
+//     "network": "fuji",
+//     "startedAt": "2025-01-01T00:00:00.000Z",
+//     "steps": {
+//       "deploy:VaultFactory": { "status": "done", "txHashes": ["0x..."], "address": "0x..." },
+//       "wire:VaultFactory.setVaultImplementation:[\"aave\",{\"$ref\":\"AaveVault\"}]": { "status": "sent", "txHashes": ["0x..."] }
+//     }
+//   }
+//
+// Every transaction is written down as soon as it is sent, so a run that dies while waiting
+// for a receipt can be resumed: the rerun picks up the mined (or still pending) transaction
+// instead of sending it a second time. The file is removed once a run completes; from then
+// on the registry and the on-chain state are the source of truth.
+
+const fs = require("fs");
+const path = require("path");
+const { getFeeStrategy } = require("../../config/fees");
+
+const CHECKPOINTS_DIR = path.join(__dirname, "../../deployments/checkpoints");
+
+function checkpointPath(networkName) {
+  return path.join(CHECKPOINTS_DIR, `${networkName}.json`);
+}
+
+function toJSON(value) {
+  return JSON.stringify(value, (key, item) => (typeof item === "bigint" ? item.toString() : item), 2);
+}
+
+/**
+ * @notice Checkpoint of the last unfinished run on a network, or a fresh one
+ * @param {string} networkName Name of the network in hardhat.config.js
+ */
+function loadCheckpoint(networkName) {
+  const file = checkpointPath(networkName);
+  if (!fs.existsSync(file)) {
+    return { network: networkName, startedAt: null, steps: {} };
+  }
+  return JSON.parse(fs.readFileSync(file));
+}
+
+function saveCheckpoint(checkpoint) {
+  fs.mkdirSync(CHECKPOINTS_DIR, { recursive: true });
+  checkpoint.startedAt = checkpoint.startedAt || new Date().toISOString();
+  fs.writeFileSync(checkpointPath(checkpoint.network), toJSON(checkpoint) + "\n");
+}
+
+/**
+ * @notice Stable checkpoint key of a manifest step
+ * @param {("deploy"|"implementation"|"wire"|"fund")} kind "implementation" is the
+ *   implementation of a proxy contract step
+ * @param {Object} step Contract, wiring or funding step
+ */
+function stepKey(kind, step) {
+  if (kind === "deploy" || kind === "implementation") {
+    return `${kind}:${step.id}`;
+  }
+  if (kind === "wire") {
+    return `wire:${step.target}.${step.method}:${toJSON(step.args || []).replace(/\s/g, "")}`;
+  }
+  return `fund:${step.target}:${toJSON(step.token).replace(/\s/g, "")}`;
+}
+
+/**
+ * @notice Write down a transaction of a step right after it was sent
+ * @param {Object} checkpoint See loadCheckpoint()
+ * @param {string} key See stepKey()
+ * @param tx Sent transaction
+ * @param {Object} [details] Whatever is needed to record the step if the run dies now
+ */
+function markSent(checkpoint, key, tx, details = {}) {
+  const entry = checkpoint.steps[key] || { txHashes: [] };
+  checkpoint.steps[key] = {
+    ...entry,
+    ...details,
+    status: "sent",
+    txHashes: [...entry.txHashes, tx.hash],
+    updatedAt: new Date().toISOString()
+  };
+  saveCheckpoint(checkpoint);
+}
+
+/**
+ * @notice Mark a step as completed
+ */
+function markDone(checkpoint, key, details = {}) {
+  checkpoint.steps[key] = {
+    txHashes: [],
+    ...checkpoint.steps[key],
+    ...details,
+    status: "done",
+    updatedAt: new Date().toISOString()
+  };
+  saveCheckpoint(checkpoint);
+}
+
+/**
+ * @notice Remove the checkpoint after a complete run
+ */
+function clearCheckpoint(networkName) {
+  const file = checkpointPath(networkName);
+  if (fs.existsSync(file)) {
+    fs.unlinkSync(file);
+  }
+}
+
+/**
+ * @notice Receipt of a transaction a previous run sent for a step, waiting for it when it is
+ * still pending
+ * @dev Throws when it is still pending after the confirmation timeout: sending the step again
+ *   would use the next nonce and apply it twice
+ * @param hre Hardhat runtime environment
+ * @param {Object} [entry] Checkpoint entry of the step
+ * @return {Promise<Object|null>} Receipt, or null when nothing was sent or the node no longer
+ *   knows any of the transactions (dropped)
+ */
+async function findSentTransaction(hre, entry) {
+  if (!entry || entry.status !== "sent" || entry.txHashes.length === 0) {
+    return null;
+  }
+  const { provider } = hre.ethers;
+  const { confirmations, confirmationTimeout } = getFeeStrategy(hre.network.name);
+
+  const known = [];
+  for (const hash of entry.txHashes) {
+    const tx = await provider.getTransaction(hash);
+    if (tx) {
+      known.push(tx);
+    }
+  }
+  if (known.length === 0) {
+    return null;
+  }
+
+  // Fee bumps replace a transaction at the same nonce: the mined one, or else the latest one
+  const tx = known.find((candidate) => candidate.blockNumber !== null) || known[known.length - 1];
+  console.log(`  ~ waiting for ${tx.hash} sent by the interrupted run`);
+  // A revert still yields its receipt; hardhat-ethers does not implement provider.waitForTransaction
+  const receipt = await tx.wait(confirmations, confirmationTimeout).catch((error) => error.receipt || null);
+  if (receipt) {
+    return receipt;
+  }
+  if (!(await provider.getTransaction(tx.hash))) {
+    // Dropped while waiting, possibly because another of the hashes got mined
+    return findSentTransaction(hre, { ...entry, txHashes: entry.txHashes.filter((hash) => hash !== tx.hash) });
+  }
+  throw new Error(
+    `${tx.hash}, sent by the interrupted run, is still pending after ${confirmationTimeout / 1000}s; ` +
+      "rerun once it is mined or dropped"
+  );
+}
+
+module.exports = {
+  loadCheckpoint,
+  stepKey,
+  markSent,
+  markDone,
+  clearCheckpoint,
+  findSentTransaction
+};
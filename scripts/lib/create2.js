@@ -0,0 +1,160 @@
+// Deterministic deployments through contracts/utils/DeterministicDeployer.sol
+//
+// A manifest step opts in with `create2: true` (salt derived from its id) or
+// `create2: { salt: "CrossChainRouterV3@2" }` to move a contract to a fresh address.
+// When the deployer runs in deterministic mode, those steps land on an address that
+// only depends on the deploying account and the salt, so the same account gets the
+// same router and factory addresses on every chain:
+//
+//   canonical CREATE2 factory --CREATE2--> DeterministicDeployer (same address everywhere)
+//   DeterministicDeployer --CREATE2(sender, salt)--> DeploymentBootstrap --CREATE--> contract
+//
+// The prediction below mirrors DeterministicDeployer.predict() so addresses can be
+// computed before anything is deployed (see scripts/create2-preflight.js).
+
+// Deterministic deployment proxy available at this address on most EVM chains
+// (https://github.com/Arachnid/deterministic-deployment-proxy)
+const CREATE2_FACTORY = "0x4e59b44847b379578588920cA78FbF26c0B4956C";
+// Runtime code of the factory, installed with hardhat_setCode on local networks
+const CREATE2_FACTORY_CODE =
+  "0x7fffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffe03601600081602082378035828234f58015156039578182fd5b8082525050506014600cf3";
+
+const { sendTransaction, sendCall } = require("./fees");
+
+const DEPLOYER_CONTRACT = "contracts/utils/DeterministicDeployer.sol:DeterministicDeployer";
+const BOOTSTRAP_CONTRACT = "contracts/utils/DeterministicDeployer.sol:DeploymentBootstrap";
+const DEPLOYER_SALT = "0x" + "00".repeat(32);
+
+const LOCAL_NETWORKS = ["hardhat", "localhost"];
+
+/**
+ * @notice Whether a manifest step is deployed through the DeterministicDeployer
+ * @param {import("./manifest").ContractStep} step
+ */
+function isDeterministic(step) {
+  return Boolean(step.create2);
+}
+
+/**
+ * @notice Salt of a manifest step, shared by all networks
+ * @param hre Hardhat runtime environment
+ * @param {import("./manifest").ContractStep} step
+ * @return {string} bytes32 hex string
+ */
+function saltFor(hre, step) {
+  const label = (typeof step.create2 === "object" && step.create2.salt) || step.id;
+  return hre.ethers.id(`tokeniq:${label}`);
+}
+
+/**
+ * @notice Address of the DeterministicDeployer, identical on every chain for the same build
+ * @param hre Hardhat runtime environment
+ */
+async function deployerAddress(hre) {
+  const { bytecode } = await hre.artifacts.readArtifact(DEPLOYER_CONTRACT);
+  return hre.ethers.getCreate2Address(CREATE2_FACTORY, DEPLOYER_SALT, hre.ethers.keccak256(bytecode));
+}
+
+/**
+ * @notice Addresses a deterministic deployment by `sender` with `salt` ends up at
+ * @param hre Hardhat runtime environment
+ * @param {string} sender Account calling DeterministicDeployer.deploy
+ * @param {string} salt bytes32 salt, see saltFor()
+ * @return {Promise<{address: string, bootstrap: string}>}
+ */
+async function predict(hre, sender, salt) {
+  const { ethers } = hre;
+  const { bytecode } = await hre.artifacts.readArtifact(BOOTSTRAP_CONTRACT);
+  const namespacedSalt = ethers.keccak256(
+    ethers.AbiCoder.defaultAbiCoder().encode(["address", "bytes32"], [sender, salt])
+  );
+  const bootstrap = ethers.getCreate2Address(await deployerAddress(hre), namespacedSalt, ethers.keccak256(bytecode));
+  return { address: ethers.getCreateAddress({ from: bootstrap, nonce: 1 }), bootstrap };
+}
+
+/**
+ * @notice Deploy the DeterministicDeployer through the canonical factory unless it already exists
+ * @param hre Hardhat runtime environment
+ * @return DeterministicDeployer contract connected to the first signer
+ */
+async function ensureDeployer(hre) {
+  const { ethers } = hre;
+  const [signer] = await ethers.getSigners();
+  const address = await deployerAddress(hre);
+
+  if ((await ethers.provider.getCode(address)) === "0x") {
+    if ((await ethers.provider.getCode(CREATE2_FACTORY)) === "0x") {
+      if (!LOCAL_NETWORKS.includes(hre.network.name)) {
+        throw new Error(`No CREATE2 factory at ${CREATE2_FACTORY} on ${hre.network.name}, deterministic mode is unavailable`);
+      }
+      await ethers.provider.send("hardhat_setCode", [CREATE2_FACTORY, CREATE2_FACTORY_CODE]);
+    }
+
+    const { bytecode } = await hre.artifacts.readArtifact(DEPLOYER_CONTRACT);
+    const { tx } = await sendTransaction(hre, signer, {
+      to: CREATE2_FACTORY,
+      data: ethers.concat([DEPLOYER_SALT, bytecode])
+    });
+    if ((await ethers.provider.getCode(address)) === "0x") {
+      throw new Error(`DeterministicDeployer did not land at ${address} (tx ${tx.hash})`);
+    }
+    console.log(`  + DeterministicDeployer deployed at ${address}`);
+  }
+
+  return ethers.getContractAt(DEPLOYER_CONTRACT, address, signer);
+}
+
+/**
+ * @notice Deploy `initCode` at the predicted address of `salt`, owned by the signer when the
+ * contract has an owner (fails when the signer could not take ownership)
+ * @param hre Hardhat runtime environment
+ * @param {string} salt bytes32 salt, see saltFor()
+ * @param {string} initCode Creation bytecode followed by the ABI encoded constructor arguments
+ * @param {Object} [options] See sendTransaction() in scripts/lib/fees.js
+ * @return {Promise<{address: string, txHash: string, blockNumber: number}>}
+ */
+async function deployDeterministic(hre, salt, initCode, options = {}) {
+  const { ethers } = hre;
+  const deployer = await ensureDeployer(hre);
+  const [signer] = await ethers.getSigners();
+  const { address } = await predict(hre, signer.address, salt);
+
+  if ((await ethers.provider.getCode(address)) !== "0x") {
+    throw new Error(`Predicted address ${address} is already occupied, pick another create2 salt`);
+  }
+
+  const receipt = await sendCall(hre, deployer, "deploy", [salt, initCode, signer.address], options);
+
+  // Two-step ownables (OwnerIsCreator) were only offered to the signer by the bootstrap
+  const owned = new ethers.Contract(
+    address,
+    ["function owner() view returns (address)", "function acceptOwnership()"],
+    signer
+  );
+  const owner = await owned.owner().catch(() => null);
+  if (owner && owner.toLowerCase() !== signer.address.toLowerCase()) {
+    try {
+      await sendCall(hre, owned, "acceptOwnership");
+    } catch (error) {
+      throw new Error(
+        `${address} is owned by ${owner} and acceptOwnership failed for ${signer.address}: ${error.shortMessage || error.message}`
+      );
+    }
+    const accepted = await owned.owner();
+    if (accepted.toLowerCase() !== signer.address.toLowerCase()) {
+      throw new Error(`${address} is still owned by ${accepted} after acceptOwnership by ${signer.address}`);
+    }
+  }
+
+  return { address, txHash: receipt.hash, blockNumber: receipt.blockNumber };
+}
+
+module.exports = {
+  CREATE2_FACTORY,
+  isDeterministic,
+  saltFor,
+  deployerAddress,
+  predict,
+  ensureDeployer,
+  deployDeterministic
+};
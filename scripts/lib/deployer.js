@@ -0,0 +1,339 @@
+// Executes a deployment manifest (see scripts/lib/manifest.js) against the
+// network hardhat is connected to. Already deployed contracts and wiring that
+// is already reflected on-chain are skipped, so the deployer can be rerun.
+// Transactions are checkpointed as they are sent (scripts/lib/checkpoint.js), so a
+// run that dies while waiting for one resumes from it instead of sending it again.
+
+const {
+  getProxyFactory,
+  getTransparentUpgradeableProxyFactory
+} = require("@openzeppelin/hardhat-upgrades/dist/utils/factories");
+const { resolve, matches, validateManifest } = require("./manifest");
+const { loadRegistry, recordDeployment, recordContract } = require("./registry");
+const { isDeterministic, saltFor, predict, deployDeterministic } = require("./create2");
+const { deployContract, sendCall } = require("./fees");
+const {
+  loadCheckpoint,
+  stepKey,
+  markSent,
+  markDone,
+  clearCheckpoint,
+  findSentTransaction
+} = require("./checkpoint");
+
+const ERC20_ABI = [
+  "function balanceOf(address account) view returns (uint256)",
+  "function transfer(address to, uint256 amount) returns (bool)"
+];
+
+async function hasCode(provider, address) {
+  return (await provider.getCode(address)) !== "0x";
+}
+
+// Deploys the implementation of a proxy step with the fee strategy, once hardhat-upgrades
+// has validated it; the one an interrupted run deployed is reused. Returns its address.
+async function deployImplementation(hre, step, factory, context) {
+  const { ethers, upgrades } = hre;
+  await upgrades.validateImplementation(factory, { kind: step.proxy.kind });
+
+  const key = stepKey("implementation", step);
+  const entry = context.checkpoint.steps[key];
+  const receipt = await findSentTransaction(hre, entry);
+  const deployed = entry && (entry.status === "done" || (receipt && receipt.status === 1));
+  if (deployed && (await hasCode(ethers.provider, entry.address))) {
+    markDone(context.checkpoint, key);
+    return entry.address;
+  }
+
+  const implementation = await deployContract(hre, factory, [], {
+    onSent: (tx) => markSent(context.checkpoint, key, tx, { address: ethers.getCreateAddress(tx) })
+  });
+  const address = await implementation.getAddress();
+  markDone(context.checkpoint, key, { address });
+  return address;
+}
+
+// Proxy factory and constructor arguments of a proxy step, the initializer call included.
+// Transparent proxies create their ProxyAdmin, owned by the deployer.
+async function proxyDeployment(hre, step, factory, implementation, context) {
+  const [signer] = await hre.ethers.getSigners();
+  const initializerArgs = resolve(step.proxy.args || [], context);
+  const initData = factory.interface.encodeFunctionData(step.proxy.initializer, initializerArgs);
+  if (step.proxy.kind === "uups") {
+    return { proxyFactory: await getProxyFactory(hre, signer), args: [implementation, initData], initializerArgs };
+  }
+  return {
+    proxyFactory: await getTransparentUpgradeableProxyFactory(hre, signer),
+    args: [implementation, context.deployer, initData],
+    initializerArgs
+  };
+}
+
+// Deploys one contract step and writes it to the registry; returns the new address
+async function deployStep(hre, step, context) {
+  const { ethers, upgrades } = hre;
+
+  if (step.from) {
+    const parentStep = context.steps[step.from.id];
+    const parent = await ethers.getContractAt(parentStep.contract, context.addresses[step.from.id]);
+    const address = await parent[step.from.call]();
+    const parentRecord = loadRegistry(hre.network.name).contracts[step.from.id];
+    await recordDeployment(hre, step.id, {
+      contract: step.contract,
+      address,
+      txHash: parentRecord.txHash,
+      blockNumber: parentRecord.blockNumber,
+      createdBy: step.from
+    });
+    return address;
+  }
+
+  const factory = await ethers.getContractFactory(step.contract);
+  if (step.proxy) {
+    // Deployed like any other contract rather than by upgrades.deployProxy, so both
+    // transactions get the fee strategy and its resends
+    const implementation = await deployImplementation(hre, step, factory, context);
+    const { proxyFactory, args, initializerArgs } = await proxyDeployment(hre, step, factory, implementation, context);
+    const proxy = await deployContract(hre, proxyFactory, args, {
+      onSent: (tx) =>
+        markSent(context.checkpoint, stepKey("deploy", step), tx, {
+          address: ethers.getCreateAddress(tx),
+          implementation,
+          initializerArgs
+        })
+    });
+    // Lets hardhat-upgrades validate and perform later upgrades of this proxy
+    await upgrades.forceImport(await proxy.getAddress(), factory, { kind: step.proxy.kind });
+    const record = await recordContract(hre, step.id, proxy, {
+      contract: step.contract,
+      proxy: { kind: step.proxy.kind, initializer: step.proxy.initializer, initializerArgs }
+    });
+    return record.address;
+  }
+
+  const constructorArgs = resolve(step.args || [], context);
+  const contract = await deployContract(hre, factory, constructorArgs, {
+    onSent: (tx) =>
+      markSent(context.checkpoint, stepKey("deploy", step), tx, {
+        address: ethers.getCreateAddress(tx),
+        constructorArgs
+      })
+  });
+  const record = await recordContract(hre, step.id, contract, { contract: step.contract, constructorArgs });
+  return record.address;
+}
+
+// Deploys a `create2` step through the DeterministicDeployer. Proxies get a deterministic
+// proxy address; their implementation is deployed normally since nothing refers to it.
+async function deployStepDeterministic(hre, step, context) {
+  const { ethers, upgrades } = hre;
+  const [signer] = await ethers.getSigners();
+  const salt = saltFor(hre, step);
+  const factory = await ethers.getContractFactory(step.contract);
+  const { address } = await predict(hre, signer.address, salt);
+  const checkpoint = (details) => ({
+    onSent: (tx) => markSent(context.checkpoint, stepKey("deploy", step), tx, { address, salt, ...details })
+  });
+
+  if (step.proxy) {
+    const implementation = await deployImplementation(hre, step, factory, context);
+    const { proxyFactory, args, initializerArgs } = await proxyDeployment(hre, step, factory, implementation, context);
+    const { data: initCode } = await proxyFactory.getDeployTransaction(...args);
+
+    const deployed = await deployDeterministic(hre, salt, initCode, checkpoint({ implementation, initializerArgs }));
+    // Lets hardhat-upgrades validate and perform later upgrades of this proxy
+    await upgrades.forceImport(deployed.address, factory, { kind: step.proxy.kind });
+    await recordDeployment(hre, step.id, {
+      contract: step.contract,
+      ...deployed,
+      proxy: { kind: step.proxy.kind, implementation, initializer: step.proxy.initializer, initializerArgs },
+      create2: { salt }
+    });
+    return deployed.address;
+  }
+
+  const constructorArgs = resolve(step.args || [], context);
+  const { data: initCode } = await factory.getDeployTransaction(...constructorArgs);
+  const deployed = await deployDeterministic(hre, salt, initCode, checkpoint({ constructorArgs }));
+  await recordDeployment(hre, step.id, { contract: step.contract, ...deployed, constructorArgs, create2: { salt } });
+  return deployed.address;
+}
+
+// Records a deployment whose transaction an interrupted run sent but never recorded;
+// returns its address, or null when that transaction was dropped or reverted.
+async function recoverDeployment(hre, step, context) {
+  const entry = context.checkpoint.steps[stepKey("deploy", step)];
+  const receipt = await findSentTransaction(hre, entry);
+  if (!receipt || receipt.status !== 1 || !(await hasCode(hre.ethers.provider, entry.address))) {
+    return null;
+  }
+
+  const record = {
+    contract: step.contract,
+    address: entry.address,
+    txHash: receipt.hash,
+    blockNumber: receipt.blockNumber,
+    constructorArgs: entry.constructorArgs,
+    ...(entry.salt && { create2: { salt: entry.salt } })
+  };
+  if (step.proxy) {
+    const factory = await hre.ethers.getContractFactory(step.contract);
+    await hre.upgrades.forceImport(entry.address, factory, { kind: step.proxy.kind });
+    record.proxy = {
+      kind: step.proxy.kind,
+      implementation: entry.implementation,
+      initializer: step.proxy.initializer,
+      initializerArgs: entry.initializerArgs
+    };
+  }
+  await recordDeployment(hre, step.id, record);
+  return entry.address;
+}
+
+async function wireStep(hre, step, context) {
+  const { ethers } = hre;
+  const key = stepKey("wire", step);
+  const target = await ethers.getContractAt(
+    context.steps[step.target].contract,
+    context.addresses[step.target]
+  );
+
+  // Never resend a call an interrupted run may still get mined
+  await findSentTransaction(hre, context.checkpoint.steps[key]);
+
+  const expected = resolve(step.expect.value, context);
+  const current = await target[step.expect.call](...resolve(step.expect.args || [], context));
+  if (matches(current, expected)) {
+    return false;
+  }
+
+  await sendCall(hre, target, step.method, resolve(step.args || [], context), {
+    onSent: (tx) => markSent(context.checkpoint, key, tx)
+  });
+  markDone(context.checkpoint, key);
+
+  const after = await target[step.expect.call](...resolve(step.expect.args || [], context));
+  if (!matches(after, expected)) {
+    throw new Error(
+      `${step.target}.${step.method} did not take effect: ${step.expect.call}() returned ${after}, expected ${expected}`
+    );
+  }
+  return true;
+}
+
+// Tops the target up to the declared token balance; returns false when it already holds enough
+async function fundStep(hre, step, context, signer) {
+  const key = stepKey("fund", step);
+  const token = await hre.ethers.getContractAt(ERC20_ABI, resolve(step.token, context), signer);
+  const target = context.addresses[step.target];
+
+  await findSentTransaction(hre, context.checkpoint.steps[key]);
+  const balance = await token.balanceOf(target);
+  if (balance >= BigInt(step.amount)) {
+    return false;
+  }
+  await sendCall(hre, token, "transfer", [target, BigInt(step.amount) - balance], {
+    onSent: (tx) => markSent(context.checkpoint, key, tx)
+  });
+  markDone(context.checkpoint, key);
+  return true;
+}
+
+/**
+ * @notice Address a manifest contract step can be reused from, or null when it has to be deployed
+ * @param hre Hardhat runtime environment
+ * @param {import("./manifest").ContractStep} step
+ * @param {Object} registry Registry of the network, see loadRegistry()
+ * @param {string} sender Deploying account
+ * @param {{deterministic: boolean}} options Options of runManifest()
+ */
+async function existingDeployment(hre, step, registry, sender, options) {
+  const known = registry.contracts[step.id];
+  if (!known) {
+    return null;
+  }
+  if (options.deterministic && isDeterministic(step)) {
+    const { address } = await predict(hre, sender, saltFor(hre, step));
+    if (known.address.toLowerCase() !== address.toLowerCase()) {
+      return null;
+    }
+  }
+  return (await hasCode(hre.ethers.provider, known.address)) ? known.address : null;
+}
+
+/**
+ * @notice Deploy and configure everything declared in a manifest
+ * @param hre Hardhat runtime environment
+ * @param {import("./manifest").Manifest} manifest
+ * @param {Object} [options]
+ * @param {boolean} [options.deterministic] Deploy `create2` steps at their predicted addresses
+ *   (see scripts/lib/create2.js); a recorded deployment elsewhere is replaced
+ * @return {Promise<Object<string, string>>} Contract id => address
+ */
+async function runManifest(hre, manifest, options = {}) {
+  validateManifest(manifest);
+
+  const networkName = hre.network.name;
+  const [signer] = await hre.ethers.getSigners();
+  const registry = loadRegistry(networkName);
+  const context = {
+    deployer: signer.address,
+    addresses: {},
+    steps: Object.fromEntries(manifest.contracts.map((step) => [step.id, step])),
+    checkpoint: loadCheckpoint(networkName)
+  };
+
+  const mode = options.deterministic ? " (deterministic)" : "";
+  console.log(`Deploying manifest to ${networkName}${mode} with account ${signer.address}`);
+  if (context.checkpoint.startedAt) {
+    console.log(`  resuming the run started at ${context.checkpoint.startedAt}`);
+  }
+
+  for (const step of manifest.contracts) {
+    const existing = await existingDeployment(hre, step, registry, signer.address, options);
+    if (existing) {
+      context.addresses[step.id] = existing;
+      console.log(`  = ${step.id} already deployed at ${existing}`);
+      continue;
+    }
+    const recovered = await recoverDeployment(hre, step, context);
+    if (recovered) {
+      context.addresses[step.id] = recovered;
+      console.log(`  = ${step.id} deployed at ${recovered} by the interrupted run`);
+      continue;
+    }
+
+    const address = options.deterministic && isDeterministic(step)
+      ? await deployStepDeterministic(hre, step, context)
+      : await deployStep(hre, step, context);
+    context.addresses[step.id] = address;
+    markDone(context.checkpoint, stepKey("deploy", step), { address });
+    console.log(`  + ${step.id} (${step.contract}) deployed at ${address}`);
+  }
+
+  for (const step of manifest.wiring || []) {
+    const label = `${step.target}.${step.method}`;
+    if (await wireStep(hre, step, context)) {
+      console.log(`  + ${label} applied`);
+    } else {
+      console.log(`  = ${label} already applied`);
+    }
+  }
+
+  for (const step of manifest.funding || []) {
+    if (await fundStep(hre, step, context, signer)) {
+      console.log(`  + ${step.target} funded with ${step.amount} of ${resolve(step.token, context)}`);
+    } else {
+      console.log(`  = ${step.target} already funded`);
+    }
+  }
+
+  clearCheckpoint(networkName);
+  return context.addresses;
+}
+
+module.exports = {
+  ERC20_ABI,
+  existingDeployment,
+  runManifest
+};
@@ -0,0 +1,175 @@
+// Sends transactions with the fee strategy of the network (config/fees.js): legacy or
+// EIP-1559 fees, a gas limit estimated with a safety margin, and the same nonce resent
+// with bumped fees when a node rejects it as underpriced or it is not mined in time.
+//
+// Every deploy script and tokeniq:* task sends through deployContract() and sendCall()
+// instead of factory.deploy() / contract.method() so no script hand-rolls gas settings.
+
+const { getFeeStrategy } = require("../../config/fees");
+
+const RETRYABLE_CODES = ["REPLACEMENT_UNDERPRICED", "TIMEOUT"];
+const RETRYABLE_MESSAGES = [
+  "underpriced",
+  "replacement fee too low",
+  "fee too low",
+  "max fee per gas less than block base fee"
+];
+
+function maxBigInt(...values) {
+  return values.reduce((max, value) => (value > max ? value : max), 0n);
+}
+
+function bump(value, percent) {
+  return (value * BigInt(100 + percent) + 99n) / 100n;
+}
+
+function isRetryable(error) {
+  const message = String(error.shortMessage || error.message).toLowerCase();
+  return RETRYABLE_CODES.includes(error.code) || RETRYABLE_MESSAGES.some((text) => message.includes(text));
+}
+
+/**
+ * @notice Fee fields for the next transaction on the network hardhat is connected to
+ * @param hre Hardhat runtime environment
+ * @param {import("../../config/fees").FeeStrategy} [strategy] Defaults to the network's strategy
+ * @return {Promise<Object>} `{ type: 0, gasPrice }` or `{ type: 2, maxFeePerGas, maxPriorityFeePerGas }`
+ */
+async function feeOverrides(hre, strategy = getFeeStrategy(hre.network.name)) {
+  const feeData = await hre.ethers.provider.getFeeData();
+
+  if (strategy.type === "eip1559" && feeData.maxFeePerGas !== null) {
+    const maxPriorityFeePerGas = maxBigInt(feeData.maxPriorityFeePerGas ?? 0n, strategy.minPriorityFee ?? 0n);
+    return {
+      type: 2,
+      maxFeePerGas: maxBigInt(feeData.maxFeePerGas, maxPriorityFeePerGas),
+      maxPriorityFeePerGas
+    };
+  }
+  return { type: 0, gasPrice: maxBigInt(feeData.gasPrice ?? 0n, strategy.minGasPrice ?? 0n) };
+}
+
+/**
+ * @notice Increase fee fields enough for a node to accept them as a replacement
+ */
+function bumpFees(fees, percent) {
+  if (fees.type === 2) {
+    return {
+      ...fees,
+      maxFeePerGas: bump(fees.maxFeePerGas, percent),
+      maxPriorityFeePerGas: bump(fees.maxPriorityFeePerGas, percent)
+    };
+  }
+  return { ...fees, gasPrice: bump(fees.gasPrice, percent) };
+}
+
+/**
+ * @notice Estimated gas of a transaction request times the network's safety margin
+ * @param hre Hardhat runtime environment
+ * @param {Object} request Transaction request including `from`
+ */
+async function estimateGasLimit(hre, request, strategy = getFeeStrategy(hre.network.name)) {
+  const estimate = await hre.ethers.provider.estimateGas(request);
+  return (estimate * BigInt(Math.round(strategy.gasMargin * 100))) / 100n;
+}
+
+/**
+ * @notice Send a transaction with the network's fee strategy and wait for its receipt
+ * @param hre Hardhat runtime environment
+ * @param signer Account sending the transaction
+ * @param {Object} request `to`, `data`, `value`; an explicit `gasLimit` skips the estimate
+ * @param {Object} [options]
+ * @param {function} [options.onSent] Called with every transaction sent, before waiting for it
+ * @return {Promise<{tx: Object, receipt: Object}>} The mined transaction, possibly a replacement
+ */
+async function sendTransaction(hre, signer, request, options = {}) {
+  const { provider } = hre.ethers;
+  const strategy = getFeeStrategy(hre.network.name);
+  const gasLimit = request.gasLimit ?? (await estimateGasLimit(hre, { ...request, from: signer.address }, strategy));
+  const nonce = await signer.getNonce("pending");
+
+  let fees = await feeOverrides(hre, strategy);
+  const sent = [];
+  for (let attempt = 1; ; attempt++) {
+    try {
+      const tx = await signer.sendTransaction({ ...request, gasLimit, nonce, ...fees });
+      sent.push(tx);
+      if (options.onSent) {
+        options.onSent(tx);
+      }
+      const receipt = await tx.wait(strategy.confirmations, strategy.confirmationTimeout);
+      return { tx, receipt };
+    } catch (error) {
+      // ethers follows our own resend of the same nonce
+      if (error.code === "TRANSACTION_REPLACED" && !error.cancelled) {
+        return { tx: error.replacement, receipt: error.receipt };
+      }
+      if (error.code === "CALL_EXCEPTION") {
+        throw error;
+      }
+
+      // An earlier attempt may have been mined in the meantime ("nonce too low")
+      for (const previous of sent) {
+        const receipt = await provider.getTransactionReceipt(previous.hash);
+        if (receipt) {
+          if (receipt.status === 0) {
+            throw new Error(`Transaction ${previous.hash} reverted`);
+          }
+          return { tx: previous, receipt };
+        }
+      }
+
+      if (!isRetryable(error) || attempt >= strategy.maxAttempts) {
+        throw error;
+      }
+      const fresh = await feeOverrides(hre, strategy);
+      const bumped = bumpFees(fees, strategy.bumpPercent);
+      fees =
+        fees.type === 2
+          ? {
+              ...bumped,
+              maxFeePerGas: maxBigInt(bumped.maxFeePerGas, fresh.maxFeePerGas ?? 0n),
+              maxPriorityFeePerGas: maxBigInt(bumped.maxPriorityFeePerGas, fresh.maxPriorityFeePerGas ?? 0n)
+            }
+          : { ...bumped, gasPrice: maxBigInt(bumped.gasPrice, fresh.gasPrice ?? 0n) };
+      console.log(`  ${error.code || "rejected"} (nonce ${nonce}), resending with ${strategy.bumpPercent}% higher fees`);
+    }
+  }
+}
+
+/**
+ * @notice Deploy a contract with the network's fee strategy
+ * @param hre Hardhat runtime environment
+ * @param factory Contract factory connected to the deploying signer
+ * @param {Array} [args] Constructor arguments
+ * @param {Object} [options] See sendTransaction()
+ * @return Deployed contract; deploymentTransaction() is the mined transaction
+ */
+async function deployContract(hre, factory, args = [], options = {}) {
+  const request = await factory.getDeployTransaction(...args);
+  const { tx, receipt } = await sendTransaction(hre, factory.runner, request, options);
+  return new hre.ethers.BaseContract(receipt.contractAddress, factory.interface, factory.runner, tx);
+}
+
+/**
+ * @notice Call a state changing function with the network's fee strategy
+ * @param hre Hardhat runtime environment
+ * @param contract Contract connected to a signer
+ * @param {string} method Function name or signature
+ * @param {Array} [args] Function arguments
+ * @param {Object} [options] See sendTransaction()
+ * @return {Promise<Object>} Transaction receipt
+ */
+async function sendCall(hre, contract, method, args = [], options = {}) {
+  const request = await contract[method].populateTransaction(...args);
+  const { receipt } = await sendTransaction(hre, contract.runner, request, options);
+  return receipt;
+}
+
+module.exports = {
+  feeOverrides,
+  bumpFees,
+  estimateGasLimit,
+  sendTransaction,
+  deployContract,
+  sendCall
+};
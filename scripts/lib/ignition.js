@@ -0,0 +1,203 @@
+// Hardhat Ignition deployments of the per-network modules in ignition/modules/<network>.js,
+// with their parameters in ignition/parameters/<network>.json.
+//
+// Ignition journals its own state (ignition/deployments/chain-<chainId>/); the contracts it
+// deployed are copied into the deployment registry afterwards, so the tokeniq:* tasks, the
+// audit, the verification and the upgrade flow keep working on Ignition deployments. The
+// module futures use the registry ids of the network's manifest, which tells which future is
+// which contract; the journal gives their constructor arguments and creation transactions.
+
+const fs = require("fs");
+const path = require("path");
+const { ADDRESS_BOOK } = require("../../config/addressBook");
+const { loadManifest } = require("../../config/manifests");
+const { MODULE_ID } = require("../../ignition/modules/shared");
+const { loadRegistry, recordDeployment } = require("./registry");
+
+const IGNITION_DIR = path.join(__dirname, "../../ignition");
+
+// Parameters that repeat an address book entry, checked against it before deploying
+const ADDRESS_BOOK_PARAMETERS = {
+  ccipRouter: (chain) => chain.ccip && chain.ccip.router,
+  link: (chain) => chain.ccip && chain.ccip.link,
+  aaveUnderlying: (chain) => chain.aave && chain.aave.underlying,
+  aaveAToken: (chain) => chain.aave && chain.aave.aToken,
+  aavePool: (chain) => chain.aave && chain.aave.pool,
+  aavePriceFeed: (chain) => chain.aave && chain.aave.priceFeed
+};
+
+// Bigints as Ignition writes them: "123n" in parameter files, { _kind: "bigint" } in journals
+function reviveBigInts(key, value) {
+  if (typeof value === "string" && /^\d+n$/.test(value)) {
+    return BigInt(value.slice(0, -1));
+  }
+  if (value && value._kind === "bigint") {
+    return BigInt(value.value);
+  }
+  return value;
+}
+
+async function deploymentDir(hre, deploymentId) {
+  const { chainId } = await hre.ethers.provider.getNetwork();
+  return path.join(IGNITION_DIR, "deployments", deploymentId || `chain-${chainId}`);
+}
+
+/**
+ * @notice Path of the Ignition module of a network
+ * @param {string} networkName Name of the network in hardhat.config.js
+ */
+function modulePath(networkName) {
+  const file = path.join(IGNITION_DIR, "modules", `${networkName}.js`);
+  if (!fs.existsSync(file)) {
+    throw new Error(`No Ignition module for network "${networkName}" (${file})`);
+  }
+  return file;
+}
+
+/**
+ * @notice Module parameters of a network, with "123n" strings read as bigints like the
+ * Ignition CLI does; empty when the network has no parameter file
+ * @param {string} networkName Name of the network in hardhat.config.js
+ */
+function loadParameters(networkName) {
+  const file = path.join(IGNITION_DIR, "parameters", `${networkName}.json`);
+  if (!fs.existsSync(file)) {
+    return {};
+  }
+  return JSON.parse(fs.readFileSync(file), reviveBigInts);
+}
+
+/**
+ * @notice Parameters that differ from the network's address book entry
+ * @return {Array<string>} One line per mismatch; none on networks without an entry (hardhat,
+ *   localhost, seitestnet), whose modules take no external address
+ */
+function checkParameters(networkName, parameters) {
+  const values = parameters[MODULE_ID] || {};
+  const chain = ADDRESS_BOOK[networkName];
+  if (!chain) {
+    return [];
+  }
+  const mismatches = [];
+  for (const [name, lookup] of Object.entries(ADDRESS_BOOK_PARAMETERS)) {
+    const expected = lookup(chain);
+    if (values[name] !== undefined && expected && values[name].toLowerCase() !== expected.toLowerCase()) {
+      mismatches.push(`${name} is ${values[name]}, config/addressBook.js has ${expected}`);
+    }
+  }
+  return mismatches;
+}
+
+/**
+ * @notice Addresses of the futures of a deployment started with the Ignition CLI, by future id
+ * @param hre Hardhat runtime environment
+ * @param {string} [deploymentId] Defaults to Ignition's chain-<chainId>
+ */
+async function deployedAddresses(hre, deploymentId) {
+  const directory = await deploymentDir(hre, deploymentId);
+  const file = path.join(directory, "deployed_addresses.json");
+  if (!fs.existsSync(file)) {
+    throw new Error(`No Ignition deployment "${path.basename(directory)}" (${file})`);
+  }
+  const prefix = `${MODULE_ID}#`;
+  return Object.fromEntries(
+    Object.entries(JSON.parse(fs.readFileSync(file)))
+      .filter(([futureId]) => futureId.startsWith(prefix))
+      .map(([futureId, address]) => [futureId.slice(prefix.length), address])
+  );
+}
+
+/**
+ * @notice What the journal of an Ignition deployment says about its futures, by future id
+ * @param hre Hardhat runtime environment
+ * @param {string} [deploymentId] Defaults to Ignition's chain-<chainId>
+ * @return {Promise<Object<string, Object>>} `constructorArgs`, and `txHash` and `blockNumber`
+ *   once mined, of the deployments; `args` of the encoded function calls. Empty when there is
+ *   no journal, as for deployments to the in-process hardhat network.
+ */
+async function readJournal(hre, deploymentId) {
+  const file = path.join(await deploymentDir(hre, deploymentId), "journal.jsonl");
+  if (!fs.existsSync(file)) {
+    return {};
+  }
+  const futures = {};
+  for (const line of fs.readFileSync(file, "utf8").split("\n")) {
+    if (!line.trim()) {
+      continue;
+    }
+    const message = JSON.parse(line, reviveBigInts);
+    if (message.type === "DEPLOYMENT_EXECUTION_STATE_INITIALIZE") {
+      futures[message.futureId] = { constructorArgs: message.constructorArgs };
+    } else if (message.type === "ENCODE_FUNCTION_CALL_EXECUTION_STATE_INITIALIZE") {
+      futures[message.futureId] = { args: message.args };
+    } else if (
+      message.type === "TRANSACTION_CONFIRM" &&
+      message.receipt.status === "SUCCESS" &&
+      futures[message.futureId]
+    ) {
+      Object.assign(futures[message.futureId], { txHash: message.hash, blockNumber: message.receipt.blockNumber });
+    }
+  }
+  return futures;
+}
+
+/**
+ * @notice Record the contracts of an Ignition deployment in the network's registry, with the
+ * constructor arguments and creation transactions of its journal. Proxies are also imported
+ * into hardhat-upgrades so tokeniq:upgrade can validate their upgrades.
+ * @param hre Hardhat runtime environment
+ * @param {Object<string, string>} addresses Deployed addresses by future id
+ * @param {string} [deploymentId] Ignition deployment id, defaults to chain-<chainId>
+ * @return {Promise<Array<string>>} Ids recorded, contracts already recorded at the same
+ *   address are left untouched
+ */
+async function recordIgnitionDeployment(hre, addresses, deploymentId) {
+  const registry = loadRegistry(hre.network.name);
+  const journal = await readJournal(hre, deploymentId);
+  const future = (id) => journal[`${MODULE_ID}#${id}`] || {};
+  const recorded = [];
+
+  for (const step of loadManifest(hre.network.name).contracts) {
+    const address = addresses[step.id];
+    const known = registry.contracts[step.id];
+    if (!address || (known && known.address.toLowerCase() === address.toLowerCase())) {
+      continue;
+    }
+
+    // Proxies were created by their ${id}Proxy future, created contracts by their parent
+    const created = future(step.proxy ? `${step.id}Proxy` : step.from ? step.from.id : step.id);
+    const record = {
+      contract: step.contract,
+      address,
+      txHash: created.txHash,
+      blockNumber: created.blockNumber,
+      constructorArgs: step.proxy || step.from ? [] : created.constructorArgs
+    };
+    if (step.from) {
+      record.createdBy = step.from;
+    }
+    if (step.proxy) {
+      await hre.upgrades.forceImport(address, await hre.ethers.getContractFactory(step.contract), {
+        kind: step.proxy.kind
+      });
+      record.proxy = {
+        kind: step.proxy.kind,
+        implementation: await hre.upgrades.erc1967.getImplementationAddress(address),
+        initializer: step.proxy.initializer,
+        initializerArgs: future(`${step.id}InitializeData`).args ?? null
+      };
+    }
+    await recordDeployment(hre, step.id, record);
+    recorded.push(step.id);
+  }
+  return recorded;
+}
+
+module.exports = {
+  modulePath,
+  loadParameters,
+  checkParameters,
+  deployedAddresses,
+  readJournal,
+  recordIgnitionDeployment
+};
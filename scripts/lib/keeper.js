@@ -0,0 +1,227 @@
+// Local stand-in for Chainlink Automation.
+//
+// Upkeeps are contracts implementing AutomationCompatibleInterface (VaultManager,
+// TreasuryAIManager, MockTreasuryAIManager). Like the Automation network, the keeper calls
+// checkUpkeep(checkData) off-chain and, when an upkeep is needed, simulates performUpkeep with
+// the returned performData before sending it, so a perform that would revert is reported
+// without spending gas. An upkeep registered with an interval is checked at most once per
+// interval of chain time (a time-based upkeep); the others are checked on every new block.
+//
+// Tests drive it with runOnce() and advance(seconds); a long-running node with watch().
+
+const { Contract } = require("ethers");
+const { decodeRevert } = require("../../sdk/errors");
+
+const AUTOMATION_ABI = [
+  "function checkUpkeep(bytes checkData) view returns (bool upkeepNeeded, bytes performData)",
+  "function performUpkeep(bytes performData)"
+];
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+function revertMessage(error, interfaces) {
+  const decoded = decodeRevert(error, interfaces);
+  return decoded ? decoded.reason : error.shortMessage || error.message;
+}
+
+/**
+ * @typedef {Object} UpkeepRun
+ * @property {string} upkeep Name the upkeep was registered under
+ * @property {number} blockNumber Block the check ran against
+ * @property {number} timestamp Timestamp of that block
+ * @property {string} status "performed", "not-needed", "check-failed", "simulation-failed" or "reverted"
+ * @property {string} [performData]
+ * @property {string} [txHash]
+ * @property {bigint} [gasUsed]
+ * @property {bigint} [fee] gasUsed * effectiveGasPrice, in wei
+ * @property {string} [error] Revert reason of a failed check, simulation or transaction
+ */
+
+/**
+ * @notice Create a keeper
+ * @param {Object} signer Account that sends performUpkeep
+ * @param {Object} [options]
+ * @param {bigint} [options.gasLimit] performUpkeep gas limit, estimated by default
+ * @param {function(string): void} [options.log]
+ * @return {Object} { register, unregister, runOnce, advance, watch, stop, history, summary }
+ */
+function createKeeper(signer, { gasLimit, log = console.log } = {}) {
+  const provider = signer.provider;
+  const upkeeps = new Map();
+  const history = [];
+  let lastBlock = -1;
+  let stopped = false;
+
+  /**
+   * @notice Register an upkeep
+   * @param {string} name Label used in logs and history
+   * @param {string|Object} target Upkeep contract or its address
+   * @param {Object} [options]
+   * @param {string} [options.checkData="0x"]
+   * @param {number} [options.interval] Seconds of chain time between checks, every block by default
+   * @param {Array<Object>} [options.interfaces] ethers Interfaces to decode custom errors with,
+   *   those of the contracts the upkeep calls into; the target's own when it is a contract
+   */
+  async function register(name, target, { checkData = "0x", interval, interfaces = [] } = {}) {
+    if (upkeeps.has(name)) {
+      throw new Error(`Upkeep ${name} is already registered`);
+    }
+    const address = typeof target === "string" ? target : await target.getAddress();
+    upkeeps.set(name, {
+      name,
+      address,
+      contract: new Contract(address, AUTOMATION_ABI, signer),
+      checkData,
+      interval,
+      interfaces: typeof target === "string" ? interfaces : [target.interface, ...interfaces],
+      lastCheck: undefined
+    });
+    log(`Registered ${name} (${address})${interval ? `, every ${interval}s` : ", every block"}`);
+  }
+
+  function isDue(upkeep, timestamp) {
+    return !upkeep.interval || upkeep.lastCheck === undefined || timestamp >= upkeep.lastCheck + upkeep.interval;
+  }
+
+  async function runUpkeep(upkeep, block) {
+    const run = { upkeep: upkeep.name, blockNumber: block.number, timestamp: block.timestamp };
+    upkeep.lastCheck = block.timestamp;
+
+    let upkeepNeeded;
+    let performData;
+    try {
+      [upkeepNeeded, performData] = await upkeep.contract.checkUpkeep(upkeep.checkData, { blockTag: block.number });
+    } catch (error) {
+      return { ...run, status: "check-failed", error: revertMessage(error, upkeep.interfaces) };
+    }
+    if (!upkeepNeeded) {
+      return { ...run, status: "not-needed" };
+    }
+
+    run.performData = performData;
+    try {
+      await upkeep.contract.performUpkeep.staticCall(performData);
+    } catch (error) {
+      return { ...run, status: "simulation-failed", error: revertMessage(error, upkeep.interfaces) };
+    }
+    try {
+      const tx = await upkeep.contract.performUpkeep(performData, gasLimit ? { gasLimit } : {});
+      const receipt = await tx.wait();
+      return {
+        ...run,
+        status: "performed",
+        txHash: receipt.hash,
+        gasUsed: receipt.gasUsed,
+        fee: receipt.gasUsed * (receipt.gasPrice ?? 0n)
+      };
+    } catch (error) {
+      const { hash } = error.receipt || {};
+      return { ...run, status: "reverted", txHash: hash, error: revertMessage(error, upkeep.interfaces) };
+    }
+  }
+
+  function report(run) {
+    if (run.status === "performed") {
+      log(`✅ ${run.upkeep} performed in block ${run.blockNumber}: ${run.gasUsed} gas (${run.txHash})`);
+    } else if (run.status !== "not-needed") {
+      log(`❌ ${run.upkeep} ${run.status} in block ${run.blockNumber}: ${run.error}`);
+    }
+  }
+
+  /**
+   * @notice Check every due upkeep against the latest block and perform the ones needed
+   * @return {Promise<UpkeepRun[]>} The runs, also appended to history
+   */
+  async function runOnce() {
+    const block = await provider.getBlock("latest");
+    lastBlock = block.number;
+    const runs = [];
+    for (const upkeep of upkeeps.values()) {
+      if (!isDue(upkeep, block.timestamp)) {
+        continue;
+      }
+      const run = await runUpkeep(upkeep, block);
+      report(run);
+      history.push(run);
+      runs.push(run);
+    }
+    return runs;
+  }
+
+  /**
+   * @notice Move the chain clock forward and run the due upkeeps, for tests and simulations
+   * @dev Needs a Hardhat network (evm_increaseTime, evm_mine)
+   * @param {number} seconds
+   * @param {Object} [options]
+   * @param {number} [options.step=seconds] Run the upkeeps every `step` seconds along the way
+   * @return {Promise<UpkeepRun[]>}
+   */
+  async function advance(seconds, { step = seconds } = {}) {
+    if (!(step > 0)) {
+      throw new Error("advance needs a positive step");
+    }
+    const runs = [];
+    for (let elapsed = 0; elapsed < seconds; elapsed += step) {
+      await provider.send("evm_increaseTime", [Math.min(step, seconds - elapsed)]);
+      await provider.send("evm_mine", []);
+      runs.push(...(await runOnce()));
+    }
+    return runs;
+  }
+
+  /**
+   * @notice Run the upkeeps on every new block until stop() is called
+   * @param {Object} [options]
+   * @param {number} [options.pollMs=1000] How often to look for a new block
+   */
+  async function watch({ pollMs = 1000 } = {}) {
+    stopped = false;
+    while (!stopped) {
+      if ((await provider.getBlockNumber()) !== lastBlock) {
+        await runOnce();
+      }
+      if (!stopped) {
+        await sleep(pollMs);
+      }
+    }
+  }
+
+  /**
+   * @notice Outcomes and gas per upkeep
+   * @return {Object[]} { upkeep, checks, performed, failed, gasUsed, fee } per registered upkeep
+   */
+  function summary() {
+    return [...upkeeps.keys()].map((name) => {
+      const runs = history.filter((run) => run.upkeep === name);
+      const performed = runs.filter((run) => run.status === "performed");
+      return {
+        upkeep: name,
+        checks: runs.length,
+        performed: performed.length,
+        failed: runs.filter((run) => !["performed", "not-needed"].includes(run.status)).length,
+        gasUsed: performed.reduce((total, run) => total + run.gasUsed, 0n),
+        fee: performed.reduce((total, run) => total + run.fee, 0n)
+      };
+    });
+  }
+
+  return {
+    register,
+    unregister(name) {
+      upkeeps.delete(name);
+    },
+    runOnce,
+    advance,
+    watch,
+    stop() {
+      stopped = true;
+    },
+    history,
+    summary
+  };
+}
+
+module.exports = {
+  AUTOMATION_ABI,
+  createKeeper
+};
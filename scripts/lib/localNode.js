@@ -0,0 +1,195 @@
+// Local Hardhat node for scripts that run against `--network localhost` (simulations,
+// profiling): started as a child `hardhat node` process or inside the current process, then
+// polled over JSON-RPC until it answers. What the node prints goes to a log file.
+
+const fs = require("fs");
+const path = require("path");
+const http = require("http");
+const { spawn } = require("child_process");
+
+// URL of hardhat's built-in localhost network
+const LOCALHOST_URL = "http://127.0.0.1:8545";
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * @notice Path of the hardhat CLI, run with the current node binary so that no shell or
+ * `npx` wrapper (`npx.cmd` on Windows) is involved
+ */
+function hardhatCli() {
+  const pkg = require("hardhat/package.json");
+  const bin = typeof pkg.bin === "string" ? pkg.bin : pkg.bin.hardhat;
+  return path.join(path.dirname(require.resolve("hardhat/package.json")), bin);
+}
+
+/**
+ * @notice Send one JSON-RPC request
+ * @return {Promise<*>} The result
+ */
+function rpcRequest(url, method, params = [], timeout = 2000) {
+  const body = JSON.stringify({ jsonrpc: "2.0", id: 1, method, params });
+  return new Promise((resolve, reject) => {
+    const request = http.request(
+      url,
+      { method: "POST", headers: { "Content-Type": "application/json", "Content-Length": Buffer.byteLength(body) }, timeout },
+      (response) => {
+        let data = "";
+        response.on("data", (chunk) => (data += chunk));
+        response.on("end", () => {
+          try {
+            const payload = JSON.parse(data);
+            return payload.error ? reject(new Error(payload.error.message)) : resolve(payload.result);
+          } catch (error) {
+            return reject(error);
+          }
+        });
+      }
+    );
+    request.on("timeout", () => request.destroy(new Error(`${method} timed out`)));
+    request.on("error", reject);
+    request.end(body);
+  });
+}
+
+/**
+ * @notice Poll a node until it answers eth_chainId
+ * @param {string} url
+ * @param {Object} [options]
+ * @param {number} [options.timeout=60000] Milliseconds before giving up
+ * @param {function(): boolean} [options.exited] Stops waiting when it returns true
+ * @return {Promise<number>} Chain id
+ */
+async function waitForRpc(url, { timeout = 60000, exited = () => false } = {}) {
+  const deadline = Date.now() + timeout;
+  for (;;) {
+    if (exited()) {
+      throw new Error("The node exited before answering, see its log");
+    }
+    try {
+      return Number(await rpcRequest(url, "eth_chainId"));
+    } catch (error) {
+      if (Date.now() > deadline) {
+        throw new Error(`No JSON-RPC answer from ${url} after ${timeout / 1000}s (${error.message})`);
+      }
+    }
+    await sleep(250);
+  }
+}
+
+/**
+ * @typedef {Object} LocalNode
+ * @property {string} url
+ * @property {string} mode "spawned" or "in-process"
+ * @property {number} [pid] Process id of a spawned node
+ * @property {function(string|Buffer): void} print Writes to the terminal; in-process nodes take
+ *   over process.stdout for their log
+ * @property {function(): Promise<void>} stop
+ */
+
+async function spawnNode(logFile, timeout) {
+  const log = fs.openSync(logFile, "w");
+  const child = spawn(process.execPath, [hardhatCli(), "node"], { stdio: ["ignore", log, log] });
+  let exited = false;
+  const exit = new Promise((resolve) => child.on("exit", resolve));
+  exit.then(() => (exited = true));
+
+  const stop = async () => {
+    if (!exited) {
+      child.kill();
+      // Give the node a moment to shut down, then force it
+      if ((await Promise.race([exit.then(() => true), sleep(10000)])) !== true) {
+        child.kill("SIGKILL");
+        await exit;
+      }
+    }
+    fs.closeSync(log);
+  };
+
+  try {
+    await waitForRpc(LOCALHOST_URL, { timeout, exited: () => exited });
+  } catch (error) {
+    await stop();
+    throw error;
+  }
+  return {
+    url: LOCALHOST_URL,
+    mode: "spawned",
+    pid: child.pid,
+    print: (text) => process.stdout.write(text),
+    stop
+  };
+}
+
+async function startInProcessNode(logFile, timeout) {
+  const hre = require("hardhat");
+  const { TASK_NODE_CREATE_SERVER } = require("hardhat/builtin-tasks/task-names");
+  const log = fs.createWriteStream(logFile);
+
+  // The in-process network prints the calls it serves to stdout: send them to the log file
+  const terminal = process.stdout.write.bind(process.stdout);
+  process.stdout.write = (chunk, encoding, callback) => log.write(chunk, encoding, callback);
+  const restore = () => {
+    process.stdout.write = terminal;
+  };
+
+  let server;
+  try {
+    await hre.network.provider.request({ method: "hardhat_setLoggingEnabled", params: [true] });
+    server = await hre.run(TASK_NODE_CREATE_SERVER, {
+      hostname: "127.0.0.1",
+      port: 8545,
+      provider: hre.network.provider
+    });
+    await server.listen();
+    await waitForRpc(LOCALHOST_URL, { timeout });
+  } catch (error) {
+    if (server) {
+      await server.close();
+    }
+    restore();
+    log.end();
+    throw error;
+  }
+
+  return {
+    url: LOCALHOST_URL,
+    mode: "in-process",
+    print: terminal,
+    stop: async () => {
+      await server.close();
+      restore();
+      await new Promise((resolve) => log.end(resolve));
+    }
+  };
+}
+
+/**
+ * @notice Start a node on the localhost network's port
+ * @param {Object} options
+ * @param {string} options.logFile Where the node output goes, overwritten
+ * @param {boolean} [options.inProcess=false] Serve the in-process hardhat network instead of
+ *   spawning `hardhat node`
+ * @param {number} [options.timeout=60000] Milliseconds to wait for the node to answer
+ * @return {Promise<LocalNode>}
+ */
+async function startLocalNode({ logFile, inProcess = false, timeout = 60000 }) {
+  // Scripts would otherwise run against whatever state that node has
+  const answering = await rpcRequest(LOCALHOST_URL, "eth_chainId").then(
+    () => true,
+    () => false
+  );
+  if (answering) {
+    throw new Error(`A node already answers on ${LOCALHOST_URL}, stop it first`);
+  }
+
+  fs.mkdirSync(path.dirname(logFile), { recursive: true });
+  return inProcess ? startInProcessNode(logFile, timeout) : spawnNode(logFile, timeout);
+}
+
+module.exports = {
+  LOCALHOST_URL,
+  hardhatCli,
+  rpcRequest,
+  waitForRpc,
+  startLocalNode
+};
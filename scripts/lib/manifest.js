@@ -0,0 +1,171 @@
+// Helpers for declaring deployment manifests (see config/manifests/)
+//
+// A manifest describes, for one network, which contracts to deploy and which
+// configuration calls to make once they exist:
+//
+//   module.exports = {
+//     contracts: [
+//       { id: "TreasuryAIManager", contract: "TreasuryAIManager" },
+//       {
+//         id: "VaultFactory",
+//         contract: "VaultFactory",
+//         proxy: { kind: "transparent", initializer: "initialize", args: [ref("TreasuryAIManager")] }
+//       },
+//       { id: "TokenizedInvoice", contract: "TokenizedInvoice", from: { id: "InvoiceRegistry", call: "tokenizedInvoice" } }
+//     ],
+//     wiring: [
+//       {
+//         target: "VaultFactory",
+//         method: "setTreasuryAIManager",
+//         args: [ref("TreasuryAIManager")],
+//         expect: { call: "treasuryAIManager", value: ref("TreasuryAIManager") }
+//       }
+//     ],
+//     funding: [{ target: "CrossChainRouterV3", token: LINK, amount: 5n * 10n ** 18n }]
+//   };
+//
+// Every wiring step carries an `expect` view call describing the on-chain state
+// once the step has been applied; the deployer skips steps whose expectation
+// already holds, which is what makes reruns idempotent.
+
+/**
+ * @typedef {Object} ContractStep
+ * @property {string} id Unique key for this deployment on the network
+ * @property {string} contract Artifact name passed to getContractFactory
+ * @property {Array} [args] Constructor arguments
+ * @property {{kind: ("uups"|"transparent"), initializer: string, args: Array}} [proxy]
+ *   Deploy behind an OpenZeppelin proxy instead of calling the constructor
+ * @property {{id: string, call: string}} [from]
+ *   Contract created by another contract; its address is read from `call` on `id`
+ * @property {(boolean|{salt: string})} [create2]
+ *   Same address on every chain when deploying in deterministic mode (scripts/lib/create2.js);
+ *   the salt defaults to the id
+ */
+
+/**
+ * @typedef {Object} WiringStep
+ * @property {string} target Id of the contract to call
+ * @property {string} method Function to call on the target
+ * @property {Array} [args] Arguments for the call
+ * @property {{call: string, args: Array, value: *}} expect
+ *   View call on the target that returns `value` once the step has been applied
+ */
+
+/**
+ * @typedef {Object} FundingStep
+ * @property {string} target Id of the contract to fund
+ * @property {*} token ERC20 address or ref() of the token sent from the deployer
+ * @property {bigint} amount Balance the target must hold; only the difference is transferred
+ */
+
+/**
+ * @typedef {Object} Manifest
+ * @property {ContractStep[]} contracts Deployed in declaration order
+ * @property {WiringStep[]} [wiring] Executed in declaration order after all deployments
+ * @property {FundingStep[]} [funding] Token balances topped up after the wiring
+ */
+
+/**
+ * @notice Placeholder for the address of another contract in the same manifest
+ * @param {string} id Id of the referenced contract step
+ */
+function ref(id) {
+  return { $ref: id };
+}
+
+/**
+ * @notice Placeholder for the address of the account running the deployment
+ */
+function deployer() {
+  return { $deployer: true };
+}
+
+/**
+ * @notice Replace ref()/deployer() placeholders with concrete addresses
+ * @param {*} value Argument, array or struct object from a manifest
+ * @param {{addresses: Object<string, string>, deployer: string}} context
+ */
+function resolve(value, context) {
+  if (Array.isArray(value)) {
+    return value.map((item) => resolve(item, context));
+  }
+  if (value && typeof value === "object") {
+    if (value.$ref) {
+      const address = context.addresses[value.$ref];
+      if (!address) {
+        throw new Error(`Manifest references "${value.$ref}" before it is deployed`);
+      }
+      return address;
+    }
+    if (value.$deployer) {
+      return context.deployer;
+    }
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [key, resolve(item, context)])
+    );
+  }
+  return value;
+}
+
+/**
+ * @notice Compare a value returned by a view call with the expected manifest value
+ */
+function matches(actual, expected) {
+  if (typeof expected === "string" && /^0x[0-9a-fA-F]{40}$/.test(expected)) {
+    return String(actual).toLowerCase() === expected.toLowerCase();
+  }
+  if (typeof actual === "bigint" || typeof expected === "bigint" || typeof expected === "number") {
+    return BigInt(actual) === BigInt(expected);
+  }
+  return actual === expected;
+}
+
+/**
+ * @notice Check a manifest for structural mistakes before sending any transaction
+ * @param {Manifest} manifest
+ */
+function validateManifest(manifest) {
+  const ids = new Set();
+
+  for (const step of manifest.contracts || []) {
+    if (!step.id || !step.contract) {
+      throw new Error(`Contract step is missing an id or contract name: ${JSON.stringify(step)}`);
+    }
+    if (ids.has(step.id)) {
+      throw new Error(`Duplicate contract id "${step.id}" in manifest`);
+    }
+    if (step.create2 && step.from) {
+      throw new Error(`"${step.id}" is created by "${step.from.id}" and cannot use create2`);
+    }
+    if (step.from && !ids.has(step.from.id)) {
+      throw new Error(`"${step.id}" is created by "${step.from.id}", which must be declared first`);
+    }
+    ids.add(step.id);
+  }
+
+  for (const step of manifest.wiring || []) {
+    if (!ids.has(step.target)) {
+      throw new Error(`Wiring step ${step.method} targets unknown contract "${step.target}"`);
+    }
+    if (!step.expect) {
+      throw new Error(`Wiring step ${step.target}.${step.method} has no expect clause`);
+    }
+  }
+
+  for (const step of manifest.funding || []) {
+    if (!ids.has(step.target)) {
+      throw new Error(`Funding step targets unknown contract "${step.target}"`);
+    }
+    if (!step.token || step.amount === undefined) {
+      throw new Error(`Funding step for "${step.target}" needs a token and an amount`);
+    }
+  }
+}
+
+module.exports = {
+  ref,
+  deployer,
+  resolve,
+  matches,
+  validateManifest
+};
@@ -0,0 +1,36 @@
+// Access to the other networks of hardhat.config.js from a single hardhat run, for
+// scripts that compare state across chains.
+
+const LOCAL_NETWORKS = ["hardhat", "localhost"];
+
+/**
+ * @notice Read-only provider of a configured network, without switching the network
+ * hardhat runs on
+ * @param hre Hardhat runtime environment
+ * @param {string} networkName Name of the network in hardhat.config.js
+ */
+function providerFor(hre, networkName) {
+  if (networkName === hre.network.name) {
+    return hre.ethers.provider;
+  }
+  const config = hre.config.networks[networkName];
+  if (!config || !config.url) {
+    throw new Error(`Network "${networkName}" has no RPC url in hardhat.config.js`);
+  }
+  return new hre.ethers.JsonRpcProvider(config.url, config.chainId);
+}
+
+/**
+ * @notice Networks named in a comma separated environment variable, or the current one
+ * @param hre Hardhat runtime environment
+ * @param {string} [list] Value of the variable, e.g. process.env.AUDIT_NETWORKS
+ */
+function selectedNetworks(hre, list) {
+  return list ? list.split(",").map((name) => name.trim()).filter(Boolean) : [hre.network.name];
+}
+
+module.exports = {
+  LOCAL_NETWORKS,
+  providerFor,
+  selectedNetworks
+};
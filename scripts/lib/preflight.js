@@ -0,0 +1,308 @@
+// Pre-flight checks of a deployment manifest: lists the transactions the deployer would
+// still send, prices them with the network's fee strategy and compares the total with the
+// deployer's native balance, the tokens the funding steps need and the account's nonce.
+//
+// Deployments whose constructor cannot be simulated yet (arguments referring to contracts
+// that do not exist) and wiring of contracts not deployed yet use conservative defaults;
+// they are flagged as approximate in the report.
+//
+// Steps whose transaction an interrupted run sent (scripts/lib/checkpoint.js) are left out:
+// the rerun waits for that transaction instead of sending a new one, and it may still be
+// pending without blocking the deployment.
+
+const { resolve, matches, validateManifest } = require("./manifest");
+const { loadRegistry } = require("./registry");
+const { getFeeStrategy } = require("../../config/fees");
+const { feeOverrides, estimateGasLimit } = require("./fees");
+const { ERC20_ABI, existingDeployment } = require("./deployer");
+const { isDeterministic, deployerAddress } = require("./create2");
+const { loadCheckpoint, stepKey } = require("./checkpoint");
+
+const DEFAULT_CALL_GAS = 150000n;
+const TOKEN_TRANSFER_GAS = 65000n;
+// Proxy creation and initializer call, on top of the implementation
+const PROXY_GAS = { transparent: 1200000n, uups: 600000n };
+// DeploymentBootstrap creation and the ownership handover of a create2 step
+const CREATE2_OVERHEAD_GAS = 300000n;
+const DETERMINISTIC_DEPLOYER_GAS = 900000n;
+
+/**
+ * @typedef {Object} PlannedTransaction
+ * @property {string} label What the transaction does
+ * @property {bigint} gas Gas limit, safety margin included
+ * @property {boolean} estimated False when `gas` is a default rather than an estimate
+ */
+
+function withMargin(gas, strategy) {
+  return (gas * BigInt(Math.round(strategy.gasMargin * 100))) / 100n;
+}
+
+function isSent(context, key) {
+  const entry = context.checkpoint.steps[key];
+  return Boolean(entry && entry.status === "sent");
+}
+
+// Nonces of the account's pending transactions that an interrupted run checkpointed
+async function checkpointedNonces(hre, checkpoint, account) {
+  const nonces = new Set();
+  for (const entry of Object.values(checkpoint.steps)) {
+    if (entry.status !== "sent") {
+      continue;
+    }
+    for (const hash of entry.txHashes) {
+      const tx = await hre.ethers.provider.getTransaction(hash);
+      if (tx && tx.blockNumber === null && tx.from.toLowerCase() === account.toLowerCase()) {
+        nonces.add(tx.nonce);
+      }
+    }
+  }
+  return nonces;
+}
+
+// Unknown references resolve to the deployer so arguments can still be encoded
+function placeholderContext(context, manifest) {
+  const addresses = { ...context.addresses };
+  for (const step of manifest.contracts) {
+    addresses[step.id] = addresses[step.id] || context.deployer;
+  }
+  return { ...context, addresses };
+}
+
+async function estimateDeployment(hre, factory, args, from, strategy) {
+  const request = await factory.getDeployTransaction(...args);
+  try {
+    return { gas: await estimateGasLimit(hre, { ...request, from }, strategy), estimated: true };
+  } catch (error) {
+    // Roughly 200 gas per deployed byte plus calldata and the creation base cost
+    const size = BigInt((request.data.length - 2) / 2);
+    return { gas: withMargin(53000n + size * 216n, strategy), estimated: false };
+  }
+}
+
+async function planContracts(hre, manifest, context, registry, options, strategy) {
+  const { ethers } = hre;
+  const transactions = [];
+  const placeholders = placeholderContext(context, manifest);
+
+  if (options.deterministic && manifest.contracts.some(isDeterministic)) {
+    if ((await ethers.provider.getCode(await deployerAddress(hre))) === "0x") {
+      transactions.push({
+        label: "deploy DeterministicDeployer",
+        gas: withMargin(DETERMINISTIC_DEPLOYER_GAS, strategy),
+        estimated: false
+      });
+    }
+  }
+
+  for (const step of manifest.contracts) {
+    const existing = await existingDeployment(hre, step, registry, context.deployer, options);
+    if (existing) {
+      context.addresses[step.id] = existing;
+      continue;
+    }
+    if (step.from || isSent(context, stepKey("deploy", step))) {
+      continue;
+    }
+
+    const factory = await ethers.getContractFactory(step.contract);
+    const args = step.proxy ? [] : resolve(step.args || [], placeholders);
+    const implementation = step.proxy && context.checkpoint.steps[stepKey("implementation", step)];
+    // The interrupted run already sent the implementation of this proxy
+    const planned = implementation
+      ? { gas: 0n, estimated: false }
+      : await estimateDeployment(hre, factory, args, context.deployer, strategy);
+    if (step.proxy) {
+      planned.gas += withMargin(PROXY_GAS[step.proxy.kind], strategy);
+      planned.estimated = false;
+    }
+    if (options.deterministic && isDeterministic(step)) {
+      planned.gas += withMargin(CREATE2_OVERHEAD_GAS, strategy);
+    }
+    transactions.push({ label: `deploy ${step.id}`, ...planned });
+  }
+
+  return transactions;
+}
+
+async function planWiring(hre, manifest, context, strategy) {
+  const transactions = [];
+
+  for (const step of manifest.wiring || []) {
+    if (isSent(context, stepKey("wire", step))) {
+      continue;
+    }
+    const label = `${step.target}.${step.method}`;
+    const address = context.addresses[step.target];
+    let args;
+    try {
+      args = resolve(step.args || [], context);
+    } catch (error) {
+      args = null;
+    }
+    if (!address || !args) {
+      transactions.push({ label, gas: withMargin(DEFAULT_CALL_GAS, strategy), estimated: false });
+      continue;
+    }
+
+    const target = await hre.ethers.getContractAt(context.steps[step.target].contract, address);
+    const expectArgs = resolve(step.expect.args || [], context);
+    if (matches(await target[step.expect.call](...expectArgs), resolve(step.expect.value, context))) {
+      continue;
+    }
+    try {
+      const request = await target[step.method].populateTransaction(...args);
+      const gas = await estimateGasLimit(hre, { ...request, from: context.deployer }, strategy);
+      transactions.push({ label, gas, estimated: true });
+    } catch (error) {
+      // Usually a step that depends on an earlier, not yet applied one
+      transactions.push({ label, gas: withMargin(DEFAULT_CALL_GAS, strategy), estimated: false });
+    }
+  }
+
+  return transactions;
+}
+
+// Token amounts the deployer has to send, by token address
+async function planFunding(hre, manifest, context, strategy) {
+  const transactions = [];
+  const required = {};
+
+  for (const step of manifest.funding || []) {
+    if (isSent(context, stepKey("fund", step))) {
+      continue;
+    }
+    const token = resolve(step.token, context);
+    const address = context.addresses[step.target];
+    const balance = address
+      ? await new hre.ethers.Contract(token, ERC20_ABI, hre.ethers.provider).balanceOf(address)
+      : 0n;
+    const missing = BigInt(step.amount) - balance;
+    if (missing <= 0n) {
+      continue;
+    }
+    required[token] = (required[token] || 0n) + missing;
+    transactions.push({ label: `fund ${step.target}`, gas: withMargin(TOKEN_TRANSFER_GAS, strategy), estimated: false });
+  }
+
+  return { transactions, required };
+}
+
+/**
+ * @notice Everything a run of the deployer would still send, priced, and whether the
+ * deploying account can afford it
+ * @param hre Hardhat runtime environment
+ * @param {import("./manifest").Manifest} manifest
+ * @param {{deterministic: boolean}} [options] Options of runManifest()
+ * @return {Promise<Object>} Report with `transactions`, `totalCost`, `balance`, `tokens`,
+ *   `nonce` (latest, pending and checkpointed: pending ones the interrupted run sent) and the
+ *   list of `problems` that block the deployment
+ */
+async function planDeployment(hre, manifest, options = {}) {
+  validateManifest(manifest);
+
+  const { ethers } = hre;
+  const [signer] = await ethers.getSigners();
+  const strategy = getFeeStrategy(hre.network.name);
+  const registry = loadRegistry(hre.network.name);
+  const context = {
+    deployer: signer.address,
+    addresses: {},
+    steps: Object.fromEntries(manifest.contracts.map((step) => [step.id, step])),
+    checkpoint: loadCheckpoint(hre.network.name)
+  };
+
+  const transactions = [
+    ...(await planContracts(hre, manifest, context, registry, options, strategy)),
+    ...(await planWiring(hre, manifest, context, strategy))
+  ];
+  const funding = await planFunding(hre, manifest, context, strategy);
+  transactions.push(...funding.transactions);
+
+  const fees = await feeOverrides(hre, strategy);
+  const price = fees.type === 2 ? fees.maxFeePerGas : fees.gasPrice;
+  const totalGas = transactions.reduce((sum, tx) => sum + tx.gas, 0n);
+  const totalCost = totalGas * price;
+  const balance = await ethers.provider.getBalance(signer.address);
+
+  const problems = [];
+  if (balance < totalCost) {
+    problems.push(
+      `native balance ${ethers.formatEther(balance)} is below the estimated cost ${ethers.formatEther(totalCost)}`
+    );
+  }
+
+  const tokens = [];
+  for (const [token, amount] of Object.entries(funding.required)) {
+    const contract = new ethers.Contract(token, [...ERC20_ABI, "function symbol() view returns (string)"], ethers.provider);
+    const held = await contract.balanceOf(signer.address);
+    const symbol = await contract.symbol().catch(() => token);
+    tokens.push({ token, symbol, required: amount, balance: held });
+    if (held < amount) {
+      problems.push(`${symbol} balance ${held} is below the ${amount} the funding steps transfer`);
+    }
+  }
+
+  const nonce = {
+    latest: await ethers.provider.getTransactionCount(signer.address, "latest"),
+    pending: await ethers.provider.getTransactionCount(signer.address, "pending"),
+    checkpointed: (await checkpointedNonces(hre, context.checkpoint, signer.address)).size
+  };
+  const unknownPending = nonce.pending - nonce.latest - nonce.checkpointed;
+  if (unknownPending > 0) {
+    problems.push(
+      `${unknownPending} transaction(s) from ${signer.address} not sent by the deployer are still pending (nonce ${nonce.latest})`
+    );
+  }
+
+  return { account: signer.address, transactions, totalGas, price, totalCost, balance, tokens, nonce, problems };
+}
+
+/**
+ * @notice Print a report of planDeployment()
+ */
+function printPlan(hre, plan) {
+  const { formatEther, formatUnits } = hre.ethers;
+
+  console.log(`Pre-flight for ${hre.network.name}, account ${plan.account}`);
+  if (plan.transactions.length === 0) {
+    console.log("  nothing left to send");
+  } else {
+    console.table(
+      plan.transactions.map((tx) => ({
+        transaction: tx.label,
+        gas: tx.gas.toString(),
+        source: tx.estimated ? "estimate" : "default",
+        cost: formatEther(tx.gas * plan.price)
+      }))
+    );
+  }
+  console.log(`  gas price:   ${formatUnits(plan.price, "gwei")} gwei`);
+  console.log(`  total cost:  ${formatEther(plan.totalCost)} (${plan.totalGas} gas)`);
+  console.log(`  balance:     ${formatEther(plan.balance)}`);
+  for (const { symbol, required, balance } of plan.tokens) {
+    console.log(`  ${symbol}: needs ${required}, holds ${balance}`);
+  }
+  const checkpointed = plan.nonce.checkpointed ? `, ${plan.nonce.checkpointed} of them by the interrupted run` : "";
+  console.log(`  nonce:       ${plan.nonce.latest} (pending ${plan.nonce.pending}${checkpointed})`);
+}
+
+/**
+ * @notice Plan a deployment, print it and throw if it cannot complete
+ * @param hre Hardhat runtime environment
+ * @param {import("./manifest").Manifest} manifest
+ * @param {{deterministic: boolean}} [options] Options of runManifest()
+ */
+async function runPreflight(hre, manifest, options = {}) {
+  const plan = await planDeployment(hre, manifest, options);
+  printPlan(hre, plan);
+  if (plan.problems.length > 0) {
+    throw new Error(`Pre-flight failed, not deploying:\n  ${plan.problems.join("\n  ")}`);
+  }
+  return plan;
+}
+
+module.exports = {
+  planDeployment,
+  printPlan,
+  runPreflight
+};
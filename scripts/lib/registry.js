@@ -0,0 +1,244 @@
+// Deployment registry: one versioned JSON file per network in deployments/
+//
+//   {
+//     "version": 1,
+//     "network": "fuji",
+//     "chainId": 43113,
+//     "contracts": {
+//       "VaultFactory": {
+//         "contract": "VaultFactory",
+//         "address": "0x...",
+//         "txHash": "0x...",
+//         "blockNumber": 123,
+//         "constructorArgs": [],
+//         "proxy": { "kind": "transparent", "implementation": "0x...", "initializer": "initialize", "initializerArgs": ["0x..."] },
+//         "create2": { "salt": "0x..." },
+//         "deployedAt": "2025-01-01T00:00:00.000Z",
+//         "upgradedAt": "2025-02-01T00:00:00.000Z",
+//         "history": [ ...previous records for this id, including before each upgrade... ]
+//       }
+//     }
+//   }
+//
+// Scripts and tests resolve addresses through this module instead of copying
+// them around, e.g. getAddress("fuji", "VaultFactory").
+
+const fs = require("fs");
+const path = require("path");
+
+const REGISTRY_VERSION = 1;
+const DEPLOYMENTS_DIR = path.join(__dirname, "../../deployments");
+
+function registryPath(networkName) {
+  return path.join(DEPLOYMENTS_DIR, `${networkName}.json`);
+}
+
+// BigInt arguments (chain selectors, amounts) are stored as decimal strings
+function toJSON(value) {
+  return JSON.stringify(value, (key, item) => (typeof item === "bigint" ? item.toString() : item), 2);
+}
+
+function emptyRegistry(networkName, chainId) {
+  return { version: REGISTRY_VERSION, network: networkName, chainId: chainId ?? null, contracts: {} };
+}
+
+/**
+ * @notice Read the registry of a network, or an empty one if nothing was deployed yet
+ * @param {string} networkName Name of the network in hardhat.config.js
+ */
+function loadRegistry(networkName) {
+  const file = registryPath(networkName);
+  if (!fs.existsSync(file)) {
+    return emptyRegistry(networkName);
+  }
+
+  const data = JSON.parse(fs.readFileSync(file));
+  if (data.version === undefined) {
+    // Pre-registry format: a flat { id: address } map
+    const registry = emptyRegistry(networkName);
+    for (const [id, address] of Object.entries(data)) {
+      registry.contracts[id] = { contract: id, address };
+    }
+    return registry;
+  }
+  if (data.version > REGISTRY_VERSION) {
+    throw new Error(
+      `${file} uses registry version ${data.version}, this checkout only understands ${REGISTRY_VERSION}`
+    );
+  }
+  return data;
+}
+
+function saveRegistry(registry) {
+  fs.mkdirSync(DEPLOYMENTS_DIR, { recursive: true });
+  fs.writeFileSync(registryPath(registry.network), toJSON(registry) + "\n");
+}
+
+/**
+ * @notice Names of all networks that have a registry file
+ */
+function listNetworks() {
+  if (!fs.existsSync(DEPLOYMENTS_DIR)) {
+    return [];
+  }
+  return fs
+    .readdirSync(DEPLOYMENTS_DIR)
+    .filter((name) => name.endsWith(".json"))
+    .map((name) => path.basename(name, ".json"));
+}
+
+/**
+ * @notice Record of a deployed contract, or undefined
+ */
+function getDeployment(networkName, id) {
+  return loadRegistry(networkName).contracts[id];
+}
+
+/**
+ * @notice Address of a deployed contract; throws when it was never recorded
+ */
+function getAddress(networkName, id) {
+  const record = getDeployment(networkName, id);
+  if (!record) {
+    throw new Error(`No "${id}" deployment recorded for ${networkName} (${registryPath(networkName)})`);
+  }
+  return record.address;
+}
+
+/**
+ * @notice Attach to a recorded contract with the ABI of the recorded artifact
+ * @param hre Hardhat runtime environment
+ * @param {string} id Registry id, e.g. "VaultFactory"
+ * @param {string} [networkName] Defaults to the network hardhat is connected to
+ */
+async function getContract(hre, id, networkName = hre.network.name) {
+  const record = getDeployment(networkName, id);
+  if (!record) {
+    throw new Error(`No "${id}" deployment recorded for ${networkName} (${registryPath(networkName)})`);
+  }
+  return hre.ethers.getContractAt(record.contract, record.address);
+}
+
+/**
+ * @notice Store a deployment; a previous record with the same id is kept in its history
+ * @param hre Hardhat runtime environment
+ * @param {string} id Registry id
+ * @param {Object} record Fields described at the top of this file
+ */
+async function recordDeployment(hre, id, record) {
+  const registry = loadRegistry(hre.network.name);
+  const { chainId } = await hre.ethers.provider.getNetwork();
+  registry.chainId = Number(chainId);
+
+  const previous = registry.contracts[id];
+  const history = previous ? [...(previous.history || []), { ...previous, history: undefined }] : [];
+
+  registry.contracts[id] = {
+    contract: record.contract,
+    address: record.address,
+    txHash: record.txHash ?? null,
+    blockNumber: record.blockNumber ?? null,
+    constructorArgs: record.constructorArgs ?? [],
+    ...(record.proxy && { proxy: record.proxy }),
+    ...(record.createdBy && { createdBy: record.createdBy }),
+    ...(record.create2 && { create2: record.create2 }),
+    deployedAt: new Date().toISOString(),
+    ...(history.length > 0 && { history })
+  };
+  saveRegistry(registry);
+  return registry.contracts[id];
+}
+
+/**
+ * @notice Record a contract returned by a factory deploy() or upgrades.deployProxy()
+ * @param hre Hardhat runtime environment
+ * @param {string} id Registry id
+ * @param contract Deployed ethers contract (after waitForDeployment)
+ * @param {Object} options
+ * @param {string} options.contract Artifact name
+ * @param {Array} [options.constructorArgs] Constructor arguments
+ * @param {{kind: string, initializer: string, initializerArgs: Array}} [options.proxy] Proxy details
+ */
+async function recordContract(hre, id, contract, options) {
+  const address = await contract.getAddress();
+  const deployment = contract.deploymentTransaction();
+  const receipt = deployment ? await hre.ethers.provider.getTransactionReceipt(deployment.hash) : null;
+
+  let proxy;
+  if (options.proxy) {
+    proxy = {
+      ...options.proxy,
+      implementation: await hre.upgrades.erc1967.getImplementationAddress(address)
+    };
+  }
+
+  return recordDeployment(hre, id, {
+    contract: options.contract,
+    address,
+    txHash: deployment ? deployment.hash : null,
+    blockNumber: receipt ? receipt.blockNumber : null,
+    constructorArgs: options.constructorArgs,
+    proxy
+  });
+}
+
+/**
+ * @notice Store a new implementation of a recorded proxy; the record as it was before the
+ * upgrade is kept in its history
+ * @param hre Hardhat runtime environment
+ * @param {string} id Registry id of the proxy
+ * @param {Object} upgrade
+ * @param {string} upgrade.contract Artifact name of the new implementation
+ * @param {string} upgrade.implementation Address of the new implementation
+ * @param {string} [upgrade.txHash] Transaction that performed the upgrade
+ */
+async function recordUpgrade(hre, id, upgrade) {
+  const registry = loadRegistry(hre.network.name);
+  const previous = registry.contracts[id];
+  if (!previous || !previous.proxy) {
+    throw new Error(`No proxy "${id}" recorded for ${hre.network.name} (${registryPath(hre.network.name)})`);
+  }
+
+  const { pendingUpgrade, ...proxy } = previous.proxy;
+  registry.contracts[id] = {
+    ...previous,
+    contract: upgrade.contract,
+    proxy: { ...proxy, implementation: upgrade.implementation, upgradeTxHash: upgrade.txHash ?? null },
+    upgradedAt: new Date().toISOString(),
+    history: [...(previous.history || []), { ...previous, history: undefined }]
+  };
+  saveRegistry(registry);
+  return registry.contracts[id];
+}
+
+/**
+ * @notice Remember an upgrade that was prepared but has to be executed by another account
+ * @param hre Hardhat runtime environment
+ * @param {string} id Registry id of the proxy
+ * @param {{contract: string, implementation: string, to: string, data: string}} pending
+ *   New implementation and the transaction that performs the upgrade
+ */
+function recordPendingUpgrade(hre, id, pending) {
+  const registry = loadRegistry(hre.network.name);
+  const record = registry.contracts[id];
+  if (!record || !record.proxy) {
+    throw new Error(`No proxy "${id}" recorded for ${hre.network.name} (${registryPath(hre.network.name)})`);
+  }
+  record.proxy.pendingUpgrade = { ...pending, proposedAt: new Date().toISOString() };
+  saveRegistry(registry);
+  return record;
+}
+
+module.exports = {
+  REGISTRY_VERSION,
+  loadRegistry,
+  saveRegistry,
+  listNetworks,
+  getDeployment,
+  getAddress,
+  getContract,
+  recordDeployment,
+  recordContract,
+  recordUpgrade,
+  recordPendingUpgrade
+};
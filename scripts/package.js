@@ -0,0 +1,87 @@
+// SPDX-License-Identifier: MIT
+/**
+ * TokenIQ contracts package
+ *
+ * Builds packages/contracts (@tokeniq/contracts) from the artifacts: the ABI, ethers v6 typings
+ * and event signatures of every contract under contracts/ except the mocks, and their
+ * addresses from the deployment registries (scripts/package/):
+ *
+ *   npm run package         (npx hardhat run scripts/package.js)
+ *   npm run package:check   (PACKAGE_CHECK=true npx hardhat run scripts/package.js)
+ *
+ * Fails when an ABI changed since packages/contracts/abi.lock.json without the version of
+ * packages/contracts/package.json being bumped enough: major when a function, event or error
+ * was removed or changed, minor when some were only added. A successful build records the
+ * ABIs and the version in the lock, to be committed with the bump. PACKAGE_CHECK=true only
+ * checks, and also fails when the lock is out of date.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const hre = require("hardhat");
+const { collectContracts, abiSignatures, eventSignatures, deployedAddresses } = require("./package/contracts");
+const { PACKAGE_DIR, LOCK_FILE, loadLock, saveLock, compareAbis, checkVersion } = require("./package/versioning");
+const { cleanPackage, writePackage } = require("./package/files");
+const { buildTypings } = require("./package/typings");
+
+function printChanges(changes) {
+  for (const change of changes) {
+    console.log(`  ${change.contract} (${change.status})`);
+    for (const signature of change.removed) {
+      console.log(`    - ${signature}`);
+    }
+    for (const signature of change.added) {
+      console.log(`    + ${signature}`);
+    }
+  }
+}
+
+async function main() {
+  const check = process.env.PACKAGE_CHECK === "true";
+  const manifest = JSON.parse(fs.readFileSync(path.join(PACKAGE_DIR, "package.json"), "utf8"));
+  const lockFile = path.relative(process.cwd(), LOCK_FILE);
+
+  await hre.run("compile", { quiet: true });
+  const contracts = await collectContracts(hre);
+  const signatures = Object.fromEntries(
+    Object.entries(contracts).map(([name, artifact]) => [name, abiSignatures(artifact.abi)])
+  );
+  console.log(`${manifest.name}@${manifest.version}: ${Object.keys(contracts).length} contracts`);
+
+  const lock = loadLock();
+  if (lock) {
+    printChanges(compareAbis(lock.contracts, signatures));
+  }
+  const { changes } = checkVersion(lock, manifest.version, signatures);
+
+  if (check) {
+    if (!lock) {
+      throw new Error(`No ${lockFile} yet, build the package once and commit it`);
+    }
+    if (changes.length > 0 || lock.version !== manifest.version) {
+      throw new Error(`${lockFile} is out of date, build the package and commit it`);
+    }
+    console.log(`✅ ABIs match ${lockFile}`);
+    return;
+  }
+
+  cleanPackage(PACKAGE_DIR);
+  const files = writePackage(PACKAGE_DIR, {
+    version: manifest.version,
+    contracts,
+    events: eventSignatures(contracts),
+    addresses: deployedAddresses(contracts)
+  });
+  const typings = await buildTypings(hre, contracts, path.join(PACKAGE_DIR, "types"));
+  saveLock({ version: manifest.version, contracts: signatures });
+
+  console.log(`  ${files.length} files and ${typings} declaration files in types/`);
+  console.log(`✅ Package written to ${path.relative(process.cwd(), PACKAGE_DIR)}, ABIs recorded in ${lockFile}`);
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error("❌ Package build failed:", error.message);
+    process.exit(1);
+  });
@@ -0,0 +1,108 @@
+// What packages/contracts ships: the ABI and event signatures of every deployable contract
+// under contracts/ except the mocks, and the addresses the deployment registry recorded for
+// them on each network.
+
+const { Interface } = require("ethers");
+const { listNetworks, loadRegistry } = require("../lib/registry");
+
+const SOURCES = "contracts/";
+const EXCLUDED_SOURCES = ["contracts/mocks/"];
+
+// Registries of local chains are not worth shipping
+const LOCAL_NETWORKS = ["hardhat", "localhost"];
+
+/**
+ * @notice Artifacts of the packaged contracts, by contract name
+ * @dev Interfaces, abstract contracts and libraries without an ABI are left out
+ * @param hre Hardhat runtime environment, after compilation
+ * @return {Promise<Object<string, Object>>} Hardhat artifacts
+ */
+async function collectContracts(hre) {
+  const contracts = {};
+  const names = (await hre.artifacts.getAllFullyQualifiedNames()).sort();
+  for (const fullyQualifiedName of names) {
+    const artifact = await hre.artifacts.readArtifact(fullyQualifiedName);
+    const { sourceName, contractName, abi, bytecode } = artifact;
+    if (!sourceName.startsWith(SOURCES) || EXCLUDED_SOURCES.some((prefix) => sourceName.startsWith(prefix))) {
+      continue;
+    }
+    if (bytecode === "0x" || abi.length === 0) {
+      continue;
+    }
+    if (contracts[contractName]) {
+      throw new Error(
+        `${contractName} is declared in both ${contracts[contractName].sourceName} and ${sourceName}, rename one`
+      );
+    }
+    contracts[contractName] = artifact;
+  }
+  return contracts;
+}
+
+/**
+ * @notice Human-readable signatures of an ABI, sorted, e.g. "function deposit(uint256 amount)"
+ * @dev Parameter names are kept: they name the fields of the typings
+ */
+function abiSignatures(abi) {
+  return Interface.from(abi).format(false).sort();
+}
+
+/**
+ * @notice Event signatures and topics of the packaged contracts
+ * @return {Object<string, Object<string, {signature: string, topic: string}>>} By contract, then by
+ *   event name, or by signature for overloaded events
+ */
+function eventSignatures(contracts) {
+  const events = {};
+  for (const [name, { abi }] of Object.entries(contracts)) {
+    const iface = Interface.from(abi);
+    const fragments = [];
+    iface.forEachEvent((fragment) => fragments.push(fragment));
+    if (fragments.length === 0) {
+      continue;
+    }
+    events[name] = {};
+    for (const fragment of fragments) {
+      const signature = fragment.format("sighash");
+      const overloaded = fragments.filter((other) => other.name === fragment.name).length > 1;
+      events[name][overloaded ? signature : fragment.name] = { signature, topic: fragment.topicHash };
+    }
+  }
+  return events;
+}
+
+/**
+ * @notice Recorded addresses of the packaged contracts, by network then registry id
+ * @param {Object<string, Object>} contracts Packaged artifacts by contract name
+ * @return {Object<string, {chainId: ?number, contracts: Object<string, Object>}>}
+ */
+function deployedAddresses(contracts) {
+  const addresses = {};
+  for (const network of listNetworks().sort()) {
+    if (LOCAL_NETWORKS.includes(network)) {
+      continue;
+    }
+    const registry = loadRegistry(network);
+    const records = Object.entries(registry.contracts).filter(([, record]) => contracts[record.contract]);
+    if (records.length === 0) {
+      continue;
+    }
+    addresses[network] = {
+      chainId: registry.chainId,
+      contracts: Object.fromEntries(
+        records.map(([id, record]) => [
+          id,
+          { contract: record.contract, address: record.address, blockNumber: record.blockNumber ?? null }
+        ])
+      )
+    };
+  }
+  return addresses;
+}
+
+module.exports = {
+  collectContracts,
+  abiSignatures,
+  eventSignatures,
+  deployedAddresses
+};
@@ -0,0 +1,126 @@
+// Files of packages/contracts besides the typings:
+//
+//   abi/<Contract>.json   ABI of each packaged contract
+//   events.json           { Contract: { Event: { signature, topic } } }
+//   addresses.json        { network: { chainId, contracts: { id: { contract, address, blockNumber } } } }
+//   index.js, index.d.ts  abis, events, addresses, getAddress() and the typings in types/
+
+const fs = require("fs");
+const path = require("path");
+
+// Written by the build; package.json and abi.lock.json are maintained by hand and kept
+const GENERATED = ["abi", "types", "events.json", "addresses.json", "index.js", "index.d.ts"];
+
+const HEADER = "// Generated by scripts/package.js, do not edit";
+
+function toJSON(value) {
+  return `${JSON.stringify(value, null, 2)}\n`;
+}
+
+function indexJs(version, names) {
+  return [
+    HEADER,
+    "",
+    "const abis = {",
+    names.map((name) => `  ${name}: require("./abi/${name}.json")`).join(",\n"),
+    "};",
+    'const events = require("./events.json");',
+    'const addresses = require("./addresses.json");',
+    "",
+    "function getAddress(network, id) {",
+    "  const record = addresses[network] && addresses[network].contracts[id];",
+    "  if (!record) {",
+    "    throw new Error(`No \"${id}\" deployment of @tokeniq/contracts for ${network}`);",
+    "  }",
+    "  return record.address;",
+    "}",
+    "",
+    "module.exports = {",
+    `  version: "${version}",`,
+    "  abis,",
+    "  events,",
+    "  addresses,",
+    "  getAddress,",
+    '  ...require("./types")',
+    "};",
+    ""
+  ].join("\n");
+}
+
+function indexDts(names) {
+  return [
+    HEADER,
+    "",
+    'import type { InterfaceAbi } from "ethers";',
+    "",
+    'export * from "./types";',
+    "",
+    `export type ContractName =\n${names.map((name) => `  | "${name}"`).join("\n")};`,
+    "",
+    "export interface EventSignature {",
+    "  /** e.g. Transfer(address,address,uint256) */",
+    "  signature: string;",
+    "  /** keccak256 of the signature, topics[0] of the logs */",
+    "  topic: string;",
+    "}",
+    "",
+    "export interface Deployment {",
+    "  contract: ContractName;",
+    "  address: string;",
+    "  blockNumber: number | null;",
+    "}",
+    "",
+    "export declare const version: string;",
+    "export declare const abis: Readonly<Record<ContractName, InterfaceAbi>>;",
+    "/** By contract, then by event name, or by signature for overloaded events */",
+    "export declare const events: Readonly<Partial<Record<ContractName, Record<string, EventSignature>>>>;",
+    "/** By network, then by deployment registry id */",
+    "export declare const addresses: Readonly<",
+    "  Record<string, { chainId: number | null; contracts: Record<string, Deployment> }>",
+    ">;",
+    "/** Address of a deployment, throws when the network has none with this id */",
+    "export declare function getAddress(network: string, id: string): string;",
+    ""
+  ].join("\n");
+}
+
+/**
+ * @notice Remove what a previous build wrote
+ */
+function cleanPackage(directory) {
+  for (const name of GENERATED) {
+    fs.rmSync(path.join(directory, name), { recursive: true, force: true });
+  }
+}
+
+/**
+ * @notice Write the ABIs, event signatures, addresses and entry points of the package
+ * @param {string} directory packages/contracts
+ * @param {Object} contents
+ * @param {string} contents.version Version of the package
+ * @param {Object<string, Object>} contents.contracts Packaged artifacts by contract name
+ * @param {Object} contents.events From eventSignatures()
+ * @param {Object} contents.addresses From deployedAddresses()
+ * @return {string[]} Files written, relative to the directory
+ */
+function writePackage(directory, { version, contracts, events, addresses }) {
+  const names = Object.keys(contracts).sort();
+  const files = {
+    ...Object.fromEntries(names.map((name) => [path.join("abi", `${name}.json`), toJSON(contracts[name].abi)])),
+    "events.json": toJSON(events),
+    "addresses.json": toJSON(addresses),
+    "index.js": indexJs(version, names),
+    "index.d.ts": indexDts(names)
+  };
+  for (const [name, content] of Object.entries(files)) {
+    const file = path.join(directory, name);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, content);
+  }
+  return Object.keys(files);
+}
+
+module.exports = {
+  cleanPackage,
+  writePackage
+};
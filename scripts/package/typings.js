@@ -0,0 +1,73 @@
+// ethers v6 typings of the packaged contracts: TypeChain generates them from the artifacts
+// into the Hardhat cache, and the TypeScript compiler turns them into .js factories and .d.ts
+// declarations so that consumers need neither TypeChain nor ts sources.
+
+const fs = require("fs");
+const path = require("path");
+const { runTypeChain } = require("typechain");
+const ts = require("typescript");
+
+function listTypeScript(directory) {
+  return fs.readdirSync(directory, { withFileTypes: true }).flatMap((entry) => {
+    const file = path.join(directory, entry.name);
+    if (entry.isDirectory()) {
+      return listTypeScript(file);
+    }
+    return entry.name.endsWith(".ts") ? [file] : [];
+  });
+}
+
+/**
+ * @notice Generate and compile the typings of contracts into outDir
+ * @param hre Hardhat runtime environment, after compilation
+ * @param {Object<string, Object>} contracts Packaged artifacts by contract name
+ * @param {string} outDir Directory of the compiled typings, emptied first
+ * @return {Promise<number>} Number of declaration files written
+ */
+async function buildTypings(hre, contracts, outDir) {
+  const sources = path.join(hre.config.paths.cache, "package-typechain");
+  fs.rmSync(sources, { recursive: true, force: true });
+  fs.rmSync(outDir, { recursive: true, force: true });
+
+  const artifacts = Object.values(contracts).map(({ sourceName, contractName }) =>
+    path.join(hre.config.paths.artifacts, sourceName, `${contractName}.json`)
+  );
+  // No "hardhat" environment: the typings must not augment a Hardhat runtime consumers lack
+  await runTypeChain({
+    cwd: hre.config.paths.root,
+    filesToProcess: artifacts,
+    allFiles: artifacts,
+    outDir: sources,
+    target: "ethers-v6",
+    flags: { alwaysGenerateOverloads: false, discriminateTypes: false }
+  });
+
+  const program = ts.createProgram(listTypeScript(sources), {
+    declaration: true,
+    module: ts.ModuleKind.CommonJS,
+    moduleResolution: ts.ModuleResolutionKind.NodeJs,
+    target: ts.ScriptTarget.ES2020,
+    strict: true,
+    esModuleInterop: true,
+    skipLibCheck: true,
+    rootDir: sources,
+    outDir
+  });
+  const emitted = program.emit();
+  const errors = [...ts.getPreEmitDiagnostics(program), ...emitted.diagnostics].filter(
+    (diagnostic) => diagnostic.category === ts.DiagnosticCategory.Error
+  );
+  if (errors.length > 0) {
+    const host = {
+      getCanonicalFileName: (file) => file,
+      getCurrentDirectory: () => hre.config.paths.root,
+      getNewLine: () => "\n"
+    };
+    throw new Error(`The typings do not compile:\n${ts.formatDiagnostics(errors, host)}`);
+  }
+  return listTypeScript(outDir).length;
+}
+
+module.exports = {
+  buildTypings
+};
@@ -0,0 +1,151 @@
+// ABI lock of packages/contracts: the version of the package and the ABI signatures it was
+// released with, so that an ABI cannot change under a version that was already published:
+//
+//   {
+//     "version": "1.2.0",
+//     "contracts": {
+//       "VaultManager": ["event Deposit(address indexed user, ...)", "function deposit(...)", ...]
+//     }
+//   }
+//
+// Removing or changing an entry of an ABI breaks consumers and needs a major bump; adding
+// contracts or entries needs a minor one. Before 1.0.0 the minor and patch digits stand in for
+// the major and minor ones, as npm reads caret ranges.
+
+const fs = require("fs");
+const path = require("path");
+
+const PACKAGE_DIR = path.join(__dirname, "../../packages/contracts");
+const LOCK_FILE = path.join(PACKAGE_DIR, "abi.lock.json");
+
+const BUMPS = ["none", "patch", "minor", "major"];
+
+/**
+ * @notice Read the ABI lock, or null before the first build
+ */
+function loadLock(file = LOCK_FILE) {
+  if (!fs.existsSync(file)) {
+    return null;
+  }
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+/**
+ * @notice Write the ABI lock, contracts sorted to keep diffs readable
+ */
+function saveLock(lock, file = LOCK_FILE) {
+  const contracts = Object.fromEntries(
+    Object.keys(lock.contracts)
+      .sort()
+      .map((name) => [name, lock.contracts[name]])
+  );
+  fs.writeFileSync(file, `${JSON.stringify({ version: lock.version, contracts }, null, 2)}\n`);
+  return file;
+}
+
+function parseVersion(version) {
+  const match = /^(\d+)\.(\d+)\.(\d+)$/.exec(version || "");
+  if (!match) {
+    throw new Error(`"${version}" is not a major.minor.patch version`);
+  }
+  return match.slice(1).map(Number);
+}
+
+/**
+ * @notice Compare the ABI signatures of the contracts with the locked ones
+ * @param {Object<string, string[]>} locked Signatures by contract, from the lock
+ * @param {Object<string, string[]>} current Signatures by contract, from the artifacts
+ * @return {Object[]} One row per contract that changed: contract, status (added, removed or
+ *   changed) and the signatures added and removed
+ */
+function compareAbis(locked, current) {
+  const names = [...new Set([...Object.keys(locked), ...Object.keys(current)])].sort();
+  const changes = [];
+  for (const name of names) {
+    const before = locked[name] || [];
+    const after = current[name] || [];
+    const added = after.filter((signature) => !before.includes(signature));
+    const removed = before.filter((signature) => !after.includes(signature));
+    if (added.length === 0 && removed.length === 0) {
+      continue;
+    }
+    let status = "changed";
+    if (!locked[name]) {
+      status = "added";
+    } else if (!current[name]) {
+      status = "removed";
+    }
+    changes.push({ contract: name, status, added, removed });
+  }
+  return changes;
+}
+
+/**
+ * @notice Smallest bump the changes need: "major" when a signature went away, "minor" when
+ *   some were only added, "none" otherwise
+ */
+function requiredBump(changes) {
+  if (changes.some((change) => change.removed.length > 0)) {
+    return "major";
+  }
+  return changes.length > 0 ? "minor" : "none";
+}
+
+/**
+ * @notice Kind of bump from one version to the next: "none", "patch", "minor" or "major"
+ * @dev Throws when the version goes backwards. Below 1.0.0 a minor bump counts as major and a
+ *   patch bump as minor
+ */
+function versionBump(from, to) {
+  const before = parseVersion(from);
+  const after = parseVersion(to);
+  const index = before.findIndex((digit, i) => digit !== after[i]);
+  if (index === -1) {
+    return "none";
+  }
+  if (after[index] < before[index]) {
+    throw new Error(`Version ${to} is lower than the locked ${from}`);
+  }
+  const bump = ["major", "minor", "patch"][index];
+  if (before[0] === 0 && after[0] === 0) {
+    return bump === "minor" ? "major" : "minor";
+  }
+  return bump;
+}
+
+/**
+ * @notice Check that the package version covers the ABI changes since the lock
+ * @param {?Object} lock ABI lock, null before the first build
+ * @param {string} version Version in packages/contracts/package.json
+ * @param {Object<string, string[]>} current Signatures by contract, from the artifacts
+ * @return {{changes: Object[], required: string, bump: string}}
+ * @throws When the ABIs changed and the version was not bumped enough
+ */
+function checkVersion(lock, version, current) {
+  parseVersion(version);
+  if (!lock) {
+    return { changes: compareAbis({}, current), required: "none", bump: "none" };
+  }
+  const changes = compareAbis(lock.contracts, current);
+  const required = requiredBump(changes);
+  const bump = versionBump(lock.version, version);
+  if (BUMPS.indexOf(bump) < BUMPS.indexOf(required)) {
+    const contracts = changes.map((change) => `${change.contract} (${change.status})`).join(", ");
+    throw new Error(
+      `The ABIs of ${contracts} changed since ${lock.version}: they need a ${required} version bump ` +
+        `of packages/contracts/package.json, got ${bump === "none" ? "none" : `a ${bump} one to ${version}`}`
+    );
+  }
+  return { changes, required, bump };
+}
+
+module.exports = {
+  PACKAGE_DIR,
+  LOCK_FILE,
+  loadLock,
+  saveLock,
+  compareAbis,
+  requiredBump,
+  versionBump,
+  checkVersion
+};
@@ -0,0 +1,24 @@
+// Checks that the deployer account can complete the deployment of a network's manifest
+// npx hardhat run --network <network> scripts/preflight.js
+//
+// Lists every transaction scripts/deploy/deploy.js would still send with its estimated cost,
+// and fails when the native balance, the LINK needed to fund the routers or a stuck nonce
+// would stop the deployment halfway. DETERMINISTIC=true plans a deterministic deployment.
+// deploy.js runs the same checks before sending anything.
+
+const hre = require("hardhat");
+const { loadManifest } = require("../config/manifests");
+const { runPreflight } = require("./lib/preflight");
+
+async function main() {
+  const manifest = loadManifest(hre.network.name);
+  await runPreflight(hre, manifest, { deterministic: process.env.DETERMINISTIC === "true" });
+  console.log("Pre-flight passed");
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
@@ -0,0 +1,143 @@
+// Runs simulation scripts against a local Hardhat node it starts and always stops:
+//
+//   node scripts/run-simulations.js                                  simulate.js, default scenario
+//   node scripts/run-simulations.js marina-textiles alice-vault      simulate.js, once per scenario
+//   node scripts/run-simulations.js scripts/stress.js scripts/demo.js
+//   node scripts/run-simulations.js --in-process --log logs/node.log --timeout 120 marina-textiles
+//
+// Arguments ending in .js are scripts run with `hardhat run --network localhost`, anything else
+// is a scenario of scripts/simulation/scenarios run by scripts/simulate.js. The node is spawned
+// (`hardhat node`) unless --in-process serves the hardhat network from this process; its output
+// goes to --log (default logs/hardhat-node.log). Every script runs even when an earlier one
+// failed.
+//
+// Exit code: 0 when every script succeeded, 1 when one failed, 2 when the node did not start,
+// 130/143 when interrupted.
+
+const path = require("path");
+const { spawn } = require("child_process");
+const { startLocalNode, hardhatCli } = require("./lib/localNode");
+
+const ROOT = path.join(__dirname, "..");
+const SIMULATE = "scripts/simulate.js";
+
+function parseArgs(argv) {
+  const options = { inProcess: false, logFile: path.join(ROOT, "logs", "hardhat-node.log"), timeout: 60, targets: [] };
+  for (let index = 0; index < argv.length; index++) {
+    const arg = argv[index];
+    if (arg === "--in-process") {
+      options.inProcess = true;
+    } else if (arg === "--log") {
+      options.logFile = path.resolve(argv[++index]);
+    } else if (arg === "--timeout") {
+      options.timeout = Number(argv[++index]);
+    } else if (arg.startsWith("--")) {
+      throw new Error(`Unknown option ${arg}`);
+    } else {
+      // Scripts are resolved now, the runner then works from the repository root
+      options.targets.push(arg.endsWith(".js") ? path.relative(ROOT, path.resolve(arg)) : arg);
+    }
+  }
+  if (!Number.isFinite(options.timeout) || options.timeout <= 0) {
+    throw new Error("--timeout takes a number of seconds");
+  }
+  if (options.targets.length === 0) {
+    options.targets.push(SIMULATE);
+  }
+  return options;
+}
+
+function describeTarget(target) {
+  return target.endsWith(".js")
+    ? { name: target, script: target, env: {} }
+    : { name: `${SIMULATE} (${target})`, script: SIMULATE, env: { SCENARIO: target } };
+}
+
+let node;
+let running;
+
+function runScript(target) {
+  return new Promise((resolve) => {
+    running = spawn(process.execPath, [hardhatCli(), "run", target.script, "--network", "localhost"], {
+      cwd: ROOT,
+      env: { ...process.env, ...target.env },
+      stdio: ["ignore", "pipe", "pipe"]
+    });
+    running.stdout.on("data", (chunk) => node.print(chunk));
+    running.stderr.on("data", (chunk) => process.stderr.write(chunk));
+    running.on("error", (error) => {
+      process.stderr.write(`${error.message}\n`);
+      resolve(1);
+    });
+    running.on("exit", (code, signal) => {
+      running = null;
+      resolve(code === null ? `signal ${signal}` : code);
+    });
+  });
+}
+
+async function shutdown(exitCode) {
+  if (running) {
+    running.kill();
+  }
+  if (node) {
+    const stopping = node;
+    node = null;
+    await stopping.stop();
+  }
+  process.exit(exitCode);
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  // An in-process node loads hardhat.config.js from the working directory
+  process.chdir(ROOT);
+  for (const [signal, code] of [
+    ["SIGINT", 130],
+    ["SIGTERM", 143]
+  ]) {
+    process.on(signal, () => {
+      console.error(`\nInterrupted, stopping the node...`);
+      shutdown(code);
+    });
+  }
+
+  try {
+    node = await startLocalNode({
+      logFile: options.logFile,
+      inProcess: options.inProcess,
+      timeout: options.timeout * 1000
+    });
+  } catch (error) {
+    console.error(`❌ Hardhat node did not start: ${error.message}`);
+    console.error(`   Node log: ${path.relative(process.cwd(), options.logFile)}`);
+    return 2;
+  }
+
+  const print = (text) => node.print(`${text}\n`);
+  print(
+    `Hardhat node ${node.mode}${node.pid ? ` (pid ${node.pid})` : ""} on ${node.url}, ` +
+      `log in ${path.relative(process.cwd(), options.logFile)}`
+  );
+
+  const results = [];
+  for (const target of options.targets.map(describeTarget)) {
+    print(`\n▶ ${target.name}`);
+    const started = Date.now();
+    const exit = await runScript(target);
+    results.push({ script: target.name, status: exit === 0 ? "ok" : `failed (${exit})`, seconds: (Date.now() - started) / 1000 });
+  }
+
+  print("\nSimulation runs:");
+  for (const result of results) {
+    print(`  ${result.status === "ok" ? "✅" : "❌"} ${result.script}: ${result.status}, ${result.seconds.toFixed(1)}s`);
+  }
+  return results.every((result) => result.status === "ok") ? 0 : 1;
+}
+
+main()
+  .catch((error) => {
+    console.error(`❌ ${error.message}`);
+    return 1;
+  })
+  .then(shutdown);
@@ -0,0 +1,149 @@
+// The service layer of TreasuryAIManager.
+//
+// performUpkeep records an empty decision (allocation 0, no reason) for every supported strategy
+// and emits StrategyDecisionMade. The service picks these events up, asks its policy for the
+// allocation and reason from the current market data and submits them with processDecision.
+// Events are read with queryFilter from a block cursor rather than a subscription, so a restart
+// catches up on the last `lookbackBlocks` blocks and decisions processed meanwhile are skipped.
+
+const { createMarketData } = require("./marketData");
+
+const MAX_BPS = 10000;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * @notice Create the decision service
+ * @param {Object} options
+ * @param {Object} options.manager TreasuryAIManager contract
+ * @param {Object} options.policy See policies/index.js
+ * @param {Object} options.submitter See submitter.js
+ * @param {string[]} [options.tokens=[]] Tokens whose market data the policy sees
+ * @param {Object} [options.marketData] Market data reader, created from `tokens` by default
+ * @param {number} [options.lookbackBlocks=1000] Blocks scanned on the first poll
+ * @param {function(string): void} [options.log]
+ * @return {Object} { checkSetup, processPending, run, stop, allocations, stats }
+ */
+function createDecisionService({
+  manager,
+  policy,
+  submitter,
+  tokens = [],
+  marketData = createMarketData(manager, tokens),
+  lookbackBlocks = 1000,
+  log = console.log
+}) {
+  const provider = manager.runner.provider;
+  const allocations = {};
+  const stats = { processed: 0, alreadyProcessed: 0, skipped: 0 };
+  let cursor;
+  let stopped = false;
+
+  /**
+   * @notice Check that the signer can process decisions
+   * @dev Throws if it is not the service layer. The processDecision overload the service uses
+   *   does not require isServiceLayerActive, so an inactive service layer only gets a warning.
+   */
+  async function checkSetup() {
+    const address = await submitter.signer.getAddress();
+    const serviceLayer = await manager.serviceLayer();
+    if (serviceLayer.toLowerCase() !== address.toLowerCase()) {
+      throw new Error(`${address} is not the service layer of ${await manager.getAddress()} (${serviceLayer})`);
+    }
+    if (!(await manager.isServiceLayerActive())) {
+      log(`⚠️  The service layer is set but not active`);
+    }
+  }
+
+  async function decide(event, markets, now) {
+    const { strategy, decisionId } = event.args;
+    const decision = { decisionId, strategy, blockNumber: event.blockNumber, transactionHash: event.transactionHash };
+    const { allocation, reason } = await policy.decide({ decision, markets, previous: allocations[strategy], now });
+    if (!Number.isInteger(allocation) || allocation < 0 || allocation > MAX_BPS) {
+      throw new Error(`Policy ${policy.name} returned an invalid allocation ${allocation} for ${decisionId}`);
+    }
+    return { ...decision, allocation, reason: String(reason ?? "") };
+  }
+
+  /**
+   * @notice Process the decisions made since the last call
+   * @dev When a decision fails (policy error, submission error after the retries), the call
+   *   rejects and the next one resumes from that decision
+   * @return {Promise<Object[]>} One result per StrategyDecisionMade event, in event order
+   */
+  async function processPending() {
+    const latest = await provider.getBlockNumber();
+    if (cursor === undefined) {
+      cursor = Math.max(0, latest - lookbackBlocks + 1);
+    }
+    if (cursor > latest) {
+      return [];
+    }
+    const events = await manager.queryFilter(manager.filters.StrategyDecisionMade(), cursor, latest);
+    if (events.length === 0) {
+      cursor = latest + 1;
+      return [];
+    }
+
+    const markets = await marketData.read();
+    const { timestamp: now } = await provider.getBlock(latest);
+    const results = [];
+    for (const event of events) {
+      // Should handling this event throw, the next poll starts again from its block; the
+      // decisions of that block handled before it are then already processed
+      cursor = event.blockNumber;
+      const { strategy, decisionId } = event.args;
+      if (await manager.processedDecisions(decisionId)) {
+        stats.alreadyProcessed++;
+        results.push({ decisionId, strategy, status: "already-processed" });
+        continue;
+      }
+
+      const decision = await decide(event, markets, now);
+      const result = await submitter.submit(decision);
+      if (result.status === "processed") {
+        allocations[strategy] = decision.allocation;
+        stats.processed++;
+        log(`✅ ${decisionId} ${strategy}: ${decision.allocation} bps, ${decision.reason}`);
+      } else if (result.status === "already-processed") {
+        stats.alreadyProcessed++;
+      } else {
+        stats.skipped++;
+        log(`⚠️  ${decisionId} ${strategy} skipped: ${result.revert}`);
+      }
+      results.push({ ...decision, ...result });
+    }
+    cursor = latest + 1;
+    return results;
+  }
+
+  /**
+   * @notice Poll until stop() is called
+   * @param {Object} [options]
+   * @param {number} [options.pollMs=5000]
+   */
+  async function run({ pollMs = 5000 } = {}) {
+    stopped = false;
+    while (!stopped) {
+      await processPending();
+      if (!stopped) {
+        await sleep(pollMs);
+      }
+    }
+  }
+
+  return {
+    checkSetup,
+    processPending,
+    run,
+    stop() {
+      stopped = true;
+    },
+    allocations,
+    stats
+  };
+}
+
+module.exports = {
+  createDecisionService
+};
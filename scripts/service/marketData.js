@@ -0,0 +1,125 @@
+// Market data the decision policies work from, per token watched by the service.
+//
+// TreasuryAIManager.marketData(token) is used when performUpkeep recorded it. Otherwise the
+// price comes from the token's price feed (priceFeeds(token)). The contract leaves volatility to
+// the service layer (_calculateVolatility returns 0), so the service computes it from the prices
+// it observed: the standard deviation of the returns between consecutive samples, in basis points.
+
+const { Contract, ZeroAddress } = require("ethers");
+
+// Minimal AggregatorV3 ABI
+const PRICE_FEED_ABI = [
+  "function decimals() view returns (uint8)",
+  "function latestRoundData() view returns (uint80 roundId, int256 answer, uint256 startedAt, uint256 updatedAt, uint80 answeredInRound)"
+];
+
+/**
+ * @notice Standard deviation of the returns between consecutive prices, in basis points
+ * @param {bigint[]} prices Oldest first
+ * @return {number} 0 with fewer than three prices
+ */
+function volatilityBps(prices) {
+  if (prices.length < 3) {
+    return 0;
+  }
+  const returns = [];
+  for (let index = 1; index < prices.length; index++) {
+    const previous = prices[index - 1];
+    returns.push(previous === 0n ? 0 : Number(((prices[index] - previous) * 1000000n) / previous) / 100);
+  }
+  const mean = returns.reduce((sum, value) => sum + value, 0) / returns.length;
+  const variance = returns.reduce((sum, value) => sum + (value - mean) ** 2, 0) / returns.length;
+  return Math.round(Math.sqrt(variance));
+}
+
+/**
+ * @typedef {Object} TokenMarket
+ * @property {bigint} price Raw feed answer
+ * @property {number} decimals Decimals of `price`
+ * @property {number} volatility Basis points
+ * @property {bigint} volume
+ * @property {number} timestamp Seconds, when the price was observed
+ * @property {string} source "manager" (recorded by performUpkeep) or "feed"
+ */
+
+/**
+ * @notice Reader of the market data of the watched tokens
+ * @param {Object} manager TreasuryAIManager contract
+ * @param {string[]} tokens Token addresses
+ * @param {Object} [options]
+ * @param {number} [options.window=24] Prices kept per token to compute volatility
+ * @return {{read: function(): Promise<Object<string, TokenMarket>>, history: Object<string, bigint[]>}}
+ */
+function createMarketData(manager, tokens, { window = 24 } = {}) {
+  const history = Object.fromEntries(tokens.map((token) => [token, []]));
+  const feeds = {};
+
+  async function feedOf(token) {
+    if (!(token in feeds)) {
+      const address = await manager.priceFeeds(token);
+      feeds[token] =
+        address === ZeroAddress ? null : new Contract(address, PRICE_FEED_ABI, manager.runner);
+      if (feeds[token]) {
+        feeds[token].feedDecimals = Number(await feeds[token].decimals());
+      }
+    }
+    return feeds[token];
+  }
+
+  async function readToken(token) {
+    const recorded = await manager.marketData(token);
+    const feed = await feedOf(token);
+    let observed;
+    if (recorded.timestamp > 0n) {
+      observed = {
+        price: recorded.price,
+        decimals: feed ? feed.feedDecimals : 8,
+        volume: recorded.volume,
+        timestamp: Number(recorded.timestamp),
+        source: "manager",
+        recordedVolatility: Number(recorded.volatility)
+      };
+    } else {
+      if (!feed) {
+        return null;
+      }
+      const round = await feed.latestRoundData();
+      observed = {
+        price: round.answer,
+        decimals: feed.feedDecimals,
+        volume: 0n,
+        timestamp: Number(round.updatedAt),
+        source: "feed",
+        recordedVolatility: 0
+      };
+    }
+
+    const prices = history[token];
+    prices.push(observed.price);
+    if (prices.length > window) {
+      prices.shift();
+    }
+    const { recordedVolatility, ...market } = observed;
+    // A volatility recorded on chain wins over the one estimated here
+    return { ...market, volatility: recordedVolatility || volatilityBps(prices) };
+  }
+
+  return {
+    history,
+    async read() {
+      const markets = {};
+      for (const token of tokens) {
+        const market = await readToken(token);
+        if (market) {
+          markets[token] = market;
+        }
+      }
+      return markets;
+    }
+  };
+}
+
+module.exports = {
+  volatilityBps,
+  createMarketData
+};
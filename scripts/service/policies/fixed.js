@@ -0,0 +1,20 @@
+// Always the same allocation, e.g. to pin a strategy while the rules are tuned
+
+/**
+ * @notice Create the fixed policy
+ * @param {Object} [options]
+ * @param {number} [options.allocation=5000] Basis points
+ * @return {{name: string, decide: function(): {allocation: number, reason: string}}}
+ */
+function createPolicy({ allocation = 5000 } = {}) {
+  return {
+    name: "fixed",
+    decide() {
+      return { allocation, reason: `Fixed allocation of ${allocation} bps` };
+    }
+  };
+}
+
+module.exports = {
+  createPolicy
+};
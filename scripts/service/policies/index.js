@@ -0,0 +1,42 @@
+// Policies decide the allocation of a strategy when TreasuryAIManager asks for a decision.
+//
+// A policy module exports createPolicy(options) returning { name, decide(input) }, where input is
+//   {
+//     decision: { decisionId, strategy, blockNumber, transactionHash },
+//     markets:  { [token]: { price, decimals, volatility, volume, timestamp, source } },
+//     previous: allocation this service last set for the strategy (bps), or undefined,
+//     now:      timestamp of the latest block (seconds)
+//   }
+// and decide returns { allocation, reason } with the allocation in basis points (0 - 10000).
+// decide may be async. Besides the built-in policies below, loadPolicy takes the path of
+// any module following this interface.
+
+const path = require("path");
+
+const BUILT_IN = {
+  "rule-based": require("./ruleBased"),
+  fixed: require("./fixed")
+};
+
+/**
+ * @notice Load a policy
+ * @param {string} nameOrPath Built-in policy name or path of a policy module
+ * @param {Object} [options] Passed to the policy's createPolicy
+ * @return {Object} The policy
+ */
+function loadPolicy(nameOrPath, options = {}) {
+  const policyModule = BUILT_IN[nameOrPath] || require(path.resolve(nameOrPath));
+  if (typeof policyModule.createPolicy !== "function") {
+    throw new Error(`Policy ${nameOrPath} does not export createPolicy(options)`);
+  }
+  const policy = policyModule.createPolicy(options);
+  if (typeof policy.decide !== "function") {
+    throw new Error(`Policy ${nameOrPath} has no decide(input)`);
+  }
+  return policy;
+}
+
+module.exports = {
+  BUILT_IN_POLICIES: Object.keys(BUILT_IN),
+  loadPolicy
+};
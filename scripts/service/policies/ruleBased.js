@@ -0,0 +1,69 @@
+// Deterministic allocation rules, the default policy and the one the tests run
+//
+// Every decision moves the strategy's allocation by one step from its previous allocation
+// (baseAllocation for the first decision), looking at the highest volatility among the tokens
+// with fresh market data:
+//   - at or above highVolatility: one step down, to no less than minAllocation
+//   - at or below lowVolatility:  one step up, to no more than maxAllocation
+//   - in between:                 one step back towards baseAllocation
+// Without fresh market data the previous allocation is kept.
+
+const DEFAULTS = {
+  baseAllocation: 5000, // bps
+  minAllocation: 1000,
+  maxAllocation: 9000,
+  highVolatility: 3000, // bps
+  lowVolatility: 1000,
+  step: 1000,
+  maxDataAge: 2 * 60 * 60 // seconds
+};
+
+function clamp(value, min, max) {
+  return Math.min(Math.max(value, min), max);
+}
+
+/**
+ * @notice Create the rule-based policy
+ * @param {Object} [options] Overrides of DEFAULTS
+ * @return {{name: string, decide: function(Object): {allocation: number, reason: string}}}
+ */
+function createPolicy(options = {}) {
+  const rules = { ...DEFAULTS, ...options };
+  if (!(rules.minAllocation <= rules.baseAllocation && rules.baseAllocation <= rules.maxAllocation)) {
+    throw new Error("rule-based policy needs minAllocation <= baseAllocation <= maxAllocation");
+  }
+  if (rules.maxAllocation > 10000 || rules.lowVolatility > rules.highVolatility) {
+    throw new Error("rule-based policy needs maxAllocation <= 10000 and lowVolatility <= highVolatility");
+  }
+
+  return {
+    name: "rule-based",
+    decide({ markets, previous, now }) {
+      const current = previous ?? rules.baseAllocation;
+      const fresh = Object.values(markets).filter((market) => now - market.timestamp <= rules.maxDataAge);
+      if (fresh.length === 0) {
+        return { allocation: current, reason: `No fresh market data, keeping ${current} bps` };
+      }
+
+      const volatility = Math.max(...fresh.map((market) => market.volatility));
+      if (volatility >= rules.highVolatility) {
+        const allocation = clamp(current - rules.step, rules.minAllocation, rules.maxAllocation);
+        return { allocation, reason: `High volatility (${volatility} bps), ${current} -> ${allocation} bps` };
+      }
+      if (volatility <= rules.lowVolatility) {
+        const allocation = clamp(current + rules.step, rules.minAllocation, rules.maxAllocation);
+        return { allocation, reason: `Low volatility (${volatility} bps), ${current} -> ${allocation} bps` };
+      }
+      const allocation =
+        current > rules.baseAllocation
+          ? Math.max(current - rules.step, rules.baseAllocation)
+          : Math.min(current + rules.step, rules.baseAllocation);
+      return { allocation, reason: `Moderate volatility (${volatility} bps), ${current} -> ${allocation} bps` };
+    }
+  };
+}
+
+module.exports = {
+  DEFAULTS,
+  createPolicy
+};
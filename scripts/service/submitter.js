@@ -0,0 +1,105 @@
+// Submits processDecision transactions for the service.
+//
+// Nonces come from an ethers NonceManager so that decisions can be sent back to back without
+// waiting on the node's pending nonce; it is reset whenever the node disagrees. Transient
+// failures (network, nonce, underpriced replacement) are retried with exponential backoff.
+// Reverts are not retried: a decision that was processed meanwhile counts as done, one the
+// contract rejects is skipped, and a signer that is not the service layer stops the service.
+
+const { NonceManager } = require("ethers");
+
+const PROCESS_DECISION = "processDecision(bytes32,address,uint256,string)";
+
+// Reverts that no later attempt can get past
+const FATAL_REVERTS = ["Only service layer", "Service layer not active"];
+const TRANSIENT_CODES = ["NETWORK_ERROR", "TIMEOUT", "SERVER_ERROR", "NONCE_EXPIRED", "REPLACEMENT_UNDERPRICED"];
+const NONCE_MESSAGES = ["nonce too low", "nonce has already been used", "nonce too high", "invalid nonce"];
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * @notice Revert reason of a failed call or transaction, if it reverted
+ * @param {Error} error
+ * @return {string|null}
+ */
+function revertReason(error) {
+  if (error.reason) {
+    return error.reason;
+  }
+  const message = `${error.shortMessage || ""} ${error.message || ""}`;
+  const match = message.match(/reverted with reason string '([^']*)'/);
+  if (match) {
+    return match[1];
+  }
+  return error.code === "CALL_EXCEPTION" ? error.shortMessage || "execution reverted" : null;
+}
+
+function isNonceError(error) {
+  const message = `${error.shortMessage || ""} ${error.message || ""}`.toLowerCase();
+  return error.code === "NONCE_EXPIRED" || NONCE_MESSAGES.some((text) => message.includes(text));
+}
+
+function isTransient(error) {
+  return TRANSIENT_CODES.includes(error.code) || isNonceError(error) || /ECONNREFUSED|ECONNRESET/.test(error.message);
+}
+
+/**
+ * @notice Create the submitter
+ * @param {Object} manager TreasuryAIManager contract
+ * @param {Object} signer Service layer signer
+ * @param {Object} [options]
+ * @param {number} [options.retries=3] Attempts after the first one, for transient failures
+ * @param {number} [options.retryDelayMs=1000] First backoff, doubled on every attempt
+ * @param {number} [options.confirmations=1]
+ * @param {function(string): void} [options.log]
+ * @return {{signer: Object, submit: function(Object): Promise<Object>}}
+ */
+function createSubmitter(manager, signer, { retries = 3, retryDelayMs = 1000, confirmations = 1, log = console.log } = {}) {
+  const nonceManager = signer instanceof NonceManager ? signer : new NonceManager(signer);
+  const contract = manager.connect(nonceManager);
+
+  /**
+   * @notice Submit one decision
+   * @param {{decisionId: string, strategy: string, allocation: number, reason: string}} decision
+   * @return {Promise<Object>} { status: "processed" | "already-processed" | "skipped", ... }
+   */
+  async function submit({ decisionId, strategy, allocation, reason }) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        const tx = await contract[PROCESS_DECISION](decisionId, strategy, allocation, reason);
+        const receipt = await tx.wait(confirmations);
+        return { status: "processed", txHash: receipt.hash, gasUsed: receipt.gasUsed, attempts: attempt + 1 };
+      } catch (error) {
+        if (isNonceError(error)) {
+          nonceManager.reset();
+        }
+        const revert = isTransient(error) ? null : revertReason(error);
+        if (revert !== null) {
+          // A reverted transaction consumed its nonce, a failed estimate did not
+          nonceManager.reset();
+          if (FATAL_REVERTS.some((text) => revert.includes(text))) {
+            throw new Error(`processDecision rejected the service signer: ${revert}`);
+          }
+          if (revert.includes("Decision already processed")) {
+            return { status: "already-processed", attempts: attempt + 1 };
+          }
+          return { status: "skipped", revert, attempts: attempt + 1 };
+        }
+        if (attempt >= retries) {
+          throw error;
+        }
+        const delay = retryDelayMs * 2 ** attempt;
+        log(`  ${decisionId}: ${error.shortMessage || error.message}, retrying in ${delay} ms`);
+        await sleep(delay);
+      }
+    }
+  }
+
+  return { signer: nonceManager, submit };
+}
+
+module.exports = {
+  PROCESS_DECISION,
+  revertReason,
+  createSubmitter
+};
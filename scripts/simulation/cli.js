@@ -0,0 +1,48 @@
+// Shared by the `hardhat run` entry points (scripts/simulate.js, scripts/demo.js): run a
+// scenario, print its gas and balances and write its report.
+//
+//   SCENARIO=<name>      scenario of scripts/simulation/scenarios to run instead of the default
+//   REPORT_DIR=<path>    where to write the report, default reports/simulations/<scenario>-<network>-<time>
+
+const path = require("path");
+const { runScenario } = require("./engine");
+const { loadScenario } = require("./scenarios");
+const { buildReport, writeReport } = require("./report");
+
+/**
+ * @notice Run a scenario and write its report
+ * @param hre Hardhat runtime environment
+ * @param {string} defaultScenario Scenario run when SCENARIO is not set
+ * @return {Promise<Object>} The report
+ */
+async function simulate(hre, defaultScenario) {
+  const scenario = loadScenario(process.env.SCENARIO || defaultScenario);
+  const report = buildReport(await runScenario(hre, scenario));
+
+  console.log(`\nSteps of ${report.scenario} on ${report.network}:`);
+  console.table(
+    report.steps.map((step) => ({
+      step: step.step,
+      label: step.label,
+      transactions: step.transactions.length,
+      gasUsed: step.gasUsed
+    }))
+  );
+  console.log(`Total gas: ${report.totals.gasUsed}`);
+  if (report.returns.length > 0) {
+    console.log("\nInvestor returns:");
+    console.table(report.returns);
+  }
+  console.log("\nFinal balances:");
+  console.table(report.balances.after);
+
+  const stamp = report.generatedAt.replace(/[:.]/g, "-");
+  const directory =
+    process.env.REPORT_DIR ||
+    path.join(__dirname, "..", "..", "reports", "simulations", `${report.scenario}-${report.network}-${stamp}`);
+  const files = writeReport(report, directory);
+  console.log(`\nReport written to ${path.relative(process.cwd(), directory)}: ${files.map((file) => path.basename(file)).join(", ")}`);
+  return report;
+}
+
+module.exports = { simulate };
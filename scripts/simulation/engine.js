@@ -0,0 +1,191 @@
+// Scenario engine of the business simulations (scripts/simulate.js).
+//
+// A scenario is plain data: the actors taking part, mapped in order onto the signers of the
+// network (the first one deploys and owns the environment), and a list of steps:
+//
+//   {
+//     name: "marina-textiles",
+//     description: "...",
+//     actors: ["deployer", "marina", "buyer"],
+//     steps: [
+//       { step: "environment.deploy", tokens: { USDC: 6, LINK: 18 }, registryOwner: "marina" },
+//       { step: "invoice.create", as: "marina", name: "INV-001", beneficiary: "buyer", token: "USDC", amount: "500000" },
+//       ...
+//     ]
+//   }
+//
+// Steps are defined in steps/ with typed inputs (inputs.js). The whole scenario is validated
+// before the first transaction, so a typo in step 9 does not surface after a full run. After
+// every step the engine records its transactions and a snapshot of the state (state.js), which
+// report.js turns into the run report.
+
+const { STEPS } = require("./steps");
+const { snapshot } = require("./state");
+
+/**
+ * @typedef {Object} StepDefinition
+ * @property {string} description Shown when the scenario entry has no `label`
+ * @property {Object<string, import("./inputs").InputType>} inputs
+ * @property {function(Object, Object): Promise<(Object|void)>} run Called with the scenario
+ *   context and the resolved inputs; returns what the step wants recorded in its result
+ */
+
+/**
+ * @typedef {Object} StepResult
+ * @property {string} step Step name, e.g. "invoice.fund"
+ * @property {string} label
+ * @property {Object} outputs What the step returned
+ * @property {Array<{hash: string, to: (string|null), gasUsed: bigint}>} transactions Transactions
+ *   sent by the step; `to` is null for deployments
+ * @property {bigint} gasUsed Gas of those transactions
+ * @property {import("./state").Snapshot|null} state State after the step, null when snapshots are off
+ */
+
+/**
+ * @notice Every problem of a scenario: unknown steps, missing, unknown or mistyped inputs
+ * and actors that are not declared
+ * @param {Object} scenario
+ * @return {Array<string>}
+ */
+function scenarioProblems(scenario) {
+  const problems = [];
+  if (!Array.isArray(scenario.actors) || scenario.actors.length === 0) {
+    problems.push("no actors declared");
+  }
+
+  (scenario.steps || []).forEach((entry, index) => {
+    const where = `step ${index + 1} (${entry.step})`;
+    const definition = STEPS[entry.step];
+    if (!definition) {
+      problems.push(`${where}: unknown step, known: ${Object.keys(STEPS).join(", ")}`);
+      return;
+    }
+
+    for (const key of Object.keys(entry)) {
+      if (!["step", "label"].includes(key) && !(key in definition.inputs)) {
+        problems.push(`${where}: unknown input "${key}"`);
+      }
+    }
+    for (const [key, type] of Object.entries(definition.inputs)) {
+      const value = entry[key];
+      if (value === undefined) {
+        if (type.required) {
+          problems.push(`${where}: missing ${type.type} input "${key}"`);
+        }
+        continue;
+      }
+      const problem = type.check(value);
+      if (problem) {
+        problems.push(`${where}: ${key}: ${problem}`);
+      } else if (type.type === "actor" && !scenario.actors.includes(value)) {
+        problems.push(`${where}: ${key}: "${value}" is not one of the actors`);
+      }
+    }
+  });
+  return problems;
+}
+
+async function createContext(hre, scenario, quiet) {
+  const signers = await hre.ethers.getSigners();
+  if (scenario.actors.length > signers.length) {
+    throw new Error(`${scenario.name} needs ${scenario.actors.length} accounts, ${hre.network.name} has ${signers.length}`);
+  }
+
+  const context = {
+    hre,
+    ethers: hre.ethers,
+    deployer: signers[0],
+    actors: Object.fromEntries(scenario.actors.map((name, index) => [name, signers[index]])),
+    tokens: {},
+    contracts: {},
+    // SDK clients of the contracts above, connected to an actor with clients.x.connect(actor)
+    clients: {},
+    invoices: {},
+    vaults: {},
+    receipts: [],
+    log: quiet ? () => {} : (message) => console.log(`  ${message}`),
+    units: (token, amount) => hre.ethers.parseUnits(amount, token.decimals),
+    format: (token, amount) => `${hre.ethers.formatUnits(amount, token.decimals)} ${token.symbol}`
+  };
+
+  /**
+   * Wait for a transaction sent by a step and keep its receipt for the step result
+   */
+  context.send = async (pending) => {
+    const tx = await pending;
+    const receipt = await tx.wait();
+    context.receipts.push(receipt);
+    return receipt;
+  };
+  // Transactions of the SDK clients are recorded the same way; approvals stay exact so the
+  // reports show what each step needed
+  context.clientOptions = {
+    onReceipt: (receipt) => context.receipts.push(receipt),
+    exactApprovals: true
+  };
+  return context;
+}
+
+async function resolveInputs(context, definition, entry) {
+  const values = {};
+  for (const [key, type] of Object.entries(definition.inputs)) {
+    const value = entry[key] === undefined ? type.default : entry[key];
+    values[key] = value === undefined ? undefined : await type.resolve(context, value);
+  }
+  return values;
+}
+
+/**
+ * @notice Validate and run a scenario on the network hardhat is connected to
+ * @param hre Hardhat runtime environment
+ * @param {Object} scenario See the top of this file
+ * @param {Object} [options]
+ * @param {boolean} [options.snapshots=true] Snapshot the state after every step; batch runs of
+ *   many invoices turn it off, each snapshot reads every invoice and vault
+ * @param {boolean} [options.quiet=false] Do not log the steps
+ * @return {Promise<{scenario: string, network: string, initial: import("./state").Snapshot,
+ *   results: Array<StepResult>, context: Object}>}
+ */
+async function runScenario(hre, scenario, { snapshots = true, quiet = false } = {}) {
+  const problems = scenarioProblems(scenario);
+  if (problems.length > 0) {
+    throw new Error(`Scenario "${scenario.name}" is invalid:\n  ${problems.join("\n  ")}`);
+  }
+
+  const context = await createContext(hre, scenario, quiet);
+  const initial = snapshots ? await snapshot(context) : null;
+  const results = [];
+  if (!quiet) {
+    console.log(`Scenario ${scenario.name}: ${scenario.description}`);
+  }
+
+  for (const [index, entry] of scenario.steps.entries()) {
+    const definition = STEPS[entry.step];
+    const label = entry.label || definition.description;
+    if (!quiet) {
+      console.log(`\n[${index + 1}/${scenario.steps.length}] ${label}`);
+    }
+
+    context.receipts = [];
+    const outputs = (await definition.run(context, await resolveInputs(context, definition, entry))) || {};
+    results.push({
+      step: entry.step,
+      label,
+      outputs,
+      transactions: context.receipts.map((receipt) => ({
+        hash: receipt.hash,
+        to: receipt.to,
+        gasUsed: receipt.gasUsed
+      })),
+      gasUsed: context.receipts.reduce((sum, receipt) => sum + receipt.gasUsed, 0n),
+      state: snapshots ? await snapshot(context) : null
+    });
+  }
+
+  return { scenario: scenario.name, network: hre.network.name, initial, results, context };
+}
+
+module.exports = {
+  scenarioProblems,
+  runScenario
+};
@@ -0,0 +1,146 @@
+// Input types of the simulation steps. A step declares its inputs as { name: type }; every
+// step of a scenario is checked against its declaration before anything is deployed, and
+// the values are resolved against the scenario context (actors, tokens, invoices) when the
+// step runs.
+//
+//   inputs: {
+//     as: input.actor({ default: "deployer" }),
+//     amount: input.amount(),
+//     dueIn: input.duration({ default: "90d" })
+//   }
+
+const { CHAIN_SELECTORS } = require("../../config/manifests/shared");
+
+const DURATION_UNITS = { s: 1, m: 60, h: 3600, d: 86400, w: 604800 };
+
+/**
+ * @typedef {Object} InputType
+ * @property {string} type Name shown in validation errors
+ * @property {boolean} required
+ * @property {*} [default] Value used when the scenario omits the input
+ * @property {function(*): (string|null)} check Problem with a raw scenario value, or null
+ * @property {function(Object, *): *} resolve Raw value to what the step works with
+ */
+
+function define(type, check, resolve) {
+  return (options = {}) => ({
+    type,
+    required: options.default === undefined && !options.optional,
+    default: options.default,
+    check,
+    resolve: resolve || ((context, value) => value)
+  });
+}
+
+function lookup(kind, table, name) {
+  if (!(name in table)) {
+    throw new Error(`Unknown ${kind} "${name}", known: ${Object.keys(table).join(", ") || "none"}`);
+  }
+  return table[name];
+}
+
+const isDecimal = (value) => typeof value === "string" && /^\d+(\.\d+)?$/.test(value);
+
+/**
+ * @notice Seconds in a duration such as "90d", "12h" or 3600
+ */
+function parseDuration(value) {
+  if (typeof value === "number") {
+    return value;
+  }
+  const [, count, unit] = /^(\d+)([smhdw])$/.exec(value);
+  return Number(count) * DURATION_UNITS[unit];
+}
+
+const input = {
+  string: define("string", (value) => (typeof value === "string" ? null : "expected a string")),
+
+  number: define("number", (value) => (Number.isFinite(value) ? null : "expected a number")),
+
+  // Name of a signer declared in the scenario's `actors`
+  actor: define(
+    "actor",
+    (value) => (typeof value === "string" ? null : "expected an actor name"),
+    (context, name) => lookup("actor", context.actors, name)
+  ),
+
+  // Actor or contract deployed by the scenario, resolved to an address
+  account: define(
+    "account",
+    (value) => (typeof value === "string" ? null : "expected an actor or contract name"),
+    async (context, name) => {
+      if (name in context.actors) {
+        return context.actors[name].address;
+      }
+      return lookup("actor or contract", context.contracts, name).getAddress();
+    }
+  ),
+
+  // Symbol of a token deployed by environment.deploy
+  token: define(
+    "token",
+    (value) => (typeof value === "string" ? null : "expected a token symbol"),
+    (context, symbol) => lookup("token", context.tokens, symbol)
+  ),
+
+  // Decimal amount in whole token units, e.g. "500000" or "0.5"; scaled by the step
+  amount: define("amount", (value) => (isDecimal(value) ? null : 'expected a decimal string such as "1000.50"')),
+
+  // Percentage such as "2" or "0.5" (of 100)
+  percent: define("percent", (value) => (isDecimal(value) && Number(value) <= 100 ? null : "expected a percentage string")),
+
+  duration: define(
+    "duration",
+    (value) =>
+      (typeof value === "number" && value >= 0) || (typeof value === "string" && /^\d+[smhdw]$/.test(value))
+        ? null
+        : 'expected seconds or a duration such as "30d"',
+    (context, value) => parseDuration(value)
+  ),
+
+  // Network with a CCIP chain selector in config/manifests/shared.js, resolved to { name, selector }
+  chain: define(
+    "chain",
+    (value) => (value in CHAIN_SELECTORS ? null : `expected one of ${Object.keys(CHAIN_SELECTORS).join(", ")}`),
+    (context, name) => ({ name, selector: CHAIN_SELECTORS[name] })
+  ),
+
+  // { chain: percentage } adding up to 100
+  allocation: define("allocation", (value) => {
+    if (!value || typeof value !== "object") {
+      return "expected an object of chain: percentage";
+    }
+    const unknown = Object.keys(value).filter((name) => !(name in CHAIN_SELECTORS));
+    if (unknown.length > 0) {
+      return `unknown chain(s) ${unknown.join(", ")}`;
+    }
+    const total = Object.values(value).reduce((sum, share) => sum + share, 0);
+    return total === 100 ? null : `percentages add up to ${total}, not 100`;
+  }),
+
+  // Name an earlier invoice.create step gave to its invoice
+  invoice: define(
+    "invoice",
+    (value) => (typeof value === "string" ? null : "expected an invoice name"),
+    (context, name) => lookup("invoice", context.invoices, name)
+  ),
+
+  // Name an earlier vault.create step gave to its vault
+  vault: define(
+    "vault",
+    (value) => (typeof value === "string" ? null : "expected a vault name"),
+    (context, name) => lookup("vault", context.vaults, name)
+  ),
+
+  // { symbol: decimals } of mock tokens to deploy
+  tokenList: define("tokenList", (value) =>
+    value && typeof value === "object" && Object.values(value).every(Number.isInteger)
+      ? null
+      : "expected an object of symbol: decimals"
+  )
+};
+
+module.exports = {
+  input,
+  parseDuration
+};
@@ -0,0 +1,61 @@
+// Seeded pseudo-random numbers for the stress simulation, so a run can be reproduced from its
+// seed. mulberry32 seeded through a string hash: not cryptographic, only repeatable.
+
+function hashSeed(seed) {
+  let hash = 1779033703 ^ String(seed).length;
+  for (const char of String(seed)) {
+    hash = Math.imul(hash ^ char.charCodeAt(0), 3432918353);
+    hash = (hash << 13) | (hash >>> 19);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * @notice Random number generator seeded with any string or number
+ * @param {string|number} seed
+ */
+function createRng(seed) {
+  let state = hashSeed(seed);
+  const next = () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let value = state;
+    value = Math.imul(value ^ (value >>> 15), value | 1);
+    value ^= value + Math.imul(value ^ (value >>> 7), value | 61);
+    return ((value ^ (value >>> 14)) >>> 0) / 4294967296;
+  };
+
+  const rng = {
+    /** Float in [0, 1) */
+    next,
+    /** Float in [min, max) */
+    uniform: (min, max) => min + (max - min) * next(),
+    /** Integer in [min, max] */
+    int: (min, max) => min + Math.floor((max - min + 1) * next()),
+    /** Float in [min, max), uniform on a log scale: as many small amounts as large ones */
+    logUniform: (min, max) => Math.exp(rng.uniform(Math.log(min), Math.log(max))),
+    /** Key of `weights` ({ key: weight }) drawn in proportion to its weight */
+    weighted: (weights) => {
+      const entries = Object.entries(weights);
+      let draw = next() * entries.reduce((sum, [, weight]) => sum + weight, 0);
+      for (const [key, weight] of entries) {
+        draw -= weight;
+        if (draw < 0) {
+          return key;
+        }
+      }
+      return entries[entries.length - 1][0];
+    },
+    /** `count` distinct elements of `items` */
+    sample: (items, count) => {
+      const pool = [...items];
+      for (let index = pool.length - 1; index > 0; index--) {
+        const other = Math.floor(next() * (index + 1));
+        [pool[index], pool[other]] = [pool[other], pool[index]];
+      }
+      return pool.slice(0, count);
+    }
+  };
+  return rng;
+}
+
+module.exports = { createRng };
@@ -0,0 +1,313 @@
+// Report of a scenario run, built from the transactions and state snapshots the engine records,
+// so runs can be compared and attached to reviews. writeReport exports it as:
+//
+//   report.json    everything below, amounts as decimal strings in token units
+//   steps.csv      one row per step: transactions and gas used
+//   balances.csv   one row per step, actor and token whose balance the step changed
+//   invoices.csv   invoice status transitions
+//   vaults.csv     assets, shares and share price of every vault after every step
+//   returns.csv    what every investor put in and got back (or still holds)
+//   summary.md     Markdown summary of the above
+
+const fs = require("fs");
+const path = require("path");
+const { formatUnits } = require("ethers");
+const { actorName } = require("./state");
+
+const PRICE_DECIMALS = 18;
+
+function tokenFormatter(context) {
+  return (symbol, amount) => formatUnits(amount, context.tokens[symbol].decimals);
+}
+
+function sharePrice(vault) {
+  return vault.shares === 0n
+    ? null
+    : formatUnits((vault.assets * 10n ** BigInt(PRICE_DECIMALS)) / vault.shares, PRICE_DECIMALS);
+}
+
+// Step outputs with their bigints as decimal strings
+function plain(value) {
+  return JSON.parse(JSON.stringify(value, (key, item) => (typeof item === "bigint" ? item.toString() : item)));
+}
+
+function percentOf(part, whole) {
+  return whole === 0n ? null : Number((part * 10000n) / whole) / 100;
+}
+
+function formatBalances(format, balances) {
+  return Object.fromEntries(
+    Object.entries(balances).map(([actor, tokens]) => [
+      actor,
+      Object.fromEntries(Object.entries(tokens).map(([symbol, amount]) => [symbol, format(symbol, amount)]))
+    ])
+  );
+}
+
+function balanceChanges(format, before, after) {
+  const changes = [];
+  for (const [actor, tokens] of Object.entries(after)) {
+    for (const [symbol, amount] of Object.entries(tokens)) {
+      const previous = (before[actor] || {})[symbol] || 0n;
+      if (amount !== previous) {
+        changes.push({
+          actor,
+          token: symbol,
+          before: format(symbol, previous),
+          after: format(symbol, amount),
+          change: format(symbol, amount - previous)
+        });
+      }
+    }
+  }
+  return changes;
+}
+
+// Invested, received and still held per investor, from the invoice and vault records of the
+// context and the final state
+function investorReturns(context, format, finalState) {
+  const rows = [];
+  const push = (source, kind, symbol, investor, invested, received, held) => {
+    const value = received + held;
+    rows.push({
+      source,
+      kind,
+      investor,
+      token: symbol,
+      invested: format(symbol, invested),
+      received: format(symbol, received),
+      held: format(symbol, held),
+      profit: format(symbol, value - invested),
+      returnPercent: percentOf(value - invested, invested)
+    });
+  };
+
+  for (const [name, invoice] of Object.entries(context.invoices)) {
+    const vault = finalState.vaults[name];
+    if (!vault) {
+      continue;
+    }
+    for (const [address, invested] of Object.entries(invoice.investments)) {
+      const held = vault.shares === 0n ? 0n : (vault.assets * invested) / vault.shares;
+      push(name, "invoice", vault.token, actorName(context, address), invested, invoice.payouts[address] || 0n, held);
+    }
+  }
+
+  for (const [name, vault] of Object.entries(context.vaults)) {
+    const state = finalState.vaults[name];
+    for (const [address, position] of Object.entries(vault.positions)) {
+      const investor = actorName(context, address);
+      const shares = state.positions[investor] || 0n;
+      const held = state.shares === 0n ? 0n : (shares * state.assets) / state.shares;
+      push(name, "manager", state.token, investor, position.deposited, position.withdrawn, held);
+    }
+  }
+  return rows;
+}
+
+/**
+ * @notice Structured report of a run of runScenario
+ * @param run What runScenario returned
+ * @return {Object} Plain JSON-serializable report
+ */
+function buildReport(run) {
+  const { context } = run;
+  const format = tokenFormatter(context);
+  const finalState = run.results.length > 0 ? run.results[run.results.length - 1].state : run.initial;
+
+  const steps = [];
+  const invoiceTransitions = [];
+  const vaults = [];
+  let before = run.initial;
+  for (const [index, result] of run.results.entries()) {
+    const number = index + 1;
+    steps.push({
+      number,
+      step: result.step,
+      label: result.label,
+      outputs: plain(result.outputs),
+      gasUsed: result.gasUsed.toString(),
+      transactions: result.transactions.map((tx) => ({ ...tx, gasUsed: tx.gasUsed.toString() })),
+      balanceChanges: balanceChanges(format, before.balances, result.state.balances)
+    });
+
+    for (const [invoice, status] of Object.entries(result.state.invoices)) {
+      const previous = before.invoices[invoice] || null;
+      if (status !== previous) {
+        invoiceTransitions.push({ step: number, label: result.label, invoice, from: previous, to: status });
+      }
+    }
+    for (const [name, vault] of Object.entries(result.state.vaults)) {
+      vaults.push({
+        step: number,
+        vault: name,
+        kind: vault.kind,
+        token: vault.token,
+        assets: format(vault.token, vault.assets),
+        shares: format(vault.token, vault.shares),
+        sharePrice: sharePrice(vault)
+      });
+    }
+    before = result.state;
+  }
+
+  return {
+    scenario: run.scenario,
+    network: run.network,
+    generatedAt: new Date().toISOString(),
+    actors: Object.fromEntries(Object.entries(context.actors).map(([name, signer]) => [name, signer.address])),
+    tokens: Object.fromEntries(
+      Object.values(context.tokens).map((token) => [token.symbol, { address: token.address, decimals: token.decimals }])
+    ),
+    totals: {
+      steps: steps.length,
+      transactions: steps.reduce((sum, step) => sum + step.transactions.length, 0),
+      gasUsed: run.results.reduce((sum, result) => sum + result.gasUsed, 0n).toString()
+    },
+    steps,
+    balances: {
+      before: formatBalances(format, run.initial.balances),
+      after: formatBalances(format, finalState.balances)
+    },
+    invoiceTransitions,
+    vaults,
+    returns: investorReturns(context, format, finalState)
+  };
+}
+
+function csvValue(value) {
+  const text = value === null || value === undefined ? "" : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * @notice CSV text of an array of flat objects, columns in the order of the first row
+ */
+function toCsv(rows, columns = rows.length > 0 ? Object.keys(rows[0]) : []) {
+  return [columns, ...rows.map((row) => columns.map((column) => row[column]))]
+    .map((values) => values.map(csvValue).join(","))
+    .join("\n")
+    .concat("\n");
+}
+
+/**
+ * @notice Markdown table of an array of flat objects
+ */
+function markdownTable(rows, columns = rows.length > 0 ? Object.keys(rows[0]) : []) {
+  if (rows.length === 0) {
+    return "_None_\n";
+  }
+  const cell = (value) => (value === null || value === undefined ? "" : String(value).replace(/\|/g, "\\|"));
+  return [
+    `| ${columns.join(" | ")} |`,
+    `| ${columns.map(() => "---").join(" | ")} |`,
+    ...rows.map((row) => `| ${columns.map((column) => cell(row[column])).join(" | ")} |`)
+  ]
+    .join("\n")
+    .concat("\n");
+}
+
+/**
+ * @notice Markdown summary of a report
+ */
+function toMarkdown(report) {
+  const finalVaults = Object.values(
+    Object.fromEntries(report.vaults.map((vault) => [vault.vault, vault]))
+  );
+  const balances = Object.entries(report.balances.after).map(([actor, tokens]) => ({ actor, ...tokens }));
+
+  return [
+    `# Simulation ${report.scenario}`,
+    "",
+    `Network ${report.network}, ${report.generatedAt}: ${report.totals.steps} steps, ` +
+      `${report.totals.transactions} transactions, ${report.totals.gasUsed} gas.`,
+    "",
+    "## Steps",
+    "",
+    markdownTable(
+      report.steps.map((step) => ({
+        "#": step.number,
+        step: step.step,
+        label: step.label,
+        transactions: step.transactions.length,
+        gas: step.gasUsed
+      }))
+    ),
+    "## Invoice status",
+    "",
+    markdownTable(report.invoiceTransitions, ["step", "invoice", "from", "to", "label"]),
+    "## Vaults at the end",
+    "",
+    markdownTable(finalVaults, ["vault", "kind", "token", "assets", "shares", "sharePrice"]),
+    "## Investor returns",
+    "",
+    markdownTable(report.returns),
+    "## Final balances",
+    "",
+    markdownTable(balances)
+  ].join("\n");
+}
+
+/**
+ * @notice Write the JSON, CSV and Markdown exports of a report
+ * @param {Object} report What buildReport returned
+ * @param {string} directory Created if missing
+ * @return {Array<string>} Paths of the files written
+ */
+function writeReport(report, directory) {
+  const balanceRows = report.steps.flatMap((step) =>
+    step.balanceChanges.map((change) => ({ step: step.number, label: step.label, ...change }))
+  );
+  const files = {
+    "report.json": `${JSON.stringify(report, null, 2)}\n`,
+    "steps.csv": toCsv(
+      report.steps.map((step) => ({
+        step: step.number,
+        name: step.step,
+        label: step.label,
+        transactions: step.transactions.length,
+        gasUsed: step.gasUsed,
+        txHashes: step.transactions.map((tx) => tx.hash).join(" ")
+      }))
+    ),
+    "balances.csv": toCsv(balanceRows, ["step", "label", "actor", "token", "before", "after", "change"]),
+    "invoices.csv": toCsv(report.invoiceTransitions, ["step", "label", "invoice", "from", "to"]),
+    "vaults.csv": toCsv(report.vaults, ["step", "vault", "kind", "token", "assets", "shares", "sharePrice"]),
+    "returns.csv": toCsv(report.returns, [
+      "source",
+      "kind",
+      "investor",
+      "token",
+      "invested",
+      "received",
+      "held",
+      "profit",
+      "returnPercent"
+    ]),
+    "summary.md": toMarkdown(report)
+  };
+
+  return writeFiles(directory, files);
+}
+
+/**
+ * @notice Write `{ fileName: content }` to a directory, created if missing
+ * @return {Array<string>} Paths of the files written
+ */
+function writeFiles(directory, files) {
+  fs.mkdirSync(directory, { recursive: true });
+  return Object.entries(files).map(([name, content]) => {
+    const file = path.join(directory, name);
+    fs.writeFileSync(file, content);
+    return file;
+  });
+}
+
+module.exports = {
+  buildReport,
+  writeReport,
+  writeFiles,
+  toCsv,
+  markdownTable,
+  toMarkdown
+};
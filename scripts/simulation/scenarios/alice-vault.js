@@ -0,0 +1,21 @@
+// Alice deposits into a VaultManager vault and redeems half of her shares, then the deployer
+// sends tokens to Avalanche Fuji through CrossChainRouter.
+
+module.exports = {
+  name: "alice-vault",
+  description: "VaultManager deposit and withdrawal, then a CCIP transfer",
+  actors: ["deployer", "alice", "bob", "treasury"],
+  steps: [
+    { step: "environment.deploy", tokens: { DTOK: 18, LINK: 18 } },
+    { step: "environment.mint", token: "DTOK", to: "alice", amount: "10000" },
+    { step: "environment.mint", token: "DTOK", to: "bob", amount: "10000" },
+    { step: "environment.mint", token: "LINK", to: "CrossChainRouter", amount: "1", label: "Fund the router with LINK for CCIP fees" },
+
+    { step: "vault.create", name: "dtok-vault", token: "DTOK" },
+    { step: "vault.deposit", as: "alice", vault: "dtok-vault", amount: "1000" },
+    { step: "vault.withdraw", label: "Alice redeems half of her shares", as: "alice", vault: "dtok-vault", share: "50" },
+
+    { step: "environment.mint", token: "DTOK", to: "deployer", amount: "100" },
+    { step: "crosschain.transfer", as: "deployer", token: "DTOK", amount: "100", chain: "fuji" }
+  ]
+};
@@ -0,0 +1,26 @@
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * @notice Load a scenario of this directory by name
+ * @param {string} name File name without extension, e.g. "marina-textiles"
+ */
+function loadScenario(name) {
+  const file = path.join(__dirname, `${name}.js`);
+  if (!fs.existsSync(file)) {
+    throw new Error(`No scenario "${name}". Available: ${listScenarios().join(", ")}`);
+  }
+  return require(file);
+}
+
+/**
+ * @notice Names of all scenarios
+ */
+function listScenarios() {
+  return fs
+    .readdirSync(__dirname)
+    .filter((name) => name.endsWith(".js") && name !== "index.js")
+    .map((name) => path.basename(name, ".js"));
+}
+
+module.exports = { loadScenario, listScenarios };
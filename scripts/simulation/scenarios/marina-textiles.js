@@ -0,0 +1,55 @@
+// Marina Textiles, a manufacturer waiting on 90-day payment terms from Fashion Retail Inc,
+// tokenizes the invoice to get working capital. Two investors fund it, the capital earns
+// yield while Marina moves part of its treasury to other chains, and once the buyer has
+// paid the vault is settled back to the investors.
+
+module.exports = {
+  name: "marina-textiles",
+  description: "Invoice financing for Marina Textiles, from tokenization to investor payout",
+  actors: ["deployer", "marina", "buyer", "investor1", "investor2"],
+  steps: [
+    {
+      step: "environment.deploy",
+      tokens: { USDC: 6, LINK: 18, "CCIP-BnM": 18 },
+      registryOwner: "marina"
+    },
+    { step: "environment.mint", token: "USDC", to: "marina", amount: "1000000" },
+    { step: "environment.mint", token: "USDC", to: "investor1", amount: "300000" },
+    { step: "environment.mint", token: "USDC", to: "investor2", amount: "200000" },
+    { step: "environment.mint", token: "CCIP-BnM", to: "marina", amount: "1000" },
+    { step: "environment.mint", token: "LINK", to: "CrossChainRouter", amount: "1000", label: "Fund the router with LINK for CCIP fees" },
+
+    {
+      step: "invoice.create",
+      label: "Marina invoices Fashion Retail Inc",
+      as: "marina",
+      name: "INV-2023-001",
+      beneficiary: "buyer",
+      token: "USDC",
+      amount: "500000",
+      dueIn: "90d",
+      uri: "https://api.tokeniq.io/invoices/INV-2023-001"
+    },
+    { step: "invoice.fund", label: "Open the invoice for funding", as: "marina", invoice: "INV-2023-001", amount: "500000" },
+    { step: "invoice.invest", as: "investor1", invoice: "INV-2023-001", amount: "300000" },
+    { step: "invoice.invest", as: "investor2", invoice: "INV-2023-001", amount: "200000" },
+
+    {
+      step: "crosschain.allocate",
+      label: "Marina spreads treasury USDC over the CCIP chains",
+      as: "marina",
+      token: "USDC",
+      amount: "100000",
+      allocation: { fuji: 40, arbitrumSepolia: 35, baseSepolia: 25 }
+    },
+    { step: "crosschain.transfer", as: "marina", token: "CCIP-BnM", amount: "100", chain: "sepolia" },
+
+    { step: "environment.advanceTime", duration: "30d" },
+    { step: "yield.accrue", label: "A month of yield on the invoice capital", invoice: "INV-2023-001", rate: "2" },
+    { step: "environment.advanceTime", duration: "60d" },
+
+    { step: "invoice.markPaid", label: "Fashion Retail Inc pays at the due date", as: "marina", invoice: "INV-2023-001" },
+    { step: "invoice.settle", as: "marina", invoice: "INV-2023-001" },
+    { step: "settlement.distribute", as: "marina", invoice: "INV-2023-001" }
+  ]
+};
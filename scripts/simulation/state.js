@@ -0,0 +1,87 @@
+// State of a scenario between steps: token balances of the actors, status of the invoices and
+// the assets and shares of the vaults. The engine takes a snapshot before the first step and
+// after every step; reports (report.js) compare them.
+
+// TokenizedInvoice.InvoiceStatus
+const INVOICE_STATUS = ["Created", "Funded", "Paid", "Defaulted", "Settled"];
+
+/**
+ * @typedef {Object} VaultState
+ * @property {string} kind "invoice" for the RWAInvoiceVaultSimple of an invoice, "manager" for a
+ *   VaultManager vault
+ * @property {string} token Symbol of the vault token
+ * @property {bigint} assets Tokens held by the vault
+ * @property {bigint} shares Shares outstanding; for invoice vaults the capital invested
+ * @property {Object<string, bigint>} positions Shares held per actor
+ */
+
+/**
+ * @typedef {Object} Snapshot
+ * @property {Object<string, Object<string, bigint>>} balances Actor => token symbol => balance
+ * @property {Object<string, string>} invoices Invoice name => InvoiceStatus name
+ * @property {Object<string, VaultState>} vaults Invoice or vault name => state
+ */
+
+async function invoiceStatus(context, invoice) {
+  const data = await context.contracts.InvoiceRegistry.getInvoice(invoice.tokenId);
+  return INVOICE_STATUS[Number(data.status)];
+}
+
+function actorName(context, address) {
+  const found = Object.entries(context.actors).find(([, signer]) => signer.address === address);
+  return found ? found[0] : address;
+}
+
+/**
+ * @notice Read the current state of everything the scenario has created so far
+ * @return {Promise<Snapshot>}
+ */
+async function snapshot(context) {
+  const state = { balances: {}, invoices: {}, vaults: {} };
+
+  for (const [name, signer] of Object.entries(context.actors)) {
+    state.balances[name] = {};
+    for (const token of Object.values(context.tokens)) {
+      state.balances[name][token.symbol] = await token.contract.balanceOf(signer.address);
+    }
+  }
+
+  for (const [name, invoice] of Object.entries(context.invoices)) {
+    state.invoices[name] = await invoiceStatus(context, invoice);
+    if (invoice.vault) {
+      state.vaults[name] = {
+        kind: "invoice",
+        token: invoice.token.symbol,
+        assets: await invoice.token.contract.balanceOf(await invoice.vault.getAddress()),
+        shares: await invoice.vault.totalFunded(),
+        positions: Object.fromEntries(
+          Object.entries(invoice.investments).map(([address, amount]) => [actorName(context, address), amount])
+        )
+      };
+    }
+  }
+
+  for (const [name, vault] of Object.entries(context.vaults)) {
+    const manager = context.contracts.VaultManager;
+    const info = await manager.vaults(vault.id);
+    const positions = {};
+    for (const address of Object.keys(vault.positions)) {
+      positions[actorName(context, address)] = (await manager.userInfo(vault.id, address)).shares;
+    }
+    state.vaults[name] = {
+      kind: "manager",
+      token: vault.token.symbol,
+      assets: info.totalAssets,
+      shares: info.totalShares,
+      positions
+    };
+  }
+  return state;
+}
+
+module.exports = {
+  INVOICE_STATUS,
+  invoiceStatus,
+  actorName,
+  snapshot
+};
@@ -0,0 +1,54 @@
+// Token transfers through CrossChainRouter. The local router is MockRouter, which accepts
+// the CCIP message without delivering it, so the steps check the source side: tokens taken
+// from the sender and a MessageSent event per transfer.
+
+const { input } = require("../inputs");
+const { CHAIN_SELECTORS } = require("../../../config/manifests/shared");
+
+async function transfer(context, as, token, value, chainName) {
+  const selector = CHAIN_SELECTORS[chainName];
+  // Chain and token allowlisting is an owner action, done on first use
+  await context.clients.router.connect(context.deployer).allowlist({ chain: selector, token: token.address });
+
+  const sent = await context.clients.router.connect(as).transfer({ chain: selector, token: token.address, amount: value });
+  context.log(`${sent.amount} to ${chainName}, message ${sent.messageId}`);
+  return { chain: chainName, selector, amount: value, messageId: sent.messageId, txHash: sent.receipt.hash };
+}
+
+module.exports = {
+  "crosschain.transfer": {
+    description: "Send tokens to another chain over CCIP",
+    inputs: {
+      as: input.actor(),
+      token: input.token(),
+      amount: input.amount(),
+      chain: input.chain()
+    },
+    async run(context, { as, token, amount, chain }) {
+      return transfer(context, as, token, context.units(token, amount), chain.name);
+    }
+  },
+
+  "crosschain.allocate": {
+    description: "Spread capital over several chains",
+    inputs: {
+      as: input.actor(),
+      token: input.token(),
+      amount: input.amount(),
+      allocation: input.allocation()
+    },
+    async run(context, { as, token, amount, allocation }) {
+      const total = context.units(token, amount);
+      const entries = Object.entries(allocation);
+      const transfers = [];
+      let remaining = total;
+      for (const [index, [chain, share]] of entries.entries()) {
+        // The last chain takes the rounding remainder
+        const value = index === entries.length - 1 ? remaining : (total * BigInt(share)) / 100n;
+        remaining -= value;
+        transfers.push(await transfer(context, as, token, value, chain));
+      }
+      return { total, transfers };
+    }
+  }
+};
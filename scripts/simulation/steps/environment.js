@@ -0,0 +1,86 @@
+// Local environment of a scenario: mock tokens, the invoice registry and a CCIP router
+// backed by MockRouter, plus balances and time.
+
+const { InvoiceClient, RouterClient } = require("../../../sdk");
+const { input } = require("../inputs");
+
+module.exports = {
+  "environment.deploy": {
+    description: "Deploy mock tokens, InvoiceRegistry and CrossChainRouter",
+    inputs: {
+      tokens: input.tokenList(),
+      feeToken: input.string({ default: "LINK" }),
+      registryOwner: input.actor({ optional: true })
+    },
+    async run(context, { tokens, feeToken, registryOwner }) {
+      const { ethers, deployer, log } = context;
+      const deploy = async (name, args = []) => {
+        const contract = await (await ethers.getContractFactory(name)).deploy(...args);
+        context.receipts.push(await contract.deploymentTransaction().wait());
+        return contract;
+      };
+
+      for (const [symbol, decimals] of Object.entries(tokens)) {
+        const contract = await deploy("MockERC20", [symbol, symbol, decimals]);
+        context.tokens[symbol] = { symbol, decimals, contract, address: await contract.getAddress() };
+        log(`${symbol}: ${context.tokens[symbol].address}`);
+      }
+      if (!context.tokens[feeToken]) {
+        throw new Error(`Fee token ${feeToken} is not one of the deployed tokens`);
+      }
+
+      const registry = await deploy("InvoiceRegistry");
+      const tokenizedInvoice = await ethers.getContractAt("TokenizedInvoice", await registry.tokenizedInvoice());
+      // The registry hands the invoice token to its deployer; it has to own it to fund invoices
+      await context.send(tokenizedInvoice.connect(deployer).transferOwnership(await registry.getAddress()));
+      if (registryOwner && registryOwner.address !== deployer.address) {
+        await context.send(registry.connect(deployer).transferOwnership(registryOwner.address));
+      }
+      log(`InvoiceRegistry: ${await registry.getAddress()}, owned by ${await registry.owner()}`);
+
+      const ccipRouter = await deploy("MockRouter");
+      const router = await deploy("CrossChainRouter", [await ccipRouter.getAddress(), context.tokens[feeToken].address]);
+      log(`CrossChainRouter: ${await router.getAddress()}`);
+
+      context.contracts = {
+        InvoiceRegistry: registry,
+        TokenizedInvoice: tokenizedInvoice,
+        CCIPRouter: ccipRouter,
+        CrossChainRouter: router
+      };
+      context.clients.invoices = new InvoiceClient(registry, context.clientOptions);
+      context.clients.router = new RouterClient(router, context.clientOptions);
+      return { tokens: Object.keys(tokens), registry: await registry.getAddress(), router: await router.getAddress() };
+    }
+  },
+
+  "environment.mint": {
+    description: "Mint mock tokens",
+    inputs: {
+      token: input.token(),
+      to: input.account(),
+      amount: input.amount()
+    },
+    async run(context, { token, to, amount }) {
+      const value = context.units(token, amount);
+      await context.send(token.contract.connect(context.deployer).mint(to, value));
+      context.log(`${context.format(token, value)} to ${to}`);
+      return { token: token.symbol, to, amount: value };
+    }
+  },
+
+  "environment.advanceTime": {
+    description: "Advance the chain clock",
+    inputs: {
+      duration: input.duration()
+    },
+    async run(context, { duration }) {
+      const { provider } = context.hre.network;
+      await provider.send("evm_increaseTime", [duration]);
+      await provider.send("evm_mine");
+      const { timestamp } = await context.ethers.provider.getBlock("latest");
+      context.log(`+${duration / 86400} days, now ${new Date(timestamp * 1000).toISOString()}`);
+      return { seconds: duration, timestamp };
+    }
+  }
+};
@@ -0,0 +1,13 @@
+// Helpers shared by the step modules; not steps themselves, so not listed in index.js.
+
+/**
+ * @notice Make `as` the owner of an invoice vault. Vaults are owned by InvoiceRegistry once
+ * funded; its owner can take them over to move the funds they hold.
+ */
+async function takeOverVault(context, as, invoice) {
+  if ((await invoice.vault.owner()) !== as.address) {
+    await context.send(context.contracts.InvoiceRegistry.connect(as).transferVaultOwnership(invoice.tokenId, as.address));
+  }
+}
+
+module.exports = { takeOverVault };
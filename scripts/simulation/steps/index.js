@@ -0,0 +1,13 @@
+// Steps scenarios can use, by name. Each module groups the steps of one domain.
+
+/** @type {Object<string, import("../engine").StepDefinition>} */
+const STEPS = {
+  ...require("./environment"),
+  ...require("./invoice"),
+  ...require("./crosschain"),
+  ...require("./vault"),
+  ...require("./yield"),
+  ...require("./settlement")
+};
+
+module.exports = { STEPS };
@@ -0,0 +1,145 @@
+// Invoice lifecycle through InvoiceRegistry: creation, funding (which deploys the invoice's
+// RWAInvoiceVaultSimple), investments into that vault, the advance of the raised capital to
+// the seller, the buyer's repayment and the status changes.
+//
+// Invoices are referred to by the `name` given at creation; context.invoices[name] holds
+// { tokenId, token, amount, fundingAmount, vault, investments, payouts }, the last two keyed
+// by investor address.
+
+const { input } = require("../inputs");
+const { invoiceStatus } = require("../state");
+const { takeOverVault } = require("./helpers");
+
+// `method` is the InvoiceClient method changing the status
+function statusChange(method, status) {
+  return {
+    description: `Mark the invoice ${status.toLowerCase()}`,
+    inputs: {
+      as: input.actor(),
+      invoice: input.invoice()
+    },
+    async run(context, { as, invoice }) {
+      const { status: current } = await context.clients.invoices.connect(as)[method](invoice.tokenId);
+      if (current !== status) {
+        throw new Error(`Invoice ${invoice.tokenId} is ${current} after ${method}, expected ${status}`);
+      }
+      context.log(`invoice ${invoice.tokenId}: ${current}`);
+      return { tokenId: invoice.tokenId, status: current };
+    }
+  };
+}
+
+module.exports = {
+  "invoice.create": {
+    description: "Create and tokenize an invoice",
+    inputs: {
+      as: input.actor(),
+      name: input.string(),
+      beneficiary: input.account(),
+      token: input.token(),
+      amount: input.amount(),
+      dueIn: input.duration({ default: "90d" }),
+      uri: input.string({ default: "" })
+    },
+    async run(context, { as, name, beneficiary, token, amount, dueIn, uri }) {
+      const created = await context.clients.invoices
+        .connect(as)
+        .create({ beneficiary, amount, token: token.address, dueIn, uri });
+      const value = created.amount.value;
+
+      const invoice = { tokenId: created.tokenId, token, amount: value, fundingAmount: 0n, vault: null, investments: {}, payouts: {} };
+      context.invoices[name] = invoice;
+      context.log(`${name}: token ${invoice.tokenId}, ${created.amount} due in ${dueIn / 86400} days`);
+      return { name, tokenId: invoice.tokenId, amount: value, dueDate: created.dueDate };
+    }
+  },
+
+  "invoice.fund": {
+    description: "Open funding of an invoice, deploying its vault",
+    inputs: {
+      as: input.actor(),
+      invoice: input.invoice(),
+      amount: input.amount()
+    },
+    async run(context, { as, invoice, amount }) {
+      const { vault, amount: funded } = await context.clients.invoices
+        .connect(as)
+        .fund(invoice.tokenId, { amount, paymentToken: invoice.token.address });
+      invoice.fundingAmount = funded.value;
+      invoice.vault = await context.ethers.getContractAt("RWAInvoiceVaultSimple", vault);
+      context.log(`vault ${vault}, invoice ${await invoiceStatus(context, invoice)}`);
+      return { tokenId: invoice.tokenId, vault, amount: funded.value };
+    }
+  },
+
+  "invoice.invest": {
+    description: "Invest in an invoice vault",
+    inputs: {
+      as: input.actor(),
+      invoice: input.invoice(),
+      amount: input.amount()
+    },
+    async run(context, { as, invoice, amount }) {
+      if (!invoice.vault) {
+        throw new Error(`Invoice ${invoice.tokenId} has no vault yet, run invoice.fund first`);
+      }
+      const invoices = context.clients.invoices.connect(as);
+      const { amount: invested } = await invoices.invest(invoice.tokenId, amount);
+
+      invoice.investments[as.address] = (invoice.investments[as.address] || 0n) + invested.value;
+      const { funded, target } = await invoices.fundingProgress(invoice.tokenId);
+      context.log(`${invested} from ${as.address}, ${funded} of ${target} funded`);
+      return { investor: as.address, amount: invested.value, totalFunded: funded.value };
+    }
+  },
+
+  "invoice.advance": {
+    description: "Advance the capital raised for an invoice to the seller",
+    inputs: {
+      as: input.actor(),
+      invoice: input.invoice(),
+      to: input.account()
+    },
+    async run(context, { as, invoice, to }) {
+      const vault = await invoice.vault.getAddress();
+      const raised = await invoice.token.contract.balanceOf(vault);
+      await takeOverVault(context, as, invoice);
+      await context.send(invoice.vault.connect(as).withdrawFunds(to, invoice.token.address, raised));
+      context.log(`${context.format(invoice.token, raised)} to ${to}`);
+      return { to, amount: raised };
+    }
+  },
+
+  "invoice.repay": {
+    description: "Repay the investors' share of an invoice into its vault",
+    inputs: {
+      as: input.actor(),
+      invoice: input.invoice(),
+      payer: input.actor(),
+      share: input.percent({ default: "100" })
+    },
+    async run(context, { as, invoice, payer, share }) {
+      // Investors bought the invoice at the funding amount and are owed the face value of
+      // what they put in; `share` below 100 models a partial recovery
+      const owed = ((await invoice.vault.totalFunded()) * invoice.amount) / invoice.fundingAmount;
+      const value = (owed * context.ethers.parseUnits(share, 6)) / 10n ** 8n;
+      if (value === 0n) {
+        context.log("nothing repaid");
+        return { owed, amount: 0n };
+      }
+
+      await takeOverVault(context, as, invoice);
+      if (payer.address !== as.address) {
+        await context.send(invoice.token.contract.connect(payer).transfer(as.address, value));
+      }
+      await context.send(invoice.token.contract.connect(as).approve(await invoice.vault.getAddress(), value));
+      await context.send(invoice.vault.connect(as).repay(value));
+      context.log(`${context.format(invoice.token, value)} of ${context.format(invoice.token, owed)} owed`);
+      return { owed, amount: value };
+    }
+  },
+
+  "invoice.markPaid": statusChange("markPaid", "Paid"),
+  "invoice.markDefaulted": statusChange("markDefaulted", "Defaulted"),
+  "invoice.settle": statusChange("settle", "Settled")
+};
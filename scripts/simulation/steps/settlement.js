@@ -0,0 +1,48 @@
+// Settlement of an invoice vault: whatever the vault holds (principal and yield) goes back
+// to the investors in proportion to what each of them put in.
+
+const { input } = require("../inputs");
+const { takeOverVault } = require("./helpers");
+
+module.exports = {
+  "settlement.distribute": {
+    description: "Distribute the vault to its investors",
+    inputs: {
+      as: input.actor(),
+      invoice: input.invoice()
+    },
+    async run(context, { as, invoice }) {
+      const { token } = invoice;
+      const vaultAddress = await invoice.vault.getAddress();
+      await takeOverVault(context, as, invoice);
+
+      const investors = Object.entries(invoice.investments);
+      const invested = investors.reduce((sum, [, amount]) => sum + amount, 0n);
+      if (invested === 0n) {
+        throw new Error(`Nobody invested in invoice ${invoice.tokenId}`);
+      }
+      const balance = await token.contract.balanceOf(vaultAddress);
+
+      const payouts = [];
+      let remaining = balance;
+      for (const [index, [investor, amount]] of investors.entries()) {
+        // The last investor takes the rounding remainder
+        const payout = index === investors.length - 1 ? remaining : (balance * amount) / invested;
+        remaining -= payout;
+        // Nothing to pay out of a defaulted invoice without recovery
+        if (payout > 0n) {
+          await context.send(invoice.vault.connect(as).withdrawFunds(investor, token.address, payout));
+        }
+        invoice.payouts[investor] = (invoice.payouts[investor] || 0n) + payout;
+        payouts.push({ investor, invested: amount, payout, profit: payout - amount });
+        context.log(`${investor}: ${context.format(token, payout)} (invested ${context.format(token, amount)})`);
+      }
+
+      const left = await token.contract.balanceOf(vaultAddress);
+      if (left !== 0n) {
+        throw new Error(`${context.format(token, left)} left in the vault after distribution`);
+      }
+      return { vault: vaultAddress, distributed: balance, payouts };
+    }
+  }
+};
@@ -0,0 +1,80 @@
+// Share vaults of VaultManager: deposits mint shares at the vault's asset/share ratio and
+// withdrawals burn them. The manager is deployed on first use with a MockAaveVault strategy
+// per vault.
+//
+// Vaults are referred to by the `name` given at creation; context.vaults[name] holds
+// { id, token, positions } where positions tracks what each address deposited and withdrew.
+
+const { VaultClient } = require("../../../sdk");
+const { input } = require("../inputs");
+
+async function vaultManager(context) {
+  if (!context.contracts.VaultManager) {
+    const manager = await (await context.ethers.getContractFactory("VaultManager")).deploy();
+    context.receipts.push(await manager.deploymentTransaction().wait());
+    context.contracts.VaultManager = manager;
+    context.clients.vaults = new VaultClient(manager, context.clientOptions);
+    context.log(`VaultManager: ${await manager.getAddress()}`);
+  }
+  return context.clients.vaults;
+}
+
+function position(vault, address) {
+  vault.positions[address] = vault.positions[address] || { deposited: 0n, withdrawn: 0n };
+  return vault.positions[address];
+}
+
+module.exports = {
+  "vault.create": {
+    description: "Create a VaultManager vault",
+    inputs: {
+      name: input.string(),
+      token: input.token()
+    },
+    async run(context, { name, token }) {
+      const vaults = await vaultManager(context);
+      const strategy = await (await context.ethers.getContractFactory("MockAaveVault")).deploy(context.deployer.address);
+      context.receipts.push(await strategy.deploymentTransaction().wait());
+
+      const { vaultId } = await vaults.connect(context.deployer).create(await strategy.getAddress(), token.address);
+      context.vaults[name] = { id: vaultId, token, positions: {} };
+      context.log(`${name}: vault ${vaultId} for ${token.symbol}`);
+      return { name, vault: vaultId, strategy: await strategy.getAddress() };
+    }
+  },
+
+  "vault.deposit": {
+    description: "Deposit into a VaultManager vault",
+    inputs: {
+      as: input.actor(),
+      vault: input.vault(),
+      amount: input.amount()
+    },
+    async run(context, { as, vault, amount }) {
+      const { amount: deposited, shares } = await context.clients.vaults.connect(as).deposit(vault.id, amount);
+      position(vault, as.address).deposited += deposited.value;
+      context.log(`${deposited} from ${as.address} for ${shares} shares`);
+      return { investor: as.address, amount: deposited.value, shares };
+    }
+  },
+
+  "vault.withdraw": {
+    description: "Redeem shares of a VaultManager vault",
+    inputs: {
+      as: input.actor(),
+      vault: input.vault(),
+      share: input.percent({ default: "100" })
+    },
+    async run(context, { as, vault, share }) {
+      const vaults = context.clients.vaults.connect(as);
+      const { shares: held } = await vaults.position(vault.id);
+      // The percentage is scaled by 1e6 so fractional shares such as "12.5" stay exact
+      const shares = (held * context.ethers.parseUnits(share, 6)) / 10n ** 8n;
+      const { amount: withdrawn } = await vaults.withdraw(vault.id, shares);
+
+      position(vault, as.address).withdrawn += withdrawn.value;
+      context.log(`${shares} shares of ${as.address} for ${withdrawn}`);
+      return { investor: as.address, shares, amount: withdrawn.value };
+    }
+  }
+};
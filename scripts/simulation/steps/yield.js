@@ -0,0 +1,25 @@
+// Yield earned by the capital of an invoice vault, minted into the vault by the mock token
+// (on a live network the strategies the capital is deployed to would produce it).
+
+const { input } = require("../inputs");
+
+module.exports = {
+  "yield.accrue": {
+    description: "Accrue yield on an invoice vault",
+    inputs: {
+      invoice: input.invoice(),
+      rate: input.percent()
+    },
+    async run(context, { invoice, rate }) {
+      const vault = await invoice.vault.getAddress();
+      const balance = await invoice.token.contract.balanceOf(vault);
+      // The percentage is scaled by 1e6 so fractional rates such as "0.25" stay exact
+      const earned = (balance * context.ethers.parseUnits(rate, 6)) / 10n ** 8n;
+      await context.send(invoice.token.contract.connect(context.deployer).mint(vault, earned));
+      context.log(
+        `${rate}% on ${context.format(invoice.token, balance)}: +${context.format(invoice.token, earned)}`
+      );
+      return { vault, principal: balance, rate, earned };
+    }
+  }
+};
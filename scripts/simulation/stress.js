@@ -0,0 +1,369 @@
+// Monte Carlo stress simulation of the invoice pipeline (scripts/stress.js). Every run draws a
+// portfolio of invoices from a seeded generator (random.js): face value, discount, how much
+// of it investors fund, term, and whether the buyer pays on time, pays late or defaults. The
+// draw becomes an ordinary scenario of the engine, with the chain clock advanced between
+// events, and the outcomes of all runs are aggregated into distributions.
+//
+// Every invoice goes through InvoiceRegistry and its RWAInvoiceVaultSimple the same way:
+//
+//   created -> funded by 1..n investors at a discount -> capital advanced to the seller
+//     on time / late:  buyer repays the face value of what was funded -> Paid -> Settled
+//     default:         markAsDefaulted after the due date, partial recovery -> Settled
+//   and the vault is distributed to the investors.
+
+const { formatUnits } = require("ethers");
+const { createRng } = require("./random");
+const { toCsv, markdownTable } = require("./report");
+
+/**
+ * @notice Parameters of a run; ranges are { min, max } and drawn uniformly, percentages are
+ * out of 100. Override any of them with a JSON file (STRESS_PARAMS).
+ */
+const DEFAULT_PARAMETERS = {
+  invoices: 20,
+  investors: 4,
+  token: { symbol: "USDC", decimals: 6 },
+  // Face value in whole tokens, drawn on a log scale
+  amount: { min: 10000, max: 500000 },
+  // Discount to the face value at which investors buy the invoice
+  discount: { min: 1, max: 6 },
+  // Share of the discounted price investors actually fund
+  fundingLevel: { min: 50, max: 100 },
+  // Days between creation and the due date
+  term: { min: 30, max: 120 },
+  // Invoices are created over the first days of the run
+  arrivalWindow: 60,
+  // Relative weights of the outcomes
+  outcomes: { onTime: 80, late: 12, default: 8 },
+  // Days after the due date a late invoice is paid
+  lateBy: { min: 1, max: 45 },
+  // Days after the due date a defaulting invoice is declared defaulted
+  defaultAfter: { min: 1, max: 30 },
+  // Share of what is owed recovered from a defaulted invoice
+  recovery: { min: 0, max: 60 }
+};
+
+const OWNER = "deployer";
+const SELLER = "seller";
+const BUYER = "buyer";
+
+/**
+ * @notice Problems with a set of parameters, empty when they are usable
+ */
+function parameterProblems(parameters) {
+  const problems = [];
+  for (const [key, value] of Object.entries(parameters)) {
+    if (value && typeof value.min === "number" && !(value.min <= value.max)) {
+      problems.push(`${key}: min ${value.min} is above max ${value.max}`);
+    }
+  }
+  if (!(parameters.invoices >= 1 && parameters.investors >= 1)) {
+    problems.push("invoices and investors must be at least 1");
+  }
+  if (parameters.amount.min <= 0) {
+    problems.push("amount: min must be positive");
+  }
+  if (parameters.term.min < 2) {
+    problems.push("term: min must be at least 2 days");
+  }
+  if (Object.values(parameters.outcomes).reduce((sum, weight) => sum + weight, 0) <= 0) {
+    problems.push("outcomes: weights add up to 0");
+  }
+  return problems;
+}
+
+// Amounts are drawn in cents so the scenario holds exact decimal strings
+const toAmount = (cents) => `${Math.floor(cents / 100)}.${String(cents % 100).padStart(2, "0")}`;
+
+function planInvoice(rng, parameters, name, investors) {
+  const face = Math.round(rng.logUniform(parameters.amount.min, parameters.amount.max) * 100);
+  const discount = rng.uniform(parameters.discount.min, parameters.discount.max);
+  const price = Math.round((face * (100 - discount)) / 100);
+  const raised = Math.max(1, Math.round((price * rng.uniform(parameters.fundingLevel.min, parameters.fundingLevel.max)) / 100));
+
+  const chosen = rng.sample(investors, rng.int(1, investors.length));
+  const weights = chosen.map(() => rng.uniform(0.2, 1));
+  const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+  let remaining = raised;
+  const investments = chosen.map((investor, index) => {
+    // The last investor takes the rounding remainder
+    const cents = index === chosen.length - 1 ? remaining : Math.max(1, Math.floor((raised * weights[index]) / totalWeight));
+    remaining -= cents;
+    return { investor, cents };
+  });
+
+  const createdDay = rng.int(0, parameters.arrivalWindow);
+  const term = rng.int(parameters.term.min, parameters.term.max);
+  const outcome = rng.weighted(parameters.outcomes);
+  const dueDay = createdDay + term;
+  const resolvedDay = {
+    // A day early, so that the seconds mined since creation do not make it late
+    onTime: dueDay - 1,
+    late: dueDay + rng.int(parameters.lateBy.min, parameters.lateBy.max),
+    default: dueDay + rng.int(parameters.defaultAfter.min, parameters.defaultAfter.max)
+  }[outcome];
+  const recovery = outcome === "default" ? rng.uniform(parameters.recovery.min, parameters.recovery.max) : 100;
+
+  return { name, face, price, raised, investments, createdDay, term, outcome, resolvedDay, recovery: recovery.toFixed(2) };
+}
+
+function openingSteps(plan, symbol) {
+  return [
+    {
+      step: "invoice.create",
+      as: OWNER,
+      name: plan.name,
+      beneficiary: SELLER,
+      token: symbol,
+      amount: toAmount(plan.face),
+      dueIn: `${plan.term}d`
+    },
+    { step: "invoice.fund", as: OWNER, invoice: plan.name, amount: toAmount(plan.price) },
+    ...plan.investments.map(({ investor, cents }) => ({
+      step: "invoice.invest",
+      as: investor,
+      invoice: plan.name,
+      amount: toAmount(cents)
+    })),
+    { step: "invoice.advance", as: OWNER, invoice: plan.name, to: SELLER }
+  ];
+}
+
+function closingSteps(plan) {
+  const repay = { step: "invoice.repay", as: OWNER, invoice: plan.name, payer: BUYER };
+  const steps =
+    plan.outcome === "default"
+      ? [{ step: "invoice.markDefaulted", as: OWNER, invoice: plan.name }, { ...repay, share: plan.recovery }]
+      : [repay, { step: "invoice.markPaid", as: OWNER, invoice: plan.name }];
+  return [
+    ...steps,
+    { step: "invoice.settle", as: OWNER, invoice: plan.name },
+    { step: "settlement.distribute", as: OWNER, invoice: plan.name }
+  ];
+}
+
+/**
+ * @notice Draw the invoices of one run and the scenario playing them out
+ * @param {Object} parameters See DEFAULT_PARAMETERS
+ * @param {string} seed
+ * @param {number} run Index of the run; every run has its own random stream
+ * @return {{scenario: Object, plans: Array<Object>}}
+ */
+function generateScenario(parameters, seed, run) {
+  const rng = createRng(`${seed}:${run}`);
+  const { symbol, decimals } = parameters.token;
+  const investors = Array.from({ length: parameters.investors }, (_, index) => `investor${index + 1}`);
+  const plans = Array.from({ length: parameters.invoices }, (_, index) =>
+    planInvoice(rng, parameters, `INV-${run + 1}-${index + 1}`, investors)
+  );
+
+  const funding = {};
+  for (const plan of plans) {
+    for (const { investor, cents } of plan.investments) {
+      funding[investor] = (funding[investor] || 0) + cents;
+    }
+  }
+  const steps = [
+    { step: "environment.deploy", tokens: { [symbol]: decimals, LINK: 18 } },
+    ...Object.entries(funding).map(([investor, cents]) => ({
+      step: "environment.mint",
+      token: symbol,
+      to: investor,
+      amount: toAmount(cents)
+    })),
+    // The buyer never owes more than the face values
+    {
+      step: "environment.mint",
+      token: symbol,
+      to: BUYER,
+      amount: toAmount(plans.reduce((sum, plan) => sum + plan.face, 0))
+    }
+  ];
+
+  // Openings before closings of the same day, then in invoice order
+  const events = plans
+    .flatMap((plan, index) => [
+      { day: plan.createdDay, order: 0, index, steps: openingSteps(plan, symbol) },
+      { day: plan.resolvedDay, order: 1, index, steps: closingSteps(plan) }
+    ])
+    .sort((a, b) => a.day - b.day || a.order - b.order || a.index - b.index);
+
+  let day = 0;
+  for (const event of events) {
+    if (event.day > day) {
+      steps.push({ step: "environment.advanceTime", duration: `${event.day - day}d` });
+      day = event.day;
+    }
+    steps.push(...event.steps);
+  }
+
+  return {
+    scenario: {
+      name: `stress-${seed}-${run + 1}`,
+      description: `${plans.length} random invoices, run ${run + 1} of seed ${seed}`,
+      actors: [OWNER, SELLER, BUYER, ...investors],
+      steps
+    },
+    plans
+  };
+}
+
+// a / b as a percentage with four decimals
+function percent(a, b) {
+  return b === 0n ? 0 : Number((a * 1000000n) / b) / 10000;
+}
+
+const sum = (values) => values.reduce((total, value) => total + value, 0n);
+
+/**
+ * @notice Outcome of every invoice of a run, from what the scenario recorded
+ * @param {Object} context Context of the scenario run
+ * @param {Array<Object>} plans What generateScenario drew
+ * @param {number} run
+ */
+function invoiceOutcomes(context, plans, run) {
+  return plans.map((plan) => {
+    const invoice = context.invoices[plan.name];
+    const { decimals } = invoice.token;
+    const invested = sum(Object.values(invoice.investments));
+    const returned = sum(Object.values(invoice.payouts));
+    const returnPercent = percent(returned - invested, invested);
+    const days = plan.resolvedDay - plan.createdDay;
+    return {
+      run: run + 1,
+      invoice: plan.name,
+      outcome: plan.outcome,
+      face: formatUnits(invoice.amount, decimals),
+      invested: formatUnits(invested, decimals),
+      returned: formatUnits(returned, decimals),
+      investors: plan.investments.length,
+      days,
+      recoveryPercent: plan.outcome === "default" ? Number(plan.recovery) : null,
+      returnPercent,
+      annualizedPercent: Math.round(((returnPercent * 365) / days) * 10000) / 10000,
+      // Kept for the run totals, dropped from the report
+      raw: { invested, returned }
+    };
+  });
+}
+
+/**
+ * @notice Totals of one run
+ */
+function runSummary(outcomes, run) {
+  const invested = sum(outcomes.map((outcome) => outcome.raw.invested));
+  const returned = sum(outcomes.map((outcome) => outcome.raw.returned));
+  const loss = sum(
+    outcomes.map(({ raw }) => (raw.returned < raw.invested ? raw.invested - raw.returned : 0n))
+  );
+  const defaults = outcomes.filter((outcome) => outcome.outcome === "default").length;
+  return {
+    run: run + 1,
+    invoices: outcomes.length,
+    defaults,
+    late: outcomes.filter((outcome) => outcome.outcome === "late").length,
+    defaultRatePercent: Math.round((defaults / outcomes.length) * 1000000) / 10000,
+    lossRatePercent: percent(loss, invested),
+    portfolioReturnPercent: percent(returned - invested, invested)
+  };
+}
+
+function quantile(sorted, q) {
+  const position = (sorted.length - 1) * q;
+  const below = Math.floor(position);
+  const above = Math.ceil(position);
+  return sorted[below] + (sorted[above] - sorted[below]) * (position - below);
+}
+
+/**
+ * @notice Mean, extremes and percentiles of a list of numbers
+ */
+function distribution(values) {
+  if (values.length === 0) {
+    return { count: 0 };
+  }
+  const sorted = [...values].sort((a, b) => a - b);
+  const round = (value) => Math.round(value * 10000) / 10000;
+  return {
+    count: values.length,
+    mean: round(values.reduce((total, value) => total + value, 0) / values.length),
+    min: sorted[0],
+    p5: round(quantile(sorted, 0.05)),
+    p25: round(quantile(sorted, 0.25)),
+    p50: round(quantile(sorted, 0.5)),
+    p75: round(quantile(sorted, 0.75)),
+    p95: round(quantile(sorted, 0.95)),
+    max: sorted[sorted.length - 1]
+  };
+}
+
+/**
+ * @notice Report of a batch of runs: parameters, per-run totals, per-invoice outcomes and
+ * their distributions
+ */
+function buildStressReport({ seed, network, parameters, runs, invoices }) {
+  const byOutcome = (outcome) => invoices.filter((invoice) => invoice.outcome === outcome);
+  return {
+    seed,
+    network,
+    generatedAt: new Date().toISOString(),
+    parameters,
+    distributions: {
+      defaultRatePercent: distribution(runs.map((run) => run.defaultRatePercent)),
+      lossRatePercent: distribution(runs.map((run) => run.lossRatePercent)),
+      portfolioReturnPercent: distribution(runs.map((run) => run.portfolioReturnPercent)),
+      invoiceAnnualizedPercent: distribution(invoices.map((invoice) => invoice.annualizedPercent)),
+      onTimeAnnualizedPercent: distribution(byOutcome("onTime").map((invoice) => invoice.annualizedPercent)),
+      lateAnnualizedPercent: distribution(byOutcome("late").map((invoice) => invoice.annualizedPercent)),
+      defaultLossPercent: distribution(byOutcome("default").map((invoice) => -invoice.returnPercent))
+    },
+    runs,
+    invoices: invoices.map(({ raw, ...invoice }) => invoice)
+  };
+}
+
+/**
+ * @notice Export files of a stress report, by file name
+ */
+function stressReportFiles(report) {
+  const distributions = Object.entries(report.distributions).map(([metric, values]) => ({ metric, ...values }));
+  const columns = ["metric", "count", "mean", "min", "p5", "p25", "p50", "p75", "p95", "max"];
+  const summary = [
+    `# Stress simulation ${report.seed}`,
+    "",
+    `Network ${report.network}, ${report.generatedAt}: ${report.runs.length} runs of ` +
+      `${report.parameters.invoices} invoices, ${report.invoices.length} invoices in total.`,
+    "",
+    "## Distributions",
+    "",
+    markdownTable(distributions, columns),
+    "## Runs",
+    "",
+    markdownTable(report.runs),
+    "## Parameters",
+    "",
+    "```json",
+    JSON.stringify(report.parameters, null, 2),
+    "```",
+    ""
+  ].join("\n");
+
+  return {
+    "report.json": `${JSON.stringify(report, null, 2)}\n`,
+    "distributions.csv": toCsv(distributions, columns),
+    "runs.csv": toCsv(report.runs),
+    "invoices.csv": toCsv(report.invoices),
+    "summary.md": summary
+  };
+}
+
+module.exports = {
+  DEFAULT_PARAMETERS,
+  parameterProblems,
+  generateScenario,
+  invoiceOutcomes,
+  runSummary,
+  distribution,
+  buildStressReport,
+  stressReportFiles
+};
@@ -0,0 +1,86 @@
+// SPDX-License-Identifier: MIT
+/**
+ * TokenIQ stress simulation
+ *
+ * Runs batches of random invoices through InvoiceRegistry and their vaults (see
+ * scripts/simulation/stress.js) and aggregates default rates, investor losses and yields:
+ *
+ *   npx hardhat run scripts/stress.js
+ *   STRESS_SEED=audit-2024 STRESS_RUNS=50 STRESS_INVOICES=40 npx hardhat run scripts/stress.js
+ *   STRESS_PARAMS=stress-params.json npx hardhat run scripts/stress.js
+ *
+ * The same seed and parameters always draw the same invoices. Every run starts from the same
+ * chain state (evm_snapshot/evm_revert), so it is meant for the in-process hardhat network or
+ * a local node. The report is written to reports/stress/<seed>-<network>-<time> (or REPORT_DIR).
+ */
+
+const fs = require("fs");
+const path = require("path");
+const hre = require("hardhat");
+const { runScenario } = require("./simulation/engine");
+const { writeFiles } = require("./simulation/report");
+const {
+  DEFAULT_PARAMETERS,
+  parameterProblems,
+  generateScenario,
+  invoiceOutcomes,
+  runSummary,
+  buildStressReport,
+  stressReportFiles
+} = require("./simulation/stress");
+
+function loadParameters() {
+  const overrides = process.env.STRESS_PARAMS ? JSON.parse(fs.readFileSync(process.env.STRESS_PARAMS, "utf8")) : {};
+  const parameters = { ...DEFAULT_PARAMETERS, ...overrides };
+  if (process.env.STRESS_INVOICES) {
+    parameters.invoices = Number(process.env.STRESS_INVOICES);
+  }
+  const problems = parameterProblems(parameters);
+  if (problems.length > 0) {
+    throw new Error(`Invalid stress parameters:\n  ${problems.join("\n  ")}`);
+  }
+  return parameters;
+}
+
+async function main() {
+  const parameters = loadParameters();
+  const seed = process.env.STRESS_SEED || "tokeniq";
+  const runCount = Number(process.env.STRESS_RUNS || 10);
+  const { provider } = hre.network;
+
+  console.log(`Stress simulation on ${hre.network.name}: ${runCount} runs of ${parameters.invoices} invoices, seed ${seed}`);
+  const runs = [];
+  const invoices = [];
+  for (let run = 0; run < runCount; run++) {
+    const snapshot = await provider.send("evm_snapshot");
+    const { scenario, plans } = generateScenario(parameters, seed, run);
+    const { context } = await runScenario(hre, scenario, { snapshots: false, quiet: true });
+    await provider.send("evm_revert", [snapshot]);
+
+    const outcomes = invoiceOutcomes(context, plans, run);
+    const summary = runSummary(outcomes, run);
+    runs.push(summary);
+    invoices.push(...outcomes);
+    console.log(
+      `  run ${summary.run}: ${summary.defaults} defaults, ${summary.late} late, ` +
+        `loss ${summary.lossRatePercent}%, return ${summary.portfolioReturnPercent}%`
+    );
+  }
+
+  const report = buildStressReport({ seed, network: hre.network.name, parameters, runs, invoices });
+  console.log("\nDistributions (percent):");
+  console.table(report.distributions);
+
+  const stamp = report.generatedAt.replace(/[:.]/g, "-");
+  const directory =
+    process.env.REPORT_DIR || path.join(__dirname, "..", "reports", "stress", `${seed}-${report.network}-${stamp}`);
+  const files = writeFiles(directory, stressReportFiles(report));
+  console.log(`\nReport written to ${path.relative(process.cwd(), directory)}: ${files.map((file) => path.basename(file)).join(", ")}`);
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error("❌ Stress simulation failed:", error);
+    process.exit(1);
+  });
@@ -0,0 +1,96 @@
+// SPDX-License-Identifier: MIT
+/**
+ * TokenIQ treasury service layer
+ *
+ * Processes the decisions TreasuryAIManager makes on every upkeep: listens for
+ * StrategyDecisionMade, computes the allocation and reason with a policy
+ * (scripts/service/policies) and submits them with processDecision. The signer must be the
+ * manager's serviceLayer.
+ *
+ *   npx hardhat run scripts/treasury-service.js --network localhost
+ *   SERVICE_POLICY=fixed SERVICE_POLICY_OPTIONS='{"allocation":2500}' npx hardhat run scripts/treasury-service.js --network fuji
+ *   SERVICE_POLICY=./my-policy.js SERVICE_ONCE=true npx hardhat run scripts/treasury-service.js --network localhost
+ *
+ * Environment:
+ *   SERVICE_MANAGER         TreasuryAIManager address, the one in the deployment registry by default
+ *   SERVICE_POLICY          Built-in policy (rule-based, fixed) or path of a policy module, rule-based by default
+ *   SERVICE_POLICY_OPTIONS  JSON options for the policy
+ *   SERVICE_TOKENS          Comma-separated tokens whose market data the policy sees
+ *   SERVICE_SIGNER_INDEX    Signer to use, 0 by default
+ *   SERVICE_POLL_MS         Poll interval, 5000 by default
+ *   SERVICE_LOOKBACK        Blocks to catch up on at start, 1000 by default
+ *   SERVICE_RETRIES         Retries of a failed submission, 3 by default
+ *   SERVICE_ONCE=true       Process the pending decisions and exit
+ */
+
+const hre = require("hardhat");
+const { getContract } = require("./lib/registry");
+const { loadPolicy } = require("./service/policies");
+const { createSubmitter } = require("./service/submitter");
+const { createDecisionService } = require("./service/decisionService");
+
+function numberFromEnv(name, fallback) {
+  const value = process.env[name] === undefined ? fallback : Number(process.env[name]);
+  if (!Number.isInteger(value) || value < 0) {
+    throw new Error(`${name} takes a non-negative integer`);
+  }
+  return value;
+}
+
+async function loadManager() {
+  if (process.env.SERVICE_MANAGER) {
+    return hre.ethers.getContractAt("TreasuryAIManager", process.env.SERVICE_MANAGER);
+  }
+  return getContract(hre, "TreasuryAIManager");
+}
+
+async function main() {
+  const signers = await hre.ethers.getSigners();
+  const signer = signers[numberFromEnv("SERVICE_SIGNER_INDEX", 0)];
+  if (!signer) {
+    throw new Error("No signer at SERVICE_SIGNER_INDEX, set PRIVATE_KEY for live networks");
+  }
+  const manager = await loadManager();
+  const policy = loadPolicy(
+    process.env.SERVICE_POLICY || "rule-based",
+    process.env.SERVICE_POLICY_OPTIONS ? JSON.parse(process.env.SERVICE_POLICY_OPTIONS) : {}
+  );
+  const tokens = (process.env.SERVICE_TOKENS || "")
+    .split(",")
+    .map((token) => token.trim())
+    .filter(Boolean)
+    .map((token) => hre.ethers.getAddress(token));
+
+  const service = createDecisionService({
+    manager,
+    policy,
+    submitter: createSubmitter(manager, signer, { retries: numberFromEnv("SERVICE_RETRIES", 3) }),
+    tokens,
+    lookbackBlocks: numberFromEnv("SERVICE_LOOKBACK", 1000)
+  });
+  await service.checkSetup();
+  console.log(
+    `Treasury service on ${hre.network.name}: manager ${await manager.getAddress()}, signer ${signer.address}, ` +
+      `policy ${policy.name}, ${tokens.length} token(s)`
+  );
+
+  if (process.env.SERVICE_ONCE === "true") {
+    const results = await service.processPending();
+    console.log(`${results.length} decision(s) handled`, service.stats);
+    return;
+  }
+
+  process.on("SIGINT", () => {
+    console.log("Stopping after the current poll");
+    service.stop();
+  });
+  await service.run({ pollMs: numberFromEnv("SERVICE_POLL_MS", 5000) });
+  console.log("Treasury service stopped", service.stats);
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error("❌ Treasury service failed:", error.message);
+    process.exit(1);
+  });
@@ -0,0 +1,160 @@
+// Checks that every external address of a network in config/addressBook.js has code
+// and answers the calls the protocol makes to it.
+//
+// Against the network itself (read-only):
+//   npx hardhat run --network fuji scripts/validate-address-book.js
+//
+// Against a fork (the node reports chain id 31337, so name the entry to check):
+//   npx hardhat node --fork https://api.avax-test.network/ext/bc/C/rpc
+//   ADDRESS_BOOK_NETWORK=fuji npx hardhat run --network localhost scripts/validate-address-book.js
+
+const hre = require("hardhat");
+const { ADDRESS_BOOK, getChain } = require("../config/addressBook");
+
+const ERC20_ABI = [
+  "function symbol() view returns (string)",
+  "function decimals() view returns (uint8)",
+  "function totalSupply() view returns (uint256)"
+];
+const ATOKEN_ABI = [...ERC20_ABI, "function UNDERLYING_ASSET_ADDRESS() view returns (address)"];
+const AAVE_POOL_ABI = ["function getReserveNormalizedIncome(address asset) view returns (uint256)"];
+const PRICE_FEED_ABI = [
+  "function decimals() view returns (uint8)",
+  "function description() view returns (string)",
+  "function latestRoundData() view returns (uint80, int256, uint256, uint256, uint80)"
+];
+const CCIP_ROUTER_ABI = [
+  "function typeAndVersion() view returns (string)",
+  "function isChainSupported(uint64 chainSelector) view returns (bool)"
+];
+
+const FORK_CHAIN_ID = 31337;
+
+/**
+ * @notice Build the list of checks for one address book entry
+ * @return {Array<{name: string, address: string, abi: string[], check: function}>}
+ *   `check` receives the attached contract and returns a short description of what it saw
+ */
+function checksFor(networkName, chain) {
+  const checks = [];
+
+  for (const [symbol, address] of Object.entries(chain.tokens)) {
+    checks.push({
+      name: `tokens.${symbol}`,
+      address,
+      abi: ERC20_ABI,
+      check: async (token) => `${await token.symbol()}, ${await token.decimals()} decimals`
+    });
+  }
+
+  if (chain.aave) {
+    const { underlying, aToken, pool, priceFeed } = chain.aave;
+    checks.push({
+      name: "aave.aToken",
+      address: aToken,
+      abi: ATOKEN_ABI,
+      check: async (token) => {
+        const asset = await token.UNDERLYING_ASSET_ADDRESS();
+        if (asset.toLowerCase() !== underlying.toLowerCase()) {
+          throw new Error(`underlying is ${asset}, expected ${underlying}`);
+        }
+        return `${await token.symbol()} wraps ${asset}`;
+      }
+    });
+    checks.push({
+      name: "aave.pool",
+      address: pool,
+      abi: AAVE_POOL_ABI,
+      check: async (aavePool) => {
+        const income = await aavePool.getReserveNormalizedIncome(underlying);
+        if (income === 0n) {
+          throw new Error(`no active reserve for ${underlying}`);
+        }
+        return `reserve index ${income}`;
+      }
+    });
+    checks.push({
+      name: "aave.priceFeed",
+      address: priceFeed,
+      abi: PRICE_FEED_ABI,
+      check: async (feed) => {
+        const [, answer, , updatedAt] = await feed.latestRoundData();
+        const age = Math.floor(Date.now() / 1000) - Number(updatedAt);
+        return `${await feed.description()} = ${answer} (${await feed.decimals()} decimals, updated ${age}s ago)`;
+      }
+    });
+  }
+
+  if (chain.ccip) {
+    const { router, link } = chain.ccip;
+    checks.push({
+      name: "ccip.router",
+      address: router,
+      abi: CCIP_ROUTER_ABI,
+      check: async (ccipRouter) => {
+        const version = await ccipRouter.typeAndVersion();
+        // Lanes to the other networks of the address book are reported, not required
+        const missing = [];
+        for (const [remote, remoteChain] of Object.entries(ADDRESS_BOOK)) {
+          if (remote === networkName || !remoteChain.ccip) {
+            continue;
+          }
+          if (!(await ccipRouter.isChainSupported(remoteChain.ccip.chainSelector))) {
+            missing.push(remote);
+          }
+        }
+        return missing.length > 0 ? `${version}, no lane to ${missing.join(", ")}` : version;
+      }
+    });
+    checks.push({
+      name: "ccip.link",
+      address: link,
+      abi: ERC20_ABI,
+      check: async (token) => `${await token.symbol()}, ${await token.decimals()} decimals`
+    });
+  }
+
+  return checks;
+}
+
+async function main() {
+  const networkName = process.env.ADDRESS_BOOK_NETWORK || hre.network.name;
+  const chain = getChain(networkName);
+
+  const { chainId } = await hre.ethers.provider.getNetwork();
+  if (Number(chainId) !== chain.chainId && Number(chainId) !== FORK_CHAIN_ID) {
+    throw new Error(`Address book entry "${networkName}" is for chain ${chain.chainId}, connected to chain ${chainId}`);
+  }
+
+  console.log(`Validating address book entry "${networkName}" on ${hre.network.name} (chain ${chainId})...`);
+
+  const rows = [];
+  for (const { name, address, abi, check } of checksFor(networkName, chain)) {
+    const row = { name, address, status: "ok", details: "" };
+    try {
+      if ((await hre.ethers.provider.getCode(address)) === "0x") {
+        throw new Error("no contract code");
+      }
+      row.details = await check(new hre.ethers.Contract(address, abi, hre.ethers.provider));
+    } catch (error) {
+      row.status = "FAIL";
+      row.details = error.shortMessage || error.message;
+    }
+    rows.push(row);
+  }
+
+  console.table(rows);
+
+  const failed = rows.filter((row) => row.status === "FAIL");
+  if (failed.length > 0) {
+    throw new Error(`${failed.length} of ${rows.length} address book check(s) failed for ${networkName}`);
+  }
+  console.log("All addresses have code and the expected interface");
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
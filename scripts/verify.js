@@ -1,29 +1,146 @@
+// Verifies every contract recorded in the deployment registry of a network
+// npx hardhat run --network <network> scripts/verify.js
+//
+// Set VERIFY_ONLY=VaultFactory,AssetFactory to restrict the run to some registry ids.
+//
+// Proxies are handled by verifying the implementation first and then the proxy
+// itself, which the hardhat-upgrades plugin links to the implementation ABI.
+// Explorer endpoints come from etherscan.customChains in hardhat.config.js.
+
 const hre = require("hardhat");
+const { loadRegistry, saveRegistry } = require("./lib/registry");
 
-async function main() {
-  // --- CONFIGURE YOUR CONTRACT TO VERIFY ---
-  const contractName = "VaultFactory"; // The name of the contract you want to verify
-  const contractAddress = "0xE2Ea85Cc94E40cdc1Abc058373785ee6b3809183"; // The address of the deployed contract
-  const constructorArguments = []; // The list of constructor arguments. Leave empty if there are none.
-  // Example for AaveVault: [usdcAddress, aUsdcAddress, poolAddress, priceFeedAddress]
-  // ----------------------------------------
+const LOCAL_NETWORKS = ["hardhat", "localhost"];
 
-  console.log(`Verifying ${contractName} at ${contractAddress} on network ${hre.network.name}...`);
+function firstLine(error) {
+  return String(error.message || error).split("\n").find((line) => line.trim() !== "");
+}
 
+async function runVerify(args) {
   try {
-    await hre.run("verify:verify", {
-      address: contractAddress,
-      constructorArguments: constructorArguments,
-      // If your contract is in a subdirectory, you might need to specify the contract path
-      // contract: "contracts/factories/VaultFactory.sol:VaultFactory"
-    });
-    console.log("Contract verified successfully!");
+    await hre.run("verify:verify", args);
+    return "verified";
   } catch (error) {
     if (error.message.toLowerCase().includes("already verified")) {
-      console.log("Contract is already verified.");
-    } else {
-      console.error("Verification failed:", error);
+      return "already verified";
+    }
+    return `failed: ${firstLine(error)}`;
+  }
+}
+
+async function fullyQualifiedName(contractName) {
+  const artifact = await hre.artifacts.readArtifact(contractName);
+  return `${artifact.sourceName}:${artifact.contractName}`;
+}
+
+// Recover constructor arguments of a direct deployment from its creation transaction:
+// the calldata is the creation bytecode followed by the ABI encoded arguments
+async function constructorArgsFromCreation(record) {
+  if (!record.txHash) {
+    return null;
+  }
+  const tx = await hre.ethers.provider.getTransaction(record.txHash);
+  if (!tx || tx.to !== null) {
+    return null;
+  }
+
+  const artifact = await hre.artifacts.readArtifact(record.contract);
+  if (!tx.data.startsWith(artifact.bytecode)) {
+    return null;
+  }
+  const { inputs } = new hre.ethers.Interface(artifact.abi).deploy;
+  const encoded = "0x" + tx.data.slice(artifact.bytecode.length);
+  return hre.ethers.AbiCoder.defaultAbiCoder().decode(inputs, encoded).toArray(true);
+}
+
+async function verifyContract(record) {
+  let constructorArgs = record.constructorArgs;
+  if (!constructorArgs) {
+    constructorArgs = await constructorArgsFromCreation(record);
+    if (!constructorArgs) {
+      return { status: "skipped: constructor arguments unknown" };
     }
+    record.constructorArgs = constructorArgs;
+  }
+
+  const status = await runVerify({
+    address: record.address,
+    contract: await fullyQualifiedName(record.contract),
+    constructorArguments: constructorArgs
+  });
+  return { status };
+}
+
+async function verifyProxy(record) {
+  // The registry may predate an upgrade, the slot is always current
+  const implementation = await hre.upgrades.erc1967.getImplementationAddress(record.address);
+
+  const implementationStatus = await runVerify({
+    address: implementation,
+    contract: await fullyQualifiedName(record.contract),
+    constructorArguments: []
+  });
+  if (implementationStatus.startsWith("failed")) {
+    return { implementation, status: `implementation ${implementationStatus}` };
+  }
+
+  const proxyStatus = await runVerify({ address: record.address, constructorArguments: [] });
+  if (proxyStatus.startsWith("failed")) {
+    return { implementation, status: `proxy ${proxyStatus}` };
+  }
+  return { implementation, status: `${implementationStatus}, proxy linked` };
+}
+
+async function main() {
+  const networkName = hre.network.name;
+  if (LOCAL_NETWORKS.includes(networkName)) {
+    throw new Error(`Nothing to verify on ${networkName}, pass --network <network>`);
+  }
+
+  const registry = loadRegistry(networkName);
+  const { chainId } = await hre.ethers.provider.getNetwork();
+  if (registry.chainId !== null && registry.chainId !== Number(chainId)) {
+    throw new Error(
+      `deployments/${networkName}.json was recorded on chain ${registry.chainId}, connected to chain ${chainId}`
+    );
+  }
+
+  const only = process.env.VERIFY_ONLY ? process.env.VERIFY_ONLY.split(",").map((id) => id.trim()) : null;
+  const ids = Object.keys(registry.contracts).filter((id) => !only || only.includes(id));
+  if (ids.length === 0) {
+    console.log(`No deployments recorded for ${networkName}`);
+    return;
+  }
+
+  console.log(`Verifying ${ids.length} contract(s) on ${networkName}...`);
+
+  const rows = [];
+  for (const id of ids) {
+    const record = registry.contracts[id];
+    console.log(`\n${id} (${record.contract}) at ${record.address}`);
+
+    const result = record.proxy ? await verifyProxy(record) : await verifyContract(record);
+    if (result.implementation) {
+      record.proxy.implementation = result.implementation;
+    }
+    rows.push({
+      id,
+      contract: record.contract,
+      address: record.address,
+      implementation: result.implementation || "",
+      status: result.status
+    });
+  }
+
+  // Keep arguments recovered from creation transactions and current implementations
+  saveRegistry(registry);
+
+  console.log("\nVerification Summary:");
+  console.table(rows);
+
+  const failed = rows.filter((row) => row.status.includes("failed"));
+  if (failed.length > 0) {
+    throw new Error(`${failed.length} of ${rows.length} contract(s) failed verification`);
   }
 }
 
@@ -0,0 +1,79 @@
+// Network-aware address resolution. Contracts are referred to by address or by name:
+//
+//   1. the `addresses` given to the SDK (contracts deployed in-process, e.g. by a simulation)
+//   2. the deployment registry of the network (deployments/<network>.json)
+//   3. the tokens of the network's address book entry (config/addressBook.js), by symbol
+//
+// and CCIP chains by address book network name or raw chain selector.
+
+const { isAddress } = require("ethers");
+const { ADDRESS_BOOK } = require("../config/addressBook");
+const { getDeployment } = require("../scripts/lib/registry");
+
+/**
+ * @notice Address of a contract or token of a network
+ * @param {string} network Name of the network in hardhat.config.js
+ * @param {string} nameOrAddress Address, registry id ("InvoiceRegistry") or token symbol ("USDC")
+ * @param {Object<string, string>} [addresses] Addresses taking precedence over the registry
+ * @return {string}
+ */
+function resolveAddress(network, nameOrAddress, addresses = {}) {
+  if (isAddress(nameOrAddress)) {
+    return nameOrAddress;
+  }
+  if (addresses[nameOrAddress]) {
+    return addresses[nameOrAddress];
+  }
+  const record = getDeployment(network, nameOrAddress);
+  if (record) {
+    return record.address;
+  }
+  const chain = ADDRESS_BOOK[network];
+  if (chain && chain.tokens[nameOrAddress]) {
+    return chain.tokens[nameOrAddress];
+  }
+  throw new Error(
+    `"${nameOrAddress}" is neither an address, a contract recorded for ${network} nor a token of its address book`
+  );
+}
+
+/**
+ * @notice Registry record of a contract, for the artifact it was deployed from
+ * @return {?{contract: string, address: string}}
+ */
+function resolveDeployment(network, id) {
+  return getDeployment(network, id) || null;
+}
+
+/**
+ * @notice CCIP selector of an address book network name ("fuji") or a raw chain selector
+ * @param {string|number|bigint} chain
+ * @return {bigint}
+ */
+function chainSelector(chain) {
+  if (typeof chain === "bigint" || typeof chain === "number" || /^\d+$/.test(chain)) {
+    return BigInt(chain);
+  }
+  const entry = ADDRESS_BOOK[chain];
+  if (!entry || !entry.ccip) {
+    throw new Error(`"${chain}" is neither a chain selector nor a CCIP network of config/addressBook.js`);
+  }
+  return entry.ccip.chainSelector;
+}
+
+/**
+ * @notice Address book network name of a CCIP chain selector, or null
+ * @param {bigint} selector
+ * @return {?string}
+ */
+function chainName(selector) {
+  const found = Object.entries(ADDRESS_BOOK).find(([, entry]) => entry.ccip && entry.ccip.chainSelector === BigInt(selector));
+  return found ? found[0] : null;
+}
+
+module.exports = {
+  resolveAddress,
+  resolveDeployment,
+  chainSelector,
+  chainName
+};
@@ -0,0 +1,123 @@
+// Token amounts that know their decimals.
+//
+// Inputs of the clients take amounts in three forms:
+//   "2500.5" or 2500.5   whole tokens, scaled by the token's decimals
+//   2500500000n          base units, used as is
+//   an Amount            base units, checked to be of the same token
+// Outputs are Amounts: `value` holds the base units, String(amount) reads "2500.5 USDC".
+
+const { Contract, formatUnits, parseUnits } = require("ethers");
+
+const ERC20_ABI = [
+  "function decimals() view returns (uint8)",
+  "function symbol() view returns (string)",
+  "function balanceOf(address) view returns (uint256)",
+  "function allowance(address, address) view returns (uint256)",
+  "function approve(address, uint256) returns (bool)"
+];
+
+class Amount {
+  /**
+   * @param {bigint} value Base units
+   * @param {{decimals: number, symbol: string, address?: string}} token
+   */
+  constructor(value, token) {
+    this.value = BigInt(value);
+    this.decimals = token.decimals;
+    this.symbol = token.symbol;
+    this.token = token.address || null;
+  }
+
+  /**
+   * @notice Whole tokens as a decimal string, e.g. "2500.5"
+   */
+  format() {
+    return formatUnits(this.value, this.decimals);
+  }
+
+  toString() {
+    return this.symbol ? `${this.format()} ${this.symbol}` : this.format();
+  }
+
+  toJSON() {
+    return { value: this.value.toString(), decimals: this.decimals, symbol: this.symbol, formatted: this.format() };
+  }
+}
+
+/**
+ * @notice Base units of an amount given in any of the forms above
+ * @param {string|number|bigint|Amount} amount
+ * @param {{decimals: number, symbol: string, address?: string}} token
+ * @return {bigint}
+ */
+function toUnits(amount, token) {
+  if (amount instanceof Amount) {
+    if (amount.token && token.address && amount.token.toLowerCase() !== token.address.toLowerCase()) {
+      throw new Error(`${amount} is not an amount of ${token.symbol} (${token.address})`);
+    }
+    return amount.value;
+  }
+  if (typeof amount === "bigint") {
+    return amount;
+  }
+  if (typeof amount === "number" || typeof amount === "string") {
+    return parseUnits(String(amount), token.decimals);
+  }
+  throw new Error(`Cannot read ${amount} as an amount of ${token.symbol}`);
+}
+
+/**
+ * @notice ERC20 metadata read once per address and runner
+ */
+class TokenRegistry {
+  /**
+   * @param {Object} runner ethers signer or provider
+   */
+  constructor(runner) {
+    this.runner = runner;
+    this.tokens = new Map();
+  }
+
+  /**
+   * @notice Decimals, symbol and contract of an ERC20
+   * @param {string} address
+   * @return {Promise<{address: string, decimals: number, symbol: string, contract: Contract}>}
+   */
+  async get(address) {
+    const key = address.toLowerCase();
+    if (!this.tokens.has(key)) {
+      const contract = new Contract(address, ERC20_ABI, this.runner);
+      const loading = Promise.all([contract.decimals(), contract.symbol()]).then(([decimals, symbol]) => ({
+        address,
+        decimals: Number(decimals),
+        symbol,
+        contract
+      }));
+      // A failed read is retried on the next call
+      loading.catch(() => this.tokens.delete(key));
+      this.tokens.set(key, loading);
+    }
+    return this.tokens.get(key);
+  }
+
+  /**
+   * @notice Amount of `address` from base units
+   */
+  async amount(address, value) {
+    return new Amount(value, await this.get(address));
+  }
+
+  /**
+   * @notice Base units of an amount of `address` given in any of the forms above
+   */
+  async units(address, amount) {
+    return toUnits(amount, await this.get(address));
+  }
+}
+
+module.exports = {
+  ERC20_ABI,
+  Amount,
+  TokenRegistry,
+  toUnits
+};
@@ -0,0 +1,130 @@
+// Tokenized assets created through AssetFactory: ERC20 vault tokens, ERC721 collateral NFTs
+// and ERC1155 hybrid assets.
+
+const { ZeroAddress } = require("ethers");
+const { BaseClient } = require("./base");
+
+// AssetFactory.TokenType
+const TOKEN_TYPES = ["erc20", "erc721", "erc1155"];
+
+/**
+ * @typedef {Object} Asset
+ * @property {string} address
+ * @property {string} creator
+ * @property {string} tokenType "erc20", "erc721" or "erc1155"
+ * @property {string} name
+ * @property {string} symbol
+ * @property {number} createdAt Unix time
+ */
+
+class AssetFactoryClient extends BaseClient {
+  async created(method, args) {
+    const result = await this.send(method, args);
+    const { assetAddress } = this.event(result, "AssetCreated").args;
+    return { ...(await this.asset(assetAddress)), receipt: result.receipt };
+  }
+
+  /**
+   * @notice Create an ERC20VaultToken over an underlying asset
+   * @param {Object} token
+   * @param {string} token.name
+   * @param {string} token.symbol
+   * @param {string} token.underlying Address or symbol
+   * @param {number} [token.depositFeeBps=0]
+   * @param {number} [token.withdrawalFeeBps=0]
+   * @param {number} [token.performanceFeeBps=0]
+   * @return {Promise<Asset & {receipt: Object}>}
+   */
+  createERC20VaultToken({ name, symbol, underlying, depositFeeBps = 0, withdrawalFeeBps = 0, performanceFeeBps = 0 }) {
+    return this.created("createERC20VaultToken", [
+      name,
+      symbol,
+      this.resolve(underlying),
+      depositFeeBps,
+      withdrawalFeeBps,
+      performanceFeeBps
+    ]);
+  }
+
+  /**
+   * @notice Create an ERC721CollateralNFT collection
+   * @param {{name: string, symbol: string, baseUri: string}} collection
+   * @return {Promise<Asset & {receipt: Object}>}
+   */
+  createERC721CollateralNFT({ name, symbol, baseUri }) {
+    return this.created("createERC721CollateralNFT", [name, symbol, baseUri]);
+  }
+
+  /**
+   * @notice Create an ERC1155HybridAsset
+   * @param {{baseUri: string}} asset
+   * @return {Promise<Asset & {receipt: Object}>}
+   */
+  createERC1155HybridAsset({ baseUri }) {
+    return this.created("createERC1155HybridAsset", [baseUri]);
+  }
+
+  /**
+   * @notice An asset the factory created, decoded
+   * @return {Promise<Asset>}
+   */
+  async asset(address) {
+    const details = await this.call("assetDetails", address);
+    if (details.creator === ZeroAddress) {
+      throw new Error(`${address} was not created by AssetFactory ${this.address}`);
+    }
+    return {
+      address: details.assetAddress,
+      creator: details.creator,
+      tokenType: TOKEN_TYPES[Number(details.tokenType)],
+      name: details.name,
+      symbol: details.symbol,
+      createdAt: Number(details.createdAt)
+    };
+  }
+
+  /**
+   * @notice A page of the assets created, oldest first
+   * @param {{cursor?: number, limit?: number}} [page]
+   * @return {Promise<{assets: Asset[], nextCursor: number}>} nextCursor is 0 on the last page
+   */
+  async assets({ cursor = 0, limit = 50 } = {}) {
+    const [addresses, nextCursor] = await this.call("getAssets", cursor, limit);
+    const assets = [];
+    for (const address of addresses) {
+      assets.push(await this.asset(address));
+    }
+    return { assets, nextCursor: Number(nextCursor) };
+  }
+
+  /**
+   * @notice Assets created by an account
+   * @return {Promise<Asset[]>}
+   */
+  async assetsOf(creator) {
+    const assets = [];
+    for (const address of await this.call("getAssetsByCreator", this.resolve(creator))) {
+      assets.push(await this.asset(address));
+    }
+    return assets;
+  }
+
+  /**
+   * @notice Minting fee and its recipient
+   * @return {Promise<{mintingFeeBps: number, feeRecipient: string, assetCount: number}>}
+   */
+  async fees() {
+    return {
+      mintingFeeBps: Number(await this.call("mintingFee")),
+      feeRecipient: await this.call("feeRecipient"),
+      assetCount: Number(await this.call("getAssetCount"))
+    };
+  }
+}
+
+AssetFactoryClient.CONTRACT = "AssetFactory";
+
+module.exports = {
+  TOKEN_TYPES,
+  AssetFactoryClient
+};
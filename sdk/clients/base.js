@@ -0,0 +1,148 @@
+// What every client shares: calls and transactions whose reverts come back decoded
+// (errors.js), decoded events, token amounts (amounts.js) and allowances.
+
+const { MaxUint256 } = require("ethers");
+const { TokenRegistry } = require("../amounts");
+const { wrapError } = require("../errors");
+
+/**
+ * @typedef {Object} ClientOptions
+ * @property {TokenRegistry} [tokens] Token metadata cache shared between clients
+ * @property {function(string): string} [resolve] Address of a contract name or token symbol
+ *   (addresses.js); clients only take addresses without it
+ * @property {function(Object): void} [onReceipt] Called with the receipt of every transaction
+ * @property {boolean} [exactApprovals=false] Approve the exact amount instead of MaxUint256
+ */
+
+/**
+ * @typedef {Object} DecodedEvent
+ * @property {string} name
+ * @property {string} address Emitting contract
+ * @property {Object} args Values by argument name
+ */
+
+class BaseClient {
+  /**
+   * @param {Object} contract ethers Contract, connected to a signer to send transactions
+   * @param {ClientOptions} [options]
+   */
+  constructor(contract, options = {}) {
+    this.contract = contract;
+    this.options = options;
+    this.tokens = options.tokens || new TokenRegistry(contract.runner);
+    this.resolve = options.resolve || ((nameOrAddress) => nameOrAddress);
+  }
+
+  get address() {
+    return this.contract.target;
+  }
+
+  /**
+   * @notice Same client acting as another signer
+   */
+  connect(signer) {
+    return new this.constructor(this.contract.connect(signer), { ...this.options, tokens: new TokenRegistry(signer) });
+  }
+
+  // Interfaces the reverts of this client's calls are decoded with
+  interfaces() {
+    return [this.contract.interface];
+  }
+
+  label(method) {
+    return `${this.constructor.CONTRACT}.${method}`;
+  }
+
+  /**
+   * @notice Read-only call
+   */
+  async call(method, ...args) {
+    try {
+      return await this.contract[method](...args);
+    } catch (error) {
+      throw wrapError(error, this.label(method), this.interfaces());
+    }
+  }
+
+  /**
+   * @notice Send a transaction and wait for it
+   * @param {string} method Function name or signature
+   * @param {Array} args
+   * @param {Object} [overrides] ethers transaction overrides
+   * @return {Promise<{receipt: Object, events: DecodedEvent[]}>}
+   */
+  async send(method, args, overrides) {
+    return this.sendWith(this.contract, method, args, overrides);
+  }
+
+  async sendWith(contract, method, args, overrides) {
+    let receipt;
+    try {
+      const tx = await contract[method](...args, ...(overrides ? [overrides] : []));
+      receipt = await tx.wait();
+    } catch (error) {
+      const label = contract === this.contract ? this.label(method) : `${contract.target}.${method}`;
+      throw wrapError(error, label, [contract.interface, ...this.interfaces()]);
+    }
+    if (this.options.onReceipt) {
+      this.options.onReceipt(receipt);
+    }
+    return { receipt, events: this.decodeEvents(receipt, contract) };
+  }
+
+  /**
+   * @notice Events of a receipt this client's contract (or `contract`) can decode
+   * @return {DecodedEvent[]}
+   */
+  decodeEvents(receipt, contract = this.contract) {
+    const events = [];
+    for (const log of receipt.logs) {
+      let parsed = null;
+      try {
+        parsed = contract.interface.parseLog(log);
+      } catch (error) {
+        parsed = null;
+      }
+      if (parsed) {
+        const args = Object.fromEntries(parsed.fragment.inputs.map((input, index) => [input.name || index, parsed.args[index]]));
+        events.push({ name: parsed.name, address: log.address, args });
+      }
+    }
+    return events;
+  }
+
+  /**
+   * @notice The first `name` event of a send() result; throws when the transaction did not emit it
+   */
+  event({ receipt, events }, name) {
+    const found = events.find((event) => event.name === name);
+    if (!found) {
+      throw new Error(`${receipt.hash} emitted no ${this.constructor.CONTRACT}.${name} event`);
+    }
+    return found;
+  }
+
+  /**
+   * @notice Let `spender` take `value` base units of `token` from the signer, if it cannot yet
+   */
+  async approve(tokenAddress, spender, value) {
+    const { contract: token } = await this.tokens.get(tokenAddress);
+    const owner = await this.contract.runner.getAddress();
+    if ((await token.allowance(owner, spender)) >= value) {
+      return null;
+    }
+    return this.sendWith(token, "approve", [spender, this.options.exactApprovals ? value : MaxUint256]);
+  }
+
+  async signerAddress() {
+    return this.contract.runner.getAddress();
+  }
+
+  get provider() {
+    return this.contract.runner.provider || this.contract.runner;
+  }
+}
+
+module.exports = {
+  BaseClient
+};
@@ -0,0 +1,210 @@
+// InvoiceRegistry and the RWAInvoiceVaultSimple it deploys for every funded invoice.
+
+const { Contract, ZeroAddress } = require("ethers");
+const { Amount } = require("../amounts");
+const { BaseClient } = require("./base");
+
+// TokenizedInvoice.InvoiceStatus
+const INVOICE_STATUS = ["Created", "Funded", "Paid", "Defaulted", "Settled"];
+
+// The part of RWAInvoiceVaultSimple investors use
+const INVOICE_VAULT_ABI = [
+  "function paymentToken() view returns (address)",
+  "function totalFunded() view returns (uint256)",
+  "function fund(uint256 amount)",
+  "function getFundingProgress() view returns (uint256 fundedAmount, uint256 targetAmount, uint256 progress)",
+  "function isFundingActive() view returns (bool)",
+  "event Funded(address indexed funder, uint256 amount)"
+];
+
+/**
+ * @typedef {Object} Invoice
+ * @property {bigint} tokenId
+ * @property {string} issuer
+ * @property {string} beneficiary
+ * @property {Amount} amount Face value
+ * @property {Amount} fundingAmount
+ * @property {number} dueDate Unix time
+ * @property {string} invoiceURI
+ * @property {string} status One of INVOICE_STATUS
+ * @property {?string} vault RWAInvoiceVaultSimple, null until funded
+ * @property {?string} paymentToken Token the amounts are in, null when unknown
+ */
+
+class InvoiceClient extends BaseClient {
+  /**
+   * @param {Object} registry InvoiceRegistry contract
+   * @param {import("./base").ClientOptions & {paymentToken?: string}} [options] `paymentToken`
+   *   is the token of invoices not funded yet, whose amounts are otherwise in base units
+   */
+  constructor(registry, options = {}) {
+    super(registry, options);
+    this.vaultInterface = new Contract(ZeroAddress, INVOICE_VAULT_ABI).interface;
+  }
+
+  interfaces() {
+    return [this.contract.interface, this.vaultInterface];
+  }
+
+  /**
+   * @notice RWAInvoiceVaultSimple of a funded invoice
+   * @return {Promise<Contract>}
+   */
+  async vault(tokenId) {
+    const address = await this.call("getInvoiceVault", tokenId);
+    if (address === ZeroAddress) {
+      throw new Error(`Invoice ${tokenId} is not funded, it has no vault yet`);
+    }
+    return new Contract(address, INVOICE_VAULT_ABI, this.contract.runner);
+  }
+
+  async tokenOf(tokenId, token) {
+    if (token || this.options.paymentToken) {
+      return this.resolve(token || this.options.paymentToken);
+    }
+    const vault = await this.call("getInvoiceVault", tokenId);
+    return vault === ZeroAddress ? null : new Contract(vault, INVOICE_VAULT_ABI, this.contract.runner).paymentToken();
+  }
+
+  async amountOf(token, value) {
+    return token ? this.tokens.amount(token, value) : new Amount(value, { decimals: 0, symbol: "" });
+  }
+
+  /**
+   * @notice Tokenize an invoice
+   * @param {Object} invoice
+   * @param {string} invoice.beneficiary
+   * @param {string|number|bigint|Amount} invoice.amount Face value, whole tokens need `token`
+   * @param {string} [invoice.token] Token the invoice is paid in, to scale `amount`
+   * @param {number} [invoice.dueDate] Unix time
+   * @param {number} [invoice.dueIn=90 days] Seconds from the latest block, without `dueDate`
+   * @param {string} [invoice.uri=""]
+   * @return {Promise<{tokenId: bigint, dueDate: number, amount: Amount, receipt: Object}>}
+   */
+  async create({ beneficiary, amount, token, dueDate, dueIn = 90 * 24 * 60 * 60, uri = "" }) {
+    const tokenAddress = token ? this.resolve(token) : null;
+    if (!tokenAddress && (typeof amount === "string" || typeof amount === "number")) {
+      throw new Error(`Give the token of the invoice to read ${amount} in whole tokens, or the amount in base units`);
+    }
+    const value = tokenAddress ? await this.tokens.units(tokenAddress, amount) : BigInt(amount.value ?? amount);
+    if (dueDate === undefined) {
+      const latest = await this.provider.getBlock("latest");
+      dueDate = latest.timestamp + dueIn;
+    }
+    const result = await this.send("createInvoice", [this.resolve(beneficiary), value, dueDate, uri]);
+    const { tokenId } = this.event(result, "InvoiceCreated").args;
+    return { tokenId, dueDate, amount: await this.amountOf(tokenAddress, value), receipt: result.receipt };
+  }
+
+  /**
+   * @notice Open the funding of an invoice, which deploys its vault. Owner only
+   * @param {bigint} tokenId
+   * @param {Object} funding
+   * @param {string|number|bigint|Amount} funding.amount Funding amount
+   * @param {string} funding.paymentToken Token the vault raises
+   * @param {string} [funding.vaultFactory] Unused by the registry, which deploys the vault itself
+   * @return {Promise<{tokenId: bigint, vault: string, amount: Amount, receipt: Object}>}
+   */
+  async fund(tokenId, { amount, paymentToken, vaultFactory = ZeroAddress }) {
+    const token = this.resolve(paymentToken);
+    const value = await this.tokens.units(token, amount);
+    const result = await this.send("fundInvoice", [tokenId, this.resolve(vaultFactory), value, token]);
+    const { vault } = this.event(result, "InvoiceFunded").args;
+    return { tokenId, vault, amount: await this.tokens.amount(token, value), receipt: result.receipt };
+  }
+
+  /**
+   * @notice Invest in the vault of a funded invoice, approving it first if needed
+   * @return {Promise<{investor: string, amount: Amount, funded: Amount, receipt: Object}>}
+   */
+  async invest(tokenId, amount) {
+    const vault = await this.vault(tokenId);
+    const token = await vault.paymentToken();
+    const value = await this.tokens.units(token, amount);
+    await this.approve(token, vault.target, value);
+    const { receipt } = await this.sendWith(vault, "fund", [value]);
+    return {
+      investor: await this.signerAddress(),
+      amount: await this.tokens.amount(token, value),
+      funded: await this.tokens.amount(token, await vault.totalFunded()),
+      receipt
+    };
+  }
+
+  /**
+   * @notice Invoice data, decoded
+   * @param {bigint} tokenId
+   * @param {Object} [options]
+   * @param {string} [options.token] Token the amounts are in, the vault's by default
+   * @return {Promise<Invoice>}
+   */
+  async get(tokenId, { token } = {}) {
+    const data = await this.call("getInvoice", tokenId);
+    const vault = await this.call("getInvoiceVault", tokenId);
+    const paymentToken = await this.tokenOf(tokenId, token);
+    return {
+      tokenId: BigInt(tokenId),
+      issuer: data.issuer,
+      beneficiary: data.beneficiary,
+      amount: await this.amountOf(paymentToken, data.amount),
+      fundingAmount: await this.amountOf(paymentToken, data.fundingAmount),
+      dueDate: Number(data.dueDate),
+      invoiceURI: data.invoiceURI,
+      status: INVOICE_STATUS[Number(data.status)],
+      vault: vault === ZeroAddress ? null : vault,
+      paymentToken
+    };
+  }
+
+  /**
+   * @notice What the vault of a funded invoice raised so far
+   * @return {Promise<{funded: Amount, target: Amount, progressBps: number, active: boolean}>}
+   */
+  async fundingProgress(tokenId) {
+    const vault = await this.vault(tokenId);
+    const token = await vault.paymentToken();
+    const [funded, target, progress] = await vault.getFundingProgress();
+    return {
+      funded: await this.tokens.amount(token, funded),
+      target: await this.tokens.amount(token, target),
+      progressBps: Number(progress),
+      active: await vault.isFundingActive()
+    };
+  }
+
+  async setStatus(method, tokenId) {
+    const { receipt } = await this.send(method, [tokenId]);
+    const data = await this.call("getInvoice", tokenId);
+    return { tokenId, status: INVOICE_STATUS[Number(data.status)], receipt };
+  }
+
+  /**
+   * @notice Mark an invoice paid. Owner only
+   * @return {Promise<{tokenId: bigint, status: string, receipt: Object}>}
+   */
+  markPaid(tokenId) {
+    return this.setStatus("markAsPaid", tokenId);
+  }
+
+  /**
+   * @notice Mark an invoice defaulted. Owner only
+   */
+  markDefaulted(tokenId) {
+    return this.setStatus("markAsDefaulted", tokenId);
+  }
+
+  /**
+   * @notice Settle an invoice. Owner only
+   */
+  settle(tokenId) {
+    return this.setStatus("settleInvoice", tokenId);
+  }
+}
+
+InvoiceClient.CONTRACT = "InvoiceRegistry";
+
+module.exports = {
+  INVOICE_STATUS,
+  INVOICE_VAULT_ABI,
+  InvoiceClient
+};
@@ -0,0 +1,67 @@
+// Token transfers through CrossChainRouter. Chains are given as address book network names
+// ("fuji") or CCIP chain selectors; the router pays the CCIP fees in LINK from its own balance.
+
+const { chainName, chainSelector } = require("../addresses");
+const { BaseClient } = require("./base");
+
+class RouterClient extends BaseClient {
+  /**
+   * @notice Whether the router accepts a chain and a token
+   * @param {{chain: (string|bigint), token: string}} route
+   * @return {Promise<{chain: boolean, token: boolean}>}
+   */
+  async isSupported({ chain, token }) {
+    return {
+      chain: await this.call("supportedChains", chainSelector(chain)),
+      token: await this.call("supportedTokens", this.resolve(token))
+    };
+  }
+
+  /**
+   * @notice Allowlist a chain and a token where they are not yet. Owner only
+   * @param {{chain: (string|bigint), token: string}} route
+   * @return {Promise<Object[]>} Receipts of the transactions sent, if any
+   */
+  async allowlist({ chain, token }) {
+    const supported = await this.isSupported({ chain, token });
+    const receipts = [];
+    if (!supported.chain) {
+      receipts.push((await this.send("setSupportedChain", [chainSelector(chain), true])).receipt);
+    }
+    if (!supported.token) {
+      receipts.push((await this.send("setSupportedToken", [this.resolve(token), true])).receipt);
+    }
+    return receipts;
+  }
+
+  /**
+   * @notice Send tokens to another chain, approving the router first if needed
+   * @param {Object} transfer
+   * @param {string|bigint} transfer.chain Destination
+   * @param {string} transfer.token Address or symbol
+   * @param {string|number|bigint|import("../amounts").Amount} transfer.amount
+   * @return {Promise<{messageId: string, chain: ?string, selector: bigint,
+   *   amount: import("../amounts").Amount, receipt: Object}>}
+   */
+  async transfer({ chain, token, amount }) {
+    const selector = chainSelector(chain);
+    const address = this.resolve(token);
+    const value = await this.tokens.units(address, amount);
+    await this.approve(address, this.address, value);
+    const result = await this.send("sendTokens", [selector, address, value]);
+    const { messageId } = this.event(result, "MessageSent").args;
+    return {
+      messageId,
+      chain: chainName(selector),
+      selector,
+      amount: await this.tokens.amount(address, value),
+      receipt: result.receipt
+    };
+  }
+}
+
+RouterClient.CONTRACT = "CrossChainRouter";
+
+module.exports = {
+  RouterClient
+};
@@ -0,0 +1,93 @@
+// TreasuryAIManager: the allocation decisions it records for its strategies, the market data
+// behind them and their processing by the service layer (scripts/service/).
+
+const { Contract, ZeroAddress } = require("ethers");
+const { Amount } = require("../amounts");
+const { BaseClient } = require("./base");
+
+const PRICE_FEED_ABI = ["function decimals() view returns (uint8)"];
+
+// The overload that checks the strategy of the decision
+const PROCESS_DECISION = "processDecision(bytes32,address,uint256,string)";
+
+/**
+ * @typedef {Object} Decision
+ * @property {string} decisionId
+ * @property {string} strategy
+ * @property {number} allocationBps
+ * @property {string} reason
+ * @property {number} timestamp Unix time
+ * @property {boolean} processed
+ */
+
+class TreasuryAIClient extends BaseClient {
+  /**
+   * @notice Latest decision recorded for a strategy
+   * @return {Promise<Decision>}
+   */
+  async latestDecision(strategy) {
+    const decision = await this.call("getLatestDecision", this.resolve(strategy));
+    return {
+      decisionId: decision.decisionId,
+      strategy: decision.strategy,
+      allocationBps: Number(decision.allocation),
+      reason: decision.reason,
+      timestamp: Number(decision.timestamp),
+      processed: await this.call("processedDecisions", decision.decisionId)
+    };
+  }
+
+  /**
+   * @notice Market data performUpkeep recorded for a token, price in the decimals of its feed
+   * @return {Promise<{price: Amount, volatility: bigint, volume: bigint, timestamp: number}>}
+   */
+  async marketData(token) {
+    const address = this.resolve(token);
+    const data = await this.call("marketData", address);
+    const feed = await this.call("priceFeeds", address);
+    const decimals = feed === ZeroAddress ? 0 : Number(await new Contract(feed, PRICE_FEED_ABI, this.provider).decimals());
+    return {
+      price: new Amount(data.price, { decimals, symbol: "USD" }),
+      volatility: data.volatility,
+      volume: data.volume,
+      timestamp: Number(data.timestamp)
+    };
+  }
+
+  /**
+   * @notice Service layer allowed to process decisions
+   * @return {Promise<{address: string, active: boolean}>}
+   */
+  async serviceLayer() {
+    return { address: await this.call("serviceLayer"), active: await this.call("isServiceLayerActive") };
+  }
+
+  /**
+   * @notice Whether an upkeep is due, and when the last one ran
+   * @return {Promise<{upkeepNeeded: boolean, lastUpdate: number}>}
+   */
+  async upkeepStatus() {
+    const [upkeepNeeded] = await this.call("checkUpkeep", "0x");
+    return { upkeepNeeded, lastUpdate: Number(await this.call("lastUpdate")) };
+  }
+
+  /**
+   * @notice Record the allocation decided for a pending decision. Service layer only
+   * @param {Object} decision
+   * @param {string} decision.decisionId
+   * @param {string} decision.strategy
+   * @param {number} decision.allocationBps At most 10000
+   * @param {string} decision.reason
+   * @return {Promise<{decisionId: string, receipt: Object}>}
+   */
+  async processDecision({ decisionId, strategy, allocationBps, reason }) {
+    const { receipt } = await this.send(PROCESS_DECISION, [decisionId, this.resolve(strategy), allocationBps, reason]);
+    return { decisionId, receipt };
+  }
+}
+
+TreasuryAIClient.CONTRACT = "TreasuryAIManager";
+
+module.exports = {
+  TreasuryAIClient
+};
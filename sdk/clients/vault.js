@@ -0,0 +1,111 @@
+// Share vaults of VaultManager. A vault is identified by the address VaultManager derives for
+// it (`vaultId`); deposits mint shares at the vault's asset/share ratio, withdrawals burn them.
+
+const { ZeroAddress } = require("ethers");
+const { BaseClient } = require("./base");
+
+/**
+ * @typedef {Object} ManagedVault
+ * @property {string} vaultId
+ * @property {string} strategy
+ * @property {string} token
+ * @property {bigint} totalShares
+ * @property {import("../amounts").Amount} totalAssets
+ * @property {boolean} isActive
+ */
+
+class VaultClient extends BaseClient {
+  /**
+   * @notice Create a vault over a strategy. Owner only
+   * @param {string} strategy IStrategy of the vault
+   * @param {string} token Deposit token, address or symbol
+   * @return {Promise<{vaultId: string, strategy: string, token: string, receipt: Object}>}
+   */
+  async create(strategy, token) {
+    const result = await this.send("createVault", [this.resolve(strategy), this.resolve(token)]);
+    const { vaultId } = this.event(result, "VaultCreated").args;
+    return { vaultId, strategy: this.resolve(strategy), token: this.resolve(token), receipt: result.receipt };
+  }
+
+  /**
+   * @notice Every vault created, active or not
+   * @return {Promise<string[]>}
+   */
+  async list() {
+    const vaults = [];
+    for (let index = 0; ; index++) {
+      try {
+        vaults.push(await this.contract.activeVaults(index));
+      } catch (error) {
+        // The public array getter reverts past its end
+        return vaults;
+      }
+    }
+  }
+
+  /**
+   * @notice Vault data, decoded
+   * @return {Promise<ManagedVault>}
+   */
+  async get(vaultId) {
+    const info = await this.call("vaults", vaultId);
+    if (info.token === ZeroAddress) {
+      throw new Error(`No VaultManager vault ${vaultId}`);
+    }
+    return {
+      vaultId,
+      strategy: info.strategy,
+      token: info.token,
+      totalShares: info.totalShares,
+      totalAssets: await this.tokens.amount(info.token, info.totalAssets),
+      isActive: info.isActive
+    };
+  }
+
+  /**
+   * @notice Shares of an account and what they are worth
+   * @param {string} vaultId
+   * @param {string} [account] The signer by default
+   * @return {Promise<{shares: bigint, value: import("../amounts").Amount, lastDeposit: number}>}
+   */
+  async position(vaultId, account) {
+    const vault = await this.get(vaultId);
+    const { shares, lastDeposit } = await this.call("userInfo", vaultId, account || (await this.signerAddress()));
+    const value = vault.totalShares === 0n ? 0n : (shares * vault.totalAssets.value) / vault.totalShares;
+    return { shares, value: await this.tokens.amount(vault.token, value), lastDeposit: Number(lastDeposit) };
+  }
+
+  /**
+   * @notice Deposit into a vault, approving VaultManager first if needed
+   * @param {string} vaultId
+   * @param {string|number|bigint|import("../amounts").Amount} amount
+   * @return {Promise<{vaultId: string, amount: import("../amounts").Amount, shares: bigint, receipt: Object}>}
+   */
+  async deposit(vaultId, amount) {
+    const { token } = await this.call("vaults", vaultId);
+    const value = await this.tokens.units(token, amount);
+    await this.approve(token, this.address, value);
+    const result = await this.send("deposit", [vaultId, value]);
+    const { shares } = this.event(result, "Deposit").args;
+    return { vaultId, amount: await this.tokens.amount(token, value), shares, receipt: result.receipt };
+  }
+
+  /**
+   * @notice Redeem shares of a vault
+   * @param {string} vaultId
+   * @param {bigint} shares
+   * @return {Promise<{vaultId: string, shares: bigint, amount: import("../amounts").Amount, receipt: Object}>}
+   */
+  async withdraw(vaultId, shares) {
+    const { token } = await this.call("vaults", vaultId);
+    const result = await this.send("withdraw", [vaultId, shares]);
+    const { amount } = this.event(result, "Withdraw").args;
+    return { vaultId, shares, amount: await this.tokens.amount(token, amount), receipt: result.receipt };
+  }
+}
+
+VaultClient.CONTRACT = "VaultManager";
+
+module.exports = {
+  VaultClient
+};
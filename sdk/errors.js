@@ -0,0 +1,152 @@
+// Reverts of the protocol contracts, decoded.
+//
+// The clients rethrow failed calls and transactions as ContractError, with the require
+// message or the custom error (name and arguments) the contract reverted with, whichever
+// node returned it: ethers' decoded `revert`, raw revert data nested in the provider error,
+// or only the message of a Hardhat node.
+
+const { AbiCoder, dataSlice } = require("ethers");
+
+// Error(string) and Panic(uint256)
+const ERROR_SELECTOR = "0x08c379a0";
+const PANIC_SELECTOR = "0x4e487b71";
+
+const PANIC_REASONS = {
+  0x01: "assertion failed",
+  0x11: "arithmetic overflow or underflow",
+  0x12: "division by zero",
+  0x21: "invalid enum value",
+  0x31: "pop on an empty array",
+  0x32: "array index out of bounds",
+  0x41: "out of memory",
+  0x51: "call to an uninitialized function"
+};
+
+class ContractError extends Error {
+  /**
+   * @param {string} message
+   * @param {Object} details
+   * @param {string} details.method Function that was called, e.g. "InvoiceRegistry.fundInvoice"
+   * @param {?string} details.reason Require message, or the custom error as "Name(arg, ...)"
+   * @param {?string} details.errorName "Error", "Panic" or the custom error name
+   * @param {Array} details.errorArgs
+   * @param {Error} details.cause Error thrown by ethers
+   */
+  constructor(message, { method, reason, errorName, errorArgs, cause }) {
+    super(message);
+    this.name = "ContractError";
+    this.method = method;
+    this.reason = reason;
+    this.errorName = errorName;
+    this.errorArgs = errorArgs;
+    this.cause = cause;
+    this.code = cause && cause.code;
+  }
+}
+
+function isRevertData(value) {
+  return typeof value === "string" && /^0x([0-9a-fA-F]{8})([0-9a-fA-F]{64})*$/.test(value);
+}
+
+// Nodes nest the revert data at different depths of their errors
+function findRevertData(error, depth = 0) {
+  if (!error || typeof error !== "object" || depth > 4) {
+    return null;
+  }
+  if (isRevertData(error.data)) {
+    return error.data;
+  }
+  for (const nested of [error.data, error.error, error.info && error.info.error, error.cause]) {
+    const data = findRevertData(nested, depth + 1);
+    if (data) {
+      return data;
+    }
+  }
+  return null;
+}
+
+function fromData(data, interfaces) {
+  const selector = dataSlice(data, 0, 4);
+  if (selector === ERROR_SELECTOR) {
+    const [reason] = AbiCoder.defaultAbiCoder().decode(["string"], dataSlice(data, 4));
+    return { errorName: "Error", errorArgs: [reason], reason };
+  }
+  if (selector === PANIC_SELECTOR) {
+    const [code] = AbiCoder.defaultAbiCoder().decode(["uint256"], dataSlice(data, 4));
+    return { errorName: "Panic", errorArgs: [code], reason: `panic: ${PANIC_REASONS[Number(code)] || `code ${code}`}` };
+  }
+  for (const iface of interfaces) {
+    const parsed = iface.parseError(data);
+    if (parsed) {
+      const errorArgs = Array.from(parsed.args);
+      return { errorName: parsed.name, errorArgs, reason: `${parsed.name}(${errorArgs.join(", ")})` };
+    }
+  }
+  return { errorName: null, errorArgs: [], reason: `unknown error ${selector}` };
+}
+
+function fromMessage(error) {
+  const message = `${error.shortMessage || ""} ${error.message || ""}`;
+  const reason = message.match(/reverted with reason string '([^']*)'/);
+  if (reason) {
+    return { errorName: "Error", errorArgs: [reason[1]], reason: reason[1] };
+  }
+  const custom = message.match(/reverted with custom error '(\w+)\(([^)]*)\)'/);
+  if (custom) {
+    const errorArgs = custom[2] ? custom[2].split(",").map((arg) => arg.trim()) : [];
+    return { errorName: custom[1], errorArgs, reason: `${custom[1]}(${custom[2]})` };
+  }
+  return null;
+}
+
+/**
+ * @notice What a failed call reverted with
+ * @param {Error} error Error thrown by ethers
+ * @param {Array<Object>} [interfaces] ethers Interfaces to decode custom errors with
+ * @return {?{errorName: ?string, errorArgs: Array, reason: string}} null when the error is not
+ *   a revert (network failure, nonce, insufficient funds...)
+ */
+function decodeRevert(error, interfaces = []) {
+  if (error.revert) {
+    const errorArgs = Array.from(error.revert.args);
+    const reason = error.revert.name === "Error" ? errorArgs[0] : `${error.revert.name}(${errorArgs.join(", ")})`;
+    return { errorName: error.revert.name, errorArgs, reason };
+  }
+  const data = findRevertData(error);
+  if (data) {
+    return fromData(data, interfaces);
+  }
+  const decoded = fromMessage(error);
+  if (decoded) {
+    return decoded;
+  }
+  if (error.code === "CALL_EXCEPTION") {
+    return { errorName: null, errorArgs: [], reason: error.reason || "execution reverted without a reason" };
+  }
+  return null;
+}
+
+/**
+ * @notice The error to throw for a failed call: a ContractError for reverts, the original
+ *   error otherwise
+ * @param {Error} error
+ * @param {string} method e.g. "VaultManager.deposit"
+ * @param {Array<Object>} [interfaces]
+ * @return {Error}
+ */
+function wrapError(error, method, interfaces = []) {
+  if (error instanceof ContractError) {
+    return error;
+  }
+  const decoded = decodeRevert(error, interfaces);
+  if (!decoded) {
+    return error;
+  }
+  return new ContractError(`${method} reverted: ${decoded.reason}`, { method, ...decoded, cause: error });
+}
+
+module.exports = {
+  ContractError,
+  decodeRevert,
+  wrapError
+};
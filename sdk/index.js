@@ -0,0 +1,113 @@
+// TokenIQ SDK: high-level clients of the protocol contracts.
+//
+//   const { createSdk } = require("../sdk");
+//
+//   const sdk = await createSdk(hre);                         // first signer, hre.network
+//   const { tokenId } = await sdk.invoices.create({ beneficiary, amount: "2500.5", token: "USDC" });
+//   await sdk.invoices.fund(tokenId, { amount: "2400", paymentToken: "USDC" });
+//   const invoice = await sdk.invoices.get(tokenId);           // invoice.amount.toString() === "2500.5 USDC"
+//   await sdk.vaults.connect(investor).deposit(vaultId, "1000");
+//
+// Contracts and tokens are resolved by name for the network (addresses.js), amounts take whole
+// tokens or base units (amounts.js) and reverts come back as ContractError (errors.js). The
+// clients can also be built on any ethers Contract: new VaultClient(vaultManager).
+
+const { Contract } = require("ethers");
+const { Amount, TokenRegistry, toUnits } = require("./amounts");
+const { ContractError, decodeRevert } = require("./errors");
+const { resolveAddress, resolveDeployment, chainSelector, chainName } = require("./addresses");
+const { InvoiceClient, INVOICE_STATUS } = require("./clients/invoice");
+const { VaultClient } = require("./clients/vault");
+const { RouterClient } = require("./clients/router");
+const { AssetFactoryClient, TOKEN_TYPES } = require("./clients/assetFactory");
+const { TreasuryAIClient } = require("./clients/treasuryAI");
+
+// SDK property => client, whose CONTRACT is both the registry id and the default artifact
+const CLIENTS = {
+  invoices: InvoiceClient,
+  vaults: VaultClient,
+  router: RouterClient,
+  assetFactory: AssetFactoryClient,
+  treasuryAI: TreasuryAIClient
+};
+
+/**
+ * @notice Clients of the protocol contracts of a network
+ * @param hre Hardhat runtime environment
+ * @param {Object} [options]
+ * @param {Object} [options.signer] Signer of the transactions, the first configured one by default
+ * @param {string} [options.network] Network whose registry and address book resolve names,
+ *   hre.network.name by default
+ * @param {Object<string, string>} [options.addresses] Addresses by registry id or symbol taking
+ *   precedence over the registry, e.g. { InvoiceRegistry: "0x...", USDC: "0x..." }
+ * @param {Object} [options.clientOptions] onReceipt, exactApprovals and paymentToken of the clients
+ * @return {Promise<Object>} { invoices, vaults, router, assetFactory, treasuryAI, tokens,
+ *   resolve, amount, units, connect, network, signer }. A client is built on first use and
+ *   throws then if its contract cannot be resolved.
+ */
+async function createSdk(hre, { signer, network = hre.network.name, addresses = {}, clientOptions = {} } = {}) {
+  signer = signer || (await hre.ethers.getSigners())[0];
+  const tokens = new TokenRegistry(signer);
+  const resolve = (nameOrAddress) => resolveAddress(network, nameOrAddress, addresses);
+  const clients = {};
+
+  const sdk = {
+    network,
+    signer,
+    tokens,
+    resolve,
+
+    /**
+     * @notice Amount of a token (address or symbol) from base units
+     */
+    amount: (token, value) => tokens.amount(resolve(token), value),
+
+    /**
+     * @notice Base units of an amount of a token given in whole tokens, base units or as an Amount
+     */
+    units: (token, amount) => tokens.units(resolve(token), amount),
+
+    /**
+     * @notice The same SDK acting as another signer
+     */
+    connect: (other) => createSdk(hre, { signer: other, network, addresses, clientOptions })
+  };
+
+  for (const [property, Client] of Object.entries(CLIENTS)) {
+    Object.defineProperty(sdk, property, {
+      enumerable: true,
+      get() {
+        if (!clients[property]) {
+          const id = Client.CONTRACT;
+          const record = addresses[id] ? null : resolveDeployment(network, id);
+          const { abi } = hre.artifacts.readArtifactSync(record ? record.contract : id);
+          const contract = new Contract(resolve(id), abi, signer);
+          clients[property] = new Client(contract, { ...clientOptions, tokens, resolve });
+        }
+        return clients[property];
+      }
+    });
+  }
+  return sdk;
+}
+
+module.exports = {
+  createSdk,
+  // Clients
+  InvoiceClient,
+  VaultClient,
+  RouterClient,
+  AssetFactoryClient,
+  TreasuryAIClient,
+  // Amounts, errors and addresses
+  Amount,
+  TokenRegistry,
+  toUnits,
+  ContractError,
+  decodeRevert,
+  resolveAddress,
+  chainSelector,
+  chainName,
+  INVOICE_STATUS,
+  TOKEN_TYPES
+};
@@ -0,0 +1,43 @@
+// TreasuryAIManager administration
+//   npx hardhat tokeniq:ai:set-strategy --strategy 0x... --network fuji
+
+const { task, types } = require("hardhat/config");
+const { createSdk } = require("../sdk");
+const { resolveContract, sendAndReport } = require("./utils");
+
+task("tokeniq:ai:set-service-layer", "Set the off-chain service allowed to process decisions")
+  .addParam("service", "Service layer address", undefined, types.string)
+  .addOptionalParam("active", "Whether the service layer is active", true, types.boolean)
+  .setAction(async ({ service, active }, hre) => {
+    const manager = await resolveContract(hre, "TreasuryAIManager");
+    await sendAndReport(hre, manager, "setServiceLayer", [service, active]);
+  });
+
+task("tokeniq:ai:set-strategy", "Add or remove a strategy the AI manager allocates to")
+  .addParam("strategy", "Strategy (vault) address", undefined, types.string)
+  .addOptionalParam("supported", "Whether the strategy is supported", true, types.boolean)
+  .setAction(async ({ strategy, supported }, hre) => {
+    const manager = await resolveContract(hre, "TreasuryAIManager");
+    await sendAndReport(hre, manager, "setSupportedStrategy", [strategy, supported]);
+  });
+
+task("tokeniq:ai:set-price-feed", "Set the Chainlink price feed used for a token")
+  .addParam("token", "Token address", undefined, types.string)
+  .addParam("feed", "AggregatorV3 price feed address", undefined, types.string)
+  .setAction(async ({ token, feed }, hre) => {
+    const manager = await resolveContract(hre, "TreasuryAIManager");
+    await sendAndReport(hre, manager, "setPriceFeed", [token, feed]);
+  });
+
+task("tokeniq:ai:latest-decision", "Show the latest decision recorded for a strategy")
+  .addParam("strategy", "Strategy address", undefined, types.string)
+  .setAction(async ({ strategy }, hre) => {
+    const { treasuryAI } = await createSdk(hre);
+    const decision = await treasuryAI.latestDecision(strategy);
+    console.log(`Latest decision for ${strategy}`);
+    console.log(`  id:         ${decision.decisionId}`);
+    console.log(`  allocation: ${decision.allocationBps} bps`);
+    console.log(`  reason:     ${decision.reason}`);
+    console.log(`  time:       ${new Date(decision.timestamp * 1000).toISOString()}`);
+    console.log(`  processed:  ${decision.processed}`);
+  });
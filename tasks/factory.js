@@ -0,0 +1,80 @@
+// AssetFactory administration
+//   npx hardhat tokeniq:factory:update-fees --minting-fee 100 --fee-recipient 0x... --network seitestnet
+
+const { task, types } = require("hardhat/config");
+const { createSdk } = require("../sdk");
+const { resolveContract, sendAndReport } = require("./utils");
+
+// AssetFactory.TokenType
+const TOKEN_TYPES = { erc20: 0, erc721: 1, erc1155: 2 };
+
+task("tokeniq:factory:update-fees", "Update the AssetFactory minting fee and recipient")
+  .addParam("mintingFee", "Minting fee in basis points (max 1000)", undefined, types.int)
+  .addParam("feeRecipient", "Address receiving the fees", undefined, types.string)
+  .setAction(async ({ mintingFee, feeRecipient }, hre) => {
+    const factory = await resolveContract(hre, "AssetFactory");
+    await sendAndReport(hre, factory, "updateFees", [mintingFee, feeRecipient]);
+  });
+
+task("tokeniq:factory:update-template", "Replace the template cloned for a token type")
+  .addParam("type", "erc20, erc721 or erc1155", undefined, types.string)
+  .addParam("implementation", "New template address", undefined, types.string)
+  .setAction(async ({ type, implementation }, hre) => {
+    if (!(type in TOKEN_TYPES)) {
+      throw new Error(`Unknown token type "${type}", expected ${Object.keys(TOKEN_TYPES).join(", ")}`);
+    }
+    const factory = await resolveContract(hre, "AssetFactory");
+    await sendAndReport(hre, factory, "updateTemplate", [TOKEN_TYPES[type], implementation]);
+  });
+
+task("tokeniq:factory:create-erc20", "Create an ERC20VaultToken through AssetFactory")
+  .addParam("name", "Token name", undefined, types.string)
+  .addParam("symbol", "Token symbol", undefined, types.string)
+  .addParam("underlying", "Underlying asset", undefined, types.string)
+  .addOptionalParam("depositFee", "Deposit fee in basis points", 0, types.int)
+  .addOptionalParam("withdrawalFee", "Withdrawal fee in basis points", 0, types.int)
+  .addOptionalParam("performanceFee", "Performance fee in basis points", 0, types.int)
+  .setAction(async (args, hre) => {
+    const factory = await resolveContract(hre, "AssetFactory");
+    await sendAndReport(hre, factory, "createERC20VaultToken", [
+      args.name,
+      args.symbol,
+      args.underlying,
+      args.depositFee,
+      args.withdrawalFee,
+      args.performanceFee
+    ]);
+  });
+
+task("tokeniq:factory:create-erc721", "Create an ERC721CollateralNFT through AssetFactory")
+  .addParam("name", "Collection name", undefined, types.string)
+  .addParam("symbol", "Collection symbol", undefined, types.string)
+  .addParam("baseUri", "Base URI for token metadata", undefined, types.string)
+  .setAction(async ({ name, symbol, baseUri }, hre) => {
+    const factory = await resolveContract(hre, "AssetFactory");
+    await sendAndReport(hre, factory, "createERC721CollateralNFT", [name, symbol, baseUri]);
+  });
+
+task("tokeniq:factory:create-erc1155", "Create an ERC1155HybridAsset through AssetFactory")
+  .addParam("baseUri", "Base URI for token metadata", undefined, types.string)
+  .setAction(async ({ baseUri }, hre) => {
+    const factory = await resolveContract(hre, "AssetFactory");
+    await sendAndReport(hre, factory, "createERC1155HybridAsset", [baseUri]);
+  });
+
+task("tokeniq:factory:assets", "Show the AssetFactory configuration and the assets it created")
+  .addOptionalParam("creator", "Only the assets of this creator", undefined, types.string)
+  .addOptionalParam("limit", "Assets listed at most", 50, types.int)
+  .setAction(async ({ creator, limit }, hre) => {
+    const { assetFactory } = await createSdk(hre);
+    const { mintingFeeBps, feeRecipient, assetCount } = await assetFactory.fees();
+    console.log(`AssetFactory at ${assetFactory.address}`);
+    console.log(`  minting fee:   ${mintingFeeBps} bps`);
+    console.log(`  fee recipient: ${feeRecipient}`);
+    console.log(`  assets:        ${assetCount}`);
+    const assets = creator ? await assetFactory.assetsOf(creator) : (await assetFactory.assets({ limit })).assets;
+    for (const asset of assets.slice(0, limit)) {
+      const created = new Date(asset.createdAt * 1000).toISOString();
+      console.log(`  ${asset.address} ${asset.tokenType} "${asset.name}" (${asset.symbol}) by ${asset.creator} at ${created}`);
+    }
+  });
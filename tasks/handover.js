@@ -0,0 +1,133 @@
+// Ownership handover of the recorded contracts to the network's admin (config/addressBook.js `admin`)
+//   npx hardhat tokeniq:handover --dry-run --network fuji
+//   npx hardhat tokeniq:handover --network fuji
+//   npx hardhat tokeniq:handover:verify --network fuji
+//
+// Every contract of deployments/<network>.json still owned by the deploying account, and the
+// ProxyAdmin of every transparent proxy, is transferred to the Safe or timelock. Contracts
+// with two-step ownership (CrossChainRouterV3) only record the admin as pending owner; their
+// acceptOwnership calls are written as a Safe transaction builder batch. Contracts owned by
+// another contract (TokenizedInvoice under InvoiceRegistry) are left alone.
+
+const { task } = require("hardhat/config");
+const { loadRegistry } = require("../scripts/lib/registry");
+const { OWNABLE_ABI, getAdmin, describeAdmin, ownerOf, writeAdminBatch } = require("../scripts/lib/admin");
+const { sendAndReport } = require("./utils");
+
+function requireAdmin(hre) {
+  const admin = getAdmin(hre.network.name);
+  if (!admin) {
+    throw new Error(`No admin configured for ${hre.network.name}, add one to config/addressBook.js`);
+  }
+  return admin;
+}
+
+function sameAddress(a, b) {
+  return Boolean(a && b) && a.toLowerCase() === b.toLowerCase();
+}
+
+/**
+ * @notice Recorded contracts and the ProxyAdmin of each transparent proxy
+ * @return {Promise<Array<{id: string, address: string, twoStep: boolean}>>}
+ */
+async function ownedContracts(hre) {
+  const { contracts } = loadRegistry(hre.network.name);
+  const owned = [];
+  const seen = new Set();
+  const add = (entry) => {
+    if (!seen.has(entry.address.toLowerCase())) {
+      seen.add(entry.address.toLowerCase());
+      owned.push(entry);
+    }
+  };
+
+  for (const [id, record] of Object.entries(contracts)) {
+    let twoStep = false;
+    if (await hre.artifacts.artifactExists(record.contract)) {
+      const { abi } = await hre.artifacts.readArtifact(record.contract);
+      twoStep = abi.some((item) => item.type === "function" && item.name === "acceptOwnership");
+    }
+    add({ id, address: record.address, twoStep });
+
+    if (record.proxy && record.proxy.kind === "transparent") {
+      const proxyAdmin = await hre.upgrades.erc1967.getAdminAddress(record.address);
+      add({ id: `${id} ProxyAdmin`, address: proxyAdmin, twoStep: false });
+    }
+  }
+  return owned;
+}
+
+task("tokeniq:handover", "Transfer ownership of the recorded contracts to the network's Safe or timelock")
+  .addFlag("dryRun", "Only list what would be transferred")
+  .setAction(async ({ dryRun }, hre) => {
+    const admin = requireAdmin(hre);
+    const [signer] = await hre.ethers.getSigners();
+    console.log(`Handing ${hre.network.name} over to ${admin.address} (${await describeAdmin(hre, admin)})`);
+
+    const rows = [];
+    const acceptCalls = [];
+    const failures = [];
+    for (const { id, address, twoStep } of await ownedContracts(hre)) {
+      const owner = await ownerOf(hre, address);
+      let status;
+      if (!owner) {
+        continue;
+      } else if (sameAddress(owner, admin.address)) {
+        status = "admin";
+      } else if (!sameAddress(owner, signer.address)) {
+        status = `owned by ${owner}, skipped`;
+      } else if (dryRun) {
+        status = twoStep ? "would transfer, admin accepts" : "would transfer";
+      } else {
+        const contract = new hre.ethers.Contract(address, OWNABLE_ABI, signer);
+        await sendAndReport(hre, contract, "transferOwnership", [admin.address]);
+        const newOwner = await ownerOf(hre, address);
+        if (sameAddress(newOwner, admin.address)) {
+          status = "transferred";
+        } else if (twoStep) {
+          status = "awaiting acceptOwnership";
+          acceptCalls.push({
+            to: address,
+            data: contract.interface.encodeFunctionData("acceptOwnership"),
+            description: `acceptOwnership of ${id}`
+          });
+        } else {
+          status = `still owned by ${newOwner}`;
+          failures.push(`${id}: ${status}`);
+        }
+      }
+      rows.push({ id, address, status });
+    }
+
+    console.table(rows);
+    if (acceptCalls.length > 0) {
+      const files = await writeAdminBatch(hre, admin, "accept-ownership", acceptCalls);
+      console.log("The admin has to accept ownership with:");
+      files.forEach((file) => console.log(`  ${file}`));
+      console.log("Run tokeniq:handover:verify once it is executed");
+    }
+    if (failures.length > 0) {
+      throw new Error(`Handover incomplete:\n  ${failures.join("\n  ")}`);
+    }
+  });
+
+task("tokeniq:handover:verify", "Check that the network's admin owns every recorded contract")
+  .setAction(async (_, hre) => {
+    const admin = requireAdmin(hre);
+    const owned = await ownedContracts(hre);
+    const rows = [];
+    for (const { id, address } of owned) {
+      const owner = await ownerOf(hre, address);
+      // Contracts owned by another recorded contract follow their owner
+      if (owner && !owned.some((entry) => sameAddress(entry.address, owner))) {
+        rows.push({ id, address, owner, admin: sameAddress(owner, admin.address) });
+      }
+    }
+    console.table(rows);
+
+    const pending = rows.filter((row) => !row.admin);
+    if (pending.length > 0) {
+      throw new Error(`${pending.length} contract(s) not owned by ${admin.address}: ${pending.map((row) => row.id).join(", ")}`);
+    }
+    console.log(`Every recorded contract is owned by ${admin.address}`);
+  });
@@ -0,0 +1,55 @@
+// Hardhat Ignition deployment of the whole stack of a network
+//   npx hardhat tokeniq:ignition:deploy --network fuji
+//   npx hardhat tokeniq:ignition:sync --network fuji
+//
+// tokeniq:ignition:deploy runs ignition/modules/<network>.js with ignition/parameters/<network>.json
+// and records the result in deployments/<network>.json. An interrupted run resumes from the
+// Ignition journal when started again. tokeniq:ignition:sync records a deployment that was
+// made with `npx hardhat ignition deploy` directly.
+
+const { task, types } = require("hardhat/config");
+const {
+  modulePath,
+  loadParameters,
+  checkParameters,
+  deployedAddresses,
+  recordIgnitionDeployment
+} = require("../scripts/lib/ignition");
+
+function printRecorded(hre, recorded) {
+  if (recorded.length === 0) {
+    console.log(`deployments/${hre.network.name}.json already up to date`);
+    return;
+  }
+  console.log(`Recorded in deployments/${hre.network.name}.json: ${recorded.join(", ")}`);
+}
+
+task("tokeniq:ignition:deploy", "Deploy the network's Ignition module and record it in the registry")
+  .addOptionalParam("deploymentId", "Ignition deployment id (defaults to chain-<chainId>)", undefined, types.string)
+  .setAction(async ({ deploymentId }, hre) => {
+    const networkName = hre.network.name;
+    const parameters = loadParameters(networkName);
+    const mismatches = checkParameters(networkName, parameters);
+    if (mismatches.length > 0) {
+      throw new Error(`ignition/parameters/${networkName}.json disagrees with the address book:\n  ${mismatches.join("\n  ")}`);
+    }
+
+    const deployment = await hre.ignition.deploy(require(modulePath(networkName)), {
+      parameters,
+      deploymentId,
+      displayUi: true
+    });
+
+    const addresses = {};
+    for (const [id, contract] of Object.entries(deployment)) {
+      addresses[id] = await contract.getAddress();
+    }
+    printRecorded(hre, await recordIgnitionDeployment(hre, addresses, deploymentId));
+  });
+
+task("tokeniq:ignition:sync", "Record a deployment made with `npx hardhat ignition deploy` in the registry")
+  .addOptionalParam("deploymentId", "Ignition deployment id (defaults to chain-<chainId>)", undefined, types.string)
+  .setAction(async ({ deploymentId }, hre) => {
+    const addresses = await deployedAddresses(hre, deploymentId);
+    printRecorded(hre, await recordIgnitionDeployment(hre, addresses, deploymentId));
+  });
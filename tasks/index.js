@@ -0,0 +1,9 @@
+// tokeniq:* tasks, loaded from hardhat.config.js. Run `npx hardhat help` for the list.
+require("./vault");
+require("./router");
+require("./invoice");
+require("./factory");
+require("./ai");
+require("./upgrade");
+require("./handover");
+require("./ignition");
@@ -0,0 +1,91 @@
+// InvoiceRegistry operations
+//   npx hardhat tokeniq:invoice:create --beneficiary 0x... --amount 2500 --token USDC --due-days 30 --uri ipfs://... --network fuji
+
+const { task, types } = require("hardhat/config");
+const { createSdk } = require("../sdk");
+const { resolveContract, sendAndReport } = require("./utils");
+
+const DAY = 24 * 60 * 60;
+
+// Base units of --amount: scaled by --decimals when given, otherwise by the decimals of the
+// token, and by 18 decimals when neither is given
+async function units(hre, amount, token, decimals) {
+  if (decimals !== undefined) {
+    return hre.ethers.parseUnits(amount, decimals);
+  }
+  if (!token) {
+    return hre.ethers.parseUnits(amount, 18);
+  }
+  return (await createSdk(hre)).units(token, amount);
+}
+
+task("tokeniq:invoice:create", "Create an invoice on InvoiceRegistry")
+  .addParam("beneficiary", "Address that receives the payment", undefined, types.string)
+  .addParam("amount", "Invoice amount in token units, e.g. 2500.5", undefined, types.string)
+  .addOptionalParam("token", "Token the invoice is paid in (address or address book symbol), to scale --amount", undefined, types.string)
+  .addOptionalParam("decimals", "Decimals used to scale --amount instead of the token's (18 without --token)", undefined, types.int)
+  .addOptionalParam("dueDays", "Days from the latest block until the invoice is due", 30, types.int)
+  .addParam("uri", "Invoice metadata URI", undefined, types.string)
+  .setAction(async ({ beneficiary, amount, token, decimals, dueDays, uri }, hre) => {
+    const registry = await resolveContract(hre, "InvoiceRegistry");
+    const latest = await hre.ethers.provider.getBlock("latest");
+    const dueDate = latest.timestamp + dueDays * DAY;
+    await sendAndReport(hre, registry, "createInvoice", [
+      beneficiary,
+      await units(hre, amount, token, decimals),
+      dueDate,
+      uri
+    ]);
+  });
+
+task("tokeniq:invoice:fund", "Fund an invoice, deploying its vault through VaultFactory")
+  .addParam("tokenId", "Invoice token id", undefined, types.bigint)
+  .addParam("amount", "Funding amount in token units", undefined, types.string)
+  .addOptionalParam("decimals", "Decimals used to scale --amount instead of the payment token's", undefined, types.int)
+  .addParam("paymentToken", "ERC20 the invoice is paid in (address or address book symbol)", undefined, types.string)
+  .addOptionalParam("vaultFactory", "VaultFactory address (defaults to the recorded one)", undefined, types.string)
+  .setAction(async ({ tokenId, amount, decimals, paymentToken, vaultFactory }, hre) => {
+    const sdk = await createSdk(hre);
+    const registry = await resolveContract(hre, "InvoiceRegistry");
+    const factory = vaultFactory || (await (await resolveContract(hre, "VaultFactory")).getAddress());
+    await sendAndReport(hre, registry, "fundInvoice", [
+      tokenId,
+      factory,
+      await units(hre, amount, paymentToken, decimals),
+      sdk.resolve(paymentToken)
+    ]);
+  });
+
+for (const [name, method, description] of [
+  ["mark-paid", "markAsPaid", "Mark an invoice as paid"],
+  ["mark-defaulted", "markAsDefaulted", "Mark an invoice as defaulted"],
+  ["settle", "settleInvoice", "Settle an invoice"]
+]) {
+  task(`tokeniq:invoice:${name}`, description)
+    .addParam("tokenId", "Invoice token id", undefined, types.bigint)
+    .setAction(async ({ tokenId }, hre) => {
+      const registry = await resolveContract(hre, "InvoiceRegistry");
+      await sendAndReport(hre, registry, method, [tokenId]);
+    });
+}
+
+task("tokeniq:invoice:show", "Show an invoice and its vault")
+  .addParam("tokenId", "Invoice token id", undefined, types.bigint)
+  .addOptionalParam("token", "Token the amounts are in, the vault's payment token by default", undefined, types.string)
+  .setAction(async ({ tokenId, token }, hre) => {
+    const { invoices } = await createSdk(hre);
+    const invoice = await invoices.get(tokenId, { token });
+    console.log(`Invoice #${tokenId}`);
+    console.log(`  issuer:      ${invoice.issuer}`);
+    console.log(`  beneficiary: ${invoice.beneficiary}`);
+    console.log(`  amount:      ${invoice.amount}`);
+    console.log(`  funded:      ${invoice.fundingAmount}`);
+    console.log(`  due:         ${new Date(invoice.dueDate * 1000).toISOString()}`);
+    console.log(`  status:      ${invoice.status}`);
+    console.log(`  uri:         ${invoice.invoiceURI}`);
+    console.log(`  vault:       ${invoice.vault || "none"}`);
+    if (invoice.vault) {
+      const { funded, target, progressBps } = await invoices.fundingProgress(tokenId);
+      console.log(`  raised:      ${funded} of ${target} (${progressBps / 100}%)`);
+    }
+  });
@@ -0,0 +1,53 @@
+// CrossChainRouterV3 administration
+//   npx hardhat tokeniq:router:allowlist --chain fuji --network sepolia
+
+const { task, types } = require("hardhat/config");
+const { ADDRESS_BOOK } = require("../config/addressBook");
+const { chainSelector } = require("../sdk");
+const { resolveContract, sendAndReport } = require("./utils");
+
+task("tokeniq:router:allowlist", "Allowlist a remote chain on CrossChainRouterV3")
+  .addParam("chain", "Network name from the address book or CCIP chain selector", undefined, types.string)
+  .addOptionalParam("direction", "source, destination or both", "both", types.string)
+  .addOptionalParam("allowed", "Allowlist status to set", true, types.boolean)
+  .setAction(async ({ chain, direction, allowed }, hre) => {
+    if (!["source", "destination", "both"].includes(direction)) {
+      throw new Error(`Unknown direction "${direction}", expected source, destination or both`);
+    }
+    const router = await resolveContract(hre, "CrossChainRouterV3");
+    const selector = chainSelector(chain);
+
+    if (direction !== "source") {
+      await sendAndReport(hre, router, "allowlistDestinationChain", [selector, allowed]);
+    }
+    if (direction !== "destination") {
+      await sendAndReport(hre, router, "allowlistSourceChain", [selector, allowed]);
+    }
+  });
+
+task("tokeniq:router:allowlist-sender", "Allowlist a sender contract on CrossChainRouterV3")
+  .addParam("sender", "Sender address (usually the router on the remote chain)", undefined, types.string)
+  .addOptionalParam("allowed", "Allowlist status to set", true, types.boolean)
+  .setAction(async ({ sender, allowed }, hre) => {
+    const router = await resolveContract(hre, "CrossChainRouterV3");
+    await sendAndReport(hre, router, "allowlistSender", [sender, allowed]);
+  });
+
+task("tokeniq:router:status", "Show the allowlist status of every CCIP network on CrossChainRouterV3")
+  .setAction(async (_, hre) => {
+    const router = await resolveContract(hre, "CrossChainRouterV3");
+    const rows = [];
+    for (const [network, entry] of Object.entries(ADDRESS_BOOK)) {
+      if (!entry.ccip || network === hre.network.name) {
+        continue;
+      }
+      const selector = entry.ccip.chainSelector;
+      rows.push({
+        network,
+        selector: selector.toString(),
+        destination: await router.allowlistedDestinationChains(selector),
+        source: await router.allowlistedSourceChains(selector)
+      });
+    }
+    console.table(rows);
+  });
@@ -0,0 +1,155 @@
+// Upgrades of recorded proxies (AssetFactory, ERC721CollateralNFT, ERC1155HybridAsset, VaultFactory)
+//   npx hardhat tokeniq:upgrade --id AssetFactory --network seitestnet
+//   npx hardhat tokeniq:upgrade --id ERC721CollateralNFT --contract ERC721CollateralNFTV2 --propose --network seitestnet
+//   npx hardhat tokeniq:upgrade:sync --id ERC721CollateralNFT --network seitestnet
+//
+// The storage layout of the new implementation is checked by hardhat-upgrades against the
+// implementation recorded in .openzeppelin/ for the proxy. With --propose nothing is upgraded:
+// the transaction is printed for the multisig (and written as a Safe transaction builder batch
+// when the network's admin owns the proxy) and kept as pendingUpgrade in the registry until
+// tokeniq:upgrade:sync sees it executed.
+
+const { task, types } = require("hardhat/config");
+const { getDeployment, recordUpgrade, recordPendingUpgrade } = require("../scripts/lib/registry");
+const { feeOverrides } = require("../scripts/lib/fees");
+const { adminOwning, writeAdminBatch } = require("../scripts/lib/admin");
+const { sendAndReport } = require("./utils");
+
+// OpenZeppelin 4 and 5 upgrade entry points; 5.x only has the *AndCall variants
+const UUPS_ABI = [
+  "function UPGRADE_INTERFACE_VERSION() view returns (string)",
+  "function owner() view returns (address)",
+  "function upgradeTo(address newImplementation)",
+  "function upgradeToAndCall(address newImplementation, bytes data) payable"
+];
+const PROXY_ADMIN_ABI = [
+  "function UPGRADE_INTERFACE_VERSION() view returns (string)",
+  "function owner() view returns (address)",
+  "function upgrade(address proxy, address implementation)",
+  "function upgradeAndCall(address proxy, address implementation, bytes data) payable"
+];
+
+function proxyRecord(hre, id) {
+  const record = getDeployment(hre.network.name, id);
+  if (!record) {
+    throw new Error(`No "${id}" deployment recorded for ${hre.network.name}`);
+  }
+  if (!record.proxy) {
+    throw new Error(`"${id}" is not recorded as a proxy on ${hre.network.name}`);
+  }
+  return record;
+}
+
+async function hasAndCallOnly(contract) {
+  return contract.UPGRADE_INTERFACE_VERSION().then(
+    () => true,
+    () => false
+  );
+}
+
+/**
+ * @notice Contract to call and arguments that point `record` at `implementation`
+ * @return {Promise<{contract: Object, method: string, args: Array}>}
+ */
+async function upgradeCall(hre, record, implementation, data) {
+  const { ethers, upgrades } = hre;
+
+  if (record.proxy.kind === "uups") {
+    const proxy = new ethers.Contract(record.address, UUPS_ABI, ethers.provider);
+    if (data !== "0x" || (await hasAndCallOnly(proxy))) {
+      return { contract: proxy, method: "upgradeToAndCall", args: [implementation, data] };
+    }
+    return { contract: proxy, method: "upgradeTo", args: [implementation] };
+  }
+
+  const adminAddress = await upgrades.erc1967.getAdminAddress(record.address);
+  const admin = new ethers.Contract(adminAddress, PROXY_ADMIN_ABI, ethers.provider);
+  if (data !== "0x" || (await hasAndCallOnly(admin))) {
+    return { contract: admin, method: "upgradeAndCall", args: [record.address, implementation, data] };
+  }
+  return { contract: admin, method: "upgrade", args: [record.address, implementation] };
+}
+
+task("tokeniq:upgrade", "Validate, deploy and perform (or propose) the upgrade of a recorded proxy")
+  .addParam("id", "Registry id of the proxy, e.g. AssetFactory", undefined, types.string)
+  .addOptionalParam("contract", "Artifact of the new implementation (defaults to the recorded one)", undefined, types.string)
+  .addOptionalParam("call", "Function to call on the new implementation during the upgrade", undefined, types.string)
+  .addOptionalParam("args", "JSON array of arguments for --call", [], types.json)
+  .addFlag("propose", "Only deploy the implementation and print the upgrade transaction for a multisig")
+  .addFlag("validateOnly", "Stop after the storage layout check")
+  .setAction(async ({ id, contract, call, args, propose, validateOnly }, hre) => {
+    const { ethers, upgrades } = hre;
+    const record = proxyRecord(hre, id);
+    const contractName = contract || record.contract;
+    const factory = await ethers.getContractFactory(contractName);
+    const kind = record.proxy.kind;
+
+    console.log(`Validating ${contractName} as an upgrade of ${id} (${kind} proxy ${record.address})...`);
+    await upgrades.validateUpgrade(record.address, factory, { kind });
+    console.log("  storage layout compatible");
+    if (validateOnly) {
+      return;
+    }
+
+    const implementation = await upgrades.prepareUpgrade(record.address, factory, {
+      kind,
+      txOverrides: await feeOverrides(hre)
+    });
+    console.log(`  implementation: ${implementation}`);
+    const current = await upgrades.erc1967.getImplementationAddress(record.address);
+    if (current.toLowerCase() === implementation.toLowerCase()) {
+      console.log(`${id} already runs this implementation`);
+      return;
+    }
+
+    const data = call ? factory.interface.encodeFunctionData(call, args) : "0x";
+    const { contract: target, method, args: callArgs } = await upgradeCall(hre, record, implementation, data);
+    const to = await target.getAddress();
+
+    if (propose) {
+      const calldata = target.interface.encodeFunctionData(method, callArgs);
+      recordPendingUpgrade(hre, id, { contract: contractName, implementation, to, data: calldata });
+      console.log("Upgrade transaction to submit from the owner (e.g. the multisig):");
+      console.log(`  to:   ${to}`);
+      console.log(`  data: ${calldata}`);
+      const admin = await adminOwning(hre, target);
+      if (admin) {
+        const files = await writeAdminBatch(hre, admin, `upgrade-${id}`, [
+          { to, data: calldata, description: `upgrade ${id} to ${implementation}` }
+        ]);
+        files.forEach((file) => console.log(`  batch: ${file}`));
+      }
+      console.log(`Run tokeniq:upgrade:sync --id ${id} once it is executed`);
+      return;
+    }
+
+    const [signer] = await ethers.getSigners();
+    const owner = await target.owner();
+    if (owner.toLowerCase() !== signer.address.toLowerCase()) {
+      throw new Error(`${to} is owned by ${owner}, not ${signer.address}; rerun with --propose`);
+    }
+
+    const receipt = await sendAndReport(hre, target.connect(signer), method, callArgs);
+    await recordUpgrade(hre, id, { contract: contractName, implementation, txHash: receipt.hash });
+    console.log(`${id} upgraded to ${implementation}`);
+  });
+
+task("tokeniq:upgrade:sync", "Record the on-chain implementation of a proxy after an upgrade executed elsewhere")
+  .addParam("id", "Registry id of the proxy", undefined, types.string)
+  .setAction(async ({ id }, hre) => {
+    const record = proxyRecord(hre, id);
+    const onChain = await hre.upgrades.erc1967.getImplementationAddress(record.address);
+    const pending = record.proxy.pendingUpgrade;
+
+    if (onChain.toLowerCase() === record.proxy.implementation.toLowerCase()) {
+      console.log(`${id} still runs ${onChain}${pending ? `, upgrade to ${pending.implementation} pending` : ""}`);
+      return;
+    }
+
+    const expected = pending && pending.implementation.toLowerCase() === onChain.toLowerCase();
+    if (!expected) {
+      console.warn(`  ${onChain} is not the proposed implementation, recording it as ${record.contract}`);
+    }
+    await recordUpgrade(hre, id, { contract: expected ? pending.contract : record.contract, implementation: onChain });
+    console.log(`${id} recorded as upgraded to ${onChain}`);
+  });
@@ -0,0 +1,108 @@
+// Helpers shared by the tokeniq:* tasks. Contracts are resolved from the
+// deployment registry of the network the task runs on (deployments/<network>.json).
+
+const { loadRegistry, getContract } = require("../scripts/lib/registry");
+const { sendCall } = require("../scripts/lib/fees");
+const { adminOwning, writeAdminBatch } = require("../scripts/lib/admin");
+
+/**
+ * @notice Attach to a recorded contract, connected to the first configured signer
+ * @param hre Hardhat runtime environment
+ * @param {string} id Registry id, e.g. "VaultFactory"
+ */
+async function resolveContract(hre, id) {
+  const [signer] = await hre.ethers.getSigners();
+  const contract = await getContract(hre, id);
+  return contract.connect(signer);
+}
+
+// Interfaces of every recorded contract by lowercase address, so events emitted by
+// contracts other than the one called (e.g. TokenizedInvoice under InvoiceRegistry) decode too
+async function knownInterfaces(hre) {
+  const interfaces = {};
+  const { contracts } = loadRegistry(hre.network.name);
+  for (const [id, record] of Object.entries(contracts)) {
+    if (!(await hre.artifacts.artifactExists(record.contract))) {
+      continue;
+    }
+    const artifact = await hre.artifacts.readArtifact(record.contract);
+    interfaces[record.address.toLowerCase()] = { id, iface: new hre.ethers.Interface(artifact.abi) };
+  }
+  return interfaces;
+}
+
+function formatValue(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(formatValue).join(", ")}]`;
+  }
+  return String(value);
+}
+
+/**
+ * @notice Print the events of a receipt, decoded with the ABIs of recorded contracts
+ * @param hre Hardhat runtime environment
+ * @param receipt Transaction receipt
+ * @param target Contract that was called; its ABI is also tried for unrecorded emitters
+ */
+async function printEvents(hre, receipt, target) {
+  const interfaces = await knownInterfaces(hre);
+
+  if (receipt.logs.length === 0) {
+    console.log("  (no events)");
+  }
+  for (const log of receipt.logs) {
+    const known = interfaces[log.address.toLowerCase()];
+    let parsed = null;
+    for (const iface of [known && known.iface, target.interface]) {
+      parsed = iface ? iface.parseLog(log) : null;
+      if (parsed) {
+        break;
+      }
+    }
+
+    const emitter = known ? known.id : log.address;
+    if (!parsed) {
+      console.log(`  ${emitter}: unknown event ${log.topics[0]}`);
+      continue;
+    }
+    const args = parsed.fragment.inputs
+      .map((input, index) => `${input.name || index}=${formatValue(parsed.args[index])}`)
+      .join(", ");
+    console.log(`  ${emitter}.${parsed.name}(${args})`);
+  }
+}
+
+/**
+ * @notice Send a transaction with the network's fee strategy, wait for it and print its decoded events.
+ * When the contract is owned by the network's admin (Safe or timelock) the call is written
+ * as a Safe transaction builder batch instead
+ * @param hre Hardhat runtime environment
+ * @param contract Contract connected to a signer
+ * @param {string} method Function name or signature
+ * @param {Array} args Function arguments
+ * @return Transaction receipt, or null when the call was batched for the admin
+ */
+async function sendAndReport(hre, contract, method, args) {
+  const admin = await adminOwning(hre, contract);
+  if (admin) {
+    const to = await contract.getAddress();
+    const data = contract.interface.encodeFunctionData(method, args);
+    const files = await writeAdminBatch(hre, admin, method, [{ to, data, description: `${method} on ${to}` }]);
+    console.log(`${to} is owned by the ${admin.kind} ${admin.address}, ${method} written for it to:`);
+    files.forEach((file) => console.log(`  ${file}`));
+    return null;
+  }
+
+  console.log(`Calling ${method} on ${await contract.getAddress()} (${hre.network.name})...`);
+  const receipt = await sendCall(hre, contract, method, args);
+  console.log(`  tx: ${receipt.hash}`);
+  console.log(`  mined in block ${receipt.blockNumber}, gas used ${receipt.gasUsed}`);
+  await printEvents(hre, receipt, contract);
+  return receipt;
+}
+
+module.exports = {
+  resolveContract,
+  printEvents,
+  sendAndReport
+};
@@ -0,0 +1,39 @@
+// VaultFactory administration
+//   npx hardhat tokeniq:vault:create --type rwa --network fuji
+
+const { task, types } = require("hardhat/config");
+const { resolveContract, sendAndReport } = require("./utils");
+
+task("tokeniq:vault:create", "Create a vault clone through VaultFactory.createVault")
+  .addParam("type", "Vault type registered on the factory (aave, curve, rwa)", undefined, types.string)
+  .setAction(async ({ type }, hre) => {
+    const factory = await resolveContract(hre, "VaultFactory");
+    await sendAndReport(hre, factory, "createVault", [type]);
+  });
+
+task("tokeniq:vault:set-implementation", "Register the implementation cloned for a vault type")
+  .addParam("type", "Vault type", undefined, types.string)
+  .addParam("implementation", "Implementation address", undefined, types.string)
+  .setAction(async ({ type, implementation }, hre) => {
+    const factory = await resolveContract(hre, "VaultFactory");
+    await sendAndReport(hre, factory, "setVaultImplementation", [type, implementation]);
+  });
+
+task("tokeniq:vault:set-ai-manager", "Point VaultFactory at a TreasuryAIManager")
+  .addOptionalParam("manager", "TreasuryAIManager address (defaults to the recorded one)", undefined, types.string)
+  .setAction(async ({ manager }, hre) => {
+    const factory = await resolveContract(hre, "VaultFactory");
+    const address = manager || (await (await resolveContract(hre, "TreasuryAIManager")).getAddress());
+    await sendAndReport(hre, factory, "setTreasuryAIManager", [address]);
+  });
+
+task("tokeniq:vault:list", "List the vaults created for a vault type")
+  .addParam("type", "Vault type", undefined, types.string)
+  .setAction(async ({ type }, hre) => {
+    const factory = await resolveContract(hre, "VaultFactory");
+    const implementation = await factory.vaultImplementations(type);
+    const vaults = await factory.getVaultsByType(type);
+    console.log(`"${type}" implementation: ${implementation}`);
+    console.log(`${vaults.length} vault(s)`);
+    vaults.forEach((vault) => console.log(`  ${vault}`));
+  });
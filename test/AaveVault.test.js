@@ -1,6 +1,7 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
 const { time, loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployToken, deployAaveMarket, deployAaveVault } = require("./fixtures");
 
 describe("AaveVault", function () {
     let aaveVault;
@@ -20,34 +21,12 @@ describe("AaveVault", function () {
     async function deployAaveVaultFixture() {
         const [owner, user] = await ethers.getSigners();
 
-        // Deploy mock contracts
-        const MockERC20 = await ethers.getContractFactory("MockERC20");
-        const mockToken = await MockERC20.deploy("Mock Token", "MTK", 18);
-        await mockToken.waitForDeployment();
-
-        const mockAToken = await MockERC20.deploy("Mock aToken", "aMTK", 18);
-        await mockAToken.waitForDeployment();
-
-        const MockAavePool = await ethers.getContractFactory("MockAavePool");
-        const mockPool = await MockAavePool.deploy();
-        await mockPool.waitForDeployment();
-        
-        // Set the aToken address in the mock pool
-        await mockPool.setAToken(await mockAToken.getAddress());
-
-        const MockAggregatorV3 = await ethers.getContractFactory("MockAggregatorV3");
-        const mockAggregator = await MockAggregatorV3.deploy();
-        await mockAggregator.waitForDeployment();
-
-        // Deploy AaveVault
-        const AaveVault = await ethers.getContractFactory("AaveVault");
-        const aaveVault = await AaveVault.deploy(
-            await mockToken.getAddress(),
-            await mockAToken.getAddress(),
-            await mockPool.getAddress(),
-            await mockAggregator.getAddress()
-        );
-        await aaveVault.waitForDeployment();
+        // Deploy the vault on a mock Aave market of an 18 decimals token
+        const { underlying: mockToken, aToken: mockAToken, pool: mockPool, priceFeed: mockAggregator, aaveVault } =
+            await deployAaveVault(await deployAaveMarket({
+                underlying: await deployToken("MTK", { name: "Mock Token", decimals: DECIMALS }),
+                aToken: await deployToken("aMTK", { name: "Mock aToken", decimals: DECIMALS })
+            }));
 
         // Setup initial balances - mint to owner since only owner can deposit
         await mockToken.mint(owner.address, INITIAL_BALANCE);
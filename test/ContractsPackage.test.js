@@ -0,0 +1,110 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const { collectContracts, abiSignatures, eventSignatures, deployedAddresses } = require("../scripts/package/contracts");
+const { compareAbis, versionBump, checkVersion } = require("../scripts/package/versioning");
+const { writePackage } = require("../scripts/package/files");
+const { getAddress } = require("../scripts/lib/registry");
+
+const { ethers } = hre;
+
+describe("Contracts package", function () {
+    let contracts;
+    let signatures;
+
+    before(async function () {
+        await hre.run("compile", { quiet: true });
+        contracts = await collectContracts(hre);
+        signatures = Object.fromEntries(
+            Object.entries(contracts).map(([name, artifact]) => [name, abiSignatures(artifact.abi)])
+        );
+    });
+
+    describe("Contents", function () {
+        it("Should package the deployable contracts but not the mocks and interfaces", async function () {
+            expect(contracts).to.include.keys("VaultManager", "InvoiceRegistry", "AssetFactory", "TreasuryAIManager");
+            expect(contracts).to.not.have.any.keys("MockERC20", "MockRouter", "IStakingStrategy", "Client");
+        });
+
+        it("Should list the event signatures and topics of each contract", async function () {
+            const { VaultManager } = eventSignatures(contracts);
+            expect(VaultManager.Deposit).to.deep.equal({
+                signature: "Deposit(address,address,uint256,uint256)",
+                topic: ethers.id("Deposit(address,address,uint256,uint256)")
+            });
+        });
+
+        it("Should take the addresses of the packaged contracts from the registries", async function () {
+            const addresses = deployedAddresses(contracts);
+            expect(addresses).to.not.have.any.keys("hardhat", "localhost");
+            expect(addresses.seitestnet.chainId).to.equal(1328);
+            expect(addresses.seitestnet.contracts.AssetFactory).to.include({
+                contract: "AssetFactory",
+                address: getAddress("seitestnet", "AssetFactory")
+            });
+        });
+
+        it("Should write the ABIs and the entry points", async function () {
+            const directory = fs.mkdtempSync(path.join(os.tmpdir(), "tokeniq-package-"));
+            try {
+                writePackage(directory, { version: "1.0.0", contracts, events: {}, addresses: {} });
+                const abi = JSON.parse(fs.readFileSync(path.join(directory, "abi", "VaultManager.json"), "utf8"));
+                expect(abi).to.deep.equal(contracts.VaultManager.abi);
+                expect(fs.readFileSync(path.join(directory, "index.js"), "utf8")).to.include('version: "1.0.0"');
+                expect(fs.readFileSync(path.join(directory, "index.d.ts"), "utf8")).to.include('| "VaultManager"');
+            } finally {
+                fs.rmSync(directory, { recursive: true, force: true });
+            }
+        });
+    });
+
+    describe("Versioning", function () {
+        function withoutDeposit() {
+            return {
+                ...signatures,
+                VaultManager: signatures.VaultManager.filter((signature) => !signature.includes(" deposit("))
+            };
+        }
+
+        it("Should pass when the ABIs did not change", async function () {
+            const { changes } = checkVersion({ version: "1.0.0", contracts: signatures }, "1.0.0", signatures);
+            expect(changes).to.be.empty;
+        });
+
+        it("Should fail when an ABI gained an entry without a minor bump", async function () {
+            const lock = { version: "1.0.0", contracts: withoutDeposit() };
+            expect(() => checkVersion(lock, "1.0.0", signatures)).to.throw("need a minor version bump");
+            expect(() => checkVersion(lock, "1.0.1", signatures)).to.throw("got a patch one to 1.0.1");
+
+            const { changes } = checkVersion(lock, "1.1.0", signatures);
+            expect(changes).to.have.lengthOf(1);
+            expect(changes[0]).to.include({ contract: "VaultManager", status: "changed" });
+            expect(changes[0].added[0]).to.match(/^function deposit\(/);
+        });
+
+        it("Should fail when an ABI lost an entry without a major bump", async function () {
+            const lock = { version: "1.0.0", contracts: signatures };
+            expect(() => checkVersion(lock, "1.1.0", withoutDeposit())).to.throw("need a major version bump");
+            expect(checkVersion(lock, "2.0.0", withoutDeposit()).changes[0].removed).to.have.lengthOf(1);
+        });
+
+        it("Should report added and removed contracts", async function () {
+            const { VaultManager, ...others } = signatures;
+            expect(compareAbis(others, signatures)).to.deep.equal([
+                { contract: "VaultManager", status: "added", added: VaultManager, removed: [] }
+            ]);
+            expect(compareAbis(signatures, others)[0]).to.include({ contract: "VaultManager", status: "removed" });
+        });
+
+        it("Should read bumps below 1.0.0 as npm caret ranges do", async function () {
+            expect(versionBump("0.3.1", "0.4.0")).to.equal("major");
+            expect(versionBump("0.3.1", "0.3.2")).to.equal("minor");
+            expect(versionBump("0.3.1", "1.0.0")).to.equal("major");
+            expect(versionBump("1.2.3", "1.2.3")).to.equal("none");
+            expect(() => versionBump("1.2.3", "1.1.9")).to.throw("lower than the locked 1.2.3");
+            expect(() => versionBump("1.2.3", "1.3")).to.throw("not a major.minor.patch version");
+        });
+    });
+});
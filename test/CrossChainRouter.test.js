@@ -1,6 +1,7 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
 const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployToken, deployCrossChain, fundAccounts } = require("./fixtures");
 
 describe("CrossChainRouter", function () {
     let router;
@@ -18,46 +19,17 @@ describe("CrossChainRouter", function () {
         const [owner, user] = await ethers.getSigners();
         destinationChainSelector = 1;
 
-        // Deploy mock contracts
-        const MockRouter = await ethers.getContractFactory("MockRouter");
-        const MockERC20 = await ethers.getContractFactory("MockERC20");
-        const MockLinkToken = await ethers.getContractFactory("MockERC20");
-
-        mockRouter = await MockRouter.deploy();
-        await mockRouter.waitForDeployment();
-        const mockRouterAddress = await mockRouter.getAddress();
-        console.log("mockRouterAddress - ", mockRouterAddress);
-
-        mockToken = await MockERC20.deploy("Test Token", "TEST", 2);
-        await mockToken.waitForDeployment();
-        const mockTokenAddress = await mockToken.getAddress();
-        console.log("mockTokenAddress - ", mockTokenAddress);
-
-        mockLinkToken = await MockLinkToken.deploy("Chainlink", "LINK", 18);
-        await mockLinkToken.waitForDeployment();
-        const mockLinkTokenAddress = await mockLinkToken.getAddress();
-        console.log("mockLinkTokenAddress - ", mockLinkTokenAddress);
-
-       
-
-        // Deploy CrossChainRouter
-        const CrossChainRouter = await ethers.getContractFactory("CrossChainRouter");
-        router = await CrossChainRouter.deploy(
-            mockRouterAddress,
-            mockLinkTokenAddress
-        );
-        await router.waitForDeployment();
-
-        // Setup initial balances
-        await mockToken.mint(user.address, ethers.parseEther("1000"));
-        await mockLinkToken.mint(await router.getAddress(), ethers.parseEther("1000"));
-
-        // Approve tokens
-        await mockToken.connect(user).approve(await router.getAddress(), ethers.MaxUint256);
-
-        // Setup supported chain and token
-        await router.setSupportedChain(destinationChainSelector, true);
-        await router.setSupportedToken(await mockToken.getAddress(), true);
+        // Deploy the router on a mock CCIP router, sending a 2 decimals token
+        mockToken = await deployToken("TEST", { name: "Test Token", decimals: 2 });
+        mockLinkToken = await deployToken("LINK");
+        ({ router, ccipRouter: mockRouter } = await deployCrossChain({
+            link: mockLinkToken,
+            tokens: [mockToken],
+            chains: [destinationChainSelector]
+        }));
+
+        // Setup initial balances and approve tokens
+        await fundAccounts(mockToken, [user], ethers.parseEther("1000"), [router]);
 
         return { router, mockRouter, mockLinkToken, mockToken, owner, user };
     }
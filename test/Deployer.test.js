@@ -0,0 +1,210 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const path = require("path");
+const hre = require("hardhat");
+const { impersonateAccount, setBalance } = require("@nomicfoundation/hardhat-network-helpers");
+const { loadManifest } = require("../config/manifests");
+const { CHAIN_SELECTORS } = require("../config/manifests/shared");
+const { ref } = require("../scripts/lib/manifest");
+const { getAddress, loadRegistry } = require("../scripts/lib/registry");
+const { runManifest } = require("../scripts/lib/deployer");
+const { deployDeterministic } = require("../scripts/lib/create2");
+const {
+    findSentTransaction,
+    loadCheckpoint,
+    markSent,
+    markDone,
+    stepKey,
+    clearCheckpoint
+} = require("../scripts/lib/checkpoint");
+const { planDeployment } = require("../scripts/lib/preflight");
+const { auditNetworks } = require("../scripts/lib/audit");
+
+const { ethers, upgrades } = hre;
+
+describe("Deployer", function () {
+    const registryFile = path.join(__dirname, "../deployments/hardhat.json");
+
+    let addresses;
+    let savedRegistry;
+
+    before(async function () {
+        // Records of earlier runs point at contracts of a chain that no longer exists
+        savedRegistry = fs.existsSync(registryFile) ? fs.readFileSync(registryFile) : null;
+        fs.rmSync(registryFile, { force: true });
+        addresses = await runManifest(hre, loadManifest("hardhat"));
+    });
+
+    after(function () {
+        if (savedRegistry) {
+            fs.writeFileSync(registryFile, savedRegistry);
+        } else {
+            fs.rmSync(registryFile, { force: true });
+        }
+    });
+
+    describe("Hardhat manifest", function () {
+        it("Should let CrossChainRouterV3 accept a message from its remote counterparts", async function () {
+            const router = await ethers.getContractAt("CrossChainRouterV3", addresses.CrossChainRouterV3);
+            expect(await router.allowlistedSenders(addresses.CrossChainRouterV3)).to.equal(true);
+
+            // The CCIP router delivers a message sent by a router at the same address on fuji
+            await impersonateAccount(addresses.CCIPRouter);
+            await setBalance(addresses.CCIPRouter, ethers.parseEther("1"));
+            const ccipRouter = await ethers.getSigner(addresses.CCIPRouter);
+            const coder = ethers.AbiCoder.defaultAbiCoder();
+            const messageId = ethers.id("message");
+            await expect(
+                router.connect(ccipRouter).ccipReceive({
+                    messageId,
+                    sourceChainSelector: CHAIN_SELECTORS.fuji,
+                    sender: coder.encode(["address"], [addresses.CrossChainRouterV3]),
+                    data: coder.encode(["string"], ["hello"]),
+                    destTokenAmounts: []
+                })
+            )
+                .to.emit(router, "TokensReceived")
+                .withArgs(messageId, CHAIN_SELECTORS.fuji, addresses.CrossChainRouterV3, "hello", ethers.ZeroAddress, 0);
+        });
+
+        it("Should apply nothing again on a rerun", async function () {
+            const nonce = await ethers.provider.getTransactionCount((await ethers.getSigners())[0].address);
+            expect(await runManifest(hre, loadManifest("hardhat"))).to.deep.equal(addresses);
+            expect(await ethers.provider.getTransactionCount((await ethers.getSigners())[0].address)).to.equal(nonce);
+        });
+    });
+
+    describe("Audit", function () {
+        it("Should find the deployed manifest as declared", async function () {
+            expect(await auditNetworks(hre, ["hardhat"])).to.deep.equal([]);
+        });
+
+        it("Should report a network it could not audit as an error", async function () {
+            const findings = await auditNetworks(hre, ["hardhat", "unknownNetwork"]);
+            expect(findings).to.deep.equal([
+                {
+                    network: "unknownNetwork",
+                    severity: "error",
+                    check: "network audited",
+                    expected: "",
+                    actual: 'Network "unknownNetwork" has no RPC url in hardhat.config.js'
+                }
+            ]);
+        });
+    });
+
+    describe("Proxies", function () {
+        it("Should register the proxies it deploys with hardhat-upgrades", async function () {
+            for (const id of ["VaultFactory", "ERC1155HybridAsset", "AssetFactory"]) {
+                const record = loadRegistry("hardhat").contracts[id];
+                expect(await upgrades.erc1967.getImplementationAddress(addresses[id])).to.equal(record.proxy.implementation);
+                await upgrades.validateUpgrade(addresses[id], await ethers.getContractFactory(record.contract));
+            }
+            const vaultFactory = await ethers.getContractAt("VaultFactory", addresses.VaultFactory);
+            expect(await vaultFactory.treasuryAIManager()).to.equal(addresses.TreasuryAIManager);
+        });
+
+        it("Should reuse the implementation an interrupted run deployed", async function () {
+            const step = {
+                id: "SecondVaultFactory",
+                contract: "VaultFactory",
+                proxy: { kind: "transparent", initializer: "initialize", args: [ref("TreasuryAIManager")] }
+            };
+            const base = loadManifest("hardhat");
+            const implementation = await ethers.deployContract("VaultFactory");
+            markDone(loadCheckpoint("hardhat"), stepKey("implementation", step), {
+                address: implementation.target
+            });
+
+            const deployed = await runManifest(hre, { ...base, contracts: [...base.contracts, step] });
+            expect(await upgrades.erc1967.getImplementationAddress(deployed.SecondVaultFactory)).to.equal(
+                implementation.target
+            );
+            expect(getAddress("hardhat", "SecondVaultFactory")).to.equal(deployed.SecondVaultFactory);
+        });
+    });
+
+    describe("Deterministic deployments", function () {
+        it("Should take over a two-step ownership", async function () {
+            const [signer] = await ethers.getSigners();
+            const factory = await ethers.getContractFactory("CrossChainRouterV3");
+            const { data } = await factory.getDeployTransaction(addresses.CCIPRouter, addresses.LINK);
+
+            const { address } = await deployDeterministic(hre, ethers.id("tokeniq:test:two-step"), data);
+            const router = await ethers.getContractAt("CrossChainRouterV3", address);
+            expect(await router.owner()).to.equal(signer.address);
+        });
+
+        it("Should fail when the signer could not take ownership", async function () {
+            const [, other] = await ethers.getSigners();
+            const implementation = await ethers.deployContract("AssetFactory");
+            const data = implementation.interface.encodeFunctionData("initialize", [
+                addresses.ERC20VaultToken,
+                addresses.ERC721CollateralNFT,
+                addresses.ERC1155HybridAsset,
+                other.address
+            ]);
+            const proxy = await ethers.getContractFactory(
+                "@openzeppelin/contracts/proxy/ERC1967/ERC1967Proxy.sol:ERC1967Proxy"
+            );
+            const { data: initCode } = await proxy.getDeployTransaction(implementation.target, data);
+
+            await expect(deployDeterministic(hre, ethers.id("tokeniq:test:owned"), initCode)).to.be.rejectedWith(
+                `is owned by ${other.address} and acceptOwnership failed`
+            );
+        });
+    });
+
+    describe("Checkpoints", function () {
+        it("Should stop on a transaction of the interrupted run that is still pending", async function () {
+            const [signer] = await ethers.getSigners();
+            await ethers.provider.send("evm_setAutomine", [false]);
+            try {
+                const tx = await signer.sendTransaction({ to: signer.address, value: 1n });
+                const entry = { status: "sent", txHashes: [tx.hash] };
+                await expect(findSentTransaction(hre, entry)).to.be.rejectedWith("is still pending");
+
+                await ethers.provider.send("evm_mine");
+                expect((await findSentTransaction(hre, entry)).hash).to.equal(tx.hash);
+            } finally {
+                await ethers.provider.send("evm_setAutomine", [true]);
+            }
+        });
+
+        it("Should let a step be sent again when the node forgot its transaction", async function () {
+            const entry = { status: "sent", txHashes: [ethers.id("dropped")] };
+            expect(await findSentTransaction(hre, entry)).to.equal(null);
+        });
+    });
+
+    describe("Pre-flight", function () {
+        it("Should accept the pending transactions of the interrupted run and not price them again", async function () {
+            const [signer] = await ethers.getSigners();
+            const base = loadManifest("hardhat");
+            const step = { id: "SecondVaultManager", contract: "VaultManager" };
+            const manifest = { ...base, contracts: [...base.contracts, step] };
+            const plan = await planDeployment(hre, manifest);
+            expect(plan.transactions.map((tx) => tx.label)).to.deep.equal(["deploy SecondVaultManager"]);
+
+            await ethers.provider.send("evm_setAutomine", [false]);
+            try {
+                const tx = await signer.sendTransaction({ to: signer.address, value: 1n });
+                const stuck = await planDeployment(hre, manifest);
+                expect(stuck.problems).to.deep.equal([
+                    `1 transaction(s) from ${signer.address} not sent by the deployer are still pending (nonce ${stuck.nonce.latest})`
+                ]);
+
+                // The same transaction, sent for the new step by a run that was interrupted
+                markSent(loadCheckpoint("hardhat"), stepKey("deploy", step), tx, { address: ethers.getCreateAddress(tx) });
+                const resumed = await planDeployment(hre, manifest);
+                expect(resumed.transactions).to.be.empty;
+                expect(resumed.nonce).to.include({ checkpointed: 1 });
+                expect(resumed.problems).to.be.empty;
+            } finally {
+                clearCheckpoint("hardhat");
+                await ethers.provider.send("evm_mine");
+                await ethers.provider.send("evm_setAutomine", [true]);
+            }
+        });
+    });
+});
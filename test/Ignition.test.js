@@ -0,0 +1,118 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const path = require("path");
+const hre = require("hardhat");
+const { loadManifest } = require("../config/manifests");
+const { MODULE_ID } = require("../ignition/modules/shared");
+const { checkParameters } = require("../scripts/lib/ignition");
+const { loadRegistry } = require("../scripts/lib/registry");
+
+const { ethers, upgrades } = hre;
+
+describe("Ignition", function () {
+    const NETWORKS = ["hardhat", "seitestnet", "coreTestnet2", "fuji", "sepolia", "arbitrumSepolia", "baseSepolia"];
+
+    function calls(ignitionModule, target, method) {
+        return [...ignitionModule.futures].filter(
+            (future) =>
+                future.type === "CONTRACT_CALL" &&
+                future.contract.id === `${MODULE_ID}#${target}` &&
+                future.functionName === method
+        );
+    }
+
+    describe("Deployment", function () {
+        const registryFile = path.join(__dirname, "../deployments/hardhat.json");
+        const deploymentId = "tokeniq-test";
+
+        let savedRegistry;
+
+        before(function () {
+            // Records of earlier runs point at contracts of a chain that no longer exists
+            savedRegistry = fs.existsSync(registryFile) ? fs.readFileSync(registryFile) : null;
+            fs.rmSync(registryFile, { force: true });
+        });
+
+        after(function () {
+            fs.rmSync(path.join(__dirname, "../ignition/deployments", deploymentId), { recursive: true, force: true });
+            if (savedRegistry) {
+                fs.writeFileSync(registryFile, savedRegistry);
+            } else {
+                fs.rmSync(registryFile, { force: true });
+            }
+        });
+
+        it("Should deploy the hardhat module and record it in the registry", async function () {
+            await hre.run("tokeniq:ignition:deploy");
+
+            const { contracts } = loadRegistry("hardhat");
+            expect(contracts).to.include.keys(loadManifest("hardhat").contracts.map((step) => step.id));
+            const router = await ethers.getContractAt("CrossChainRouterV3", contracts.CrossChainRouterV3.address);
+            expect(await router.allowlistedSenders(contracts.CrossChainRouterV3.address)).to.equal(true);
+            expect(await upgrades.erc1967.getImplementationAddress(contracts.VaultFactory.address)).to.equal(
+                contracts.VaultFactory.proxy.implementation
+            );
+        });
+
+        it("Should record the constructor arguments and creation transactions of the journal", async function () {
+            // Unlike tokeniq:ignition:deploy on the hardhat network, the CLI can keep a journal of it
+            await hre.run(
+                { scope: "ignition", task: "deploy" },
+                { modulePath: "ignition/modules/hardhat.js", deploymentId, writeLocalhostDeployment: true }
+            );
+            await hre.run("tokeniq:ignition:sync", { deploymentId });
+
+            const { contracts } = loadRegistry("hardhat");
+            const router = contracts.CrossChainRouterV3;
+            expect(router.constructorArgs).to.deep.equal([contracts.CCIPRouter.address, contracts.LINK.address]);
+            const receipt = await ethers.provider.getTransactionReceipt(router.txHash);
+            expect(receipt.contractAddress).to.equal(router.address);
+            expect(router.blockNumber).to.equal(receipt.blockNumber);
+            expect(contracts.ERC20VaultToken.constructorArgs.slice(0, 3)).to.deep.equal([
+                "Vault Token Template",
+                "VLT",
+                contracts.USDC.address
+            ]);
+            expect(contracts.VaultFactory.proxy.initializerArgs).to.deep.equal([contracts.TreasuryAIManager.address]);
+            expect(contracts.TokenizedInvoice.txHash).to.equal(contracts.InvoiceRegistry.txHash);
+        });
+
+        it("Should only check the parameters of networks with an address book entry", async function () {
+            expect(checkParameters("hardhat", {})).to.be.empty;
+            const link = "0x0000000000000000000000000000000000000001";
+            expect(checkParameters("fuji", { [MODULE_ID]: { link } })).to.deep.equal([
+                `link is ${link}, config/addressBook.js has 0x0b9d5D9136855f6FEc3c0993feE6E9CE8a297846`
+            ]);
+        });
+    });
+
+    describe("Modules", function () {
+        for (const network of NETWORKS) {
+            it(`Should deploy and wire the ${network} manifest`, async function () {
+                const ignitionModule = require(`../ignition/modules/${network}`);
+                const manifest = loadManifest(network);
+
+                expect(Object.keys(ignitionModule.results)).to.have.members(manifest.contracts.map((step) => step.id));
+                for (const step of manifest.wiring || []) {
+                    const count = manifest.wiring.filter(
+                        (other) => other.target === step.target && other.method === step.method
+                    ).length;
+                    expect(calls(ignitionModule, step.target, step.method), `${step.target}.${step.method}`).to.have.length(
+                        count
+                    );
+                }
+                for (const step of manifest.funding || []) {
+                    const transfers = [...ignitionModule.futures].filter(
+                        (future) => future.type === "CONTRACT_CALL" && future.id.endsWith(`_fund_${step.target}`)
+                    );
+                    expect(transfers, `funding of ${step.target}`).to.have.length(1);
+                }
+            });
+        }
+
+        it("Should let CrossChainRouterV3 receive from its remote counterparts", async function () {
+            const [call] = calls(require("../ignition/modules/fuji"), "CrossChainRouterV3", "allowlistSender");
+            expect(call.args.map((arg) => arg.id || arg)).to.deep.equal([`${MODULE_ID}#CrossChainRouterV3`, true]);
+        });
+    });
+});
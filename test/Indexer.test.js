@@ -0,0 +1,241 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployContract, fundAccounts, fundInvoice, invoiceRegistryFixture } = require("./fixtures");
+const { openDatabase } = require("../scripts/indexer/database");
+const { createIndexer } = require("../scripts/indexer/indexer");
+const { createServer } = require("../scripts/indexer/server");
+const queries = require("../scripts/indexer/queries");
+
+const { ethers } = hre;
+
+describe("Indexer", function () {
+    const usdcAmount = (amount) => ethers.parseUnits(amount, 6);
+
+    let db;
+    let indexer;
+    let registry;
+    let tokenizedInvoice;
+    let usdc;
+    let invoice;
+    let invoiceVault;
+    let vaultManager;
+    let vaultId;
+    let investor1;
+    let investor2;
+    let depositor;
+
+    async function deployActivityFixture() {
+        const deployment = await invoiceRegistryFixture();
+        const { registry, paymentToken: usdc, invoice, users } = deployment;
+        const [, investor1, investor2, depositor] = users;
+
+        // Invoice 1 raised to 95% of its face value by two investors
+        const invoiceVault = await fundInvoice(registry, invoice.tokenId, { amount: invoice.amount, paymentToken: usdc });
+        await fundAccounts(usdc, [investor1, investor2], invoice.amount, [invoiceVault]);
+        await invoiceVault.connect(investor1).fund(usdcAmount("57000"));
+        await invoiceVault.connect(investor2).fund(usdcAmount("38000"));
+
+        // Two deposits into a VaultManager vault
+        const vaultManager = await deployContract("VaultManager");
+        const strategy = await deployContract("MockRebalancingStrategy");
+        const receipt = await (await vaultManager.createVault(strategy.target, usdc.target)).wait();
+        const vaultId = vaultManager.interface.parseLog(receipt.logs[0]).args.vaultId;
+        await fundAccounts(usdc, [depositor], usdcAmount("10000"), [vaultManager]);
+        await vaultManager.connect(depositor).deposit(vaultId, usdcAmount("1000"));
+        await vaultManager.connect(depositor).deposit(vaultId, usdcAmount("2000"));
+
+        return { ...deployment, invoiceVault, vaultManager, vaultId, investor1, investor2, depositor };
+    }
+
+    beforeEach(async function () {
+        ({
+            registry,
+            tokenizedInvoice,
+            paymentToken: usdc,
+            invoice,
+            invoiceVault,
+            vaultManager,
+            vaultId,
+            investor1,
+            investor2,
+            depositor
+        } = await loadFixture(deployActivityFixture));
+
+        db = openDatabase(":memory:");
+        indexer = createIndexer({
+            db,
+            provider: ethers.provider,
+            loadAbi: (contract) => hre.artifacts.readArtifactSync(contract).abi,
+            log: () => {}
+        });
+        indexer.addSource({ name: "InvoiceRegistry", contract: "InvoiceRegistry", address: registry.target });
+        indexer.addSource({ name: "TokenizedInvoice", contract: "TokenizedInvoice", address: tokenizedInvoice.target });
+        indexer.addSource({ name: "VaultManager", contract: "VaultManager", address: vaultManager.target });
+    });
+
+    afterEach(function () {
+        db.close();
+    });
+
+    describe("Indexing", function () {
+        it("Should index the sources and the invoice vaults their events reveal", async function () {
+            const result = await indexer.sync();
+            expect(result.events).to.be.greaterThan(0);
+            expect(result.reorg).to.be.null;
+
+            const vaultSource = queries.listSources(db).find((source) => source.name === "InvoiceVault#1");
+            expect(vaultSource).to.include({ address: invoiceVault.target, contract: "RWAInvoiceVaultSimple" });
+            expect(vaultSource.tags).to.deep.equal({ invoiceTokenId: "1" });
+            expect(vaultSource.discoveredBy).to.match(/^InvoiceRegistry\.InvoiceFunded@0x/);
+
+            // Events the vault emitted in the transaction that deployed it are indexed too
+            const [configured] = queries.findEvents(db, { address: invoiceVault.target, event: "InvoiceConfigured" });
+            expect(configured.args.fundingTarget).to.equal(invoice.amount.toString());
+
+            const { indexedBlock, reorgs } = queries.status(db);
+            expect(indexedBlock).to.equal(await ethers.provider.getBlockNumber());
+            expect(reorgs).to.equal(0);
+        });
+
+        it("Should only index new blocks on later syncs", async function () {
+            await indexer.sync();
+            expect((await indexer.sync()).events).to.equal(0);
+
+            await vaultManager.connect(depositor).deposit(vaultId, usdcAmount("500"));
+            expect((await indexer.sync()).events).to.equal(1);
+            expect(queries.vaultDeposits(db, vaultId)).to.have.length(3);
+        });
+
+        it("Should leave out the blocks within the confirmations", async function () {
+            const confirmed = createIndexer({
+                db,
+                provider: ethers.provider,
+                loadAbi: (contract) => hre.artifacts.readArtifactSync(contract).abi,
+                confirmations: 2,
+                log: () => {}
+            });
+            await confirmed.sync();
+            // The two VaultManager deposits are in the last two blocks
+            expect(queries.vaultDeposits(db, vaultId)).to.have.length(0);
+        });
+
+        it("Should roll back the blocks a reorg replaced", async function () {
+            await indexer.sync();
+            const fork = await ethers.provider.send("evm_snapshot", []);
+            await vaultManager.connect(depositor).deposit(vaultId, usdcAmount("700"));
+            await indexer.sync();
+            expect(queries.vaultDeposits(db, vaultId)).to.have.length(3);
+
+            // Replace the block of that deposit with one holding another deposit
+            await ethers.provider.send("evm_revert", [fork]);
+            await vaultManager.connect(depositor).deposit(vaultId, usdcAmount("300"));
+            const result = await indexer.sync();
+
+            expect(result.reorg).to.not.be.null;
+            const amounts = queries.vaultDeposits(db, vaultId).map((event) => event.args.amount);
+            expect(amounts).to.deep.equal([usdcAmount("1000"), usdcAmount("2000"), usdcAmount("300")].map(String));
+            expect(queries.status(db).reorgs).to.equal(1);
+        });
+
+        it("Should refuse a database of another chain", async function () {
+            await indexer.sync();
+            db.prepare("UPDATE meta SET value = '1' WHERE key = 'chainId'").run();
+            await expect(indexer.sync()).to.be.rejectedWith("indexes chain 1");
+        });
+    });
+
+    describe("Queries", function () {
+        beforeEach(async function () {
+            await indexer.sync();
+        });
+
+        it("Should tell which invoices an investor funded", async function () {
+            const funded = queries.invoicesFundedBy(db, investor1.address);
+            expect(funded).to.have.length(1);
+            expect(funded[0]).to.include({
+                vault: invoiceVault.target,
+                invoiceTokenId: "1",
+                amount: usdcAmount("57000").toString(),
+                fundings: 1
+            });
+            expect(queries.invoicesFundedBy(db, depositor.address)).to.deep.equal([]);
+        });
+
+        it("Should list invoices with their status and investors", async function () {
+            const [listed] = queries.listInvoices(db);
+            expect(listed).to.include({
+                tokenId: "1",
+                status: "Funded",
+                vault: invoiceVault.target,
+                amount: invoice.amount.toString(),
+                invested: usdcAmount("95000").toString()
+            });
+            expect(listed.investors).to.deep.equal({
+                [investor1.address]: usdcAmount("57000").toString(),
+                [investor2.address]: usdcAmount("38000").toString()
+            });
+        });
+
+        it("Should list the deposits into a vault", async function () {
+            const deposits = queries.vaultDeposits(db, vaultId);
+            expect(deposits.map((event) => event.args.user)).to.deep.equal([depositor.address, depositor.address]);
+            expect(deposits[0].timestamp).to.be.a("number");
+            // Invoice vaults report their fundings
+            expect(queries.vaultDeposits(db, invoiceVault.target)).to.have.length(2);
+        });
+
+        it("Should filter events by argument, account and block", async function () {
+            const created = queries.findEvents(db, { contract: "InvoiceRegistry", event: "InvoiceCreated" });
+            expect(created).to.have.length(1);
+            // Transfer (mint), InvoiceCreated and InvoiceFunded
+            expect(queries.findEvents(db, { args: { tokenId: "1" }, contract: "TokenizedInvoice" })).to.have.length(3);
+
+            const activity = queries.findEvents(db, { account: investor2.address.toLowerCase() });
+            expect(activity.map((event) => event.event)).to.deep.equal(["Funded"]);
+
+            const latest = await ethers.provider.getBlockNumber();
+            expect(queries.findEvents(db, { fromBlock: latest })).to.have.length(1);
+            expect(() => queries.findEvents(db, { limit: -1 })).to.throw("limit and offset");
+        });
+    });
+
+    describe("Query API", function () {
+        let server;
+        let baseUrl;
+
+        beforeEach(async function () {
+            await indexer.sync();
+            server = createServer(db);
+            await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+            baseUrl = `http://127.0.0.1:${server.address().port}`;
+        });
+
+        afterEach(async function () {
+            await new Promise((resolve) => server.close(resolve));
+        });
+
+        async function get(path) {
+            const response = await fetch(`${baseUrl}${path}`);
+            return { status: response.status, body: await response.json() };
+        }
+
+        it("Should serve the queries as JSON", async function () {
+            const { status, body } = await get(`/investors/${investor2.address}/invoices`);
+            expect(status).to.equal(200);
+            expect(body[0]).to.include({ invoiceTokenId: "1", amount: usdcAmount("38000").toString() });
+
+            expect((await get("/invoices/1")).body.status).to.equal("Funded");
+            expect((await get(`/vaults/${vaultId}/deposits?limit=1`)).body).to.have.length(1);
+            expect((await get(`/events?contract=VaultManager&event=Deposit&arg.vaultId=${vaultId}`)).body).to.have.length(2);
+            expect((await get("/status")).body.reorgs).to.equal(0);
+        });
+
+        it("Should answer 404 for unknown routes and invoices, 400 for invalid filters", async function () {
+            expect((await get("/nothing")).status).to.equal(404);
+            expect((await get("/invoices/99")).status).to.equal(404);
+            expect((await get("/events?account=0x1234")).status).to.equal(400);
+            expect((await get("/events?fromBlock=latest")).status).to.equal(400);
+        });
+    });
+});
@@ -0,0 +1,240 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time, loadFixture, setBalance } = require("@nomicfoundation/hardhat-network-helpers");
+const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
+const { invoiceRegistryFixture, createInvoice, fundInvoice, fundAccounts } = require("./fixtures");
+
+describe("InvoiceRegistry", function () {
+    const Status = { Created: 0, Funded: 1, Paid: 2, Defaulted: 3, Settled: 4 };
+
+    let registry;
+    let tokenizedInvoice;
+    let usdc;
+    let invoice;
+    let owner;
+    let seller;
+    let investor1;
+    let investor2;
+
+    beforeEach(async function () {
+        let users;
+        ({ registry, tokenizedInvoice, paymentToken: usdc, invoice, owner, users } =
+            await loadFixture(invoiceRegistryFixture));
+        [seller, investor1, investor2] = users;
+    });
+
+    const fund = () => fundInvoice(registry, invoice.tokenId, { amount: invoice.amount, paymentToken: usdc });
+
+    describe("Invoice creation", function () {
+        it("Should tokenize invoices with the registry as issuer and holder", async function () {
+            expect(await tokenizedInvoice.ownerOf(invoice.tokenId)).to.equal(await registry.getAddress());
+
+            const data = await registry.getInvoice(invoice.tokenId);
+            expect(data.issuer).to.equal(await registry.getAddress());
+            expect(data.beneficiary).to.equal(seller.address);
+            expect(data.amount).to.equal(invoice.amount);
+            expect(data.dueDate).to.equal(invoice.dueDate);
+            expect(data.status).to.equal(Status.Created);
+        });
+
+        it("Should let anyone create an invoice and emit InvoiceCreated", async function () {
+            const dueDate = (await time.latest()) + 30 * 24 * 60 * 60;
+            await expect(registry.connect(investor1).createInvoice(seller.address, invoice.amount, dueDate, "ipfs://invoice-2"))
+                .to.emit(registry, "InvoiceCreated")
+                .withArgs(2, investor1.address, seller.address, invoice.amount, dueDate, "ipfs://invoice-2");
+        });
+
+        it("Should pass on the invoice validation of TokenizedInvoice", async function () {
+            const dueDate = (await time.latest()) + 30 * 24 * 60 * 60;
+            await expect(
+                registry.createInvoice(ethers.ZeroAddress, invoice.amount, dueDate, "")
+            ).to.be.revertedWith("Invalid beneficiary address");
+            await expect(
+                registry.createInvoice(seller.address, 0, dueDate, "")
+            ).to.be.revertedWith("Amount must be greater than 0");
+        });
+    });
+
+    describe("Funding", function () {
+        it("Should deploy a configured vault owned by the registry", async function () {
+            await expect(registry.fundInvoice(invoice.tokenId, ethers.ZeroAddress, invoice.amount, await usdc.getAddress()))
+                .to.emit(registry, "InvoiceFunded")
+                .withArgs(invoice.tokenId, owner.address, invoice.amount, anyValue);
+
+            const vault = await ethers.getContractAt("RWAInvoiceVaultSimple", await registry.getInvoiceVault(invoice.tokenId));
+            expect(await vault.isConfigured()).to.be.true;
+            expect(await vault.paymentToken()).to.equal(await usdc.getAddress());
+            expect(await vault.registry()).to.equal(await registry.getAddress());
+            expect(await vault.invoiceTokenId()).to.equal(invoice.tokenId);
+            expect(await vault.fundingTarget()).to.equal(invoice.amount);
+            expect(await vault.fundingDeadline()).to.equal(invoice.dueDate);
+            expect(await vault.owner()).to.equal(await registry.getAddress());
+
+            const data = await registry.getInvoice(invoice.tokenId);
+            expect(data.status).to.equal(Status.Funded);
+            expect(data.fundingAmount).to.equal(invoice.amount);
+        });
+
+        it("Should deploy the vault at its CREATE2 address", async function () {
+            const vault = await fund();
+            const registryAddress = await registry.getAddress();
+            const salt = ethers.solidityPackedKeccak256(["address", "uint256"], [registryAddress, invoice.tokenId]);
+            const { bytecode } = await ethers.getContractFactory("RWAInvoiceVaultSimple");
+            expect(await vault.getAddress()).to.equal(ethers.getCreate2Address(registryAddress, salt, ethers.keccak256(bytecode)));
+        });
+
+        it("Should fund an invoice only once", async function () {
+            await fund();
+            await expect(fund()).to.be.revertedWith("Invoice already funded");
+        });
+
+        it("Should reject funding by anyone but the owner", async function () {
+            await expect(
+                registry.connect(seller).fundInvoice(invoice.tokenId, ethers.ZeroAddress, invoice.amount, await usdc.getAddress())
+            ).to.be.revertedWith("Ownable: caller is not the owner");
+        });
+
+        it("Should reject a missing payment token or invoice", async function () {
+            await expect(
+                registry.fundInvoice(invoice.tokenId, ethers.ZeroAddress, invoice.amount, ethers.ZeroAddress)
+            ).to.be.revertedWith("Invalid payment token");
+            await expect(
+                registry.fundInvoice(99, ethers.ZeroAddress, invoice.amount, await usdc.getAddress())
+            ).to.be.revertedWith("Invoice does not exist");
+        });
+
+        it("Should not fund an invoice due in more than a year", async function () {
+            const { tokenId } = await createInvoice(registry, {
+                beneficiary: seller.address,
+                amount: invoice.amount,
+                term: 400 * 24 * 60 * 60
+            });
+            await expect(
+                fundInvoice(registry, tokenId, { amount: invoice.amount, paymentToken: usdc })
+            ).to.be.revertedWith("Invalid funding deadline");
+        });
+    });
+
+    describe("Lifecycle", function () {
+        it("Should mark a funded invoice paid, then settle it", async function () {
+            await fund();
+            await expect(registry.markAsPaid(invoice.tokenId))
+                .to.emit(registry, "InvoicePaid").withArgs(invoice.tokenId)
+                .and.to.emit(tokenizedInvoice, "InvoicePaid").withArgs(invoice.tokenId);
+            await expect(registry.settleInvoice(invoice.tokenId))
+                .to.emit(registry, "InvoiceSettled").withArgs(invoice.tokenId);
+            expect((await registry.getInvoice(invoice.tokenId)).status).to.equal(Status.Settled);
+        });
+
+        it("Should default a funded invoice only after its due date", async function () {
+            await fund();
+            await expect(registry.markAsDefaulted(invoice.tokenId)).to.be.revertedWith("Invoice is not yet due");
+
+            await time.increaseTo(invoice.dueDate + 1);
+            await expect(registry.markAsDefaulted(invoice.tokenId))
+                .to.emit(registry, "InvoiceDefaulted").withArgs(invoice.tokenId);
+            await registry.settleInvoice(invoice.tokenId);
+            expect((await registry.getInvoice(invoice.tokenId)).status).to.equal(Status.Settled);
+        });
+
+        it("Should reject invalid transitions", async function () {
+            await expect(registry.markAsPaid(invoice.tokenId)).to.be.revertedWith("Invoice must be funded first");
+            await expect(registry.settleInvoice(invoice.tokenId)).to.be.revertedWith("Invalid status");
+
+            await fund();
+            await expect(registry.settleInvoice(invoice.tokenId)).to.be.revertedWith("Invalid status");
+
+            await registry.markAsPaid(invoice.tokenId);
+            await time.increaseTo(invoice.dueDate + 1);
+            await expect(registry.markAsDefaulted(invoice.tokenId)).to.be.revertedWith("Invoice must be funded first");
+        });
+
+        it("Should only let the owner move invoices", async function () {
+            await fund();
+            const notOwner = "Ownable: caller is not the owner";
+            await expect(registry.connect(seller).markAsPaid(invoice.tokenId)).to.be.revertedWith(notOwner);
+            await expect(registry.connect(seller).markAsDefaulted(invoice.tokenId)).to.be.revertedWith(notOwner);
+            await expect(registry.connect(seller).settleInvoice(invoice.tokenId)).to.be.revertedWith(notOwner);
+        });
+    });
+
+    describe("Vault ownership", function () {
+        it("Should hand over the vault of a funded invoice", async function () {
+            const vault = await fund();
+            await registry.transferVaultOwnership(invoice.tokenId, owner.address);
+            expect(await vault.owner()).to.equal(owner.address);
+        });
+
+        it("Should reject unfunded invoices and callers other than the owner", async function () {
+            await expect(registry.transferVaultOwnership(invoice.tokenId, owner.address)).to.be.revertedWith("Vault not found");
+            await fund();
+            await expect(
+                registry.connect(seller).transferVaultOwnership(invoice.tokenId, seller.address)
+            ).to.be.revertedWith("Ownable: caller is not the owner");
+        });
+    });
+
+    describe("payInvoice", function () {
+        it("Should reject unknown invoices and payments below the invoice amount", async function () {
+            await expect(registry.payInvoice(99, invoice.amount)).to.be.revertedWith("Invoice does not exist");
+            await expect(registry.payInvoice(invoice.tokenId, invoice.amount - 1n)).to.be.revertedWith("Insufficient payment amount");
+        });
+
+        it("Should reject payments of a funded invoice", async function () {
+            await fund();
+            await expect(registry.payInvoice(invoice.tokenId, invoice.amount)).to.be.revertedWith("Invoice is not open for payment");
+        });
+
+        it("Should fail when the registry cannot forward the payment", async function () {
+            await expect(registry.payInvoice(invoice.tokenId, invoice.amount)).to.be.revertedWith("Payment transfer failed");
+        });
+
+        it("Should not mark an unfunded invoice paid, even with an overpayment", async function () {
+            // payInvoice forwards native currency held by the registry, then marks the invoice
+            // paid, which TokenizedInvoice only allows for funded invoices
+            await setBalance(await registry.getAddress(), invoice.amount * 2n);
+            await expect(registry.payInvoice(invoice.tokenId, invoice.amount + 1n)).to.be.revertedWith("Invoice must be funded first");
+            expect((await registry.getInvoice(invoice.tokenId)).status).to.equal(Status.Created);
+        });
+    });
+
+    describe("Full lifecycle with several funders", function () {
+        it("Should advance the raised capital, collect the repayment and pay every funder pro rata", async function () {
+            const vault = await fund();
+            await registry.transferVaultOwnership(invoice.tokenId, owner.address);
+
+            // Investors buy the invoice at a 5% discount, 60/40
+            const amount1 = ethers.parseUnits("57000", 6);
+            const amount2 = ethers.parseUnits("38000", 6);
+            await fundAccounts(usdc, [investor1, investor2], ethers.parseUnits("100000", 6), [vault]);
+            await vault.connect(investor1).fund(amount1);
+            await vault.connect(investor2).fund(amount2);
+            expect(await vault.totalFunded()).to.equal(amount1 + amount2);
+
+            // The capital goes to the seller
+            await vault.withdrawFunds(seller.address, await usdc.getAddress(), amount1 + amount2);
+            expect(await usdc.balanceOf(seller.address)).to.equal(amount1 + amount2);
+
+            // The buyer pays the face value into the vault
+            await fundAccounts(usdc, [owner], invoice.amount, [vault]);
+            await vault.repay(invoice.amount);
+            expect(await vault.getBalance()).to.equal(invoice.amount);
+            await registry.markAsPaid(invoice.tokenId);
+
+            // Payouts in proportion to what each investor funded
+            const total = amount1 + amount2;
+            const payout1 = (invoice.amount * amount1) / total;
+            const payout2 = invoice.amount - payout1;
+            const before1 = await usdc.balanceOf(investor1.address);
+            const before2 = await usdc.balanceOf(investor2.address);
+            await vault.withdrawFunds(investor1.address, await usdc.getAddress(), payout1);
+            await vault.withdrawFunds(investor2.address, await usdc.getAddress(), payout2);
+            expect((await usdc.balanceOf(investor1.address)) - before1).to.equal(ethers.parseUnits("60000", 6));
+            expect((await usdc.balanceOf(investor2.address)) - before2).to.equal(ethers.parseUnits("40000", 6));
+            expect(await vault.getBalance()).to.equal(0);
+
+            await registry.settleInvoice(invoice.tokenId);
+            expect((await registry.getInvoice(invoice.tokenId)).status).to.equal(Status.Settled);
+        });
+    });
+});
@@ -0,0 +1,151 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployContract, deployToken, treasuryAIManagerFixture } = require("./fixtures");
+const { createKeeper } = require("../scripts/lib/keeper");
+
+describe("Keeper", function () {
+    const HOUR = 60 * 60;
+
+    let keeper;
+    let owner;
+    let treasuryAIManager;
+    let mockManager;
+    let vaultManager;
+    let strategy;
+    let vaultId;
+    let usdc;
+
+    async function deployUpkeepsFixture() {
+        const { treasuryAIManager, owner } = await treasuryAIManagerFixture();
+        const mockManager = await deployContract("MockTreasuryAIManager");
+
+        const vaultManager = await deployContract("VaultManager");
+        const strategy = await deployContract("MockRebalancingStrategy");
+        const usdc = await deployToken("USDC");
+        const receipt = await (await vaultManager.createVault(strategy.target, usdc.target)).wait();
+        const vaultId = vaultManager.interface.parseLog(receipt.logs[0]).args.vaultId;
+
+        return { owner, treasuryAIManager, mockManager, vaultManager, strategy, vaultId, usdc };
+    }
+
+    beforeEach(async function () {
+        ({ owner, treasuryAIManager, mockManager, vaultManager, strategy, vaultId, usdc } =
+            await loadFixture(deployUpkeepsFixture));
+        keeper = createKeeper(owner, { log: () => {} });
+    });
+
+    describe("Checks and performs", function () {
+        it("Should only perform an upkeep that reports it is needed", async function () {
+            await keeper.register("MockTreasuryAIManager", mockManager);
+            expect((await keeper.runOnce())[0].status).to.equal("not-needed");
+
+            await mockManager.setMockUpkeep(true);
+            const [run] = await keeper.runOnce();
+            expect(run.status).to.equal("performed");
+            expect(run.gasUsed).to.be.greaterThan(0n);
+            expect(run.fee).to.be.greaterThan(0n);
+        });
+
+        it("Should pass the performData of checkUpkeep to performUpkeep", async function () {
+            await keeper.register("VaultManager", vaultManager);
+            await strategy.setAllocations(1000, 5000);
+
+            const [run] = await keeper.runOnce();
+            expect(run.status).to.equal("performed");
+            expect(run.performData).to.equal(ethers.AbiCoder.defaultAbiCoder().encode(["address"], [vaultId]));
+            expect(run.txHash).to.match(/^0x[0-9a-f]{64}$/);
+            expect(await strategy.currentAllocation()).to.equal(5000);
+            expect(await strategy.rebalanceCount()).to.equal(1);
+
+            // Within the 5% threshold now
+            expect((await keeper.runOnce())[0].status).to.equal("not-needed");
+        });
+
+        it("Should not send a performUpkeep that would revert", async function () {
+            await keeper.register("VaultManager", vaultManager);
+            await strategy.setAllocations(1000, 5000);
+            await strategy.setFailRebalance(true);
+            const nonce = await owner.getNonce();
+
+            const [run] = await keeper.runOnce();
+            expect(run).to.include({ status: "simulation-failed", error: "Rebalance failed" });
+            expect(await owner.getNonce()).to.equal(nonce);
+        });
+
+        it("Should report the custom error a performUpkeep simulation reverted with", async function () {
+            await keeper.register("VaultManager", vaultManager, { interfaces: [strategy.interface] });
+            await strategy.setAllocations(1000, 5000);
+            await strategy.setRejectRebalance(true);
+
+            const [run] = await keeper.runOnce();
+            expect(run).to.include({ status: "simulation-failed", error: "RebalanceRejected(5000)" });
+        });
+
+        it("Should report a failing checkUpkeep", async function () {
+            // MockAaveVault lacks the allocation getters VaultManager's check calls
+            const aaveStrategy = await deployContract("MockAaveVault", [owner.address]);
+            await vaultManager.createVault(aaveStrategy.target, usdc.target);
+            await keeper.register("VaultManager", vaultManager);
+
+            expect((await keeper.runOnce())[0].status).to.equal("check-failed");
+        });
+
+        it("Should let TreasuryAIManager make decisions once per update interval", async function () {
+            await keeper.register("TreasuryAIManager", treasuryAIManager);
+            expect((await keeper.runOnce())[0].status).to.equal("performed");
+            expect((await keeper.runOnce())[0].status).to.equal("not-needed");
+
+            const runs = await keeper.advance(3 * HOUR, { step: HOUR });
+            expect(runs.map((run) => run.status)).to.deep.equal(["performed", "performed", "performed"]);
+            const decisions = await treasuryAIManager.queryFilter(treasuryAIManager.filters.StrategyDecisionMade());
+            // Two strategies, four upkeeps
+            expect(decisions).to.have.length(8);
+        });
+    });
+
+    describe("Schedules", function () {
+        it("Should check a time-based upkeep once per interval", async function () {
+            await mockManager.setMockUpkeep(true);
+            await keeper.register("MockTreasuryAIManager", mockManager, { interval: HOUR });
+
+            expect(await keeper.runOnce()).to.have.length(1);
+            expect(await keeper.runOnce()).to.have.length(0);
+            expect(await keeper.advance(HOUR / 2)).to.have.length(0);
+            expect(await keeper.advance(HOUR / 2)).to.have.length(1);
+        });
+
+        it("Should check other upkeeps on every block", async function () {
+            await keeper.register("MockTreasuryAIManager", mockManager);
+            expect(await keeper.advance(3 * HOUR, { step: HOUR })).to.have.length(3);
+        });
+
+        it("Should not register the same upkeep twice", async function () {
+            await keeper.register("VaultManager", vaultManager);
+            await expect(keeper.register("VaultManager", vaultManager)).to.be.rejectedWith("already registered");
+        });
+    });
+
+    describe("Reporting", function () {
+        it("Should sum up outcomes and gas per upkeep", async function () {
+            await mockManager.setMockUpkeep(true);
+            await keeper.register("MockTreasuryAIManager", mockManager);
+            await keeper.register("VaultManager", vaultManager);
+            await keeper.advance(2 * HOUR, { step: HOUR });
+
+            const performed = keeper.history.filter((run) => run.status === "performed");
+            expect(keeper.history).to.have.length(4);
+            expect(keeper.summary()).to.deep.equal([
+                {
+                    upkeep: "MockTreasuryAIManager",
+                    checks: 2,
+                    performed: 2,
+                    failed: 0,
+                    gasUsed: performed[0].gasUsed + performed[1].gasUsed,
+                    fee: performed[0].fee + performed[1].fee
+                },
+                { upkeep: "VaultManager", checks: 2, performed: 0, failed: 0, gasUsed: 0n, fee: 0n }
+            ]);
+        });
+    });
+});
@@ -2,6 +2,7 @@ const { expect } = require("chai");
 const { ethers } = require("hardhat");
 const { MaxUint256, ZeroAddress } = require("ethers");
 const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployLstBtcVault } = require("./fixtures");
 const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
 
 describe("LSTBTCVault Extended Tests", function () {
@@ -14,56 +15,21 @@ describe("LSTBTCVault Extended Tests", function () {
   async function deployContracts() {
     [owner, user1, user2] = await ethers.getSigners();
     
-    // Deploy mock WBTC with 18 decimals for consistency
-    const WBTC = await ethers.getContractFactory("ERC20Mock");
-    const wbtcContract = await WBTC.deploy("Wrapped Bitcoin", "WBTC", owner.address, ethers.parseEther("1000000"));
-    wbtc = wbtcContract;
+    // Deploy 8 decimals WBTC and aWBTC, the Aave pool mock, AaveStrategy and the vault,
+    // with WBTC in the pool for withdrawals
+    ({ wbtc, aWbtc, aavePool, strategy, vault } = await deployLstBtcVault({
+      liquidity: ethers.parseUnits("1000", WBTC_DECIMALS)
+    }));
     
-    // Deploy mock aWBTC with 18 decimals for consistency
-    const AWBTC = await ethers.getContractFactory("ERC20Mock");
-    const aWbtcContract = await AWBTC.deploy("Aave WBTC", "aWBTC", owner.address, ethers.parseEther("1000000"));
-    aWbtc = aWbtcContract;
-    
-    // Set WBTC decimals to 8 to match real WBTC
-    await wbtc.setDecimals(8);
-    await aWbtc.setDecimals(8);
-    
-    // Deploy mock Aave Pool
-    const AavePool = await ethers.getContractFactory("AavePoolMock");
-    const aavePoolContract = await AavePool.deploy(
-      await wbtc.getAddress(),
-      await aWbtc.getAddress()
-    );
-    aavePool = aavePoolContract;
-    
-    // Fund the AavePool with WBTC for withdrawals
-    await wbtc.transfer(await aavePool.getAddress(), ethers.parseUnits("1000", WBTC_DECIMALS));
+    // The owner starts with a large balance of both tokens
+    await wbtc.mint(owner.address, ethers.parseEther("1000000"));
+    await aWbtc.mint(owner.address, ethers.parseEther("1000000"));
     
     // Deploy mock rewards controller
     const RewardsController = await ethers.getContractFactory("RewardsControllerMock");
     const rewardsControllerContract = await RewardsController.deploy();
     rewardsController = rewardsControllerContract;
     
-    // Deploy AaveStrategy
-    const AaveStrategy = await ethers.getContractFactory("AaveStrategy");
-    const strategyContract = await AaveStrategy.deploy(
-      await wbtc.getAddress(),
-      await aWbtc.getAddress(),
-      await aavePool.getAddress()
-    );
-    strategy = strategyContract;
-    
-    // Deploy LSTBTCVault
-    const LSTBTCVault = await ethers.getContractFactory("LSTBTCVault");
-    const vaultContract = await LSTBTCVault.deploy(
-      await wbtc.getAddress(),
-      await strategy.getAddress()
-    );
-    vault = vaultContract;
-    
-    // Set the vault address in the strategy
-    await strategy.setVault(await vault.getAddress());
-    
     // Mint aWBTC to the AavePoolMock so it can transfer them during staking
     await aWbtc.mint(aavePool.target, ethers.parseUnits("1000000", 8));
     
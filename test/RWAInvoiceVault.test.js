@@ -0,0 +1,196 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time, loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployContract, deployInvoiceVault, fundAccounts } = require("./fixtures");
+
+describe("RWAInvoiceVault", function () {
+    const INVOICE_ID = 1;
+
+    let vault;
+    let treasury;
+    let invoiceNFT;
+    let usdc;
+    let target;
+    let deadline;
+    let owner;
+    let seller;
+    let funder1;
+    let funder2;
+
+    async function deployRWAInvoiceVaultFixture() {
+        const [owner, seller, funder1, funder2] = await ethers.getSigners();
+        const { vault, treasury, invoiceNFT, paymentToken, fundingTarget, fundingDeadline } = await deployInvoiceVault({
+            invoiceTokenId: INVOICE_ID
+        });
+        await fundAccounts(paymentToken, [owner, funder1, funder2], fundingTarget * 2n, [vault]);
+        return {
+            vault,
+            treasury,
+            invoiceNFT,
+            usdc: paymentToken,
+            target: fundingTarget,
+            deadline: fundingDeadline,
+            owner,
+            seller,
+            funder1,
+            funder2
+        };
+    }
+
+    beforeEach(async function () {
+        ({ vault, treasury, invoiceNFT, usdc, target, deadline, owner, seller, funder1, funder2 } =
+            await loadFixture(deployRWAInvoiceVaultFixture));
+    });
+
+    // Fund the whole target, 40/60
+    async function fundTarget() {
+        await vault.connect(funder1).fund((target * 4n) / 10n);
+        await vault.connect(funder2).fund((target * 6n) / 10n);
+    }
+
+    describe("Initialization and configuration", function () {
+        it("Should be owned by its deployer and report to the treasury manager", async function () {
+            expect(await vault.owner()).to.equal(owner.address);
+            expect(await vault.treasuryAIManager()).to.equal(await treasury.getAddress());
+            expect(await vault.isConfigured()).to.be.true;
+            expect(await vault.fundingTarget()).to.equal(target);
+            expect(await vault.fundingDeadline()).to.equal(deadline);
+        });
+
+        it("Should be initialized only once, with a treasury manager", async function () {
+            await expect(vault.initialize(await treasury.getAddress())).to.be.revertedWith(
+                "Initializable: contract is already initialized"
+            );
+            const fresh = await deployContract("RWAInvoiceVault");
+            await expect(fresh.initialize(ethers.ZeroAddress)).to.be.revertedWith("Invalid Treasury AI Manager");
+        });
+
+        it("Should notify the treasury manager of its configuration", async function () {
+            const fresh = await deployContract("RWAInvoiceVault");
+            await fresh.initialize(await treasury.getAddress());
+            await expect(
+                fresh.configureInvoice(await usdc.getAddress(), await invoiceNFT.getAddress(), 2, target, deadline)
+            )
+                .to.emit(treasury, "VaultConfigured")
+                .withArgs(await fresh.getAddress(), await usdc.getAddress(), 2, target, deadline);
+        });
+
+        it("Should require an ERC721 registry and a single configuration", async function () {
+            const fresh = await deployContract("RWAInvoiceVault");
+            await fresh.initialize(await treasury.getAddress());
+            // MockERC20 does not implement ERC165
+            await expect(fresh.configureInvoice(await usdc.getAddress(), await usdc.getAddress(), 2, target, deadline)).to.be
+                .reverted;
+            await expect(
+                vault.configureInvoice(await usdc.getAddress(), await invoiceNFT.getAddress(), INVOICE_ID, target, deadline)
+            ).to.be.revertedWith("Vault already configured");
+        });
+    });
+
+    describe("Funding", function () {
+        it("Should take funds from several funders and report progress in percent", async function () {
+            await expect(vault.connect(funder1).fund(target / 4n))
+                .to.emit(vault, "Funded").withArgs(funder1.address, target / 4n);
+            await vault.connect(funder2).fund(target / 4n);
+
+            const [funded, , progress] = await vault.getFundingProgress();
+            expect(funded).to.equal(target / 2n);
+            expect(progress).to.equal(50);
+            expect(await vault.isFullyFunded()).to.be.false;
+            expect(await vault.isFundingActive()).to.be.true;
+        });
+
+        it("Should close funding and notify the treasury and registry at the target", async function () {
+            await vault.connect(funder1).fund((target * 4n) / 10n);
+            await expect(vault.connect(funder2).fund((target * 6n) / 10n))
+                .to.emit(treasury, "FundingComplete").withArgs(await vault.getAddress(), INVOICE_ID, target)
+                .and.to.emit(invoiceNFT, "InvoiceFunded").withArgs(INVOICE_ID, target);
+
+            expect(await vault.isFullyFunded()).to.be.true;
+            expect(await vault.isFundingActive()).to.be.false;
+            await expect(vault.connect(funder1).fund(1)).to.be.revertedWith("Invoice already fully funded");
+        });
+
+        it("Should accept a last contribution that overshoots the target", async function () {
+            await vault.connect(funder1).fund(target / 2n);
+            await vault.connect(funder2).fund(target);
+            expect(await vault.totalFunded()).to.equal((target * 3n) / 2n);
+            expect(await invoiceNFT.fundedAmounts(INVOICE_ID)).to.equal((target * 3n) / 2n);
+        });
+
+        it("Should reject zero amounts and funding after the deadline", async function () {
+            await expect(vault.connect(funder1).fund(0)).to.be.revertedWith("Amount must be greater than 0");
+            await time.increaseTo(deadline + 1);
+            await expect(vault.connect(funder1).fund(target)).to.be.revertedWith("Funding period has ended");
+        });
+    });
+
+    describe("Repayment", function () {
+        it("Should only be repaid once fully funded, by the owner", async function () {
+            await expect(vault.repay(target)).to.be.revertedWith("Invoice not fully funded");
+            await fundTarget();
+            await expect(vault.connect(funder1).repay(target)).to.be.revertedWith("Ownable: caller is not the owner");
+            await expect(vault.repay(0)).to.be.revertedWith("Amount must be greater than 0");
+        });
+
+        it("Should reject a single repayment above the funded amount", async function () {
+            await fundTarget();
+            await expect(vault.repay(target + 1n)).to.be.revertedWith("Cannot repay more than funded amount");
+        });
+
+        it("Should notify partial repayments without interest", async function () {
+            await fundTarget();
+            await expect(vault.repay(target / 2n))
+                .to.emit(treasury, "RepaymentReceived").withArgs(await vault.getAddress(), INVOICE_ID, target / 2n, 0)
+                .and.to.emit(vault, "Repaid").withArgs(owner.address, target / 2n, 0, target / 2n);
+            expect(await vault.isFullyRepaid()).to.be.false;
+        });
+
+        it("Should count an overpayment across repayments as interest", async function () {
+            await fundTarget();
+            await vault.repay((target * 6n) / 10n);
+            const interest = target / 5n;
+            await expect(vault.repay((target * 6n) / 10n))
+                .to.emit(vault, "FullyRepaid").withArgs(owner.address, target + interest, interest)
+                .and.to.emit(invoiceNFT, "InvoiceRepaid").withArgs(INVOICE_ID, target + interest);
+
+            expect(await vault.isFullyRepaid()).to.be.true;
+            await expect(vault.repay(1)).to.be.revertedWith("Invoice already fully repaid");
+        });
+    });
+
+    describe("Payouts", function () {
+        it("Should pay every funder its share of the repayment", async function () {
+            await fundTarget();
+            // The capital goes to the seller, who repays it with 10% on top
+            await vault.withdrawFunds(seller.address, await usdc.getAddress(), target);
+            await vault.repay((target * 6n) / 10n);
+            await vault.repay(target / 2n);
+            const repaid = await vault.totalRepaid();
+            expect(await vault.getBalance()).to.equal(repaid);
+
+            const before1 = await usdc.balanceOf(funder1.address);
+            const before2 = await usdc.balanceOf(funder2.address);
+            await expect(vault.withdrawFunds(funder1.address, await usdc.getAddress(), (repaid * 4n) / 10n))
+                .to.emit(treasury, "FundsWithdrawn")
+                .withArgs(await vault.getAddress(), await usdc.getAddress(), funder1.address, (repaid * 4n) / 10n);
+            // 0 withdraws the whole balance
+            await vault.withdrawFunds(funder2.address, await usdc.getAddress(), 0);
+
+            expect((await usdc.balanceOf(funder1.address)) - before1).to.equal(ethers.parseUnits("44000", 6));
+            expect((await usdc.balanceOf(funder2.address)) - before2).to.equal(ethers.parseUnits("66000", 6));
+            expect(await vault.getBalance()).to.equal(0);
+        });
+
+        it("Should validate withdrawals", async function () {
+            await fundTarget();
+            const token = await usdc.getAddress();
+            await expect(vault.withdrawFunds(ethers.ZeroAddress, token, 1)).to.be.revertedWith("Invalid recipient address");
+            await expect(vault.withdrawFunds(seller.address, token, target + 1n)).to.be.revertedWith("Insufficient token balance");
+            await expect(vault.withdrawFunds(seller.address, ethers.ZeroAddress, 0)).to.be.revertedWith("No funds to withdraw");
+            await expect(
+                vault.connect(funder1).withdrawFunds(funder1.address, token, 1)
+            ).to.be.revertedWith("Ownable: caller is not the owner");
+        });
+    });
+});
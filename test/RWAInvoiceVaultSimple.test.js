@@ -0,0 +1,183 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time, loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployContract, deployToken, fundAccounts } = require("./fixtures");
+
+describe("RWAInvoiceVaultSimple", function () {
+    const TARGET = ethers.parseUnits("100000", 6);
+    const TERM = 30 * 24 * 60 * 60; // 30 days
+    const INVOICE_ID = 7;
+
+    let vault;
+    let usdc;
+    let owner;
+    let registry;
+    let funder1;
+    let funder2;
+    let deadline;
+
+    async function deployVaultFixture() {
+        const [owner, registry, funder1, funder2] = await ethers.getSigners();
+        const usdc = await deployToken("USDC");
+        const vault = await deployContract("RWAInvoiceVaultSimple");
+
+        const deadline = (await time.latest()) + TERM;
+        await vault.configureInvoice(await usdc.getAddress(), registry.address, INVOICE_ID, TARGET, deadline);
+
+        await fundAccounts(usdc, [owner, funder1, funder2], TARGET * 2n, [vault]);
+        return { vault, usdc, owner, registry, funder1, funder2, deadline };
+    }
+
+    beforeEach(async function () {
+        ({ vault, usdc, owner, registry, funder1, funder2, deadline } = await loadFixture(deployVaultFixture));
+    });
+
+    describe("Configuration", function () {
+        it("Should store the invoice details", async function () {
+            expect(await vault.isConfigured()).to.be.true;
+            expect(await vault.paymentToken()).to.equal(await usdc.getAddress());
+            expect(await vault.registry()).to.equal(registry.address);
+            expect(await vault.invoiceTokenId()).to.equal(INVOICE_ID);
+            expect(await vault.fundingTarget()).to.equal(TARGET);
+            expect(await vault.fundingDeadline()).to.equal(deadline);
+            expect(await vault.isFundingActive()).to.be.true;
+        });
+
+        it("Should be configured only once", async function () {
+            await expect(
+                vault.configureInvoice(await usdc.getAddress(), registry.address, INVOICE_ID, TARGET, deadline)
+            ).to.be.revertedWith("Vault already configured");
+        });
+
+        it("Should validate the configuration", async function () {
+            const fresh = await deployContract("RWAInvoiceVaultSimple");
+            const token = await usdc.getAddress();
+            const now = await time.latest();
+            await expect(
+                fresh.configureInvoice(ethers.ZeroAddress, registry.address, INVOICE_ID, TARGET, deadline)
+            ).to.be.revertedWith("Invalid payment token");
+            await expect(
+                fresh.configureInvoice(token, ethers.ZeroAddress, INVOICE_ID, TARGET, deadline)
+            ).to.be.revertedWith("Invalid registry address");
+            await expect(
+                fresh.configureInvoice(token, registry.address, INVOICE_ID, 0, deadline)
+            ).to.be.revertedWith("Funding target must be greater than 0");
+            await expect(
+                fresh.configureInvoice(token, registry.address, INVOICE_ID, TARGET, now)
+            ).to.be.revertedWith("Invalid funding deadline");
+            await expect(
+                fresh.configureInvoice(token, registry.address, INVOICE_ID, TARGET, now + 366 * 24 * 60 * 60)
+            ).to.be.revertedWith("Invalid funding deadline");
+            await expect(
+                fresh.connect(funder1).configureInvoice(token, registry.address, INVOICE_ID, TARGET, deadline)
+            ).to.be.revertedWith("Ownable: caller is not the owner");
+        });
+
+        it("Should not take funds before it is configured", async function () {
+            const fresh = await deployContract("RWAInvoiceVaultSimple");
+            await expect(fresh.connect(funder1).fund(1)).to.be.revertedWith("Vault not configured");
+        });
+    });
+
+    describe("Funding", function () {
+        it("Should take funds from several funders", async function () {
+            await expect(vault.connect(funder1).fund(TARGET / 4n))
+                .to.emit(vault, "Funded").withArgs(funder1.address, TARGET / 4n);
+            await vault.connect(funder2).fund(TARGET / 2n);
+
+            expect(await vault.totalFunded()).to.equal((TARGET * 3n) / 4n);
+            expect(await vault.getBalance()).to.equal((TARGET * 3n) / 4n);
+            const [funded, target, progress] = await vault.getFundingProgress();
+            expect(funded).to.equal((TARGET * 3n) / 4n);
+            expect(target).to.equal(TARGET);
+            expect(progress).to.equal(7500); // basis points
+        });
+
+        it("Should accept funding beyond the target", async function () {
+            await vault.connect(funder1).fund(TARGET);
+            await vault.connect(funder2).fund(TARGET / 2n);
+            const [, , progress] = await vault.getFundingProgress();
+            expect(progress).to.equal(15000);
+        });
+
+        it("Should reject zero amounts and funding after the deadline", async function () {
+            await expect(vault.connect(funder1).fund(0)).to.be.revertedWith("Amount must be greater than 0");
+            await time.increaseTo(deadline + 1);
+            expect(await vault.isFundingActive()).to.be.false;
+            await expect(vault.connect(funder1).fund(TARGET)).to.be.revertedWith("Funding period has ended");
+        });
+    });
+
+    describe("Repayment", function () {
+        beforeEach(async function () {
+            await vault.connect(funder1).fund(TARGET / 2n);
+            await vault.connect(funder2).fund(TARGET / 2n);
+        });
+
+        it("Should record repayments", async function () {
+            await expect(vault.repay(TARGET / 2n))
+                .to.emit(vault, "Repaid").withArgs(owner.address, TARGET / 2n, 0, TARGET / 2n);
+            await expect(vault.repay(TARGET / 2n))
+                .to.emit(vault, "Repaid").withArgs(owner.address, TARGET / 2n, TARGET / 2n, TARGET);
+            expect(await vault.totalRepaid()).to.equal(TARGET);
+        });
+
+        it("Should accept an overpayment", async function () {
+            await vault.repay(TARGET + TARGET / 10n);
+            expect(await vault.totalRepaid()).to.equal(TARGET + TARGET / 10n);
+            expect(await vault.getBalance()).to.equal(TARGET * 2n + TARGET / 10n);
+        });
+
+        it("Should only take repayments from the owner", async function () {
+            await expect(vault.connect(funder1).repay(TARGET)).to.be.revertedWith("Ownable: caller is not the owner");
+            await expect(vault.repay(0)).to.be.revertedWith("Amount must be greater than 0");
+        });
+    });
+
+    describe("Payouts", function () {
+        it("Should pay every funder its share of the repayment", async function () {
+            // 30/70 funding of the whole target, advanced to the seller, repaid with 4% on top
+            await vault.connect(funder1).fund((TARGET * 3n) / 10n);
+            await vault.connect(funder2).fund((TARGET * 7n) / 10n);
+            await vault.withdrawFunds(registry.address, await usdc.getAddress(), TARGET);
+            const repayment = (TARGET * 104n) / 100n;
+            await vault.repay(repayment);
+
+            const before1 = await usdc.balanceOf(funder1.address);
+            const before2 = await usdc.balanceOf(funder2.address);
+            await expect(vault.withdrawFunds(funder1.address, await usdc.getAddress(), (repayment * 3n) / 10n))
+                .to.emit(vault, "ERC20FundsWithdrawn")
+                .withArgs(await usdc.getAddress(), funder1.address, (repayment * 3n) / 10n);
+            await vault.withdrawFunds(funder2.address, await usdc.getAddress(), (repayment * 7n) / 10n);
+
+            expect((await usdc.balanceOf(funder1.address)) - before1).to.equal(ethers.parseUnits("31200", 6));
+            expect((await usdc.balanceOf(funder2.address)) - before2).to.equal(ethers.parseUnits("72800", 6));
+            expect(await vault.getBalance()).to.equal(0);
+        });
+
+        it("Should not pay out more than it holds", async function () {
+            await vault.connect(funder1).fund(TARGET);
+            await expect(
+                vault.withdrawFunds(funder1.address, await usdc.getAddress(), TARGET + 1n)
+            ).to.be.revertedWith("ERC20: transfer amount exceeds balance");
+        });
+
+        it("Should withdraw native currency sent to it", async function () {
+            const amount = ethers.parseEther("1");
+            await owner.sendTransaction({ to: await vault.getAddress(), value: amount });
+            const before = await ethers.provider.getBalance(funder1.address);
+            await expect(vault.withdrawFunds(funder1.address, ethers.ZeroAddress, amount))
+                .to.emit(vault, "NativeFundsWithdrawn").withArgs(funder1.address, amount);
+            expect((await ethers.provider.getBalance(funder1.address)) - before).to.equal(amount);
+        });
+
+        it("Should validate withdrawals", async function () {
+            const token = await usdc.getAddress();
+            await expect(vault.withdrawFunds(ethers.ZeroAddress, token, 1)).to.be.revertedWith("Invalid recipient");
+            await expect(vault.withdrawFunds(funder1.address, token, 0)).to.be.revertedWith("Amount must be greater than 0");
+            await expect(
+                vault.connect(funder1).withdrawFunds(funder1.address, token, 1)
+            ).to.be.revertedWith("Ownable: caller is not the owner");
+        });
+    });
+});
@@ -0,0 +1,203 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployContract, fundAccounts, protocolFixture } = require("./fixtures");
+const { getChain } = require("../config/addressBook");
+const { Amount, ContractError, createSdk, resolveAddress } = require("../sdk");
+
+const { ethers } = hre;
+
+describe("SDK", function () {
+    const usdcAmount = (amount) => ethers.parseUnits(amount, 6);
+
+    let sdk;
+    let protocol;
+    let vaultManager;
+    let vaultId;
+    let owner;
+    let investor;
+
+    async function deploySdkFixture() {
+        const protocol = await protocolFixture();
+        const { tokens, users } = protocol;
+        await fundAccounts(tokens.USDC, users.slice(1, 3), usdcAmount("1000000"));
+
+        const vaultManager = await deployContract("VaultManager");
+        const strategy = await deployContract("MockRebalancingStrategy");
+        const receipt = await (await vaultManager.createVault(strategy.target, tokens.USDC.target)).wait();
+        const vaultId = vaultManager.interface.parseLog(receipt.logs[0]).args.vaultId;
+        return { protocol, vaultManager, vaultId };
+    }
+
+    beforeEach(async function () {
+        ({ protocol, vaultManager, vaultId } = await loadFixture(deploySdkFixture));
+        ({ owner } = protocol);
+        investor = protocol.users[1];
+        sdk = await createSdk(hre, {
+            addresses: {
+                InvoiceRegistry: protocol.invoices.registry.target,
+                VaultManager: vaultManager.target,
+                CrossChainRouter: protocol.crossChain.router.target,
+                AssetFactory: protocol.assetFactory.assetFactory.target,
+                TreasuryAIManager: protocol.ai.treasuryAIManager.target,
+                USDC: protocol.tokens.USDC.target
+            }
+        });
+    });
+
+    describe("Amounts and addresses", function () {
+        it("Should read amounts in whole tokens, base units or as Amounts", async function () {
+            expect(await sdk.units("USDC", "2500.5")).to.equal(usdcAmount("2500.5"));
+            expect(await sdk.units("USDC", 12n)).to.equal(12n);
+
+            const amount = await sdk.amount("USDC", usdcAmount("2500.5"));
+            expect(amount).to.be.instanceOf(Amount);
+            expect(String(amount)).to.equal("2500.5 USDC");
+            expect(await sdk.units("USDC", amount)).to.equal(usdcAmount("2500.5"));
+
+            const wbtc = await sdk.amount(protocol.tokens.WBTC.target, 1n);
+            await expect(sdk.units("USDC", wbtc)).to.be.rejectedWith("is not an amount of USDC");
+        });
+
+        it("Should resolve contracts and tokens by name for the network", async function () {
+            expect(sdk.resolve("VaultManager")).to.equal(vaultManager.target);
+            expect(resolveAddress("sepolia", "USDC")).to.equal(getChain("sepolia").tokens.USDC);
+            expect(() => sdk.resolve("Nothing")).to.throw('"Nothing" is neither an address');
+        });
+    });
+
+    describe("InvoiceClient", function () {
+        it("Should create, fund and invest in an invoice with decoded results", async function () {
+            const { tokenId, amount } = await sdk.invoices.create({
+                beneficiary: investor.address,
+                amount: "100000",
+                token: "USDC",
+                dueIn: 30 * 24 * 60 * 60
+            });
+            expect(amount.value).to.equal(usdcAmount("100000"));
+
+            const { vault } = await sdk.invoices.fund(tokenId, { amount: "95000", paymentToken: "USDC" });
+            // The investor never approved the vault, the client does
+            const invested = await sdk.invoices.connect(investor).invest(tokenId, "60000");
+            expect(invested.investor).to.equal(investor.address);
+            expect(String(invested.funded)).to.equal("60000.0 USDC");
+
+            const invoice = await sdk.invoices.get(tokenId);
+            expect(invoice).to.include({ status: "Funded", vault, paymentToken: protocol.tokens.USDC.target });
+            expect(String(invoice.amount)).to.equal("100000.0 USDC");
+            expect(invoice.fundingAmount.value).to.equal(usdcAmount("95000"));
+
+            const progress = await sdk.invoices.fundingProgress(tokenId);
+            expect(progress).to.include({ progressBps: 6000, active: true });
+
+            expect((await sdk.invoices.markPaid(tokenId)).status).to.equal("Paid");
+        });
+
+        it("Should need the token to read an invoice amount in whole tokens", async function () {
+            await expect(sdk.invoices.create({ beneficiary: investor.address, amount: "100" })).to.be.rejectedWith(
+                "Give the token of the invoice"
+            );
+        });
+    });
+
+    describe("Reverts", function () {
+        it("Should decode require messages", async function () {
+            const { tokenId } = await sdk.invoices.create({ beneficiary: investor.address, amount: 1000n });
+            const error = await sdk.invoices
+                .connect(investor)
+                .fund(tokenId, { amount: "1", paymentToken: "USDC" })
+                .catch((caught) => caught);
+            expect(error).to.be.instanceOf(ContractError);
+            expect(error.method).to.equal("InvoiceRegistry.fundInvoice");
+            expect(error.reason).to.equal("Ownable: caller is not the owner");
+            expect(error.message).to.equal("InvoiceRegistry.fundInvoice reverted: Ownable: caller is not the owner");
+        });
+
+        it("Should decode custom errors with their arguments", async function () {
+            const selector = getChain("sepolia").ccip.chainSelector;
+            const error = await sdk.router
+                .transfer({ chain: "sepolia", token: "USDC", amount: "1" })
+                .catch((caught) => caught);
+            expect(error).to.be.instanceOf(ContractError);
+            expect(error.errorName).to.equal("DestinationChainNotAllowlisted");
+            expect(error.errorArgs.map(BigInt)).to.deep.equal([selector]);
+        });
+    });
+
+    describe("VaultClient", function () {
+        it("Should deposit and withdraw with decoded shares and amounts", async function () {
+            const vaults = sdk.vaults.connect(investor);
+            const deposited = await vaults.deposit(vaultId, "1000");
+            expect(deposited.shares).to.equal(usdcAmount("1000"));
+
+            const position = await vaults.position(vaultId);
+            expect(String(position.value)).to.equal("1000.0 USDC");
+            expect((await sdk.vaults.get(vaultId)).totalAssets.value).to.equal(usdcAmount("1000"));
+
+            const withdrawn = await vaults.withdraw(vaultId, position.shares / 4n);
+            expect(String(withdrawn.amount)).to.equal("250.0 USDC");
+            expect(await sdk.vaults.list()).to.deep.equal([vaultId]);
+        });
+    });
+
+    describe("RouterClient", function () {
+        it("Should send tokens to a chain named in the address book", async function () {
+            await fundAccounts(protocol.tokens.USDC, [owner], usdcAmount("1000"));
+            const sent = await sdk.router.transfer({ chain: "fuji", token: "USDC", amount: "250" });
+            expect(sent).to.include({ chain: "fuji", selector: getChain("fuji").ccip.chainSelector });
+            expect(sent.messageId).to.match(/^0x[0-9a-f]{64}$/);
+            expect(String(sent.amount)).to.equal("250.0 USDC");
+            expect(await sdk.router.isSupported({ chain: "sepolia", token: "USDC" })).to.deep.equal({
+                chain: false,
+                token: true
+            });
+        });
+    });
+
+    describe("AssetFactoryClient", function () {
+        it("Should create assets and list them decoded", async function () {
+            const created = await sdk.assetFactory.createERC20VaultToken({
+                name: "Invoice Yield",
+                symbol: "IYLD",
+                underlying: "USDC",
+                depositFeeBps: 50
+            });
+            expect(created).to.include({ tokenType: "erc20", name: "Invoice Yield", symbol: "IYLD", creator: owner.address });
+
+            await sdk.assetFactory.createERC1155HybridAsset({ baseUri: "ipfs://hybrid/" });
+            const { assets, nextCursor } = await sdk.assetFactory.assets({ limit: 1 });
+            expect(assets.map((asset) => asset.address)).to.deep.equal([created.address]);
+            expect(nextCursor).to.equal(1);
+            expect((await sdk.assetFactory.assetsOf(owner.address)).map((asset) => asset.tokenType)).to.deep.equal([
+                "erc20",
+                "erc1155"
+            ]);
+            expect((await sdk.assetFactory.fees()).assetCount).to.equal(2);
+        });
+    });
+
+    describe("TreasuryAIClient", function () {
+        it("Should read and process the decisions of a strategy", async function () {
+            const strategy = protocol.ai.strategies[0].target;
+            expect((await sdk.treasuryAI.upkeepStatus()).upkeepNeeded).to.equal(true);
+            await protocol.ai.treasuryAIManager.performUpkeep("0x");
+
+            const pending = await sdk.treasuryAI.latestDecision(strategy);
+            expect(pending).to.include({ strategy, processed: false });
+
+            const serviceLayer = await sdk.connect(protocol.users[0]);
+            await serviceLayer.treasuryAI.processDecision({
+                decisionId: pending.decisionId,
+                strategy,
+                allocationBps: 6000,
+                reason: "Low volatility"
+            });
+            expect(await sdk.treasuryAI.latestDecision(strategy)).to.include({
+                allocationBps: 6000,
+                reason: "Low volatility",
+                processed: true
+            });
+            expect(await sdk.treasuryAI.serviceLayer()).to.deep.equal({ address: protocol.users[0].address, active: true });
+        });
+    });
+});
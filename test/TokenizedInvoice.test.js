@@ -0,0 +1,185 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time, loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployContract } = require("./fixtures");
+
+describe("TokenizedInvoice", function () {
+    const Status = { Created: 0, Funded: 1, Paid: 2, Defaulted: 3, Settled: 4 };
+    const AMOUNT = ethers.parseUnits("50000", 6);
+    const TERM = 60 * 24 * 60 * 60; // 60 days
+
+    let tokenizedInvoice;
+    let owner;
+    let issuer;
+    let beneficiary;
+    let other;
+    let dueDate;
+
+    async function deployTokenizedInvoiceFixture() {
+        const [owner, issuer, beneficiary, other] = await ethers.getSigners();
+        const tokenizedInvoice = await deployContract("TokenizedInvoice");
+
+        // Invoice 1, issued and held by `issuer`
+        const dueDate = (await time.latest()) + TERM;
+        await tokenizedInvoice.connect(issuer).createInvoice(beneficiary.address, AMOUNT, dueDate, "ipfs://invoice-1");
+
+        return { tokenizedInvoice, owner, issuer, beneficiary, other, dueDate };
+    }
+
+    beforeEach(async function () {
+        ({ tokenizedInvoice, owner, issuer, beneficiary, other, dueDate } =
+            await loadFixture(deployTokenizedInvoiceFixture));
+    });
+
+    describe("Creation", function () {
+        it("Should mint the invoice to its issuer and store its data", async function () {
+            expect(await tokenizedInvoice.ownerOf(1)).to.equal(issuer.address);
+
+            const invoice = await tokenizedInvoice.getInvoice(1);
+            expect(invoice.issuer).to.equal(issuer.address);
+            expect(invoice.beneficiary).to.equal(beneficiary.address);
+            expect(invoice.amount).to.equal(AMOUNT);
+            expect(invoice.dueDate).to.equal(dueDate);
+            expect(invoice.invoiceURI).to.equal("ipfs://invoice-1");
+            expect(invoice.status).to.equal(Status.Created);
+            expect(invoice.fundingAmount).to.equal(0);
+            expect(await tokenizedInvoice.tokenURI(1)).to.equal("ipfs://invoice-1");
+        });
+
+        it("Should number invoices from 1 and emit InvoiceCreated", async function () {
+            await expect(tokenizedInvoice.connect(other).createInvoice(beneficiary.address, AMOUNT, dueDate, "ipfs://invoice-2"))
+                .to.emit(tokenizedInvoice, "InvoiceCreated")
+                .withArgs(2, other.address, beneficiary.address, AMOUNT);
+            expect(await tokenizedInvoice.ownerOf(2)).to.equal(other.address);
+        });
+
+        it("Should reject invalid invoices", async function () {
+            await expect(
+                tokenizedInvoice.createInvoice(ethers.ZeroAddress, AMOUNT, dueDate, "")
+            ).to.be.revertedWith("Invalid beneficiary address");
+            await expect(
+                tokenizedInvoice.createInvoice(beneficiary.address, 0, dueDate, "")
+            ).to.be.revertedWith("Amount must be greater than 0");
+            await expect(
+                tokenizedInvoice.createInvoice(beneficiary.address, AMOUNT, await time.latest(), "")
+            ).to.be.revertedWith("Due date must be in the future");
+        });
+
+        it("Should revert for unknown invoices", async function () {
+            await expect(tokenizedInvoice.getInvoice(99)).to.be.revertedWith("Invoice does not exist");
+            await expect(tokenizedInvoice.tokenURI(99)).to.be.revertedWith("Token does not exist");
+            await expect(tokenizedInvoice.fundInvoice(99, AMOUNT)).to.be.revertedWith("Invoice does not exist");
+        });
+    });
+
+    describe("Status transitions", function () {
+        it("Should accumulate funding and move to Funded", async function () {
+            await expect(tokenizedInvoice.fundInvoice(1, AMOUNT / 2n))
+                .to.emit(tokenizedInvoice, "InvoiceFunded")
+                .withArgs(1, AMOUNT / 2n);
+            await tokenizedInvoice.fundInvoice(1, AMOUNT / 4n);
+
+            const invoice = await tokenizedInvoice.getInvoice(1);
+            expect(invoice.status).to.equal(Status.Funded);
+            expect(invoice.fundingAmount).to.equal((AMOUNT * 3n) / 4n);
+        });
+
+        it("Should reject funding of zero", async function () {
+            await expect(tokenizedInvoice.fundInvoice(1, 0)).to.be.revertedWith("Amount must be greater than 0");
+        });
+
+        it("Should go Funded -> Paid -> Settled", async function () {
+            await tokenizedInvoice.fundInvoice(1, AMOUNT);
+            await expect(tokenizedInvoice.markAsPaid(1)).to.emit(tokenizedInvoice, "InvoicePaid").withArgs(1);
+            await expect(tokenizedInvoice.settleInvoice(1)).to.emit(tokenizedInvoice, "InvoiceSettled").withArgs(1);
+            expect((await tokenizedInvoice.getInvoice(1)).status).to.equal(Status.Settled);
+        });
+
+        it("Should go Funded -> Defaulted -> Settled once the due date has passed", async function () {
+            await tokenizedInvoice.fundInvoice(1, AMOUNT);
+            await time.increaseTo(dueDate + 1);
+            await expect(tokenizedInvoice.markAsDefaulted(1)).to.emit(tokenizedInvoice, "InvoiceDefaulted").withArgs(1);
+            await tokenizedInvoice.settleInvoice(1);
+            expect((await tokenizedInvoice.getInvoice(1)).status).to.equal(Status.Settled);
+        });
+
+        it("Should not default an invoice before its due date", async function () {
+            await tokenizedInvoice.fundInvoice(1, AMOUNT);
+            await expect(tokenizedInvoice.markAsDefaulted(1)).to.be.revertedWith("Invoice is not yet due");
+        });
+
+        it("Should reject transitions from Created", async function () {
+            await expect(tokenizedInvoice.markAsPaid(1)).to.be.revertedWith("Invoice must be funded first");
+            await time.increaseTo(dueDate + 1);
+            await expect(tokenizedInvoice.markAsDefaulted(1)).to.be.revertedWith("Invoice must be funded first");
+            await expect(tokenizedInvoice.settleInvoice(1)).to.be.revertedWith("Invalid status");
+        });
+
+        it("Should reject settling a funded invoice", async function () {
+            await tokenizedInvoice.fundInvoice(1, AMOUNT);
+            await expect(tokenizedInvoice.settleInvoice(1)).to.be.revertedWith("Invalid status");
+        });
+
+        it("Should reject transitions out of Paid other than settlement", async function () {
+            await tokenizedInvoice.fundInvoice(1, AMOUNT);
+            await tokenizedInvoice.markAsPaid(1);
+            await expect(tokenizedInvoice.fundInvoice(1, AMOUNT)).to.be.revertedWith("Invalid status");
+            await expect(tokenizedInvoice.markAsPaid(1)).to.be.revertedWith("Invoice must be funded first");
+            await time.increaseTo(dueDate + 1);
+            await expect(tokenizedInvoice.markAsDefaulted(1)).to.be.revertedWith("Invoice must be funded first");
+        });
+
+        it("Should reject every transition out of Settled", async function () {
+            await tokenizedInvoice.fundInvoice(1, AMOUNT);
+            await tokenizedInvoice.markAsPaid(1);
+            await tokenizedInvoice.settleInvoice(1);
+            await expect(tokenizedInvoice.fundInvoice(1, AMOUNT)).to.be.revertedWith("Invalid status");
+            await expect(tokenizedInvoice.markAsPaid(1)).to.be.revertedWith("Invoice must be funded first");
+            await expect(tokenizedInvoice.settleInvoice(1)).to.be.revertedWith("Invalid status");
+        });
+
+        it("Should only let the owner move invoices", async function () {
+            const notOwner = "Ownable: caller is not the owner";
+            await expect(tokenizedInvoice.connect(issuer).fundInvoice(1, AMOUNT)).to.be.revertedWith(notOwner);
+            await tokenizedInvoice.fundInvoice(1, AMOUNT);
+            await expect(tokenizedInvoice.connect(issuer).markAsPaid(1)).to.be.revertedWith(notOwner);
+            await expect(tokenizedInvoice.connect(issuer).markAsDefaulted(1)).to.be.revertedWith(notOwner);
+            await expect(tokenizedInvoice.connect(issuer).settleInvoice(1)).to.be.revertedWith(notOwner);
+        });
+    });
+
+    describe("Transfer restrictions", function () {
+        const transfer = () => tokenizedInvoice.connect(issuer).transferFrom(issuer.address, other.address, 1);
+
+        it("Should allow transfers of a created invoice", async function () {
+            await transfer();
+            expect(await tokenizedInvoice.ownerOf(1)).to.equal(other.address);
+        });
+
+        it("Should block transfers of a funded invoice", async function () {
+            await tokenizedInvoice.fundInvoice(1, AMOUNT);
+            await expect(transfer()).to.be.revertedWith("Cannot transfer invoice in current state");
+        });
+
+        it("Should block transfers of a paid invoice", async function () {
+            await tokenizedInvoice.fundInvoice(1, AMOUNT);
+            await tokenizedInvoice.markAsPaid(1);
+            await expect(transfer()).to.be.revertedWith("Cannot transfer invoice in current state");
+        });
+
+        it("Should block transfers of a defaulted invoice", async function () {
+            await tokenizedInvoice.fundInvoice(1, AMOUNT);
+            await time.increaseTo(dueDate + 1);
+            await tokenizedInvoice.markAsDefaulted(1);
+            await expect(transfer()).to.be.revertedWith("Cannot transfer invoice in current state");
+        });
+
+        it("Should allow transfers again once settled", async function () {
+            await tokenizedInvoice.fundInvoice(1, AMOUNT);
+            await tokenizedInvoice.markAsPaid(1);
+            await tokenizedInvoice.settleInvoice(1);
+            await transfer();
+            expect(await tokenizedInvoice.ownerOf(1)).to.equal(other.address);
+        });
+    });
+});
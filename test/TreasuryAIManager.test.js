@@ -1,5 +1,6 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
+const { deployContract, deployTreasuryAIManager } = require("./fixtures");
 
 describe("TreasuryAIManager", function () {
     let treasuryAIManager;
@@ -14,18 +15,11 @@ describe("TreasuryAIManager", function () {
         user = userAccount;
         aiOperator = aiOperatorAccount;
 
-        // Deploy TreasuryAIManager
-        const TreasuryAIManager = await ethers.getContractFactory("TreasuryAIManager");
-        treasuryAIManager = await TreasuryAIManager.deploy();
-        await treasuryAIManager.waitForDeployment();
+        // Deploy TreasuryAIManager with the AI operator as its service layer
+        ({ treasuryAIManager } = await deployTreasuryAIManager({ serviceLayer: aiOperator }));
         
-        // Deploy a mock strategy
-        const MockStrategy = await ethers.getContractFactory("MockAaveVault");
-        mockStrategy = await MockStrategy.deploy(treasuryAIManager.target);
-        await mockStrategy.waitForDeployment();
-        
-        // Set the service layer
-        await treasuryAIManager.setServiceLayer(await aiOperator.getAddress(), true);
+        // Deploy a mock strategy, not supported yet
+        mockStrategy = await deployContract("MockAaveVault", [treasuryAIManager.target]);
         
         return { treasuryAIManager, mockStrategy, owner, user, aiOperator };
     }
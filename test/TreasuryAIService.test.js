@@ -0,0 +1,203 @@
+const { expect } = require("chai");
+const { time, loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployContract, deployToken, treasuryAIManagerFixture } = require("./fixtures");
+const { loadPolicy } = require("../scripts/service/policies");
+const { createSubmitter } = require("../scripts/service/submitter");
+const { createDecisionService } = require("../scripts/service/decisionService");
+
+describe("Treasury service layer", function () {
+    const quiet = () => {};
+
+    let treasuryAIManager;
+    let strategies;
+    let serviceLayer;
+    let owner;
+    let users;
+    let wbtc;
+    let priceFeed;
+
+    async function deployServiceFixture() {
+        const deployment = await treasuryAIManagerFixture();
+        const wbtc = await deployToken("WBTC");
+        const priceFeed = await deployContract("MockAggregatorV3");
+        await deployment.treasuryAIManager.setPriceFeed(await wbtc.getAddress(), await priceFeed.getAddress());
+        return { ...deployment, wbtc, priceFeed };
+    }
+
+    beforeEach(async function () {
+        ({ treasuryAIManager, strategies, serviceLayer, owner, users, wbtc, priceFeed } =
+            await loadFixture(deployServiceFixture));
+    });
+
+    function createService(options = {}) {
+        return createDecisionService({
+            manager: treasuryAIManager,
+            policy: loadPolicy("rule-based"),
+            submitter: createSubmitter(treasuryAIManager, serviceLayer, { retryDelayMs: 0, log: quiet }),
+            tokens: [wbtc.target],
+            log: quiet,
+            ...options
+        });
+    }
+
+    // An hour later, with a new WBTC price (8 decimals), returns the ids of the decisions made
+    async function upkeep(price = 100000000n) {
+        await time.increase(60 * 60);
+        await priceFeed.setLatestAnswer(price);
+        const receipt = await (await treasuryAIManager.performUpkeep("0x")).wait();
+        return receipt.logs
+            .map((log) => treasuryAIManager.interface.parseLog(log))
+            .filter((event) => event && event.name === "StrategyDecisionMade")
+            .map((event) => event.args.decisionId);
+    }
+
+    describe("Setup", function () {
+        it("Should accept the service layer signer", async function () {
+            await createService().checkSetup();
+        });
+
+        it("Should refuse a signer that is not the service layer", async function () {
+            const service = createService({
+                submitter: createSubmitter(treasuryAIManager, users[1], { log: quiet })
+            });
+            await expect(service.checkSetup()).to.be.rejectedWith("is not the service layer");
+        });
+    });
+
+    describe("Processing decisions", function () {
+        it("Should process every decision of an upkeep with the rule-based policy", async function () {
+            const decisionIds = await upkeep();
+            expect(decisionIds).to.have.length(2);
+
+            const results = await createService().processPending();
+            expect(results.map((result) => result.status)).to.deep.equal(["processed", "processed"]);
+
+            for (const [index, strategy] of strategies.entries()) {
+                expect(await treasuryAIManager.processedDecisions(decisionIds[index])).to.be.true;
+                const decision = await treasuryAIManager.getLatestDecision(strategy.target);
+                // No volatility measured yet, one step up from the base allocation
+                expect(decision.allocation).to.equal(6000);
+                expect(decision.reason).to.equal("Low volatility (0 bps), 5000 -> 6000 bps");
+            }
+        });
+
+        it("Should step each strategy from its previous allocation", async function () {
+            const service = createService();
+            await upkeep();
+            await service.processPending();
+            await upkeep();
+            await service.processPending();
+
+            expect(service.allocations[strategies[0].target]).to.equal(7000);
+            expect((await treasuryAIManager.getLatestDecision(strategies[0].target)).allocation).to.equal(7000);
+            expect(service.stats).to.deep.equal({ processed: 4, alreadyProcessed: 0, skipped: 0 });
+        });
+
+        it("Should lower allocations when prices swing", async function () {
+            const service = createService();
+            for (const price of [100000000n, 150000000n, 80000000n]) {
+                await upkeep(price);
+                await service.processPending();
+            }
+            // Returns of +50% and -46.67%: 4833 bps of volatility, one step down from 7000
+            const decision = await treasuryAIManager.getLatestDecision(strategies[0].target);
+            expect(decision.allocation).to.equal(6000);
+            expect(decision.reason).to.equal("High volatility (4833 bps), 7000 -> 6000 bps");
+        });
+
+        it("Should only handle new events on later polls", async function () {
+            const service = createService();
+            await upkeep();
+            await service.processPending();
+            expect(await service.processPending()).to.deep.equal([]);
+        });
+
+        it("Should skip decisions processed by someone else", async function () {
+            const [decisionId] = await upkeep();
+            await treasuryAIManager
+                .connect(serviceLayer)
+                ["processDecision(bytes32,address,uint256,string)"](decisionId, strategies[0].target, 1000, "manual");
+
+            const service = createService();
+            const results = await service.processPending();
+            expect(results[0].status).to.equal("already-processed");
+            expect(results[1].status).to.equal("processed");
+            expect((await treasuryAIManager.getLatestDecision(strategies[0].target)).reason).to.equal("manual");
+        });
+
+        it("Should skip decisions the contract rejects", async function () {
+            await upkeep();
+            await treasuryAIManager.setSupportedStrategy(strategies[0].target, false);
+
+            const service = createService();
+            const results = await service.processPending();
+            expect(results[0]).to.include({ status: "skipped", revert: "Strategy not supported" });
+            expect(results[1].status).to.equal("processed");
+            expect(service.stats.skipped).to.equal(1);
+        });
+
+        it("Should stop on a policy returning an invalid allocation", async function () {
+            await upkeep();
+            const service = createService({ policy: loadPolicy("fixed", { allocation: 10001 }) });
+            await expect(service.processPending()).to.be.rejectedWith("invalid allocation 10001");
+        });
+
+        it("Should retry the decisions left by a failed submission on the next poll", async function () {
+            const third = await deployContract("MockAaveVault", [treasuryAIManager.target]);
+            await treasuryAIManager.setSupportedStrategy(third.target, true);
+            const decisionIds = await upkeep();
+            expect(decisionIds).to.have.length(3);
+
+            // The second submission fails once, after its retries
+            const submitter = createSubmitter(treasuryAIManager, serviceLayer, { retryDelayMs: 0, log: quiet });
+            let submissions = 0;
+            const service = createService({
+                submitter: {
+                    signer: submitter.signer,
+                    submit: async (decision) => {
+                        if (++submissions === 2) {
+                            throw new Error("RPC unavailable");
+                        }
+                        return submitter.submit(decision);
+                    }
+                }
+            });
+
+            await expect(service.processPending()).to.be.rejectedWith("RPC unavailable");
+            expect(await treasuryAIManager.processedDecisions(decisionIds[0])).to.be.true;
+            expect(await treasuryAIManager.processedDecisions(decisionIds[1])).to.be.false;
+
+            const results = await service.processPending();
+            expect(results.map((result) => result.status)).to.deep.equal(["already-processed", "processed", "processed"]);
+            for (const decisionId of decisionIds) {
+                expect(await treasuryAIManager.processedDecisions(decisionId)).to.be.true;
+            }
+            expect(service.stats).to.deep.equal({ processed: 3, alreadyProcessed: 1, skipped: 0 });
+        });
+    });
+
+    describe("Submission", function () {
+        it("Should resynchronize its nonce after a transaction sent outside the service", async function () {
+            const [first, second] = await upkeep();
+            const submitter = createSubmitter(treasuryAIManager, serviceLayer, { retryDelayMs: 0, log: quiet });
+            const submit = (decisionId, strategy) =>
+                submitter.submit({ decisionId, strategy: strategy.target, allocation: 5000, reason: "test" });
+
+            expect((await submit(first, strategies[0])).status).to.equal("processed");
+            // Takes the nonce the submitter expects to use next
+            await serviceLayer.sendTransaction({ to: owner.address, value: 1 });
+
+            const result = await submit(second, strategies[1]);
+            expect(result.status).to.equal("processed");
+            expect(result.attempts).to.equal(2);
+        });
+
+        it("Should fail when processDecision rejects the signer", async function () {
+            const [decisionId] = await upkeep();
+            const submitter = createSubmitter(treasuryAIManager, users[1], { log: quiet });
+            await expect(
+                submitter.submit({ decisionId, strategy: strategies[0].target, allocation: 5000, reason: "" })
+            ).to.be.rejectedWith("Only service layer");
+        });
+    });
+});
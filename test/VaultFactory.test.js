@@ -1,6 +1,7 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
 const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployToken, deployAaveMarket, deployVaultFactory } = require("./fixtures");
 
 describe("VaultFactory", function () {
     let vaultFactory;
@@ -16,50 +17,15 @@ describe("VaultFactory", function () {
         const [owner, user] = await ethers.getSigners();
 
         // Deploy mock contracts
-        const MockERC20 = await ethers.getContractFactory("MockERC20");
-        mockToken = await MockERC20.deploy("Mock Token", "MTK", 18);
-        await mockToken.waitForDeployment();
+        ({ underlying: mockToken, aToken: mockAToken, pool: mockPool, priceFeed: mockAggregator } =
+            await deployAaveMarket({
+                underlying: await deployToken("MTK", { name: "Mock Token" }),
+                aToken: await deployToken("aMTK", { name: "Mock aToken" })
+            }));
 
-        mockAToken = await MockERC20.deploy("Mock aToken", "aMTK", 18);
-        await mockAToken.waitForDeployment();
-
-        const MockAavePool = await ethers.getContractFactory("MockAavePool");
-        mockPool = await MockAavePool.deploy();
-        await mockPool.waitForDeployment();
-        
-        // Set the aToken address in the mock pool
-        await mockPool.setAToken(await mockAToken.getAddress());
-
-        const MockAggregatorV3 = await ethers.getContractFactory("MockAggregatorV3");
-        mockAggregator = await MockAggregatorV3.deploy();
-        await mockAggregator.waitForDeployment();
-
-        // Deploy TreasuryAIManager mock
-        const MockTreasuryAIManager = await ethers.getContractFactory("MockTreasuryAIManager");
-        treasuryAIManager = await MockTreasuryAIManager.deploy();
-        await treasuryAIManager.waitForDeployment();
-
-        // Deploy VaultFactory
-        const VaultFactory = await ethers.getContractFactory("VaultFactory");
-        vaultFactory = await VaultFactory.deploy();
-        await vaultFactory.waitForDeployment();
-        
-        // Initialize the VaultFactory with the owner's address
-        await vaultFactory.initialize(owner.address);
-        
-        // Set the treasury AI manager address
-        await vaultFactory.connect(owner).setTreasuryAIManager(await treasuryAIManager.getAddress());
-        
-        // Deploy mock vault implementations
-        const MockVault = await ethers.getContractFactory("MockAaveVault");
-        // Use the treasuryAIManager address as the constructor argument
-        const mockVaultImpl = await MockVault.deploy(await treasuryAIManager.getAddress());
-        await mockVaultImpl.waitForDeployment();
-        
-        // Set vault implementations
-        await vaultFactory.setVaultImplementation("aave", await mockVaultImpl.getAddress());
-        await vaultFactory.setVaultImplementation("curve", await mockVaultImpl.getAddress());
-        await vaultFactory.setVaultImplementation("rwa", await mockVaultImpl.getAddress());
+        // Deploy VaultFactory behind its proxy, initialized with a TreasuryAIManager mock and
+        // a MockAaveVault implementation for the aave, curve and rwa vault types
+        ({ vaultFactory, treasuryAIManager } = await deployVaultFactory());
 
         return { 
             vaultFactory, 
@@ -1,6 +1,7 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
 const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployContract, deployToken, fundAccounts } = require("./fixtures");
 
 describe("VaultManager", function () {
     let vaultManager;
@@ -13,21 +14,12 @@ describe("VaultManager", function () {
     async function deployVaultManagerFixture() {
         const [owner, user1, user2] = await ethers.getSigners();
 
-        // Deploy mock token
-        const MockERC20 = await ethers.getContractFactory("MockERC20");
-        mockToken = await MockERC20.deploy("Mock Token", "MTK", 18);
-        await mockToken.waitForDeployment();
-
-        // Deploy mock strategy (using MockAaveVault as a strategy for testing)
-        const MockStrategy = await ethers.getContractFactory("MockAaveVault");
+        // Deploy mock token and strategy (using MockAaveVault as a strategy for testing)
+        mockToken = await deployToken("MTK", { name: "Mock Token" });
         // Use address(1) as the treasuryAIManager for testing
-        mockStrategy = await MockStrategy.deploy("0x0000000000000000000000000000000000000001");
-        await mockStrategy.waitForDeployment();
+        mockStrategy = await deployContract("MockAaveVault", ["0x0000000000000000000000000000000000000001"]);
 
-        // Deploy VaultManager
-        const VaultManager = await ethers.getContractFactory("VaultManager");
-        const vaultManager = await VaultManager.deploy();
-        await vaultManager.waitForDeployment();
+        const vaultManager = await deployContract("VaultManager");
         
         // Create a vault for testing - this will also mark the token as supported
         const vaultId = await mockStrategy.getAddress();
@@ -37,9 +29,7 @@ describe("VaultManager", function () {
         );
 
         // Mint tokens to users
-        const amount = ethers.parseEther("1000");
-        await mockToken.mint(await user1.getAddress(), amount);
-        await mockToken.mint(await user2.getAddress(), amount);
+        await fundAccounts(mockToken, [user1, user2], ethers.parseEther("1000"));
 
         return { vaultManager, mockToken, mockStrategy, owner, user1, user2 };
     }
@@ -0,0 +1,74 @@
+const { deployContract } = require("./deploy");
+const { deployToken, decimalsOf } = require("./tokens");
+
+// Two Aave pool mocks back the two Aave integrations:
+//   MockAavePool  ISimpleAavePool of AaveVault, pulls the underlying and mints/burns the aToken
+//   AavePoolMock  IPool of AaveStrategy (LSTBTCVault), receives the underlying from the strategy
+//                 and takes the aToken back on withdrawal
+// Both mint the aToken through mint(address,uint256), which MockERC20 implements.
+
+/**
+ * @notice Deploy an Aave market for AaveVault: underlying, aToken, MockAavePool and a price feed
+ * @param {Object} [options]
+ * @param {Object} [options.underlying] MockERC20, a new USDC by default
+ * @param {Object} [options.aToken] MockERC20, a new a<symbol> with the decimals of the underlying
+ *   by default
+ */
+async function deployAaveMarket({ underlying, aToken } = {}) {
+  underlying = underlying || (await deployToken("USDC"));
+  if (!aToken) {
+    const symbol = await underlying.symbol();
+    aToken = await deployToken(`a${symbol}`, { decimals: Number(await underlying.decimals()) });
+  }
+  const pool = await deployContract("MockAavePool");
+  await pool.setAToken(await aToken.getAddress());
+  const priceFeed = await deployContract("MockAggregatorV3");
+  return { underlying, aToken, pool, priceFeed };
+}
+
+/**
+ * @notice Deploy AaveVault on a market of deployAaveMarket (a new one by default)
+ * @return {Promise<Object>} The market plus `aaveVault`
+ */
+async function deployAaveVault(market) {
+  market = market || (await deployAaveMarket());
+  const aaveVault = await deployContract("AaveVault", [
+    await market.underlying.getAddress(),
+    await market.aToken.getAddress(),
+    await market.pool.getAddress(),
+    await market.priceFeed.getAddress()
+  ]);
+  return { ...market, aaveVault };
+}
+
+/**
+ * @notice Deploy LSTBTCVault over AaveStrategy and AavePoolMock
+ * @param {Object} [options]
+ * @param {Object} [options.wbtc] MockERC20, a new 8 decimals WBTC by default
+ * @param {Object} [options.aWbtc] MockERC20, a new 8 decimals aWBTC by default
+ * @param {bigint} [options.liquidity=0n] WBTC minted to the pool up front, on top of what the
+ *   strategy stakes
+ * @return {Promise<Object>} wbtc, aWbtc, aavePool, strategy and vault
+ */
+async function deployLstBtcVault({ wbtc, aWbtc, liquidity = 0n } = {}) {
+  wbtc = wbtc || (await deployToken("WBTC"));
+  aWbtc = aWbtc || (await deployToken("aWBTC", { decimals: decimalsOf("WBTC") }));
+  const aavePool = await deployContract("AavePoolMock", [await wbtc.getAddress(), await aWbtc.getAddress()]);
+  const strategy = await deployContract("AaveStrategy", [
+    await wbtc.getAddress(),
+    await aWbtc.getAddress(),
+    await aavePool.getAddress()
+  ]);
+  const vault = await deployContract("LSTBTCVault", [await wbtc.getAddress(), await strategy.getAddress()]);
+  await strategy.setVault(await vault.getAddress());
+  if (liquidity > 0n) {
+    await wbtc.mint(await aavePool.getAddress(), liquidity);
+  }
+  return { wbtc, aWbtc, aavePool, strategy, vault };
+}
+
+module.exports = {
+  deployAaveMarket,
+  deployAaveVault,
+  deployLstBtcVault
+};
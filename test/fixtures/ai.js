@@ -0,0 +1,29 @@
+const { deployContract } = require("./deploy");
+
+/**
+ * @notice Deploy TreasuryAIManager with its service layer and mock strategies
+ * @param {Object} [options]
+ * @param {Object} [options.serviceLayer] Signer allowed to process decisions, none by default
+ * @param {number} [options.strategies=0] MockAaveVault strategies to deploy and support
+ * @param {boolean} [options.mock=false] Deploy MockTreasuryAIManager, whose upkeep and
+ *   allocations are set by the test
+ * @return {Promise<Object>} treasuryAIManager and strategies
+ */
+async function deployTreasuryAIManager({ serviceLayer, strategies = 0, mock = false } = {}) {
+  const treasuryAIManager = await deployContract(mock ? "MockTreasuryAIManager" : "TreasuryAIManager");
+  if (serviceLayer) {
+    await treasuryAIManager.setServiceLayer(serviceLayer.address, true);
+  }
+
+  const deployed = [];
+  for (let index = 0; index < strategies; index++) {
+    const strategy = await deployContract("MockAaveVault", [await treasuryAIManager.getAddress()]);
+    await treasuryAIManager.setSupportedStrategy(await strategy.getAddress(), true);
+    deployed.push(strategy);
+  }
+  return { treasuryAIManager, strategies: deployed };
+}
+
+module.exports = {
+  deployTreasuryAIManager
+};
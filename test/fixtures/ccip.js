@@ -0,0 +1,46 @@
+const { ethers } = require("hardhat");
+const { getChain } = require("../../config/addressBook");
+const { deployContract } = require("./deploy");
+const { deployToken } = require("./tokens");
+
+// CCIP selector used as the destination when a fixture is not given one
+const DEFAULT_CHAIN_SELECTOR = getChain("fuji").ccip.chainSelector;
+
+/**
+ * @notice Deploy CrossChainRouter on MockRouter, paying its fees in a mock LINK
+ * @param {Object} [options]
+ * @param {Object} [options.link] MockERC20 fee token, a new LINK by default
+ * @param {Object[]} [options.tokens] MockERC20 tokens to support, a new 18 decimals CCIP-BnM by
+ *   default
+ * @param {Array<bigint|number>} [options.chains] Destination selectors to support
+ * @param {bigint} [options.linkBalance] LINK minted to the router for fees
+ * @return {Promise<Object>} ccipRouter (MockRouter), router (CrossChainRouter), link, tokens and
+ *   chains
+ */
+async function deployCrossChain({
+  link,
+  tokens,
+  chains = [DEFAULT_CHAIN_SELECTOR],
+  linkBalance = ethers.parseEther("1000")
+} = {}) {
+  link = link || (await deployToken("LINK"));
+  tokens = tokens || [await deployToken("CCIP-BnM")];
+  const ccipRouter = await deployContract("MockRouter");
+  const router = await deployContract("CrossChainRouter", [await ccipRouter.getAddress(), await link.getAddress()]);
+
+  for (const chain of chains) {
+    await router.setSupportedChain(chain, true);
+  }
+  for (const token of tokens) {
+    await router.setSupportedToken(await token.getAddress(), true);
+  }
+  if (linkBalance > 0n) {
+    await link.mint(await router.getAddress(), linkBalance);
+  }
+  return { ccipRouter, router, link, tokens, chains };
+}
+
+module.exports = {
+  DEFAULT_CHAIN_SELECTOR,
+  deployCrossChain
+};
@@ -0,0 +1,48 @@
+const { ethers, upgrades } = require("hardhat");
+
+/**
+ * @notice Deploy a contract and wait for it
+ * @param {string} name Contract name
+ * @param {Array} [args] Constructor arguments
+ * @param {Object} [signer] Deployer, the first account by default
+ */
+async function deployContract(name, args = [], signer) {
+  const factory = await ethers.getContractFactory(name, signer);
+  const contract = await factory.deploy(...args);
+  await contract.waitForDeployment();
+  return contract;
+}
+
+/**
+ * @notice Deploy a contract behind a proxy with the upgrades plugin
+ * @param {string} name Contract name
+ * @param {Array} args Initializer arguments
+ * @param {Object} [options] Options of upgrades.deployProxy (kind, initializer...)
+ */
+async function deployProxy(name, args, options = {}) {
+  const contract = await upgrades.deployProxy(await ethers.getContractFactory(name), args, options);
+  await contract.waitForDeployment();
+  return contract;
+}
+
+/**
+ * @notice Arguments of the first event `name` emitted in a transaction
+ * @param {Object} contract Contract emitting the event
+ * @param {Object} transaction Pending transaction or receipt
+ */
+async function eventArgs(contract, transaction, name) {
+  const receipt = typeof transaction.wait === "function" ? await transaction.wait() : transaction;
+  for (const log of receipt.logs) {
+    const parsed = contract.interface.parseLog(log);
+    if (parsed && parsed.name === name) {
+      return parsed.args;
+    }
+  }
+  throw new Error(`No ${name} event in transaction ${receipt.hash}`);
+}
+
+module.exports = {
+  deployContract,
+  deployProxy,
+  eventArgs
+};
@@ -0,0 +1,70 @@
+const { deployContract, deployProxy } = require("./deploy");
+const { deployToken } = require("./tokens");
+const { deployTreasuryAIManager } = require("./ai");
+
+// Vault types VaultFactory gets a MockAaveVault implementation for when none is given
+const VAULT_TYPES = ["aave", "curve", "rwa"];
+
+/**
+ * @notice Deploy VaultFactory behind a transparent proxy, as the deployment modules do
+ * @param {Object} [options]
+ * @param {Object} [options.treasuryAIManager] A new MockTreasuryAIManager by default
+ * @param {Object<string, Object>} [options.implementations] Vault type => implementation, a
+ *   MockAaveVault for each of VAULT_TYPES by default
+ * @return {Promise<Object>} vaultFactory, treasuryAIManager and implementations
+ */
+async function deployVaultFactory({ treasuryAIManager, implementations } = {}) {
+  treasuryAIManager = treasuryAIManager || (await deployTreasuryAIManager({ mock: true })).treasuryAIManager;
+  const vaultFactory = await deployProxy("VaultFactory", [await treasuryAIManager.getAddress()], {
+    kind: "transparent"
+  });
+
+  if (!implementations) {
+    const implementation = await deployContract("MockAaveVault", [await treasuryAIManager.getAddress()]);
+    implementations = Object.fromEntries(VAULT_TYPES.map((vaultType) => [vaultType, implementation]));
+  }
+  for (const [vaultType, implementation] of Object.entries(implementations)) {
+    await vaultFactory.setVaultImplementation(vaultType, await implementation.getAddress());
+  }
+  return { vaultFactory, treasuryAIManager, implementations };
+}
+
+/**
+ * @notice Deploy AssetFactory behind a UUPS proxy with its three templates
+ * @param {Object} owner Signer owning the factory and receiving its fees
+ * @param {Object} [options]
+ * @param {Object} [options.underlying] MockERC20 of the ERC20VaultToken template, a new USDC by
+ *   default
+ * @return {Promise<Object>} assetFactory, templates and underlying
+ */
+async function deployAssetFactory(owner, { underlying } = {}) {
+  underlying = underlying || (await deployToken("USDC"));
+  const templates = {
+    erc20: await deployContract("ERC20VaultToken", [
+      "Vault Token Template",
+      "VTT",
+      await underlying.getAddress(),
+      { depositFeeBasisPoints: 0, withdrawalFeeBasisPoints: 0, performanceFeeBasisPoints: 0 },
+      owner.address
+    ]),
+    erc721: await deployContract("ERC721CollateralNFT"),
+    erc1155: await deployContract("ERC1155HybridAsset")
+  };
+  const assetFactory = await deployProxy(
+    "AssetFactory",
+    [
+      await templates.erc20.getAddress(),
+      await templates.erc721.getAddress(),
+      await templates.erc1155.getAddress(),
+      owner.address
+    ],
+    { kind: "uups" }
+  );
+  return { assetFactory, templates, underlying };
+}
+
+module.exports = {
+  VAULT_TYPES,
+  deployVaultFactory,
+  deployAssetFactory
+};
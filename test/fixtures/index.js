@@ -0,0 +1,157 @@
+// Shared fixtures of the protocol's tests and simulations.
+//
+// The builders (deployToken, deployAaveVault, deployCrossChain...) deploy one part of the
+// protocol on mocks and take the parts it depends on as options, so they compose:
+//
+//   async function routerWithUsdcFixture() {
+//     const { USDC, LINK } = await deployTokens(["USDC", "LINK"]);
+//     return deployCrossChain({ link: LINK, tokens: [USDC] });
+//   }
+//   const { router } = await loadFixture(routerWithUsdcFixture);
+//
+// loadFixture snapshots the chain the first time a fixture runs and reverts to it afterwards. It
+// tells fixtures apart by function identity, so pass it a named function declared once, like the
+// ready-made fixtures below, never an arrow function built in a beforeEach.
+
+const { ethers } = require("hardhat");
+const { deployContract, deployProxy, eventArgs } = require("./deploy");
+const { DECIMALS, decimalsOf, deployToken, deployTokens, fundAccounts } = require("./tokens");
+const { deployAaveMarket, deployAaveVault, deployLstBtcVault } = require("./aave");
+const { DEFAULT_CHAIN_SELECTOR, deployCrossChain } = require("./ccip");
+const { deployTreasuryAIManager } = require("./ai");
+const { deployInvoiceRegistry, createInvoice, fundInvoice, deployInvoiceVault } = require("./invoices");
+const { VAULT_TYPES, deployVaultFactory, deployAssetFactory } = require("./factories");
+
+// Balance of every user account in the fixtures below, in whole tokens
+const USER_BALANCE = "1000000";
+
+async function accounts() {
+  const [owner, ...users] = await ethers.getSigners();
+  return { owner, users };
+}
+
+/**
+ * @notice USDC, WBTC and LINK, with USER_BALANCE of each minted to the first three users
+ */
+async function tokensFixture() {
+  const { owner, users } = await accounts();
+  const tokens = await deployTokens(["USDC", "WBTC", "LINK"]);
+  for (const [symbol, token] of Object.entries(tokens)) {
+    await fundAccounts(token, users.slice(0, 3), ethers.parseUnits(USER_BALANCE, decimalsOf(symbol)));
+  }
+  return { tokens, owner, users };
+}
+
+/**
+ * @notice AaveVault on a USDC market
+ */
+async function aaveVaultFixture() {
+  return { ...(await deployAaveVault()), ...(await accounts()) };
+}
+
+/**
+ * @notice LSTBTCVault over AaveStrategy, with WBTC minted to the first three users and the
+ * vault approved for it
+ */
+async function lstBtcVaultFixture() {
+  const { owner, users } = await accounts();
+  const deployment = await deployLstBtcVault();
+  await fundAccounts(deployment.wbtc, users.slice(0, 3), ethers.parseUnits(USER_BALANCE, DECIMALS.WBTC), [
+    deployment.vault
+  ]);
+  return { ...deployment, owner, users };
+}
+
+/**
+ * @notice CrossChainRouter sending a CCIP-BnM token to DEFAULT_CHAIN_SELECTOR, with the token
+ * minted to the first user and the router approved for it
+ */
+async function crossChainFixture() {
+  const { owner, users } = await accounts();
+  const deployment = await deployCrossChain();
+  await fundAccounts(deployment.tokens[0], users.slice(0, 1), ethers.parseEther(USER_BALANCE), [deployment.router]);
+  return { ...deployment, owner, users };
+}
+
+/**
+ * @notice TreasuryAIManager with two supported strategies, the first user as its service layer
+ */
+async function treasuryAIManagerFixture() {
+  const { owner, users } = await accounts();
+  const deployment = await deployTreasuryAIManager({ serviceLayer: users[0], strategies: 2 });
+  return { ...deployment, serviceLayer: users[0], owner, users };
+}
+
+/**
+ * @notice InvoiceRegistry paid in USDC, with one invoice payable to the first user
+ */
+async function invoiceRegistryFixture() {
+  const { owner, users } = await accounts();
+  const deployment = await deployInvoiceRegistry();
+  const amount = ethers.parseUnits("100000", DECIMALS.USDC);
+  const invoice = await createInvoice(deployment.registry, { beneficiary: users[0].address, amount });
+  return { ...deployment, invoice: { ...invoice, amount }, owner, users };
+}
+
+/**
+ * @notice VaultFactory with MockAaveVault implementations and AssetFactory with its templates
+ */
+async function factoriesFixture() {
+  const { owner, users } = await accounts();
+  return { ...(await deployVaultFactory()), ...(await deployAssetFactory(owner)), owner, users };
+}
+
+/**
+ * @notice Every part of the protocol on one set of tokens
+ */
+async function protocolFixture() {
+  const { owner, users } = await accounts();
+  const tokens = await deployTokens(["USDC", "WBTC", "LINK"]);
+  const ai = await deployTreasuryAIManager({ serviceLayer: users[0], strategies: 2 });
+  return {
+    tokens,
+    aave: await deployAaveVault(await deployAaveMarket({ underlying: tokens.USDC })),
+    lstBtc: await deployLstBtcVault({ wbtc: tokens.WBTC }),
+    crossChain: await deployCrossChain({ link: tokens.LINK, tokens: [tokens.USDC, tokens.WBTC] }),
+    ai,
+    invoices: await deployInvoiceRegistry({ paymentToken: tokens.USDC }),
+    vaultFactory: await deployVaultFactory({ treasuryAIManager: ai.treasuryAIManager }),
+    assetFactory: await deployAssetFactory(owner, { underlying: tokens.USDC }),
+    owner,
+    users
+  };
+}
+
+module.exports = {
+  // Builders
+  deployContract,
+  deployProxy,
+  eventArgs,
+  DECIMALS,
+  decimalsOf,
+  deployToken,
+  deployTokens,
+  fundAccounts,
+  deployAaveMarket,
+  deployAaveVault,
+  deployLstBtcVault,
+  DEFAULT_CHAIN_SELECTOR,
+  deployCrossChain,
+  deployTreasuryAIManager,
+  deployInvoiceRegistry,
+  createInvoice,
+  fundInvoice,
+  deployInvoiceVault,
+  VAULT_TYPES,
+  deployVaultFactory,
+  deployAssetFactory,
+  // loadFixture fixtures
+  tokensFixture,
+  aaveVaultFixture,
+  lstBtcVaultFixture,
+  crossChainFixture,
+  treasuryAIManagerFixture,
+  invoiceRegistryFixture,
+  factoriesFixture,
+  protocolFixture
+};
@@ -0,0 +1,94 @@
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployContract, eventArgs } = require("./deploy");
+const { deployToken } = require("./tokens");
+
+/**
+ * @notice Deploy InvoiceRegistry and hand it its TokenizedInvoice, which it has to own to fund
+ * invoices
+ * @param {Object} [options]
+ * @param {Object} [options.paymentToken] MockERC20 the invoices are paid in, a new USDC by default
+ * @return {Promise<Object>} registry, tokenizedInvoice and paymentToken
+ */
+async function deployInvoiceRegistry({ paymentToken } = {}) {
+  paymentToken = paymentToken || (await deployToken("USDC"));
+  const registry = await deployContract("InvoiceRegistry");
+  const tokenizedInvoice = await ethers.getContractAt("TokenizedInvoice", await registry.tokenizedInvoice());
+  await tokenizedInvoice.transferOwnership(await registry.getAddress());
+  return { registry, tokenizedInvoice, paymentToken };
+}
+
+/**
+ * @notice Tokenize an invoice
+ * @param {Object} registry InvoiceRegistry
+ * @param {Object} options
+ * @param {string} options.beneficiary Address paid by the invoice
+ * @param {bigint} options.amount Face value
+ * @param {number} [options.term=90 days] Seconds from now to the due date
+ * @param {string} [options.uri]
+ * @return {Promise<Object>} tokenId and dueDate
+ */
+async function createInvoice(registry, { beneficiary, amount, term = 90 * 24 * 60 * 60, uri = "ipfs://invoice" }) {
+  const dueDate = (await time.latest()) + term;
+  const { tokenId } = await eventArgs(
+    registry,
+    await registry.createInvoice(beneficiary, amount, dueDate, uri),
+    "InvoiceCreated"
+  );
+  return { tokenId, dueDate };
+}
+
+/**
+ * @notice Fund an invoice, which deploys its RWAInvoiceVaultSimple
+ * @param {Object} registry InvoiceRegistry, called by its owner
+ * @param {bigint} tokenId
+ * @param {Object} options
+ * @param {bigint} options.amount Funding amount
+ * @param {Object} options.paymentToken Token the vault raises
+ * @return {Promise<Object>} The invoice vault
+ */
+async function fundInvoice(registry, tokenId, { amount, paymentToken }) {
+  const { vault } = await eventArgs(
+    registry,
+    await registry.fundInvoice(tokenId, ethers.ZeroAddress, amount, await paymentToken.getAddress()),
+    "InvoiceFunded"
+  );
+  return ethers.getContractAt("RWAInvoiceVaultSimple", vault);
+}
+
+/**
+ * @notice Deploy and configure a standalone RWAInvoiceVault, reporting to a
+ * MockRWATreasuryManager and a MockInvoiceNFT registry
+ * @param {Object} [options]
+ * @param {Object} [options.paymentToken] MockERC20 raised by the vault, a new USDC by default
+ * @param {bigint} [options.fundingTarget] 100,000 tokens by default
+ * @param {number} [options.term=30 days] Seconds from now to the funding deadline
+ * @param {bigint} [options.invoiceTokenId=1n]
+ * @return {Promise<Object>} vault, treasury, invoiceNFT, paymentToken, fundingTarget and
+ *   fundingDeadline
+ */
+async function deployInvoiceVault({ paymentToken, fundingTarget, term = 30 * 24 * 60 * 60, invoiceTokenId = 1n } = {}) {
+  paymentToken = paymentToken || (await deployToken("USDC"));
+  fundingTarget = fundingTarget ?? ethers.parseUnits("100000", await paymentToken.decimals());
+  const treasury = await deployContract("MockRWATreasuryManager");
+  const invoiceNFT = await deployContract("MockInvoiceNFT");
+  const vault = await deployContract("RWAInvoiceVault");
+  await vault.initialize(await treasury.getAddress());
+
+  const fundingDeadline = (await time.latest()) + term;
+  await vault.configureInvoice(
+    await paymentToken.getAddress(),
+    await invoiceNFT.getAddress(),
+    invoiceTokenId,
+    fundingTarget,
+    fundingDeadline
+  );
+  return { vault, treasury, invoiceNFT, paymentToken, fundingTarget, fundingDeadline };
+}
+
+module.exports = {
+  deployInvoiceRegistry,
+  createInvoice,
+  fundInvoice,
+  deployInvoiceVault
+};
@@ -0,0 +1,79 @@
+const { ethers } = require("hardhat");
+const { deployContract } = require("./deploy");
+
+// Decimals of the tokens the protocol deals with. Every fixture deploys its tokens as MockERC20
+// with these decimals, so 1 USDC is always parseUnits("1", 6) and 1 WBTC parseUnits("1", 8).
+const DECIMALS = {
+  USDC: 6,
+  USDT: 6,
+  WBTC: 8,
+  aWBTC: 8,
+  DAI: 18,
+  LINK: 18,
+  DEFAULT: 18
+};
+
+const NAMES = {
+  USDC: "USD Coin",
+  USDT: "Tether USD",
+  WBTC: "Wrapped BTC",
+  aWBTC: "Aave WBTC",
+  DAI: "Dai Stablecoin",
+  LINK: "Chainlink"
+};
+
+/**
+ * @notice Decimals of a symbol, 18 for symbols not in DECIMALS
+ */
+function decimalsOf(symbol) {
+  return DECIMALS[symbol] ?? DECIMALS.DEFAULT;
+}
+
+/**
+ * @notice Deploy a mintable MockERC20
+ * @param {string} symbol
+ * @param {Object} [options]
+ * @param {string} [options.name] Defaults to the usual name of the symbol
+ * @param {number} [options.decimals] Defaults to DECIMALS[symbol]
+ */
+async function deployToken(symbol, { name = NAMES[symbol] || symbol, decimals = decimalsOf(symbol) } = {}) {
+  return deployContract("MockERC20", [name, symbol, decimals]);
+}
+
+/**
+ * @notice Deploy several tokens
+ * @param {string[]|Object<string, number>} symbols Symbols, or symbol => decimals
+ * @return {Promise<Object<string, Object>>} Contracts by symbol
+ */
+async function deployTokens(symbols) {
+  const entries = Array.isArray(symbols) ? symbols.map((symbol) => [symbol, decimalsOf(symbol)]) : Object.entries(symbols);
+  const tokens = {};
+  for (const [symbol, decimals] of entries) {
+    tokens[symbol] = await deployToken(symbol, { decimals });
+  }
+  return tokens;
+}
+
+/**
+ * @notice Mint `amount` of `token` to every account and approve the spenders for it
+ * @param {Object} token MockERC20
+ * @param {Object[]} accounts Signers
+ * @param {bigint} amount
+ * @param {Array<Object|string>} [spenders] Contracts or addresses approved for MaxUint256
+ */
+async function fundAccounts(token, accounts, amount, spenders = []) {
+  for (const account of accounts) {
+    await token.mint(account.address, amount);
+    for (const spender of spenders) {
+      await token.connect(account).approve(spender, ethers.MaxUint256);
+    }
+  }
+}
+
+module.exports = {
+  DECIMALS,
+  decimalsOf,
+  deployToken,
+  deployTokens,
+  fundAccounts
+};